@@ -1,8 +1,252 @@
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Azureの認証情報は環境変数でのみ保持し、ブラウザには一切渡さない
+const azureDocument = {
+  endpoint: (process.env.AZURE_DOCUMENT_ENDPOINT || '').replace(/\/+$/, ''),
+  apiKey: process.env.AZURE_DOCUMENT_KEY || '',
+  analyzePath: process.env.AZURE_DOCUMENT_ANALYZE_PATH || 'formrecognizer/documentModels/{modelId}:analyze',
+  modelsPath: process.env.AZURE_DOCUMENT_MODELS_PATH || 'formrecognizer/documentModels',
+  apiVersion: process.env.AZURE_DOCUMENT_API_VERSION || '2023-07-31',
+  defaultModelId: process.env.AZURE_DOCUMENT_MODEL_ID || 'prebuilt-layout'
+};
+
+const azureOpenAI = {
+  endpoint: (process.env.AZURE_OPENAI_ENDPOINT || '').replace(/\/+$/, ''),
+  apiKey: process.env.AZURE_OPENAI_KEY || '',
+  deploymentName: process.env.AZURE_OPENAI_DEPLOYMENT || '',
+  apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-02-01'
+};
+
+const isDocumentConfigured = () => Boolean(azureDocument.endpoint && azureDocument.apiKey);
+const isOpenAIConfigured = () => Boolean(azureOpenAI.endpoint && azureOpenAI.apiKey && azureOpenAI.deploymentName);
+
+// Operation-LocationのURLはクライアントに見せず、ランダムなIDで参照させる
+// （任意URLへの転送を防ぐため）
+const OPERATION_TTL_MS = 60 * 60 * 1000;
+const operations = new Map();
+
+const registerOperation = (operationUrl) => {
+  const id = crypto.randomUUID();
+  operations.set(id, { url: operationUrl, createdAt: Date.now() });
+  return id;
+};
+
+const pruneOperations = () => {
+  const now = Date.now();
+  for (const [id, operation] of operations) {
+    if (now - operation.createdAt > OPERATION_TTL_MS) {
+      operations.delete(id);
+    }
+  }
+};
+
+// Azureからのレスポンスをそのままクライアントへストリームで返す
+// 上流が途中で切れた場合はクライアントへの応答も打ち切り、クライアントが切断した場合は上流の接続も閉じる
+const pipeUpstream = (upstream, res, passHeaders = []) => {
+  res.status(upstream.status);
+  ['content-type', ...passHeaders].forEach(header => {
+    if (upstream.headers[header]) {
+      res.setHeader(header, upstream.headers[header]);
+    }
+  });
+  upstream.data.on('error', (error) => {
+    console.error('Azureからの応答の受信に失敗しました:', error.message);
+    res.destroy(error);
+  });
+  res.on('close', () => upstream.data.destroy());
+  upstream.data.pipe(res);
+};
+
+// プロキシはこのサーバーが配信したページからのリクエスト（同一オリジン）だけを受け付ける
+// スクリプト等から使う場合は PROXY_ACCESS_TOKEN を設定し、X-Proxy-Token ヘッダーで送る
+const proxyAccessToken = process.env.PROXY_ACCESS_TOKEN || '';
+
+const hasProxyToken = (req) => {
+  const token = req.get('x-proxy-token') || '';
+  return Boolean(proxyAccessToken) && token.length === proxyAccessToken.length
+    && crypto.timingSafeEqual(Buffer.from(token), Buffer.from(proxyAccessToken));
+};
+
+const isSameOrigin = (req) => {
+  const site = req.get('sec-fetch-site');
+  if (site) {
+    return site === 'same-origin';
+  }
+  // Sec-Fetch-Site を送らないブラウザは Origin・Referer で判定する
+  const source = req.get('origin') || req.get('referer');
+  try {
+    return Boolean(source) && new URL(source).host === req.get('host');
+  } catch (error) {
+    return false;
+  }
+};
+
+const requireProxyAccess = (req, res, next) => {
+  if (hasProxyToken(req) || isSameOrigin(req)) {
+    return next();
+  }
+  res.status(403).json({ error: { message: 'このサーバーのページ以外からのプロキシの利用は許可されていません' } });
+};
+
+const sendProxyError = (res, error, label) => {
+  console.error(`${label}:`, error.message);
+  if (!res.headersSent) {
+    res.status(502).json({ error: { message: `${label}: ${error.message}` } });
+  }
+};
+
+// 利用可能なプロキシ機能を返す（キーそのものは返さない）
+app.get('/api/status', (req, res) => {
+  res.json({
+    ocr: isDocumentConfigured(),
+    llm: isOpenAIConfigured(),
+    deploymentName: azureOpenAI.deploymentName || null
+  });
+});
+
+app.use(['/api/ocr', '/api/format'], requireProxyAccess);
+
+// OCR解析の開始: ファイルのバイナリをそのままAzure Document Intelligenceへ転送する
+app.post('/api/ocr', express.raw({ type: () => true, limit: '50mb' }), async (req, res) => {
+  if (!isDocumentConfigured()) {
+    return res.status(503).json({ error: { message: 'サーバーにAzure Document Intelligenceの設定がありません' } });
+  }
+
+  const modelId = (req.query.modelId || '').trim() || azureDocument.defaultModelId;
+  const params = new URLSearchParams({ 'api-version': azureDocument.apiVersion });
+  if (req.query.pages) {
+    params.append('pages', req.query.pages);
+  }
+  const analyzePath = azureDocument.analyzePath.replace('{modelId}', encodeURIComponent(modelId));
+  const url = `${azureDocument.endpoint}/${analyzePath}?${params.toString()}`;
+
+  try {
+    const upstream = await axios.post(url, req.body, {
+      headers: {
+        'Content-Type': req.headers['content-type'] || 'application/octet-stream',
+        'Ocp-Apim-Subscription-Key': azureDocument.apiKey
+      },
+      responseType: 'stream',
+      validateStatus: () => true
+    });
+
+    const operationUrl = upstream.headers['operation-location'];
+    if (upstream.status === 202 && operationUrl) {
+      pruneOperations();
+      const id = registerOperation(operationUrl);
+      res.setHeader('Operation-Location', `/api/ocr/results/${id}`);
+    }
+    pipeUpstream(upstream, res, ['retry-after']);
+  } catch (error) {
+    sendProxyError(res, error, 'Azure OCRへの転送に失敗しました');
+  }
+});
+
+// OCR結果のポーリング
+app.get('/api/ocr/results/:id', async (req, res) => {
+  const operation = operations.get(req.params.id);
+  if (!operation) {
+    return res.status(404).json({ error: { message: '指定されたOCR処理が見つかりません' } });
+  }
+
+  try {
+    const upstream = await axios.get(operation.url, {
+      headers: { 'Ocp-Apim-Subscription-Key': azureDocument.apiKey },
+      responseType: 'stream',
+      validateStatus: () => true
+    });
+    pipeUpstream(upstream, res, ['retry-after']);
+  } catch (error) {
+    sendProxyError(res, error, 'Azure OCR結果の取得に失敗しました');
+  }
+});
+
+// モデル一覧・モデル詳細（フィールドスキーマ）の取得
+const proxyModelRequest = async (res, modelPath) => {
+  if (!isDocumentConfigured()) {
+    return res.status(503).json({ error: { message: 'サーバーにAzure Document Intelligenceの設定がありません' } });
+  }
+
+  const params = new URLSearchParams({ 'api-version': azureDocument.apiVersion });
+  const url = `${azureDocument.endpoint}/${modelPath}?${params.toString()}`;
+
+  try {
+    const upstream = await axios.get(url, {
+      headers: { 'Ocp-Apim-Subscription-Key': azureDocument.apiKey },
+      responseType: 'stream',
+      validateStatus: () => true
+    });
+    pipeUpstream(upstream, res);
+  } catch (error) {
+    sendProxyError(res, error, 'Azureモデル情報の取得に失敗しました');
+  }
+};
+
+app.get('/api/ocr/models', (req, res) => proxyModelRequest(res, azureDocument.modelsPath));
+
+app.get('/api/ocr/models/:modelId', (req, res) => (
+  proxyModelRequest(res, `${azureDocument.modelsPath}/${encodeURIComponent(req.params.modelId)}`)
+));
+
+// LLM整形: チャット補完リクエストをAzure OpenAIへ転送する（stream: true の場合はSSEをそのまま中継）
+app.post('/api/format', express.json({ limit: '5mb' }), async (req, res) => {
+  if (!isOpenAIConfigured()) {
+    return res.status(503).json({ error: { message: 'サーバーにAzure OpenAIの設定がありません' } });
+  }
+
+  const { messages, temperature, max_tokens, top_p, stream, response_format } = req.body || {};
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return res.status(400).json({ error: { message: 'messages が指定されていません' } });
+  }
+
+  const url = `${azureOpenAI.endpoint}/openai/deployments/${encodeURIComponent(azureOpenAI.deploymentName)}/chat/completions?api-version=${azureOpenAI.apiVersion}`;
+
+  try {
+    const upstream = await axios.post(url, {
+      messages,
+      temperature,
+      max_tokens,
+      top_p,
+      stream,
+      response_format
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        'api-key': azureOpenAI.apiKey
+      },
+      responseType: 'stream',
+      validateStatus: () => true
+    });
+
+    pipeUpstream(upstream, res, ['retry-after']);
+  } catch (error) {
+    sendProxyError(res, error, 'Azure OpenAIへの転送に失敗しました');
+  }
+});
+
+// Tesseract.js のワーカー・OCRエンジン本体（wasm）・言語データをこのサーバーから配信する（公開CDNに依存しない）
+app.use('/tesseract/worker', express.static(path.join(__dirname, 'node_modules', 'tesseract.js', 'dist')));
+app.use('/tesseract/core', express.static(path.join(__dirname, 'node_modules', 'tesseract.js-core')));
+
+// 言語データ（@tesseract.js-data/<言語>）も配信する。ワーカーは `${langPath}/<言語>.traineddata.gz` を取得する
+// （既定のLSTMモデルは 4.0.0_best_int）
+app.get('/tesseract/lang/:file', (req, res) => {
+  const match = req.params.file.match(/^([a-z_]+)\.traineddata\.gz$/);
+  if (!match) {
+    return res.status(404).end();
+  }
+  res.sendFile(path.join(__dirname, 'node_modules', '@tesseract.js-data', match[1], '4.0.0_best_int', req.params.file), (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).end();
+    }
+  });
+});
+
 // Serve static files from the React app build directory
 app.use(express.static(path.join(__dirname, 'build')));
 
@@ -13,4 +257,5 @@ app.get('*', (req, res) => {
 
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  console.log(`OCRプロキシ: ${isDocumentConfigured() ? '有効' : '無効'}, LLMプロキシ: ${isOpenAIConfigured() ? '有効' : '無効'}`);
 });
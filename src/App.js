@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { Container, Row, Col, Alert, Spinner } from 'react-bootstrap';
 import 'bootstrap/dist/css/bootstrap.min.css';
 import './App.css';
@@ -6,147 +6,612 @@ import './App.css';
 // Components
 import FileUploader from './components/FileUploader';
 import AzureConfig from './components/AzureConfig';
+import OcrEngineConfig from './components/OcrEngineConfig';
 import PromptEditor from './components/PromptEditor';
 import ResultDisplay from './components/ResultDisplay';
 import LlmConfig from './components/LlmConfig';
+import BatchQueue from './components/BatchQueue';
+import DocumentViewer from './components/DocumentViewer';
+import FieldMappingEditor from './components/FieldMappingEditor';
+import HistoryPanel from './components/HistoryPanel';
+import HistorySourcePreview from './components/HistorySourcePreview';
+import SecureGate from './components/SecureGate';
+import SecuritySettings from './components/SecuritySettings';
+import RedactionConfig from './components/RedactionConfig';
+import DictionaryConfig from './components/DictionaryConfig';
 
 // Services
-import { processDocumentWithAzure, extractTextFromAzureResponse } from './services/azureService';
-import { processWithAzurePython, extractTextFromResult } from './services/azureServicePython';
-import { processWithLocalLLM } from './services/llmService';
+import {
+  processDocument,
+  reviewGroundingWithLLM,
+  isJobFinished,
+  JOB_STATUS,
+  OUTPUT_MODE
+} from './services/documentPipeline';
+import { isAbortError } from './services/abort';
+import { chartToText } from './services/chartSchema';
+import { getOcrPages } from './services/ocrGeometry';
+import { getConfidenceThreshold, getLowConfidenceLines } from './services/ocrConfidence';
+import { LLM_PROVIDERS } from './services/llmProviders';
+import { isLlmConfigComplete } from './services/llmService';
+import { OCR_ENGINES, DEFAULT_TESSERACT_LANGUAGES } from './services/ocrEngines';
+import { createTaskQueue } from './services/taskQueue';
+import { collectDocumentFields } from './services/fieldMapping';
+import { analyzeSelectionMarks } from './services/layoutAnalysis';
+import { DEFAULT_MAX_INPUT_TOKENS, DEFAULT_MAX_OUTPUT_TOKENS } from './services/chunking';
+import { createTemplateLibrary, getActiveTemplate } from './services/templateLibrary';
+import { extractTemplateVariables } from './services/ocrTextExtractor';
+import { createThumbnail } from './services/pageRenderer';
+import {
+  DEFAULT_HISTORY_SETTINGS,
+  createHistoryEntry,
+  toOcrResult,
+  saveHistoryEntry,
+  getHistoryEntry,
+  listHistoryEntries,
+  updateHistoryEntry,
+  deleteHistoryEntry,
+  clearHistory,
+  deleteExpiredEntries
+} from './services/historyStore';
+import { loadSetting, saveSetting } from './services/secureStorage';
+import { DEFAULT_REDACTION_SETTINGS } from './services/phiRedaction';
+import { DEFAULT_DICTIONARY_SETTINGS, setSuggestionAccepted } from './services/medicalDictionary';
+import { getCorrections } from './services/corrections';
+import { createExportRecord } from './services/exporters';
 
-function App() {
-  // State for file and processing
-  const [isProcessing, setIsProcessing] = useState(false);
-  const [error, setError] = useState('');
-  const [ocrResult, setOcrResult] = useState(null);
-  const [llmResult, setLlmResult] = useState('');
+// 保存期間を過ぎた履歴を確認する間隔（開いたままの画面でも削除されるようにする）
+const HISTORY_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+// 結果の編集を履歴に反映するまでの待ち時間（入力のたびに書き込まない）
+const HISTORY_UPDATE_DELAY_MS = 1000;
+
+// 履歴を処理キューのジョブと同じ形にして結果表示で使う
+const historyEntryToJob = (entry) => ({
+  id: entry.id,
+  historyId: entry.id,
+  file: null,
+  fileName: entry.fileName,
+  status: JOB_STATUS.DONE,
+  error: '',
+  ocrResult: toOcrResult(entry),
+  llmResult: entry.llmResult,
+  structuredResult: entry.structuredResult,
+  originalLlmResult: entry.originalLlmResult || '',
+  originalStructuredResult: entry.originalStructuredResult || null,
+  completedAt: entry.createdAt,
+  template: entry.template,
+  chunkCount: entry.chunkCount,
+  llmWarnings: entry.llmWarnings,
+  redaction: entry.redaction || null,
+  dictionaryCorrection: entry.dictionaryCorrection || null,
+  groundingReview: entry.groundingReview || null,
+  streaming: null,
+  ocrProgress: null
+});
+
+function Workspace({ security }) {
+  // State for file and processing（1ファイル = 1ジョブ）
+  const [jobs, setJobs] = useState([]);
+  const [selectedJobId, setSelectedJobId] = useState(null);
+  // 原本とOCR行の相互ハイライト { pageNumber, lineIndex, source }
+  const [highlight, setHighlight] = useState(null);
+  const [concurrency, setConcurrency] = useState(() => {
+    const savedConcurrency = Number(localStorage.getItem('batchConcurrency'));
+    return savedConcurrency > 0 ? savedConcurrency : 2;
+  });
 
   // Configuration state
+  const [ocrSettings, setOcrSettings] = useState(() => {
+    const savedSettings = loadSetting('ocrSettings');
+    return savedSettings || {
+      engine: OCR_ENGINES.AZURE,
+      tesseract: {
+        languages: DEFAULT_TESSERACT_LANGUAGES,
+        langPath: '',
+        workerPath: '',
+        corePath: ''
+      }
+    };
+  });
+
+  // 設定はロックが有効な場合に暗号化して保存する
   const [azureConfig, setAzureConfig] = useState(() => {
-    const savedConfig = localStorage.getItem('azureConfig');
-    return savedConfig ? JSON.parse(savedConfig) : {
+    const savedConfig = loadSetting('azureConfig');
+    return savedConfig || {
       endpoint: '',
       apiKey: '',
-      modelId: ''
+      modelId: '',
+      useProxy: false
     };
   });
 
+  // カスタムモデルのフィールド → カルテのセクション
+  const [fieldMappings, setFieldMappings] = useState(() => {
+    return loadSetting('fieldMappings') || [];
+  });
+
   const [llmConfig, setLlmConfig] = useState(() => {
-    const savedConfig = localStorage.getItem('llmConfig');
-    return savedConfig ? JSON.parse(savedConfig) : {
+    const savedConfig = loadSetting('llmConfig');
+    return savedConfig || {
+      provider: LLM_PROVIDERS.AZURE_OPENAI,
       endpoint: '',
       apiKey: '',
-      deploymentName: ''
+      deploymentName: '',
+      useProxy: false,
+      outputMode: OUTPUT_MODE.TEXT,
+      maxInputTokens: DEFAULT_MAX_INPUT_TOKENS,
+      maxOutputTokens: DEFAULT_MAX_OUTPUT_TOKENS,
+      stream: true,
+      [LLM_PROVIDERS.OPENAI_COMPATIBLE]: { baseUrl: '', apiKey: '', model: '' },
+      [LLM_PROVIDERS.OLLAMA]: { baseUrl: 'http://localhost:11434', model: '' }
     };
   });
 
-  // Prompt template state
-  const [promptTemplate, setPromptTemplate] = useState(() => {
-    const savedPrompt = localStorage.getItem('promptTemplate');
-    return savedPrompt || `{{OCR_RESULT}}を電子カルテにコピーできる形に整形してください。
-形式としては下記の様にまとめて、それ以外は表記しないでください。また患者の自由記載については要点だけ記載してください。また、空行は作らず、詰めて記載してください。
-【主訴】
-【現病歴】
-【既往歴】
-【通院中の医院】
-【内服薬】
-【アレルギー】
-【喫煙歴】
-【飲酒歴】
-(もしあれば【妊娠可能性】）
-【検査についての希望】`;
+  // LLMに送る前の個人情報の仮名化
+  const [redactionSettings, setRedactionSettings] = useState(() => {
+    const savedSettings = loadSetting('redactionSettings');
+    return savedSettings ? { ...DEFAULT_REDACTION_SETTINGS, ...savedSettings } : DEFAULT_REDACTION_SETTINGS;
+  });
+
+  // 医療辞書によるOCRテキストの補正
+  const [dictionarySettings, setDictionarySettings] = useState(() => {
+    const savedSettings = loadSetting('dictionarySettings');
+    return savedSettings ? { ...DEFAULT_DICTIONARY_SETTINGS, ...savedSettings } : DEFAULT_DICTIONARY_SETTINGS;
+  });
+
+  // Prompt template library（以前の単一プロンプトは最初のテンプレートとして引き継ぐ）
+  const [templateLibrary, setTemplateLibrary] = useState(() => {
+    const savedLibrary = loadSetting('promptTemplateLibrary');
+    return savedLibrary || createTemplateLibrary(localStorage.getItem('promptTemplate'));
+  });
+  // 処理履歴（一覧は解析結果の生データを含まない。開いた履歴だけ全体を読み込む）
+  const [historySettings, setHistorySettings] = useState(() => {
+    const savedSettings = loadSetting('historySettings');
+    return savedSettings ? { ...DEFAULT_HISTORY_SETTINGS, ...savedSettings } : DEFAULT_HISTORY_SETTINGS;
   });
+  const [historyEntries, setHistoryEntries] = useState([]);
+  const [historyError, setHistoryError] = useState('');
+  const [openedHistoryEntry, setOpenedHistoryEntry] = useState(null);
+
+  const activeTemplate = getActiveTemplate(templateLibrary);
+  const promptTemplate = activeTemplate.prompt;
+  const systemMessage = activeTemplate.systemMessage;
 
   // Save configurations to localStorage when they change
   useEffect(() => {
-    localStorage.setItem('azureConfig', JSON.stringify(azureConfig));
+    saveSetting('ocrSettings', ocrSettings);
+  }, [ocrSettings]);
+
+  useEffect(() => {
+    saveSetting('azureConfig', azureConfig);
   }, [azureConfig]);
 
   useEffect(() => {
-    localStorage.setItem('llmConfig', JSON.stringify(llmConfig));
+    saveSetting('fieldMappings', fieldMappings);
+  }, [fieldMappings]);
+
+  useEffect(() => {
+    saveSetting('llmConfig', llmConfig);
   }, [llmConfig]);
 
   useEffect(() => {
-    localStorage.setItem('promptTemplate', promptTemplate);
-  }, [promptTemplate]);
+    saveSetting('promptTemplateLibrary', templateLibrary);
+    // 以前の単一プロンプトはライブラリに引き継いだため、平文のまま残さない
+    localStorage.removeItem('promptTemplate');
+  }, [templateLibrary]);
 
-  // Handle file upload and processing
-  const handleFileUpload = async (file) => {
-    setIsProcessing(true);
-    setError('');
-    setOcrResult(null);
-    setLlmResult('');
+  useEffect(() => {
+    saveSetting('historySettings', historySettings);
+  }, [historySettings]);
+
+  useEffect(() => {
+    saveSetting('redactionSettings', redactionSettings);
+  }, [redactionSettings]);
+
+  useEffect(() => {
+    saveSetting('dictionarySettings', dictionarySettings);
+  }, [dictionarySettings]);
 
+  // 処理中のジョブで最新の設定を参照するためのref
+  const settingsRef = useRef({
+    ocrSettings,
+    azureConfig,
+    fieldMappings,
+    llmConfig,
+    promptTemplate,
+    systemMessage,
+    activeTemplate,
+    historySettings,
+    redactionSettings,
+    dictionarySettings
+  });
+  useEffect(() => {
+    settingsRef.current = {
+      ocrSettings,
+      azureConfig,
+      fieldMappings,
+      llmConfig,
+      promptTemplate,
+      systemMessage,
+      activeTemplate,
+      historySettings,
+      redactionSettings,
+      dictionarySettings
+    };
+  }, [
+    ocrSettings,
+    azureConfig,
+    fieldMappings,
+    llmConfig,
+    promptTemplate,
+    systemMessage,
+    activeTemplate,
+    historySettings,
+    redactionSettings,
+    dictionarySettings
+  ]);
+
+  // 履歴の一覧を読み直す（開いている履歴が削除されていれば閉じる）
+  const refreshHistory = useCallback(async () => {
     try {
-      // Step 1: Process with Azure OCR (優先的にPython風実装を使用)
-      let azureResponse;
-      let extractedText;
-      
-      try {
-        console.log('Python風実装でAzure OCR処理を実行');
-        azureResponse = await processWithAzurePython(file, azureConfig);
-        extractedText = extractTextFromResult(azureResponse);
-        console.log('Python風実装での処理が成功しました');
-      } catch (pythonError) {
-        console.log('Python風実装での処理に失敗、標準実装を使用:', pythonError.message);
-        // フォールバックとして標準実装を使用
-        azureResponse = await processDocumentWithAzure(file, azureConfig);
-        extractedText = extractTextFromAzureResponse(azureResponse);
+      const entries = await listHistoryEntries();
+      setHistoryEntries(entries);
+      setOpenedHistoryEntry(prevEntry => (
+        prevEntry && entries.some(entry => entry.id === prevEntry.id) ? prevEntry : null
+      ));
+      setHistoryError('');
+    } catch (historyLoadError) {
+      console.error('処理履歴の読み込みに失敗しました:', historyLoadError);
+      setHistoryError(`処理履歴を読み込めません: ${historyLoadError.message}`);
+    }
+  }, []);
+
+  // 保存期間を過ぎた履歴を起動時・設定変更時と定期的に削除する
+  useEffect(() => {
+    const purgeExpired = () => deleteExpiredEntries(historySettings.retentionDays)
+      .catch(purgeError => console.error('期限切れの処理履歴の削除に失敗しました:', purgeError))
+      .then(refreshHistory);
+    purgeExpired();
+    const timer = setInterval(purgeExpired, HISTORY_PURGE_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [historySettings.retentionDays, refreshHistory]);
+
+  // 完了したジョブの結果を履歴に保存する
+  const saveToHistory = useCallback(async (file, result, { template, startedAt }) => {
+    const thumbnail = await createThumbnail(file).catch(thumbnailError => {
+      console.error('縮小画像の作成に失敗しました:', thumbnailError);
+      return null;
+    });
+    const entry = createHistoryEntry({ file, thumbnail, result, template, startedAt });
+    await saveHistoryEntry(entry);
+    await refreshHistory();
+    return entry.id;
+  }, [refreshHistory]);
+
+  // 結果の編集を少し待ってから履歴に反映する（historyId → タイマー）
+  const historyUpdateTimersRef = useRef(new Map());
+  const scheduleHistoryUpdate = (historyId, patch) => {
+    const timers = historyUpdateTimersRef.current;
+    clearTimeout(timers.get(historyId));
+    timers.set(historyId, setTimeout(() => {
+      timers.delete(historyId);
+      updateHistoryEntry(historyId, patch)
+        .then(refreshHistory)
+        .catch(updateError => setHistoryError(`処理履歴を更新できません: ${updateError.message}`));
+    }, HISTORY_UPDATE_DELAY_MS));
+  };
+
+  const queueRef = useRef(null);
+  if (!queueRef.current) {
+    queueRef.current = createTaskQueue(concurrency);
+  }
+
+  useEffect(() => {
+    localStorage.setItem('batchConcurrency', String(concurrency));
+    queueRef.current.setConcurrency(concurrency);
+  }, [concurrency]);
+
+  // 処理中・待機中のジョブの中止用（jobId → AbortController）
+  const abortControllersRef = useRef(new Map());
+
+  // ロックで画面を破棄するときは、処理中のジョブと履歴への書き込み待ちを止める
+  useEffect(() => {
+    const controllers = abortControllersRef.current;
+    const timers = historyUpdateTimersRef.current;
+    return () => {
+      controllers.forEach(controller => controller.abort());
+      timers.forEach(timer => clearTimeout(timer));
+    };
+  }, []);
+
+  const updateJob = useCallback((jobId, patch) => {
+    setJobs(prevJobs => prevJobs.map(job => (job.id === jobId ? { ...job, ...patch } : job)));
+  }, []);
+
+  // 判定したAzure APIファミリーを設定に保存し、次回以降の判定を省く
+  const rememberApiFamily = useCallback((ocrResult) => {
+    const apiFamily = ocrResult && ocrResult.rawResponse && ocrResult.rawResponse.apiFamily;
+    if (!apiFamily) {
+      return;
+    }
+    setAzureConfig(prevConfig => (
+      prevConfig.apiFamily
+        && prevConfig.apiFamily.endpoint === apiFamily.endpoint
+        && prevConfig.apiFamily.id === apiFamily.id
+        ? prevConfig
+        : { ...prevConfig, apiFamily }
+    ));
+  }, []);
+
+  // ジョブをキューに入れて処理する（previous を渡すとOCR結果と補正候補を使い回してLLMの処理だけをやり直す）
+  const enqueueJob = useCallback((jobId, file, previous = null) => {
+    const controller = new AbortController();
+    abortControllersRef.current.set(jobId, controller);
+    // 中止後に再実行した場合、前回の処理の結果で上書きしない
+    const updateCurrentJob = (patch) => {
+      if (abortControllersRef.current.get(jobId) === controller) {
+        updateJob(jobId, patch);
       }
-      
-      setOcrResult({
-        rawResponse: azureResponse,
-        extractedText
-      });
+    };
 
-      // Step 2: Process with Local LLM
-      if (extractedText && llmConfig.endpoint) {
-        try {
-          // 詳細なデバッグログを追加
-          console.log('★ LLM処理開始: 設定値確認');
-          console.log(' - endpoint:', llmConfig.endpoint);
-          console.log(' - apiKey:', llmConfig.apiKey ? `***${llmConfig.apiKey.substr(-4)}` : 'null');
-          console.log(' - deploymentName:', llmConfig.deploymentName);
-          
-          // エンドポイント形式を正規化
-          let endpoint = llmConfig.endpoint.trim();
-          // プロトコルが含まれていない場合は追加
-          if (!endpoint.startsWith('http')) {
-            endpoint = `https://${endpoint}`;
-            console.log(' - プロトコルを追加しました:', endpoint);
-          }
-          
-          // Azure OpenAIの設定情報を正しい形式で渡す
-          const configForLLM = {
-            endpoint: endpoint,
-            apiKey: llmConfig.apiKey,
-            deploymentName: llmConfig.deploymentName
-          };
-          
-          console.log('★ LLM処理に渡す設定:', configForLLM);
-          
-          const formattedText = await processWithLocalLLM(
-            extractedText, 
-            promptTemplate, 
-            configForLLM
-          );
-          
-          setLlmResult(formattedText);
-        } catch (llmError) {
-          console.error('LLM processing error:', llmError);
-          setError(`LLM処理エラー: ${llmError.message}`);
-          // Continue even if LLM processing fails
+    updateJob(jobId, {
+      status: JOB_STATUS.QUEUED,
+      error: '',
+      ocrResult: previous ? previous.ocrResult : null,
+      dictionaryCorrection: previous ? previous.dictionaryCorrection : null,
+      llmResult: '',
+      structuredResult: null,
+      originalLlmResult: '',
+      originalStructuredResult: null,
+      completedAt: null,
+      template: null,
+      chunkCount: 0,
+      llmWarnings: [],
+      redaction: null,
+      groundingReview: null,
+      streaming: null,
+      ocrProgress: null,
+      historyId: null
+    });
+
+    queueRef.current.enqueue(async () => {
+      const settings = settingsRef.current;
+      const startedAt = new Date().toISOString();
+      try {
+        const result = await processDocument(file, settings, (status, partial) => {
+          updateCurrentJob({ status, ...partial });
+        }, { signal: controller.signal, previous });
+        updateCurrentJob({
+          status: JOB_STATUS.DONE,
+          ...result,
+          // 医師の修正と比べるため、LLMの出力をそのまま残しておく
+          originalLlmResult: result.llmResult,
+          originalStructuredResult: result.structuredResult,
+          completedAt: new Date().toISOString(),
+          template: settings.activeTemplate,
+          streaming: null,
+          ocrProgress: null
+        });
+        rememberApiFamily(result.ocrResult);
+        if (settings.historySettings.enabled) {
+          saveToHistory(file, result, { template: settings.activeTemplate, startedAt })
+            .then(historyId => updateCurrentJob({ historyId }))
+            .catch(saveError => setHistoryError(`処理履歴に保存できません: ${saveError.message}`));
         }
+      } catch (jobError) {
+        rememberApiFamily(jobError.ocrResult);
+        updateCurrentJob({
+          status: isAbortError(jobError) ? JOB_STATUS.CANCELLED : JOB_STATUS.FAILED,
+          error: isAbortError(jobError) ? '' : jobError.message,
+          ocrResult: jobError.ocrResult || (previous && previous.ocrResult) || null,
+          dictionaryCorrection: jobError.dictionaryCorrection || (previous && previous.dictionaryCorrection) || null,
+          streaming: null,
+          ocrProgress: null
+        });
+      } finally {
+        if (abortControllersRef.current.get(jobId) === controller) {
+          abortControllersRef.current.delete(jobId);
+        }
+      }
+    });
+  }, [updateJob, rememberApiFamily, saveToHistory]);
+
+  // 処理中・待機中のジョブを中止する（待機中のジョブはすぐに中止済みにする）
+  const handleCancel = useCallback((jobId) => {
+    const controller = abortControllersRef.current.get(jobId);
+    if (!controller) {
+      return;
+    }
+    controller.abort();
+    setJobs(prevJobs => prevJobs.map(job => (
+      job.id === jobId && job.status === JOB_STATUS.QUEUED ? { ...job, status: JOB_STATUS.CANCELLED } : job
+    )));
+  }, []);
+
+  const handleCancelAll = () => {
+    jobs.filter(job => !isJobFinished(job.status)).forEach(job => handleCancel(job.id));
+  };
+
+  // Handle file upload and processing
+  const handleFilesUpload = (files) => {
+    const newJobs = files.map(file => ({
+      id: `${Date.now()}-${Math.random().toString(36).slice(2)}`,
+      file,
+      status: JOB_STATUS.QUEUED,
+      error: '',
+      ocrResult: null,
+      dictionaryCorrection: null,
+      llmResult: '',
+      structuredResult: null,
+      originalLlmResult: '',
+      originalStructuredResult: null,
+      completedAt: null,
+      template: null,
+      chunkCount: 0,
+      llmWarnings: [],
+      redaction: null,
+      groundingReview: null,
+      streaming: null,
+      ocrProgress: null,
+      historyId: null
+    }));
+
+    setJobs(prevJobs => [...prevJobs, ...newJobs]);
+    if (!selectedJobId || newJobs.length === 1) {
+      setSelectedJobId(newJobs[0].id);
+      setOpenedHistoryEntry(null);
+    }
+    newJobs.forEach(job => enqueueJob(job.id, job.file));
+  };
+
+  const handleRetry = (jobId) => {
+    const job = jobs.find(item => item.id === jobId);
+    if (job) {
+      enqueueJob(job.id, job.file);
+    }
+  };
+
+  // 辞書による補正候補の採用・却下を変えた後、OCRをやり直さずにLLMで整形し直す
+  const handleRerunLlm = (jobId) => {
+    const job = jobs.find(item => item.id === jobId);
+    if (job && job.ocrResult) {
+      enqueueJob(job.id, job.file, { ocrResult: job.ocrResult, dictionaryCorrection: job.dictionaryCorrection });
+    }
+  };
+
+  const handleRetryFailed = () => {
+    jobs
+      .filter(job => job.status === JOB_STATUS.FAILED)
+      .forEach(job => enqueueJob(job.id, job.file));
+  };
+
+  const handleSelectJob = (jobId) => {
+    setOpenedHistoryEntry(null);
+    setSelectedJobId(jobId);
+  };
+
+  const handleOpenHistory = async (historyId) => {
+    try {
+      const entry = await getHistoryEntry(historyId);
+      if (entry) {
+        setOpenedHistoryEntry(entry);
+      } else {
+        await refreshHistory();
       }
-    } catch (ocrError) {
-      console.error('OCR processing error:', ocrError);
-      setError(`OCR処理エラー: ${ocrError.message}`);
-    } finally {
-      setIsProcessing(false);
+    } catch (openError) {
+      setHistoryError(`処理履歴を開けません: ${openError.message}`);
+    }
+  };
+
+  const handleDeleteHistory = (historyId) => {
+    deleteHistoryEntry(historyId)
+      .then(refreshHistory)
+      .catch(deleteError => setHistoryError(`処理履歴を削除できません: ${deleteError.message}`));
+  };
+
+  const handleClearHistory = () => {
+    clearHistory()
+      .then(refreshHistory)
+      .catch(clearError => setHistoryError(`処理履歴を削除できません: ${clearError.message}`));
+  };
+
+  // 整形結果の編集（修正内容を求めて履歴にも反映する）
+  const handleResultChange = (patch) => {
+    if (openedHistoryEntry) {
+      setOpenedHistoryEntry(prevEntry => ({ ...prevEntry, ...patch }));
+    } else {
+      updateJob(selectedJobId, patch);
+    }
+    if (selectedJob && selectedJob.historyId) {
+      scheduleHistoryUpdate(selectedJob.historyId, {
+        ...patch,
+        corrections: getCorrections({ ...selectedJob, ...patch })
+      });
     }
   };
 
+  // 構造化結果の編集（コピー用テキストもフォームから再生成する）
+  const handleStructuredResultChange = (chart) => {
+    handleResultChange({
+      structuredResult: chart,
+      llmResult: chartToText(chart)
+    });
+  };
+
+  const handleLlmResultChange = (text) => {
+    handleResultChange({ llmResult: text });
+  };
+
+  // 根拠を確認できなかった記載をLLMで判定し、判定結果を整形結果とともに残す（記載を修正するまで有効）
+  const handleReviewGrounding = async (statements) => {
+    const job = selectedJob;
+    const review = await reviewGroundingWithLLM(job, statements, settingsRef.current);
+    const patch = { groundingReview: { ...(job.groundingReview || {}), ...review } };
+    if (openedHistoryEntry) {
+      setOpenedHistoryEntry(prevEntry => (prevEntry && prevEntry.id === job.historyId ? { ...prevEntry, ...patch } : prevEntry));
+    } else {
+      updateJob(job.id, patch);
+    }
+    if (job.historyId) {
+      scheduleHistoryUpdate(job.historyId, patch);
+    }
+  };
+
+  const handleDictionarySuggestionChange = (suggestionId, accepted) => {
+    handleResultChange({
+      dictionaryCorrection: setSuggestionAccepted(
+        selectedJob.dictionaryCorrection,
+        selectedJob.ocrResult.extractedText,
+        suggestionId,
+        accepted
+      )
+    });
+  };
+
+  const handleClearFinished = () => {
+    const remaining = jobs.filter(job => !isJobFinished(job.status));
+    setJobs(remaining);
+    if (!remaining.some(job => job.id === selectedJobId)) {
+      setSelectedJobId(remaining.length > 0 ? remaining[0].id : null);
+    }
+  };
+
+  const activeJobCount = jobs.filter(job => !isJobFinished(job.status)).length;
+  const isProcessing = activeJobCount > 0;
+  const historyJob = useMemo(
+    () => (openedHistoryEntry ? historyEntryToJob(openedHistoryEntry) : null),
+    [openedHistoryEntry]
+  );
+  const selectedJob = historyJob || jobs.find(job => job.id === selectedJobId) || null;
+  const selectedViewId = selectedJob ? selectedJob.id : null;
+  const displayError = selectedJob ? selectedJob.error : '';
+  const selectedAnalyzeResult = selectedJob && selectedJob.ocrResult
+    ? selectedJob.ocrResult.rawResponse.analyzeResult
+    : null;
+  const ocrPages = useMemo(() => getOcrPages(selectedAnalyzeResult), [selectedAnalyzeResult]);
+  const selectionGroups = useMemo(() => analyzeSelectionMarks(ocrPages), [ocrPages]);
+  const confidenceThreshold = getConfidenceThreshold(ocrSettings);
+  const lowConfidenceLines = useMemo(
+    () => getLowConfidenceLines(ocrPages, confidenceThreshold),
+    [ocrPages, confidenceThreshold]
+  );
+  const detectedFields = useMemo(
+    () => Array.from(collectDocumentFields(selectedAnalyzeResult).keys()),
+    [selectedAnalyzeResult]
+  );
+  // プロンプトのプレビューに使う変数（選択中のファイルのOCR結果）
+  const selectedRawResponse = selectedJob && selectedJob.ocrResult ? selectedJob.ocrResult.rawResponse : null;
+  const selectedFileName = selectedJob ? (selectedJob.file ? selectedJob.file.name : selectedJob.fileName) : '';
+  const previewVariables = useMemo(
+    () => (selectedRawResponse ? extractTemplateVariables(selectedRawResponse, selectedFileName) : null),
+    [selectedRawResponse, selectedFileName]
+  );
+
+  // 別のファイル・履歴を選択したらハイライトを解除する
+  useEffect(() => {
+    setHighlight(null);
+  }, [selectedViewId]);
+
   return (
     <div className="App">
       <Container fluid="md" className="py-4">
@@ -159,10 +624,10 @@ function App() {
           </Col>
         </Row>
 
-        {error && (
+        {displayError && (
           <Row className="mb-4">
             <Col>
-              <Alert variant="danger">{error}</Alert>
+              <Alert variant="danger">{displayError}</Alert>
             </Col>
           </Row>
         )}
@@ -173,7 +638,7 @@ function App() {
               <Spinner animation="border" role="status">
                 <span className="visually-hidden">処理中...</span>
               </Spinner>
-              <p className="mt-2">ファイル処理中...</p>
+              <p className="mt-2">ファイル処理中... (残り {activeJobCount} 件)</p>
             </Col>
           </Row>
         )}
@@ -181,39 +646,157 @@ function App() {
         <Row>
           <Col lg={6}>
             <FileUploader 
-              onFileUpload={handleFileUpload} 
+              onFilesUpload={handleFilesUpload} 
               isProcessing={isProcessing} 
             />
+
+            <BatchQueue
+              jobs={jobs}
+              selectedJobId={openedHistoryEntry ? null : selectedJobId}
+              onSelect={handleSelectJob}
+              onRetry={handleRetry}
+              onRetryFailed={handleRetryFailed}
+              onCancel={handleCancel}
+              onCancelAll={handleCancelAll}
+              onClearFinished={handleClearFinished}
+              concurrency={concurrency}
+              onConcurrencyChange={setConcurrency}
+            />
             
-            <AzureConfig 
-              azureConfig={azureConfig}
-              onConfigChange={setAzureConfig}
+            <OcrEngineConfig
+              ocrSettings={ocrSettings}
+              onSettingsChange={setOcrSettings}
               disabled={isProcessing}
             />
+
+            {ocrSettings.engine !== OCR_ENGINES.TESSERACT && (
+              <AzureConfig 
+                azureConfig={azureConfig}
+                onConfigChange={setAzureConfig}
+
+                disabled={isProcessing}
+              />
+            )}
+
+            {ocrSettings.engine !== OCR_ENGINES.TESSERACT && (
+              <FieldMappingEditor
+                mappings={fieldMappings}
+                onMappingsChange={setFieldMappings}
+                azureConfig={azureConfig}
+                detectedFields={detectedFields}
+                disabled={isProcessing}
+              />
+            )}
             
             <LlmConfig 
               llmConfig={llmConfig}
               onConfigChange={setLlmConfig}
               disabled={isProcessing}
             />
+
+            <DictionaryConfig
+              settings={dictionarySettings}
+              onSettingsChange={setDictionarySettings}
+              disabled={isProcessing}
+            />
+
+            <RedactionConfig
+              settings={redactionSettings}
+              onSettingsChange={setRedactionSettings}
+              previewText={selectedJob && selectedJob.ocrResult ? selectedJob.ocrResult.extractedText : ''}
+              disabled={isProcessing}
+            />
+
+            <SecuritySettings security={security} isProcessing={isProcessing} />
           </Col>
           
           <Col lg={6}>
-            <PromptEditor 
-              prompt={promptTemplate}
-              onPromptChange={setPromptTemplate}
+            <PromptEditor
+              library={templateLibrary}
+              onLibraryChange={setTemplateLibrary}
+              previewVariables={previewVariables}
+              previewFileName={selectedFileName}
               disabled={isProcessing}
             />
-            
-            <ResultDisplay 
-              ocrResult={ocrResult ? ocrResult.extractedText : null}
-              llmResult={llmResult}
+
+            <HistoryPanel
+              entries={historyEntries}
+              error={historyError}
+              settings={historySettings}
+              onSettingsChange={setHistorySettings}
+              openedEntryId={openedHistoryEntry ? openedHistoryEntry.id : null}
+              onOpen={handleOpenHistory}
+              onDelete={handleDeleteHistory}
+              onClear={handleClearHistory}
             />
           </Col>
         </Row>
+
+        {selectedJob && (
+          <Row>
+            <Col lg={6}>
+              {openedHistoryEntry ? (
+                <HistorySourcePreview entry={openedHistoryEntry} onClose={() => setOpenedHistoryEntry(null)} />
+              ) : (
+                <DocumentViewer
+                  file={selectedJob.file}
+                  ocrPages={ocrPages}
+                  selectionGroups={selectionGroups}
+                  lowConfidenceLines={lowConfidenceLines}
+                  highlight={highlight}
+                  onHighlight={setHighlight}
+                />
+              )}
+            </Col>
+
+            <Col lg={6}>
+              <ResultDisplay 
+                fileName={selectedFileName}
+                ocrResult={selectedJob.ocrResult ? selectedJob.ocrResult.extractedText : null}
+                llmResult={selectedJob.llmResult}
+                structuredResult={selectedJob.structuredResult}
+                chunkCount={selectedJob.chunkCount}
+                llmWarnings={selectedJob.llmWarnings}
+                redaction={selectedJob.redaction}
+                dictionaryCorrection={selectedJob.dictionaryCorrection}
+                onDictionarySuggestionChange={handleDictionarySuggestionChange}
+                onRerunLlm={selectedJob.file && selectedJob.status === JOB_STATUS.DONE
+                  ? () => handleRerunLlm(selectedJob.id)
+                  : null}
+                groundingReview={selectedJob.groundingReview}
+                onReviewGrounding={selectedJob.ocrResult && isLlmConfigComplete(llmConfig) ? handleReviewGrounding : null}
+                isLlmRunning={selectedJob.status === JOB_STATUS.LLM}
+                streaming={selectedJob.streaming}
+                onCancel={() => handleCancel(selectedJob.id)}
+                fixedSections={selectedJob.ocrResult && selectedJob.ocrResult.mappedFields
+                  ? selectedJob.ocrResult.mappedFields.fixedSections
+                  : []}
+                getExportRecords={() => [createExportRecord(selectedJob)]}
+                originalLlmResult={selectedJob.originalLlmResult}
+                originalStructuredResult={selectedJob.originalStructuredResult}
+                onStructuredResultChange={handleStructuredResultChange}
+                onLlmResultChange={handleLlmResultChange}
+                ocrPages={ocrPages}
+                selectionGroups={selectionGroups}
+                lowConfidenceLines={lowConfidenceLines}
+                confidenceThreshold={confidenceThreshold}
+                highlight={highlight}
+                onHighlight={setHighlight}
+              />
+            </Col>
+          </Row>
+        )}
       </Container>
     </div>
   );
 }
 
+function App() {
+  return (
+    <SecureGate>
+      {security => <Workspace security={security} />}
+    </SecureGate>
+  );
+}
+
 export default App;
@@ -1,8 +1,14 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// pdfjs-dist のワーカーの読み込み（import.meta）は jest で解釈できないため、ページの描画は差し替える
+jest.mock('./services/pageRenderer', () => ({
+  renderDocumentPages: jest.fn(() => Promise.resolve([])),
+  createThumbnail: jest.fn(() => Promise.resolve(''))
+}));
+
+test('アプリの見出しとアップロード欄を表示する', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: '問診票OCR＆LLM処理アプリ' })).toBeInTheDocument();
+  expect(await screen.findByText('問診票のアップロード')).toBeInTheDocument();
 });
@@ -1,7 +1,8 @@
 import React, { useState } from 'react';
-import { Form, Card, Button, Alert, ListGroup } from 'react-bootstrap';
-import { testAzureConnection } from '../services/azureService';
-import { testConnectionPython } from '../services/azureServicePython';
+import { Form, Card, Button, Alert, ListGroup, Spinner } from 'react-bootstrap';
+import { testConnection, inspectModel } from '../services/azureDocumentClient';
+import ModelDetails from './ModelDetails';
+import { fetchProxyStatus } from '../services/proxyService';
 
 const AzureConfig = ({ 
   azureConfig, 
@@ -11,16 +12,54 @@ const AzureConfig = ({
   const [testing, setTesting] = useState(false);
   const [testResult, setTestResult] = useState(null);
   const [showModels, setShowModels] = useState(false);
+  const [modelDetails, setModelDetails] = useState(null);
+  const [inspecting, setInspecting] = useState(false);
 
   const handleChange = (e) => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
     onConfigChange({
       ...azureConfig,
-      [name]: value
+      [name]: type === 'checkbox' ? checked : value
     });
+    if (type === 'checkbox') {
+      setTestResult(null);
+    }
+  };
+
+  const handleTestProxy = async () => {
+    setTesting(true);
+    setTestResult(null);
+    setModelDetails(null);
+
+    try {
+      const status = await fetchProxyStatus();
+      if (!status.ocr) {
+        setTestResult({
+          success: false,
+          message: 'サーバーにAzure Document Intelligenceの環境変数（AZURE_DOCUMENT_ENDPOINT, AZURE_DOCUMENT_KEY）が設定されていません'
+        });
+        return;
+      }
+
+      const result = await testConnection(azureConfig);
+      setTestResult(result);
+      setModelDetails(result.modelDetails || null);
+    } catch (error) {
+      setTestResult({
+        success: false,
+        message: `エラー: ${error.message || '不明なエラー'}`
+      });
+    } finally {
+      setTesting(false);
+    }
   };
 
   const handleTestConnection = async () => {
+    if (azureConfig.useProxy) {
+      await handleTestProxy();
+      return;
+    }
+
     if (!azureConfig.endpoint || !azureConfig.apiKey) {
       setTestResult({
         success: false,
@@ -32,29 +71,15 @@ const AzureConfig = ({
     setTesting(true);
     setTestResult(null);
     setShowModels(false);
+    setModelDetails(null);
 
     try {
-      // Python風実装を優先的に使用
-      try {
-        console.log('Python風実装でテスト実行');
-        const pythonResult = await testConnectionPython(azureConfig);
-        setTestResult(pythonResult);
-        if (pythonResult.success) {
-          // showNotification('接続テスト成功 (Python実装)', 'Azure Document Intelligence APIに正常に接続できました。', 'success');
-          return;
-        }
-      } catch (pythonError) {
-        console.log('Python風実装のテストに失敗、標準実装を試行:', pythonError);
-      }
-      
-      // 通常の実装をフォールバックとして使用
-      const result = await testAzureConnection(azureConfig);
+      const result = await testConnection(azureConfig);
       setTestResult(result);
-      if (result.success) {
-        // showNotification('接続テスト成功', 'Azure Document Intelligence APIに正常に接続できました。', 'success');
-      } else {
-        // Tests can return partial success
-        // showNotification('接続テスト完了', 'テスト結果を確認してください。', 'warning');
+      setModelDetails(result.modelDetails || null);
+      // 判定したAPIファミリーを保存し、OCR処理時の判定を省く
+      if (result.apiFamily) {
+        onConfigChange({ ...azureConfig, apiFamily: result.apiFamily });
       }
     } catch (error) {
       console.error('Connection test error:', error);
@@ -62,12 +87,36 @@ const AzureConfig = ({
         success: false,
         message: `エラー: ${error.message || '不明なエラー'}`
       });
-      // showNotification('接続テスト失敗', `エラー: ${error.message}`, 'danger');
     } finally {
       setTesting(false);
     }
   };
 
+  // 一覧から選んだモデルを設定し、抽出フィールドを表示する
+  const handleSelectModel = async (modelId) => {
+    if (azureConfig.modelId !== modelId) {
+      onConfigChange({
+        ...azureConfig,
+        modelId
+      });
+    }
+
+    setInspecting(true);
+    try {
+      setModelDetails(await inspectModel(azureConfig, modelId));
+    } catch (error) {
+      console.error('Model inspection error:', error);
+      setModelDetails(null);
+      setTestResult(prevResult => ({
+        ...prevResult,
+        success: false,
+        message: `モデル「${modelId}」の情報を取得できませんでした: ${error.message}`
+      }));
+    } finally {
+      setInspecting(false);
+    }
+  };
+
   const toggleShowModels = () => {
     setShowModels(!showModels);
   };
@@ -76,6 +125,18 @@ const AzureConfig = ({
     <Card className="mb-4">
       <Card.Header as="h5">Azure Document Intelligence 設定</Card.Header>
       <Card.Body>
+        <Form.Group className="mb-3">
+          <Form.Check
+            type="switch"
+            id="azure-use-proxy"
+            name="useProxy"
+            label="サーバー経由で接続する（APIキーはサーバーの環境変数で管理）"
+            checked={Boolean(azureConfig.useProxy)}
+            onChange={handleChange}
+            disabled={disabled}
+          />
+        </Form.Group>
+
         <Form.Group className="mb-3">
           <Form.Label>API エンドポイント</Form.Label>
           <Form.Control
@@ -84,7 +145,7 @@ const AzureConfig = ({
             placeholder="https://your-resource-name.cognitiveservices.azure.com/"
             value={azureConfig.endpoint || ''}
             onChange={handleChange}
-            disabled={disabled}
+            disabled={disabled || azureConfig.useProxy}
           />
           <Form.Text className="text-muted">
             Azure Document Intelligence のエンドポイントURLを入力してください
@@ -99,7 +160,7 @@ const AzureConfig = ({
             placeholder="your-api-key"
             value={azureConfig.apiKey || ''}
             onChange={handleChange}
-            disabled={disabled}
+            disabled={disabled || azureConfig.useProxy}
           />
           <Form.Text className="text-muted">
             Azure Document Intelligence のAPIキーを入力してください
@@ -124,7 +185,7 @@ const AzureConfig = ({
         <Button 
           variant="secondary" 
           onClick={handleTestConnection}
-          disabled={disabled || testing || !azureConfig.endpoint || !azureConfig.apiKey}
+          disabled={disabled || testing || (!azureConfig.useProxy && (!azureConfig.endpoint || !azureConfig.apiKey))}
           className="mb-3"
         >
           {testing ? 'Azure接続テスト中...' : 'Azure接続テスト'}
@@ -164,7 +225,15 @@ const AzureConfig = ({
               </Alert>
             )}
             
-            {testResult.success && testResult.models && testResult.models.length > 0 && (
+            {inspecting && (
+              <div className="mb-2">
+                <Spinner animation="border" size="sm" />
+                <span className="ms-2">モデル情報を取得中...</span>
+              </div>
+            )}
+            <ModelDetails details={modelDetails} />
+
+            {testResult.models && testResult.models.length > 0 && (
               <div className="mt-2">
                 <Button 
                   variant="link" 
@@ -181,14 +250,7 @@ const AzureConfig = ({
                         key={index}
                         className={azureConfig.modelId === model.modelId ? 'bg-light' : ''}
                         action
-                        onClick={() => {
-                          if (azureConfig.modelId !== model.modelId) {
-                            onConfigChange({
-                              ...azureConfig,
-                              modelId: model.modelId
-                            });
-                          }
-                        }}
+                        onClick={() => handleSelectModel(model.modelId)}
                       >
                         <strong>モデルID:</strong> {model.modelId || 'N/A'}
                         {azureConfig.modelId === model.modelId && (
@@ -0,0 +1,151 @@
+import React from 'react';
+import { Card, ListGroup, Badge, Button, ButtonGroup, Form, Spinner } from 'react-bootstrap';
+import OcrProgressText from './OcrProgressText';
+import ExportMenu from './ExportMenu';
+import { JOB_STATUS, isJobFinished } from '../services/documentPipeline';
+import { createExportRecord } from '../services/exporters';
+
+// 状態ごとの表示
+const STATUS_LABELS = {
+  [JOB_STATUS.QUEUED]: { text: '待機中', variant: 'secondary' },
+  [JOB_STATUS.OCR]: { text: 'OCR処理中', variant: 'info' },
+  [JOB_STATUS.LLM]: { text: 'LLM処理中', variant: 'primary' },
+  [JOB_STATUS.DONE]: { text: '完了', variant: 'success' },
+  [JOB_STATUS.FAILED]: { text: '失敗', variant: 'danger' },
+  [JOB_STATUS.CANCELLED]: { text: '中止', variant: 'warning' }
+};
+
+const BatchQueue = ({
+  jobs,
+  selectedJobId,
+  onSelect,
+  onRetry,
+  onRetryFailed,
+  onCancel,
+  onCancelAll,
+  onClearFinished,
+  concurrency,
+  onConcurrencyChange
+}) => {
+  if (jobs.length === 0) {
+    return null;
+  }
+
+  const copyToClipboard = (text) => {
+    navigator.clipboard.writeText(text);
+    alert('テキストがクリップボードにコピーされました');
+  };
+
+  const countByStatus = (status) => jobs.filter(job => job.status === status).length;
+  const finishedCount = jobs.filter(job => isJobFinished(job.status)).length;
+  const failedCount = countByStatus(JOB_STATUS.FAILED);
+  const runningCount = jobs.length - finishedCount;
+  const exportableJobs = jobs.filter(job => job.status === JOB_STATUS.DONE && job.llmResult);
+
+  return (
+    <Card className="mb-4">
+      <Card.Header as="h5">
+        処理キュー
+        <small className="text-muted ms-2">{finishedCount} / {jobs.length} 件完了</small>
+      </Card.Header>
+      <Card.Body>
+        <div className="d-flex align-items-center mb-3">
+          <Form.Label className="me-2 mb-0" htmlFor="batch-concurrency">同時処理数</Form.Label>
+          <Form.Select
+            id="batch-concurrency"
+            size="sm"
+            style={{ width: 'auto' }}
+            value={concurrency}
+            onChange={(e) => onConcurrencyChange(Number(e.target.value))}
+          >
+            {[1, 2, 3, 4, 5].map(value => (
+              <option key={value} value={value}>{value}</option>
+            ))}
+          </Form.Select>
+          <ButtonGroup size="sm" className="ms-auto">
+            <Button variant="outline-warning" onClick={onCancelAll} disabled={runningCount === 0}>
+              すべて中止
+            </Button>
+            <Button variant="outline-danger" onClick={onRetryFailed} disabled={failedCount === 0}>
+              失敗分を再実行
+            </Button>
+            <Button variant="outline-secondary" onClick={onClearFinished} disabled={finishedCount === 0}>
+              完了分をクリア
+            </Button>
+          </ButtonGroup>
+        </div>
+        <div className="mb-3">
+          <ExportMenu
+            getRecords={() => exportableJobs.map(createExportRecord)}
+            fileNamePrefix={`batch-${new Date().toISOString().slice(0, 10)}-`}
+            size="sm"
+            disabled={exportableJobs.length === 0}
+          />
+          <small className="text-muted ms-2">完了した{exportableJobs.length}件をまとめて出力（CSVは1ファイル1行）</small>
+        </div>
+
+        <ListGroup className="batch-queue">
+          {jobs.map(job => {
+            const label = STATUS_LABELS[job.status];
+            const isActive = job.status === JOB_STATUS.OCR || job.status === JOB_STATUS.LLM;
+            return (
+              <ListGroup.Item
+                key={job.id}
+                action
+                active={job.id === selectedJobId}
+                onClick={() => onSelect(job.id)}
+                className="d-flex align-items-center"
+              >
+                <div className="me-auto text-truncate">
+                  <div className="text-truncate">{job.file.webkitRelativePath || job.file.name}</div>
+                  {job.status === JOB_STATUS.OCR && job.ocrProgress && <OcrProgressText progress={job.ocrProgress} />}
+                  {job.error && <small className="text-danger d-block text-truncate">{job.error}</small>}
+                </div>
+                {isActive && <Spinner animation="border" size="sm" className="me-2 batch-spinner" />}
+                <Badge bg={label.variant} className="me-2">{label.text}</Badge>
+                {job.status === JOB_STATUS.DONE && job.llmResult && (
+                  <Button
+                    size="sm"
+                    variant="outline-primary"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      copyToClipboard(job.llmResult);
+                    }}
+                  >
+                    コピー
+                  </Button>
+                )}
+                {!isJobFinished(job.status) && (
+                  <Button
+                    size="sm"
+                    variant="outline-warning"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onCancel(job.id);
+                    }}
+                  >
+                    中止
+                  </Button>
+                )}
+                {(job.status === JOB_STATUS.FAILED || job.status === JOB_STATUS.CANCELLED) && (
+                  <Button
+                    size="sm"
+                    variant="outline-danger"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onRetry(job.id);
+                    }}
+                  >
+                    再実行
+                  </Button>
+                )}
+              </ListGroup.Item>
+            );
+          })}
+        </ListGroup>
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default BatchQueue;
@@ -0,0 +1,71 @@
+import React from 'react';
+import { Form, Badge, Button } from 'react-bootstrap';
+import UncertainWords from './UncertainWords';
+import UngroundedStatements from './UngroundedStatements';
+import { CHART_SECTIONS } from '../services/chartSchema';
+
+// 構造化されたカルテをセクションごとに編集するフォーム（originalChart があればLLMの出力から修正したセクションを示す）
+// uncertainSections（セクション名 → OCRの信頼度が低い箇所）があれば要確認として、
+// ungroundedSections（セクション名 → OCRテキストに根拠のない記載）があれば根拠なしとして示す
+const ChartForm = ({
+  chart,
+  onChange,
+  fixedSections = [],
+  originalChart = null,
+  uncertainSections = {},
+  ungroundedSections = {},
+  onHighlight
+}) => {
+  const handleChange = (key, value, optional) => {
+    onChange({
+      ...chart,
+      [key]: optional && value.trim() === '' ? null : value
+    });
+  };
+
+  return (
+    <Form className="chart-form">
+      {CHART_SECTIONS.map(section => {
+        const isCorrected = originalChart && (originalChart[section.key] || '') !== (chart[section.key] || '');
+        return (
+          <Form.Group className="mb-2" key={section.key} controlId={`chart-${section.key}`}>
+            <Form.Label className="mb-1 fw-bold">
+              【{section.label}】
+              {section.optional && <small className="text-muted fw-normal ms-1">（該当する場合のみ）</small>}
+              {fixedSections.includes(section.key) && (
+                <Badge bg="info" className="ms-2 fw-normal" title="カスタムモデルの抽出フィールドから入力">フィールド</Badge>
+              )}
+              {isCorrected && <Badge bg="warning" text="dark" className="ms-2 fw-normal">修正済み</Badge>}
+              {uncertainSections[section.label] && <Badge bg="danger" className="ms-2 fw-normal">OCR要確認</Badge>}
+              {ungroundedSections[section.label] && <Badge bg="danger" className="ms-2 fw-normal">根拠なし</Badge>}
+            </Form.Label>
+            {isCorrected && (
+              <Button
+                variant="link"
+                size="sm"
+                className="p-0 ms-2 align-baseline"
+                onClick={() => onChange({ ...chart, [section.key]: originalChart[section.key] })}
+              >
+                元に戻す
+              </Button>
+            )}
+            {uncertainSections[section.label] && (
+              <UncertainWords words={uncertainSections[section.label]} onHighlight={onHighlight} />
+            )}
+            {ungroundedSections[section.label] && (
+              <UngroundedStatements statements={ungroundedSections[section.label]} onHighlight={onHighlight} />
+            )}
+            <Form.Control
+              as="textarea"
+              rows={Math.min(6, Math.max(1, (chart[section.key] || '').split('\n').length))}
+              value={chart[section.key] || ''}
+              onChange={(e) => handleChange(section.key, e.target.value, section.optional)}
+            />
+          </Form.Group>
+        );
+      })}
+    </Form>
+  );
+};
+
+export default ChartForm;
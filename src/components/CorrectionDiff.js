@@ -0,0 +1,32 @@
+import React from 'react';
+import { Button } from 'react-bootstrap';
+import TextDiffView from './TextDiffView';
+
+// LLMの出力から医師が修正した内容（セクションごとの差分）
+const CorrectionDiff = ({ corrections, onRevertAll }) => {
+  if (!corrections || corrections.sections.length === 0) {
+    return <p className="text-muted small mb-0">LLMの出力から修正した箇所はありません</p>;
+  }
+
+  const { stats } = corrections;
+
+  return (
+    <>
+      <p className="small mb-2">
+        {stats.sectionCount}セクション中{stats.changedSectionCount}セクションを修正
+        （変更 {stats.changedCharacters}文字・LLMの出力の{Math.round(stats.changeRatio * 100)}%）
+      </p>
+      {corrections.sections.map(section => (
+        <div key={section.key}>
+          <div className="small fw-bold">{section.label ? `【${section.label}】` : '（見出しなし）'}</div>
+          <TextDiffView before={section.before} after={section.after} />
+        </div>
+      ))}
+      <Button variant="outline-secondary" size="sm" onClick={onRevertAll}>
+        すべてLLMの出力に戻す
+      </Button>
+    </>
+  );
+};
+
+export default CorrectionDiff;
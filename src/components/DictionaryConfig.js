@@ -0,0 +1,179 @@
+import React, { useState } from 'react';
+import { Card, Form, Button, ButtonGroup, Table, Alert } from 'react-bootstrap';
+import {
+  DICTIONARY_CATEGORY_LABELS,
+  DEFAULT_DICTIONARY_SETTINGS,
+  parseDictionaryCsv,
+  toDictionaryCsv
+} from '../services/medicalDictionary';
+
+const downloadCsv = (content, fileName) => {
+  const element = document.createElement('a');
+  const url = URL.createObjectURL(new Blob([content], { type: 'text/csv' }));
+  element.href = url;
+  element.download = fileName;
+  document.body.appendChild(element);
+  element.click();
+  document.body.removeChild(element);
+  URL.revokeObjectURL(url);
+};
+
+// 医療辞書（薬剤名・病名・医療機関名）によるOCRテキストの補正の設定と、辞書のCSVの読み込み・書き出し
+const DictionaryConfig = ({ settings, onSettingsChange, disabled }) => {
+  const [message, setMessage] = useState(null);
+  const dictionaries = settings.dictionaries || {};
+
+  const updateDictionary = (category, words) => {
+    onSettingsChange({ ...settings, dictionaries: { ...dictionaries, [category]: words } });
+  };
+
+  const handleImport = async (category, e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+    try {
+      const words = parseDictionaryCsv(await file.text());
+      const current = dictionaries[category] || [];
+      const merged = Array.from(new Set([...current, ...words]));
+      updateDictionary(category, merged);
+      setMessage({
+        variant: 'success',
+        text: `${DICTIONARY_CATEGORY_LABELS[category]}の辞書に${merged.length - current.length}語を追加しました（${file.name}）`
+      });
+    } catch (importError) {
+      console.error('辞書の読み込みに失敗しました:', importError);
+      setMessage({ variant: 'danger', text: `辞書を読み込めません: ${importError.message}` });
+    }
+  };
+
+  const handleClear = (category) => {
+    if (window.confirm(`${DICTIONARY_CATEGORY_LABELS[category]}の辞書を空にしますか？`)) {
+      updateDictionary(category, []);
+    }
+  };
+
+  const handleReset = () => {
+    if (window.confirm('辞書と設定を既定に戻しますか？読み込んだ語は削除されます。')) {
+      onSettingsChange(DEFAULT_DICTIONARY_SETTINGS);
+    }
+  };
+
+  return (
+    <Card className="mb-4">
+      <Card.Header as="h5">医療辞書によるOCRの補正</Card.Header>
+      <Card.Body>
+        {message && (
+          <Alert variant={message.variant} className="py-2" dismissible onClose={() => setMessage(null)}>
+            {message.text}
+          </Alert>
+        )}
+        <Form.Check
+          type="switch"
+          id="dictionary-enabled"
+          label="OCRテキストの語を辞書と照合し、読み間違いの補正候補を作る"
+          checked={settings.enabled}
+          onChange={(e) => onSettingsChange({ ...settings, enabled: e.target.checked })}
+          disabled={disabled}
+          className="mb-2"
+        />
+        <Form.Text className="text-muted d-block mb-3">
+          「ロキンニン → ロキソニン」のように辞書の語に近い語を補正候補とし、採用した候補だけをLLMに渡すテキストに反映します。
+          候補は処理結果の「辞書補正」タブで採用・却下できます。
+        </Form.Text>
+
+        {settings.enabled && (
+          <>
+            <div className="d-flex flex-wrap mb-3">
+              <Form.Group className="me-3" controlId="dictionary-max-distance">
+                <Form.Label>候補にする編集距離</Form.Label>
+                <Form.Select
+                  size="sm"
+                  value={settings.maxDistance}
+                  onChange={(e) => onSettingsChange({ ...settings, maxDistance: Number(e.target.value) })}
+                  disabled={disabled}
+                >
+                  {[1, 2, 3].map(distance => <option key={distance} value={distance}>{distance}以下</option>)}
+                </Form.Select>
+              </Form.Group>
+              <Form.Group controlId="dictionary-auto-accept">
+                <Form.Label>最初から採用する候補</Form.Label>
+                <Form.Select
+                  size="sm"
+                  value={settings.autoAcceptDistance}
+                  onChange={(e) => onSettingsChange({ ...settings, autoAcceptDistance: Number(e.target.value) })}
+                  disabled={disabled}
+                >
+                  <option value={0}>なし（すべて確認する）</option>
+                  <option value={1}>編集距離1</option>
+                  <option value={2}>編集距離2以下</option>
+                </Form.Select>
+              </Form.Group>
+            </div>
+            <Form.Text className="text-muted d-block mb-2">
+              短い語は、編集距離が語の長さの3分の1以下の場合だけ候補にします。5文字未満の語の候補は、設定によらず確認してから採用します
+            </Form.Text>
+
+            <Table size="sm" className="align-middle">
+              <thead>
+                <tr>
+                  <th>辞書</th>
+                  <th>語数</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {Object.keys(DICTIONARY_CATEGORY_LABELS).map(category => {
+                  const words = dictionaries[category] || [];
+                  return (
+                    <tr key={category}>
+                      <td>{DICTIONARY_CATEGORY_LABELS[category]}</td>
+                      <td>{words.length}</td>
+                      <td className="text-end">
+                        <ButtonGroup size="sm">
+                          <Button as="label" variant="outline-primary" className="mb-0" disabled={disabled}>
+                            CSVを追加
+                            <input
+                              type="file"
+                              accept=".csv,text/csv,text/plain"
+                              hidden
+                              onChange={(e) => handleImport(category, e)}
+                              disabled={disabled}
+                            />
+                          </Button>
+                          <Button
+                            variant="outline-secondary"
+                            onClick={() => downloadCsv(toDictionaryCsv(words), `dictionary-${category}.csv`)}
+                            disabled={words.length === 0}
+                          >
+                            書き出し
+                          </Button>
+                          <Button
+                            variant="outline-danger"
+                            onClick={() => handleClear(category)}
+                            disabled={disabled || words.length === 0}
+                          >
+                            空にする
+                          </Button>
+                        </ButtonGroup>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </Table>
+            <Form.Text className="text-muted d-block mb-2">
+              CSVは1列目を語として読み込みます（1行目が「名称」「薬剤名」などの見出しの場合は読み飛ばします）
+            </Form.Text>
+            <Button variant="outline-secondary" size="sm" onClick={handleReset} disabled={disabled}>
+              既定に戻す
+            </Button>
+          </>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default DictionaryConfig;
@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { Table, Button, ButtonGroup, Badge } from 'react-bootstrap';
+import TextDiffView from './TextDiffView';
+import { DICTIONARY_CATEGORY_LABELS } from '../services/medicalDictionary';
+
+// 医療辞書による補正候補の採用・却下と、元のOCRテキストとの差分
+const DictionarySuggestions = ({ correction, originalText, onChange, onRerun, disabled }) => {
+  const [showDiff, setShowDiff] = useState(false);
+
+  return (
+    <>
+      <Table size="sm" bordered className="dictionary-suggestions">
+        <thead>
+          <tr>
+            <th>OCRの語</th>
+            <th>候補</th>
+            <th>辞書</th>
+            <th>編集距離</th>
+            <th>出現</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {correction.suggestions.map(suggestion => (
+            <tr key={suggestion.id} className={suggestion.accepted ? '' : 'text-muted'}>
+              <td>{suggestion.original}</td>
+              <td>{suggestion.replacement}</td>
+              <td>{DICTIONARY_CATEGORY_LABELS[suggestion.category] || suggestion.category}</td>
+              <td>{suggestion.distance}</td>
+              <td>{suggestion.count}回</td>
+              <td>
+                <ButtonGroup size="sm">
+                  <Button
+                    variant={suggestion.accepted ? 'success' : 'outline-success'}
+                    onClick={() => onChange(suggestion.id, true)}
+                    disabled={disabled}
+                  >
+                    採用
+                  </Button>
+                  <Button
+                    variant={suggestion.accepted ? 'outline-secondary' : 'secondary'}
+                    onClick={() => onChange(suggestion.id, false)}
+                    disabled={disabled}
+                  >
+                    却下
+                  </Button>
+                </ButtonGroup>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+
+      <div className="mb-2">
+        <Button variant="outline-primary" size="sm" className="me-2" onClick={() => setShowDiff(!showDiff)}>
+          {showDiff ? '差分を閉じる' : '元のOCRテキストとの差分'}
+        </Button>
+        {onRerun && (
+          <Button variant="primary" size="sm" onClick={onRerun} disabled={disabled}>
+            採用した補正でLLMの整形をやり直す
+          </Button>
+        )}
+      </div>
+      {onRerun && (
+        <p className="text-muted small">
+          採用・却下を変えた内容は、整形をやり直すとLLMに渡すテキストに反映されます
+          <Badge bg="light" text="dark" className="ms-1">OCRはやり直しません</Badge>
+        </p>
+      )}
+      {showDiff && <TextDiffView before={originalText} after={correction.correctedText} />}
+    </>
+  );
+};
+
+export default DictionarySuggestions;
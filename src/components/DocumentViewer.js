@@ -0,0 +1,165 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Card, Form, Spinner, Alert } from 'react-bootstrap';
+import { renderDocumentPages } from '../services/pageRenderer';
+import { polygonToPoints } from '../services/ocrGeometry';
+
+// 原本画像の上にOCRの行・単語・選択マークのポリゴンを重ねて表示する
+const DocumentViewer = ({ file, ocrPages, selectionGroups, lowConfidenceLines = [], highlight, onHighlight }) => {
+  const [pages, setPages] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [layers, setLayers] = useState({ lines: true, words: false, selectionMarks: true, lowConfidence: true });
+  const highlightedRef = useRef(null);
+
+  useEffect(() => {
+    if (!file) {
+      setPages([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    renderDocumentPages(file)
+      .then(renderedPages => {
+        if (!cancelled) {
+          setPages(renderedPages);
+        }
+      })
+      .catch(renderError => {
+        console.error('ページの描画に失敗しました:', renderError);
+        if (!cancelled) {
+          setPages([]);
+          setError(`ページの描画に失敗しました: ${renderError.message}`);
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [file]);
+
+  // OCRタブ側で行が選択されたら、その行までスクロールする
+  useEffect(() => {
+    if (highlight && highlight.source !== 'viewer' && highlightedRef.current) {
+      highlightedRef.current.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }, [highlight]);
+
+  if (!file) {
+    return null;
+  }
+
+  const toggleLayer = (name) => {
+    setLayers(prevLayers => ({ ...prevLayers, [name]: !prevLayers[name] }));
+  };
+
+  const isHighlighted = (pageNumber, lineIndex) => Boolean(
+    highlight && highlight.pageNumber === pageNumber && highlight.lineIndex === lineIndex
+  );
+
+  const isMarkHighlighted = (pageNumber, markIndex) => Boolean(
+    highlight && highlight.pageNumber === pageNumber && highlight.markIndex === markIndex
+  );
+
+  // マークの設問・選択肢（ツールチップ用）
+  const describeMark = (pageNumber, mark) => {
+    const group = (selectionGroups || []).find(item => (
+      item.pageNumber === pageNumber && item.options.some(option => option.index === mark.index)
+    ));
+    const option = group ? group.options.find(item => item.index === mark.index) : null;
+    const state = mark.state === 'selected' ? '選択済み' : '未選択';
+    if (!group) {
+      return state;
+    }
+    return `${group.question || '（設問不明）'}: ${option.label || '（ラベルなし）'}（${state}）`;
+  };
+
+  return (
+    <Card className="mb-4">
+      <Card.Header as="h5">
+        原本の確認
+        <small className="text-muted ms-2">{file.name}</small>
+      </Card.Header>
+      <Card.Body>
+        <div className="mb-2">
+          <Form.Check inline type="checkbox" id="layer-lines" label="行" checked={layers.lines} onChange={() => toggleLayer('lines')} />
+          <Form.Check inline type="checkbox" id="layer-words" label="単語" checked={layers.words} onChange={() => toggleLayer('words')} />
+          <Form.Check inline type="checkbox" id="layer-marks" label="選択マーク" checked={layers.selectionMarks} onChange={() => toggleLayer('selectionMarks')} />
+          <Form.Check inline type="checkbox" id="layer-low-confidence" label="要確認（信頼度の低い行）" checked={layers.lowConfidence} onChange={() => toggleLayer('lowConfidence')} />
+        </div>
+
+        {loading && (
+          <div className="text-center my-3">
+            <Spinner animation="border" size="sm" className="viewer-spinner" />
+            <span className="ms-2">ページを描画中...</span>
+          </div>
+        )}
+
+        {error && <Alert variant="danger">{error}</Alert>}
+
+        <div className="document-viewer">
+          {pages.map(page => {
+            const ocrPage = (ocrPages || []).find(item => item.pageNumber === page.pageNumber);
+            return (
+              <div className="document-page" key={page.pageNumber}>
+                <img src={page.imageUrl} alt={`${page.pageNumber}ページ目`} />
+                {ocrPage && ocrPage.width > 0 && (
+                  <svg
+                    className="document-overlay"
+                    viewBox={`0 0 ${ocrPage.width} ${ocrPage.height}`}
+                    preserveAspectRatio="none"
+                  >
+                    {layers.words && ocrPage.words.map(word => (
+                      <polygon key={`w-${word.index}`} className="overlay-word" points={polygonToPoints(word.polygon)} />
+                    ))}
+                    {layers.lowConfidence && lowConfidenceLines
+                      .filter(item => item.pageNumber === ocrPage.pageNumber)
+                      .map(item => (
+                        <polygon
+                          key={`c-${item.lineIndex}`}
+                          className="overlay-low-confidence"
+                          points={polygonToPoints(ocrPage.lines[item.lineIndex].polygon)}
+                        />
+                      ))}
+                    {layers.lines && ocrPage.lines.map(line => (
+                      <polygon
+                        key={`l-${line.index}`}
+                        ref={isHighlighted(ocrPage.pageNumber, line.index) ? highlightedRef : null}
+                        className={`overlay-line${isHighlighted(ocrPage.pageNumber, line.index) ? ' highlighted' : ''}`}
+                        points={polygonToPoints(line.polygon)}
+                        onClick={() => onHighlight({ pageNumber: ocrPage.pageNumber, lineIndex: line.index, source: 'viewer' })}
+                      >
+                        <title>{line.content}</title>
+                      </polygon>
+                    ))}
+                    {layers.selectionMarks && ocrPage.selectionMarks.map(mark => (
+                      <polygon
+                        key={`m-${mark.index}`}
+                        ref={isMarkHighlighted(ocrPage.pageNumber, mark.index) ? highlightedRef : null}
+                        className={`overlay-mark ${mark.state === 'selected' ? 'selected' : 'unselected'}${isMarkHighlighted(ocrPage.pageNumber, mark.index) ? ' highlighted' : ''}`}
+                        points={polygonToPoints(mark.polygon)}
+                        onClick={() => onHighlight({ pageNumber: ocrPage.pageNumber, markIndex: mark.index, source: 'viewer' })}
+                      >
+                        <title>{describeMark(ocrPage.pageNumber, mark)}</title>
+                      </polygon>
+                    ))}
+                  </svg>
+                )}
+                <div className="document-page-number">{page.pageNumber} / {pages.length}</div>
+              </div>
+            );
+          })}
+        </div>
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default DocumentViewer;
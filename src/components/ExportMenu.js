@@ -0,0 +1,45 @@
+import React from 'react';
+import { Dropdown } from 'react-bootstrap';
+import { EXPORT_FORMAT_OPTIONS, exportRecords } from '../services/exporters';
+
+const downloadFile = (content, fileName, mimeType) => {
+  const element = document.createElement('a');
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  element.href = url;
+  element.download = fileName;
+  document.body.appendChild(element);
+  element.click();
+  document.body.removeChild(element);
+  URL.revokeObjectURL(url);
+};
+
+// 電子カルテ連携用の形式（JSON・CSV・FHIR）でのダウンロード。形式の検証に通らない場合はダウンロードしない
+// getRecords は選んだときに呼ぶ（処理中の再描画のたびに出力内容を作らない）
+const ExportMenu = ({ getRecords, fileNamePrefix, size, variant = 'outline-primary', className = '', disabled }) => {
+  const handleExport = (option) => {
+    const { content, errors } = exportRecords(option.value, getRecords());
+    if (errors.length > 0) {
+      console.error('出力内容の検証に失敗しました:', errors);
+      alert(`出力内容が形式に一致しないため、ダウンロードを中止しました。\n${errors.join('\n')}`);
+      return;
+    }
+    downloadFile(content, `${fileNamePrefix}${option.suffix}`, option.mimeType);
+  };
+
+  return (
+    <Dropdown className={`d-inline-block ${className}`}>
+      <Dropdown.Toggle variant={variant} size={size} disabled={disabled}>
+        電子カルテ連携用に出力
+      </Dropdown.Toggle>
+      <Dropdown.Menu>
+        {EXPORT_FORMAT_OPTIONS.map(option => (
+          <Dropdown.Item key={option.value} onClick={() => handleExport(option)}>
+            {option.label}
+          </Dropdown.Item>
+        ))}
+      </Dropdown.Menu>
+    </Dropdown>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import { Form, Card, Button, Table, Alert } from 'react-bootstrap';
+import { CHART_SECTIONS } from '../services/chartSchema';
+import { createFieldMapping } from '../services/fieldMapping';
+import { inspectModel } from '../services/azureDocumentClient';
+
+// カスタムモデルのフィールド名とカルテのセクションの対応表を編集する
+const FieldMappingEditor = ({ mappings, onMappingsChange, azureConfig, detectedFields, disabled }) => {
+  const [modelFields, setModelFields] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [loadError, setLoadError] = useState('');
+
+  // 候補: モデル詳細のフィールドと、選択中のOCR結果に含まれていたフィールド
+  const fieldSuggestions = Array.from(new Set([...modelFields, ...(detectedFields || [])]));
+
+  const handleRowChange = (index, name, value) => {
+    onMappingsChange(mappings.map((mapping, i) => (i === index ? { ...mapping, [name]: value } : mapping)));
+  };
+
+  const handleAddRow = () => {
+    onMappingsChange([...mappings, createFieldMapping()]);
+  };
+
+  const handleRemoveRow = (index) => {
+    onMappingsChange(mappings.filter((_, i) => i !== index));
+  };
+
+  const handleLoadModelFields = async () => {
+    setLoading(true);
+    setLoadError('');
+    try {
+      const details = await inspectModel(azureConfig);
+      const fields = details.docTypes.flatMap(docType => docType.fields.map(field => field.name));
+      setModelFields(fields);
+      if (fields.length === 0) {
+        setLoadError('このモデルには抽出フィールドの定義がありません。カスタムモデルのIDを設定してください');
+      }
+    } catch (error) {
+      setLoadError(`モデルのフィールドを取得できませんでした: ${error.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <Card className="mb-4">
+      <Card.Header as="h5">フィールドとセクションの対応</Card.Header>
+      <Card.Body>
+        <Form.Text className="text-muted d-block mb-2">
+          カスタムモデルが抽出したフィールドを、カルテのセクションにそのまま入力します（構造化JSONモードのみ）。
+          対応付けたセクションはLLMの出力で上書きされず、LLMは残りの自由記述の要約だけを行います。
+          チェックボックスのフィールドは、選択されている場合に「表記」の文字列（空欄の場合は「あり」）を入力します。
+        </Form.Text>
+
+        <Button
+          variant="outline-secondary"
+          size="sm"
+          className="mb-2"
+          onClick={handleLoadModelFields}
+          disabled={disabled || loading || (!azureConfig.useProxy && (!azureConfig.endpoint || !azureConfig.apiKey))}
+        >
+          {loading ? '取得中...' : 'モデルのフィールドを候補に読み込む'}
+        </Button>
+        {loadError && <Alert variant="warning" className="py-2">{loadError}</Alert>}
+
+        {mappings.length > 0 && (
+          <Table size="sm" className="field-mapping-table">
+            <thead>
+              <tr>
+                <th>フィールド名</th>
+                <th>セクション</th>
+                <th>表記</th>
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {mappings.map((mapping, index) => (
+                <tr key={index}>
+                  <td>
+                    <Form.Control
+                      size="sm"
+                      list="field-mapping-suggestions"
+                      placeholder="allergy_yes"
+                      value={mapping.field}
+                      onChange={(e) => handleRowChange(index, 'field', e.target.value)}
+                      disabled={disabled}
+                    />
+                  </td>
+                  <td>
+                    <Form.Select
+                      size="sm"
+                      value={mapping.section}
+                      onChange={(e) => handleRowChange(index, 'section', e.target.value)}
+                      disabled={disabled}
+                    >
+                      {CHART_SECTIONS.map(section => (
+                        <option key={section.key} value={section.key}>{section.label}</option>
+                      ))}
+                    </Form.Select>
+                  </td>
+                  <td>
+                    <Form.Control
+                      size="sm"
+                      placeholder="例: 喫煙本数"
+                      value={mapping.label}
+                      onChange={(e) => handleRowChange(index, 'label', e.target.value)}
+                      disabled={disabled}
+                    />
+                  </td>
+                  <td>
+                    <Button
+                      variant="outline-danger"
+                      size="sm"
+                      onClick={() => handleRemoveRow(index)}
+                      disabled={disabled}
+                    >
+                      削除
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+
+        <datalist id="field-mapping-suggestions">
+          {fieldSuggestions.map(field => <option key={field} value={field} />)}
+        </datalist>
+
+        <Button variant="secondary" size="sm" onClick={handleAddRow} disabled={disabled}>
+          対応を追加
+        </Button>
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default FieldMappingEditor;
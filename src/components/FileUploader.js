@@ -1,54 +1,107 @@
-import React, { useState } from 'react';
+import React, { useRef, useState } from 'react';
 import { Form, Button, Alert, Card } from 'react-bootstrap';
-import { processDocumentWithAzure } from '../services/azureService';
-import { processWithAzurePython } from '../services/azureServicePython';
+import { renderDocumentPages } from '../services/pageRenderer';
+import { getUploadFormat, needsConversion, normalizeUploadFile, UPLOAD_ACCEPT } from '../services/imageNormalizer';
 
-const FileUploader = ({ onFileUpload, isProcessing }) => {
-  const [file, setFile] = useState(null);
+// 受け付けるファイル形式かどうか
+const isSupportedFile = (file) => getUploadFormat(file) !== null;
+
+const FileUploader = ({ onFilesUpload, isProcessing }) => {
+  const [files, setFiles] = useState([]);
   const [error, setError] = useState('');
-  const [preview, setPreview] = useState(null);
+  const [previewPages, setPreviewPages] = useState([]);
+  const [previewMessage, setPreviewMessage] = useState('');
+  const [convertMessage, setConvertMessage] = useState('');
+  // 変換中に選び直された場合、古い選択の結果を捨てるための番号
+  const selectionRef = useRef(0);
 
-  const handleFileChange = (e) => {
-    const selectedFile = e.target.files[0];
+  const handleFileChange = async (e) => {
+    const selectedFiles = Array.from(e.target.files || []);
+    const selection = selectionRef.current + 1;
+    selectionRef.current = selection;
     setError('');
-    
-    if (!selectedFile) {
-      setFile(null);
-      setPreview(null);
+    setPreviewPages([]);
+    setPreviewMessage('');
+    setConvertMessage('');
+
+    if (selectedFiles.length === 0) {
+      setFiles([]);
       return;
     }
 
-    // Check file type
-    const fileType = selectedFile.type;
-    if (!fileType.includes('jpeg') && !fileType.includes('jpg') && !fileType.includes('pdf')) {
-      setError('ファイルはJPEGまたはPDF形式である必要があります');
-      setFile(null);
-      setPreview(null);
+    // Check file type（フォルダ選択時は対象外のファイルを除外する）
+    const supportedFiles = selectedFiles.filter(isSupportedFile);
+    const skippedCount = selectedFiles.length - supportedFiles.length;
+
+    if (supportedFiles.length === 0) {
+      setError('ファイルはJPEG・PNG・BMP・TIFF・HEIC・PDFのいずれかの形式である必要があります');
+      setFiles([]);
       return;
     }
 
-    setFile(selectedFile);
-
-    // Create preview for images
-    if (fileType.includes('jpeg') || fileType.includes('jpg')) {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        setPreview(e.target.result);
-      };
-      reader.readAsDataURL(selectedFile);
-    } else {
-      // For PDFs just show an icon or text
-      setPreview('PDF文書');
+    const warnings = skippedCount > 0 ? [`対応していない形式の ${skippedCount} 件のファイルは除外されました`] : [];
+
+    // フォルダ内のファイルは名前順に並べる
+    supportedFiles.sort((a, b) => (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name));
+
+    // HEIC・TIFFはブラウザで変換する（大きなTIFFもあるため1件ずつ）
+    const convertCount = supportedFiles.filter(needsConversion).length;
+    let normalizedFiles = supportedFiles;
+    if (convertCount > 0) {
+      setFiles([]);
+      normalizedFiles = [];
+      for (const [index, file] of supportedFiles.entries()) {
+        if (needsConversion(file)) {
+          setConvertMessage(`HEIC・TIFFのファイルを変換中...（${index + 1}/${supportedFiles.length}）`);
+        }
+        try {
+          normalizedFiles.push(await normalizeUploadFile(file));
+        } catch (convertError) {
+          console.error('ファイルの変換に失敗しました:', convertError);
+          warnings.push(convertError.message);
+        }
+        if (selectionRef.current !== selection) {
+          return;
+        }
+      }
+      setConvertMessage('');
     }
+
+    if (warnings.length > 0) {
+      setError(warnings.join('\n'));
+    }
+    setFiles(normalizedFiles);
+
+    // Create preview（1件のみ選択された場合、PDF・TIFFは全ページを描画する）
+    if (normalizedFiles.length !== 1) {
+      return;
+    }
+
+    setPreviewMessage('プレビューを作成中...');
+    renderDocumentPages(normalizedFiles[0], { scale: 0.75 })
+      .then(pages => {
+        if (selectionRef.current !== selection) {
+          return;
+        }
+        setPreviewPages(pages);
+        setPreviewMessage('');
+      })
+      .catch(previewError => {
+        if (selectionRef.current !== selection) {
+          return;
+        }
+        console.error('プレビューの作成に失敗しました:', previewError);
+        setPreviewMessage('プレビューを表示できませんでした');
+      });
   };
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (!file) {
+    if (files.length === 0) {
       setError('ファイルを選択してください');
       return;
     }
-    onFileUpload(file);
+    onFilesUpload(files);
   };
 
   return (
@@ -57,41 +110,66 @@ const FileUploader = ({ onFileUpload, isProcessing }) => {
       <Card.Body>
         <Form onSubmit={handleSubmit}>
           <Form.Group className="mb-3">
-            <Form.Label>JPEGまたはPDFファイルを選択</Form.Label>
-            <Form.Control 
-              type="file" 
+            <Form.Label>画像またはPDFファイルを選択（複数選択可）</Form.Label>
+            <Form.Control
+              type="file"
               onChange={handleFileChange}
-              accept=".jpg,.jpeg,.pdf"
-              disabled={isProcessing}
+              accept={UPLOAD_ACCEPT}
+              multiple
             />
             <Form.Text className="text-muted">
-              アップロードされた問診票はAzure OCRで処理されます。
+              JPEG・PNG・BMP・TIFF（複数ページ可）・HEIC・PDFに対応しています。TIFFはPDFに、HEICはJPEGに変換してから処理します。
             </Form.Text>
           </Form.Group>
 
-          {error && <Alert variant="danger">{error}</Alert>}
+          <Form.Group className="mb-3">
+            <Form.Label>またはフォルダを選択</Form.Label>
+            <Form.Control
+              type="file"
+              onChange={handleFileChange}
+              webkitdirectory=""
+              directory=""
+            />
+            <Form.Text className="text-muted">
+              アップロードされた問診票は選択したOCRエンジンで処理されます。処理中でも追加したファイルは順番待ちになります。
+            </Form.Text>
+          </Form.Group>
+
+          {error && (
+            <Alert variant={files.length > 0 ? 'warning' : 'danger'} style={{ whiteSpace: 'pre-line' }}>{error}</Alert>
+          )}
+
+          {convertMessage && <p className="mb-3 text-muted">{convertMessage}</p>}
+
+          {files.length > 1 && (
+            <p className="mb-3">{files.length} 件のファイルが選択されています</p>
+          )}
 
-          {preview && (
+          {(previewPages.length > 0 || previewMessage) && (
             <div className="mb-3 mt-3 text-center">
-              <h6>プレビュー</h6>
-              {typeof preview === 'string' && preview === 'PDF文書' ? (
-                <div className="pdf-preview">PDF文書</div>
-              ) : (
-                <img 
-                  src={preview} 
-                  alt="問診票のプレビュー" 
-                  style={{ maxWidth: '100%', maxHeight: '300px' }} 
-                />
-              )}
+              <h6>プレビュー{previewPages.length > 1 && `（${previewPages.length}ページ）`}</h6>
+              {previewMessage && <div className="pdf-preview">{previewMessage}</div>}
+              <div className="preview-pages">
+                {previewPages.map(page => (
+                  <img
+                    key={page.pageNumber}
+                    src={page.imageUrl}
+                    alt={`問診票のプレビュー ${page.pageNumber}ページ目`}
+                    style={{ maxWidth: '100%', maxHeight: '300px' }}
+                  />
+                ))}
+              </div>
             </div>
           )}
 
-          <Button 
-            variant="primary" 
-            type="submit" 
-            disabled={!file || isProcessing}
+          <Button
+            variant="primary"
+            type="submit"
+            disabled={files.length === 0 || Boolean(convertMessage)}
           >
-            {isProcessing ? '処理中...' : 'OCR処理を開始'}
+            {isProcessing
+              ? '処理キューに追加'
+              : files.length > 1 ? `${files.length} 件のOCR処理を開始` : 'OCR処理を開始'}
           </Button>
         </Form>
       </Card.Body>
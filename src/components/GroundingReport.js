@@ -0,0 +1,121 @@
+import React, { useState } from 'react';
+import { ListGroup, Badge, Button, Form, Alert, Spinner } from 'react-bootstrap';
+import { GROUNDING_STATUS, GROUNDING_STATUS_LABELS, GROUNDING_MISMATCH_LABELS } from '../services/groundingVerifier';
+
+const STATUS_VARIANTS = {
+  [GROUNDING_STATUS.SUPPORTED]: 'success',
+  [GROUNDING_STATUS.PARTIAL]: 'warning',
+  [GROUNDING_STATUS.UNSUPPORTED]: 'danger'
+};
+
+const describeLocation = (location) => {
+  if (!location) {
+    return '';
+  }
+  return location.markIndex !== undefined
+    ? `${location.pageNumber}ページ目 選択項目`
+    : `${location.pageNumber}ページ目 ${location.lineIndex + 1}行目`;
+};
+
+// 整形結果の記載ごとの根拠（OCRの行）と、根拠を確認できなかった記載の一覧
+// 記載をクリックすると原本上で最も近い行を表示する。onReview があれば根拠なしの記載をLLMで再確認できる
+const GroundingReport = ({ results, onHighlight, onReview }) => {
+  const [showUngroundedOnly, setShowUngroundedOnly] = useState(true);
+  const [reviewing, setReviewing] = useState(false);
+  const [error, setError] = useState('');
+
+  const ungrounded = results.filter(result => result.status !== GROUNDING_STATUS.SUPPORTED);
+  const unreviewed = ungrounded.filter(result => !result.review);
+  const visibleResults = showUngroundedOnly ? ungrounded : results;
+
+  const handleReview = async () => {
+    setReviewing(true);
+    setError('');
+    try {
+      await onReview(unreviewed.map(({ id, sectionLabel, text }) => ({ id, sectionLabel, text })));
+    } catch (reviewError) {
+      setError(reviewError.message);
+    } finally {
+      setReviewing(false);
+    }
+  };
+
+  if (results.length === 0) {
+    return <p className="text-muted small mb-0">確認する記載はありません</p>;
+  }
+
+  return (
+    <>
+      <div className="d-flex flex-wrap align-items-center mb-2">
+        <span className="small me-3">
+          記載{results.length}件中、
+          {Object.values(GROUNDING_STATUS)
+            .map(status => `${GROUNDING_STATUS_LABELS[status]} ${results.filter(result => result.status === status).length}件`)
+            .join('・')}
+        </span>
+        <Form.Check
+          type="switch"
+          id="grounding-ungrounded-only"
+          className="small me-3"
+          label="根拠を確認できなかった記載だけ表示"
+          checked={showUngroundedOnly}
+          onChange={(e) => setShowUngroundedOnly(e.target.checked)}
+        />
+        {onReview && unreviewed.length > 0 && (
+          <Button variant="outline-primary" size="sm" onClick={handleReview} disabled={reviewing}>
+            {reviewing && <Spinner animation="border" size="sm" className="me-1" />}
+            LLMで再確認（{unreviewed.length}件）
+          </Button>
+        )}
+      </div>
+      {error && <Alert variant="danger" className="py-2">{error}</Alert>}
+
+      {visibleResults.length === 0 ? (
+        <p className="text-muted small mb-0">すべての記載の根拠がOCRテキストに見つかりました</p>
+      ) : (
+        <ListGroup className="grounding-list">
+          {visibleResults.map(result => {
+            const location = result.sources.length > 0 ? result.sources[0].location : null;
+            return (
+              <ListGroup.Item
+                key={result.id}
+                action={Boolean(location)}
+                onClick={location ? () => onHighlight({ ...location, source: 'list' }) : undefined}
+              >
+                <div className="small text-muted">
+                  <Badge bg={STATUS_VARIANTS[result.status]} className="me-2">{GROUNDING_STATUS_LABELS[result.status]}</Badge>
+                  {result.sectionLabel ? `【${result.sectionLabel}】` : '（見出しなし）'}
+                  <span className="ms-2">一致 {Math.round(result.coverage * 100)}%</span>
+                </div>
+                <div>
+                  {result.segments.map((segment, index) => (segment.supported
+                    ? <span key={index}>{segment.text}</span>
+                    : <mark key={index} className="ungrounded">{segment.text}</mark>))}
+                </div>
+                {(result.mismatches || []).map((mismatch, index) => (
+                  <div key={index} className="small text-danger">
+                    {GROUNDING_MISMATCH_LABELS[mismatch.type]}: {mismatch.text}
+                  </div>
+                ))}
+                {result.review && (
+                  <div className="small">
+                    LLMの判定: {result.review.supported ? '根拠あり' : '根拠なし'}
+                    {result.review.evidence && `（「${result.review.evidence}」）`}
+                  </div>
+                )}
+                {result.sources.map((source, index) => (
+                  <div key={index} className="small text-muted grounding-source">
+                    {source.location && <span className="me-2">{describeLocation(source.location)}</span>}
+                    {source.content}
+                  </div>
+                ))}
+              </ListGroup.Item>
+            );
+          })}
+        </ListGroup>
+      )}
+    </>
+  );
+};
+
+export default GroundingReport;
@@ -0,0 +1,191 @@
+import React, { useState, useMemo } from 'react';
+import { Card, ListGroup, Badge, Button, Form, InputGroup, Alert, Table } from 'react-bootstrap';
+import { searchHistoryEntries, getSearchSnippet } from '../services/historyStore';
+import { summarizeCorrectionsByTemplate } from '../services/corrections';
+
+const RETENTION_OPTIONS = [1, 7, 30, 90, 365];
+
+// IndexedDBに保存した過去の処理結果。全文検索と、結果表示への再表示ができる
+const HistoryPanel = ({
+  entries,
+  error,
+  settings,
+  onSettingsChange,
+  openedEntryId,
+  onOpen,
+  onDelete,
+  onClear
+}) => {
+  const [query, setQuery] = useState('');
+  const [showQuality, setShowQuality] = useState(false);
+
+  const matchedEntries = useMemo(() => searchHistoryEntries(entries, query), [entries, query]);
+  // 医師による修正の少なさをプロンプトの品質の目安としてテンプレートごとに集計する
+  const templateSummaries = useMemo(
+    () => (showQuality ? summarizeCorrectionsByTemplate(entries) : []),
+    [showQuality, entries]
+  );
+
+  const handleDelete = (entry) => {
+    if (window.confirm(`「${entry.fileName}」の履歴を削除しますか？`)) {
+      onDelete(entry.id);
+    }
+  };
+
+  const handleClear = () => {
+    if (window.confirm('すべての処理履歴を削除しますか？この操作は元に戻せません。')) {
+      onClear();
+    }
+  };
+
+  return (
+    <Card className="mb-4">
+      <Card.Header as="h5">
+        処理履歴
+        <small className="text-muted ms-2">{entries.length} 件</small>
+      </Card.Header>
+      <Card.Body>
+        {error && <Alert variant="warning" className="py-2">{error}</Alert>}
+
+        <div className="d-flex flex-wrap align-items-center mb-3">
+          <Form.Check
+            type="switch"
+            id="history-enabled"
+            label="処理結果を履歴に保存する"
+            className="me-3"
+            checked={settings.enabled}
+            onChange={(e) => onSettingsChange({ ...settings, enabled: e.target.checked })}
+          />
+          <Form.Label className="me-2 mb-0" htmlFor="history-retention">保存期間</Form.Label>
+          <Form.Select
+            id="history-retention"
+            size="sm"
+            style={{ width: 'auto' }}
+            value={settings.retentionDays}
+            onChange={(e) => onSettingsChange({ ...settings, retentionDays: Number(e.target.value) })}
+          >
+            {RETENTION_OPTIONS.map(days => (
+              <option key={days} value={days}>{days}日</option>
+            ))}
+          </Form.Select>
+          <Button
+            size="sm"
+            variant="outline-danger"
+            className="ms-auto"
+            onClick={handleClear}
+            disabled={entries.length === 0}
+          >
+            すべて削除
+          </Button>
+        </div>
+        <Form.Text className="text-muted d-block mb-3">
+          履歴は問診票の内容を含むため、このブラウザ内にのみ保存し、保存期間を過ぎると自動的に削除します。共用端末では保存をオフにしてください。
+        </Form.Text>
+
+        <Button
+          variant="outline-primary"
+          size="sm"
+          className="mb-2"
+          onClick={() => setShowQuality(!showQuality)}
+          disabled={entries.length === 0}
+        >
+          {showQuality ? '修正率の集計を閉じる' : 'テンプレートごとの修正率'}
+        </Button>
+        {showQuality && (
+          <Table size="sm" bordered className="small">
+            <thead>
+              <tr>
+                <th>テンプレート</th>
+                <th>件数</th>
+                <th>修正あり</th>
+                <th>平均修正率</th>
+                <th>よく修正されるセクション</th>
+              </tr>
+            </thead>
+            <tbody>
+              {templateSummaries.map(summary => (
+                <tr key={summary.templateId}>
+                  <td>{summary.templateName}</td>
+                  <td>{summary.count}</td>
+                  <td>{Math.round((summary.correctedCount / summary.count) * 100)}%</td>
+                  <td>{Math.round(summary.averageChangeRatio * 100)}%</td>
+                  <td>
+                    {Object.entries(summary.sectionChanges)
+                      .sort((a, b) => b[1] - a[1])
+                      .slice(0, 3)
+                      .map(([label, count]) => `${label}（${count}）`)
+                      .join('、')}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        )}
+
+        <InputGroup size="sm" className="mb-3">
+          <Form.Control
+            type="search"
+            placeholder="ファイル名・テンプレート名・OCR結果・整形結果を検索（空白区切りですべて含むものを表示）"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+          />
+          {query && (
+            <Button variant="outline-secondary" onClick={() => setQuery('')}>
+              クリア
+            </Button>
+          )}
+        </InputGroup>
+
+        {matchedEntries.length === 0 ? (
+          <p className="text-muted mb-0">
+            {entries.length === 0 ? '保存された処理結果はありません' : '検索条件に一致する履歴はありません'}
+          </p>
+        ) : (
+          <ListGroup className="history-list">
+            {matchedEntries.map(entry => {
+              const snippet = getSearchSnippet(entry, query);
+              return (
+                <ListGroup.Item
+                  key={entry.id}
+                  action
+                  active={entry.id === openedEntryId}
+                  onClick={() => onOpen(entry.id)}
+                  className="d-flex align-items-center"
+                >
+                  {entry.thumbnail
+                    ? <img src={entry.thumbnail} alt="" className="history-thumbnail me-2" />
+                    : <div className="history-thumbnail me-2" />}
+                  <div className="me-auto text-truncate">
+                    <div className="text-truncate">{entry.fileName}</div>
+                    <small className="d-block">
+                      {new Date(entry.createdAt).toLocaleString()}
+                      {entry.template && <span className="ms-2">{entry.template.name}</span>}
+                      {entry.corrections
+                        ? entry.corrections.stats.changedSectionCount > 0 && (
+                          <Badge bg="info" className="ms-2">{entry.corrections.stats.changedSectionCount}セクション修正</Badge>
+                        )
+                        : entry.updatedAt !== entry.createdAt && <Badge bg="info" className="ms-2">編集済み</Badge>}
+                    </small>
+                    {snippet && <small className="d-block text-truncate history-snippet">{snippet}</small>}
+                  </div>
+                  <Button
+                    size="sm"
+                    variant="outline-danger"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleDelete(entry);
+                    }}
+                  >
+                    削除
+                  </Button>
+                </ListGroup.Item>
+              );
+            })}
+          </ListGroup>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default HistoryPanel;
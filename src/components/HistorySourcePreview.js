@@ -0,0 +1,45 @@
+import React from 'react';
+import { Card, Button } from 'react-bootstrap';
+
+// 履歴を開いたときの原本欄（履歴には原本そのものではなく1ページ目の縮小画像だけを保存している）
+const HistorySourcePreview = ({ entry, onClose }) => (
+  <Card className="mb-4">
+    <Card.Header as="h5" className="d-flex align-items-center">
+      <span className="me-auto">
+        原本（処理履歴）
+        <small className="text-muted ms-2">{new Date(entry.createdAt).toLocaleString()}</small>
+      </span>
+      <Button size="sm" variant="outline-secondary" onClick={onClose}>
+        履歴を閉じる
+      </Button>
+    </Card.Header>
+    <Card.Body>
+      {entry.thumbnail && <img src={entry.thumbnail} alt={entry.fileName} className="history-original mb-3" />}
+      <dl className="small mb-0">
+        <dt>ファイル名</dt>
+        <dd>{entry.fileName}</dd>
+        <dt>処理開始・完了</dt>
+        <dd>{new Date(entry.startedAt).toLocaleString()} 〜 {new Date(entry.createdAt).toLocaleString()}</dd>
+        {entry.updatedAt !== entry.createdAt && (
+          <>
+            <dt>最終編集</dt>
+            <dd>{new Date(entry.updatedAt).toLocaleString()}</dd>
+          </>
+        )}
+        <dt>OCR</dt>
+        <dd>{entry.modelId || entry.engine || '不明'}</dd>
+        {entry.template && (
+          <>
+            <dt>テンプレート</dt>
+            <dd>{entry.template.department ? `${entry.template.department} / ` : ''}{entry.template.name}</dd>
+          </>
+        )}
+      </dl>
+      <p className="text-muted small mt-3 mb-0">
+        履歴には原本の縮小画像だけを保存しているため、OCR行の位置は原本上に表示できません。
+      </p>
+    </Card.Body>
+  </Card>
+);
+
+export default HistorySourcePreview;
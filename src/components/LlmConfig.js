@@ -1,25 +1,56 @@
 import React, { useState } from 'react';
 import { Form, Button, Alert, Card } from 'react-bootstrap';
-import { testAzureOpenAIConnection } from '../services/llmService';
+import { testLLMConnection, isLlmConfigComplete } from '../services/llmService';
+import { LLM_PROVIDERS, getLlmProvider } from '../services/llmProviders';
+import { fetchProxyStatus } from '../services/proxyService';
+import { OUTPUT_MODE } from '../services/documentPipeline';
+import { DEFAULT_MAX_INPUT_TOKENS, DEFAULT_MAX_OUTPUT_TOKENS } from '../services/chunking';
+
+// プロバイダーごとに必要な設定の説明
+const MISSING_SETTINGS_MESSAGES = {
+  [LLM_PROVIDERS.AZURE_OPENAI]: 'Azure OpenAIのエンドポイント、APIキー、デプロイメント名を入力してください',
+  [LLM_PROVIDERS.OPENAI_COMPATIBLE]: 'OpenAI互換サーバーのベースURLとモデル名を入力してください',
+  [LLM_PROVIDERS.OLLAMA]: 'OllamaのURLとモデル名を入力してください'
+};
 
 const LlmConfig = ({ llmConfig, onConfigChange, disabled }) => {
   const [testing, setTesting] = useState(false);
   const [testResult, setTestResult] = useState(null);
 
+  const providerKey = llmConfig.provider || LLM_PROVIDERS.AZURE_OPENAI;
+  const provider = getLlmProvider(llmConfig);
+
   const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    onConfigChange({
+      ...llmConfig,
+      [name]: type === 'checkbox' ? checked : value
+    });
+    if (type === 'checkbox' || name === 'provider') {
+      setTestResult(null);
+    }
+  };
+
+  // ローカルLLM系プロバイダーの設定は provider ごとのオブジェクトに保存する
+  const handleProviderSettingChange = (e) => {
     const { name, value } = e.target;
     onConfigChange({
       ...llmConfig,
-      [name]: value
+      [providerKey]: {
+        ...(llmConfig[providerKey] || {}),
+        [name]: value
+      }
     });
   };
 
+  const providerSettings = llmConfig[providerKey] || {};
+
   const handleTestConnection = async () => {
     // 必要な設定がすべて揃っているか確認
-    if (!llmConfig.endpoint || !llmConfig.apiKey || !llmConfig.deploymentName) {
+    if (!isLlmConfigComplete(llmConfig)) {
       setTestResult({
         success: false,
-        message: 'Azure OpenAIのエンドポイント、APIキー、デプロイメント名を入力してください'
+        message: MISSING_SETTINGS_MESSAGES[providerKey]
       });
       return;
     }
@@ -28,19 +59,24 @@ const LlmConfig = ({ llmConfig, onConfigChange, disabled }) => {
     setTestResult(null);
 
     try {
-      const config = {
-        endpoint: llmConfig.endpoint,
-        apiKey: llmConfig.apiKey,
-        deploymentName: llmConfig.deploymentName
-      };
-      
-      const success = await testAzureOpenAIConnection(config);
-      
+      if (providerKey === LLM_PROVIDERS.AZURE_OPENAI && llmConfig.useProxy) {
+        const status = await fetchProxyStatus();
+        if (!status.llm) {
+          setTestResult({
+            success: false,
+            message: 'サーバーにAzure OpenAIの環境変数（AZURE_OPENAI_ENDPOINT, AZURE_OPENAI_KEY, AZURE_OPENAI_DEPLOYMENT）が設定されていません'
+          });
+          return;
+        }
+      }
+
+      const success = await testLLMConnection(llmConfig);
+
       setTestResult({
         success,
-        message: success 
-          ? 'Azure OpenAI Serviceへの接続に成功しました' 
-          : 'Azure OpenAI Serviceへの接続に失敗しました。設定を確認してください'
+        message: success
+          ? `${provider.label}への接続に成功しました`
+          : `${provider.label}への接続に失敗しました。設定を確認してください`
       });
     } catch (error) {
       setTestResult({
@@ -52,62 +88,237 @@ const LlmConfig = ({ llmConfig, onConfigChange, disabled }) => {
     }
   };
 
+  const renderAzureSettings = () => (
+    <>
+      <Form.Group className="mb-3">
+        <Form.Check
+          type="switch"
+          id="llm-use-proxy"
+          name="useProxy"
+          label="サーバー経由で接続する（APIキーはサーバーの環境変数で管理）"
+          checked={Boolean(llmConfig.useProxy)}
+          onChange={handleChange}
+          disabled={disabled}
+        />
+      </Form.Group>
+
+      <Form.Group className="mb-3">
+        <Form.Label>Azure OpenAI エンドポイント</Form.Label>
+        <Form.Control
+          type="text"
+          name="endpoint"
+          placeholder="https://your-resource-name.openai.azure.com"
+          value={llmConfig.endpoint || ''}
+          onChange={handleChange}
+          disabled={disabled || llmConfig.useProxy}
+        />
+        <Form.Text className="text-muted">
+          Azureポータルで作成したOpenAIリソースのエンドポイントを入力してください
+        </Form.Text>
+      </Form.Group>
+
+      <Form.Group className="mb-3">
+        <Form.Label>Azure OpenAI APIキー</Form.Label>
+        <Form.Control
+          type="password"
+          name="apiKey"
+          placeholder="1234..."
+          value={llmConfig.apiKey || ''}
+          onChange={handleChange}
+          disabled={disabled || llmConfig.useProxy}
+        />
+        <Form.Text className="text-muted">
+          Azure OpenAIリソースのAPIキーを入力してください
+        </Form.Text>
+      </Form.Group>
+
+      <Form.Group className="mb-3">
+        <Form.Label>デプロイメント名</Form.Label>
+        <Form.Control
+          type="text"
+          name="deploymentName"
+          placeholder="gpt-4"
+          value={llmConfig.deploymentName || ''}
+          onChange={handleChange}
+          disabled={disabled || llmConfig.useProxy}
+        />
+        <Form.Text className="text-muted">
+          Azureポータルでデプロイしたモデルのデプロイメント名を入力してください（例: gpt-4, gpt-35-turbo）
+        </Form.Text>
+      </Form.Group>
+    </>
+  );
+
+  const renderOpenAICompatibleSettings = () => (
+    <>
+      <Form.Group className="mb-3">
+        <Form.Label>ベースURL</Form.Label>
+        <Form.Control
+          type="text"
+          name="baseUrl"
+          placeholder="http://localhost:8000/v1"
+          value={providerSettings.baseUrl || ''}
+          onChange={handleProviderSettingChange}
+          disabled={disabled}
+        />
+        <Form.Text className="text-muted">
+          vLLM、llama.cpp server、LM Studio などのOpenAI互換APIのURL（/chat/completions の手前まで）を入力してください
+        </Form.Text>
+      </Form.Group>
+
+      <Form.Group className="mb-3">
+        <Form.Label>APIキー（任意）</Form.Label>
+        <Form.Control
+          type="password"
+          name="apiKey"
+          placeholder="不要な場合は空欄"
+          value={providerSettings.apiKey || ''}
+          onChange={handleProviderSettingChange}
+          disabled={disabled}
+        />
+      </Form.Group>
+
+      <Form.Group className="mb-3">
+        <Form.Label>モデル名</Form.Label>
+        <Form.Control
+          type="text"
+          name="model"
+          placeholder="google/gemma-2-9b-it"
+          value={providerSettings.model || ''}
+          onChange={handleProviderSettingChange}
+          disabled={disabled}
+        />
+      </Form.Group>
+    </>
+  );
+
+  const renderOllamaSettings = () => (
+    <>
+      <Form.Group className="mb-3">
+        <Form.Label>Ollama URL</Form.Label>
+        <Form.Control
+          type="text"
+          name="baseUrl"
+          placeholder="http://localhost:11434"
+          value={providerSettings.baseUrl || ''}
+          onChange={handleProviderSettingChange}
+          disabled={disabled}
+        />
+        <Form.Text className="text-muted">
+          ブラウザから接続するには、Ollama側で環境変数 OLLAMA_ORIGINS にこのアプリのURLを設定してください
+        </Form.Text>
+      </Form.Group>
+
+      <Form.Group className="mb-3">
+        <Form.Label>モデル名</Form.Label>
+        <Form.Control
+          type="text"
+          name="model"
+          placeholder="gemma2:9b"
+          value={providerSettings.model || ''}
+          onChange={handleProviderSettingChange}
+          disabled={disabled}
+        />
+      </Form.Group>
+    </>
+  );
+
   return (
     <Card className="mb-4">
-      <Card.Header as="h5">Azure OpenAI Service 設定</Card.Header>
+      <Card.Header as="h5">LLM 設定</Card.Header>
       <Card.Body>
         <Form.Group className="mb-3">
-          <Form.Label>Azure OpenAI エンドポイント</Form.Label>
-          <Form.Control
-            type="text"
-            name="endpoint"
-            placeholder="https://your-resource-name.openai.azure.com"
-            value={llmConfig.endpoint || ''}
+          <Form.Label>LLMプロバイダー</Form.Label>
+          <Form.Select
+            name="provider"
+            value={providerKey}
             onChange={handleChange}
             disabled={disabled}
-          />
+          >
+            <option value={LLM_PROVIDERS.AZURE_OPENAI}>Azure OpenAI Service</option>
+            <option value={LLM_PROVIDERS.OPENAI_COMPATIBLE}>OpenAI互換サーバー（vLLM / llama.cpp など）</option>
+            <option value={LLM_PROVIDERS.OLLAMA}>Ollama</option>
+          </Form.Select>
+          {providerKey !== LLM_PROVIDERS.AZURE_OPENAI && (
+            <Form.Text className="text-muted">
+              院内のサーバーで動作するモデルを使うと、問診票の内容を外部に送信せずに整形できます
+            </Form.Text>
+          )}
+        </Form.Group>
+
+        {providerKey === LLM_PROVIDERS.AZURE_OPENAI && renderAzureSettings()}
+        {providerKey === LLM_PROVIDERS.OPENAI_COMPATIBLE && renderOpenAICompatibleSettings()}
+        {providerKey === LLM_PROVIDERS.OLLAMA && renderOllamaSettings()}
+
+        <Form.Group className="mb-3">
+          <Form.Label>出力形式</Form.Label>
+          <Form.Select
+            name="outputMode"
+            value={llmConfig.outputMode || OUTPUT_MODE.TEXT}
+            onChange={handleChange}
+            disabled={disabled}
+          >
+            <option value={OUTPUT_MODE.TEXT}>テキスト（プロンプトの指示どおり）</option>
+            <option value={OUTPUT_MODE.JSON}>構造化JSON（セクションごとに検証・編集）</option>
+          </Form.Select>
           <Form.Text className="text-muted">
-            Azureポータルで作成したOpenAIリソースのエンドポイントを入力してください
+            構造化JSONでは、LLMの出力をカルテのセクション定義で検証し、不正な場合は修正を依頼します。結果はフォームで編集でき、コピー用テキストはフォームから生成されます
           </Form.Text>
         </Form.Group>
 
         <Form.Group className="mb-3">
-          <Form.Label>Azure OpenAI APIキー</Form.Label>
+          <Form.Label>1回に送る入力の上限（トークン）</Form.Label>
           <Form.Control
-            type="password"
-            name="apiKey"
-            placeholder="1234..."
-            value={llmConfig.apiKey || ''}
+            type="number"
+            name="maxInputTokens"
+            min={1000}
+            step={500}
+            placeholder={String(DEFAULT_MAX_INPUT_TOKENS)}
+            value={llmConfig.maxInputTokens || ''}
             onChange={handleChange}
             disabled={disabled}
           />
           <Form.Text className="text-muted">
-            Azure OpenAIリソースのAPIキーを入力してください
+            これを超える長い問診票はページ単位で分割して処理し、結果を1つに統合します。モデルのコンテキスト長に合わせて設定してください
           </Form.Text>
         </Form.Group>
 
         <Form.Group className="mb-3">
-          <Form.Label>デプロイメント名</Form.Label>
+          <Form.Label>応答の上限（トークン）</Form.Label>
           <Form.Control
-            type="text"
-            name="deploymentName"
-            placeholder="gpt-4"
-            value={llmConfig.deploymentName || ''}
+            type="number"
+            name="maxOutputTokens"
+            min={100}
+            step={100}
+            placeholder={String(DEFAULT_MAX_OUTPUT_TOKENS)}
+            value={llmConfig.maxOutputTokens || ''}
+            onChange={handleChange}
+            disabled={disabled}
+          />
+        </Form.Group>
+
+        <Form.Group className="mb-3">
+          <Form.Check
+            type="switch"
+            id="llm-stream"
+            name="stream"
+            label="応答を受信しながら表示する（ストリーミング）"
+            checked={llmConfig.stream !== false}
             onChange={handleChange}
             disabled={disabled}
           />
           <Form.Text className="text-muted">
-            Azureポータルでデプロイしたモデルのデプロイメント名を入力してください（例: gpt-4, gpt-35-turbo）
+            ストリーミングに対応していないサーバーでエラーになる場合はオフにしてください
           </Form.Text>
         </Form.Group>
 
-        <Button 
-          variant="secondary" 
+        <Button
+          variant="secondary"
           onClick={handleTestConnection}
-          disabled={disabled || testing || !llmConfig.endpoint || !llmConfig.apiKey || !llmConfig.deploymentName}
+          disabled={disabled || testing || !isLlmConfigComplete(llmConfig)}
           className="mb-3"
         >
-          {testing ? '接続テスト中...' : 'Azure OpenAI接続テスト'}
+          {testing ? '接続テスト中...' : `${provider.label}接続テスト`}
         </Button>
 
         {testResult && (
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { Container, Card, Form, Button, Alert, Spinner } from 'react-bootstrap';
+
+// ロック中の画面。合言葉の確認（鍵の導出）には1秒程度かかる
+const LockScreen = ({ onUnlock, onReset }) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [unlocking, setUnlocking] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setUnlocking(true);
+    setError('');
+    try {
+      await onUnlock(passphrase);
+    } catch (unlockError) {
+      setError(unlockError.message);
+      setUnlocking(false);
+    }
+  };
+
+  const handleReset = () => {
+    if (window.confirm('保存されているAPIキー等の設定と処理履歴をすべて削除し、ロックを解除します。よろしいですか？この操作は元に戻せません。')) {
+      onReset();
+    }
+  };
+
+  return (
+    <Container className="py-5 lock-screen">
+      <h1 className="text-center mb-4">問診票OCR＆LLM処理アプリ</h1>
+      <Card>
+        <Card.Header as="h5">ロック中</Card.Header>
+        <Card.Body>
+          <p className="text-muted">
+            設定と処理履歴は合言葉で暗号化されています。続けるには合言葉を入力してください。
+          </p>
+          {error && <Alert variant="danger" className="py-2">{error}</Alert>}
+          <Form onSubmit={handleSubmit}>
+            <Form.Group className="mb-3" controlId="unlock-passphrase">
+              <Form.Label>合言葉</Form.Label>
+              <Form.Control
+                type="password"
+                autoComplete="current-password"
+                autoFocus
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                disabled={unlocking}
+              />
+            </Form.Group>
+            <Button type="submit" variant="primary" disabled={unlocking || !passphrase}>
+              {unlocking && <Spinner animation="border" size="sm" className="me-2" />}
+              ロックを解除
+            </Button>
+          </Form>
+        </Card.Body>
+        <Card.Footer>
+          <Button variant="link" size="sm" className="p-0 text-danger" onClick={handleReset} disabled={unlocking}>
+            合言葉を忘れた場合（保存データを消去して初期化）
+          </Button>
+        </Card.Footer>
+      </Card>
+    </Container>
+  );
+};
+
+export default LockScreen;
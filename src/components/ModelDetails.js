@@ -0,0 +1,58 @@
+import React from 'react';
+import { Table, Badge } from 'react-bootstrap';
+
+// Azureモデルの詳細（ドキュメント種類ごとの抽出フィールド）を表示する
+const ModelDetails = ({ details }) => {
+  if (!details) {
+    return null;
+  }
+
+  return (
+    <div className="model-details mb-3">
+      <div className="mb-2">
+        <strong>{details.modelId}</strong>
+        {details.buildMode && <Badge bg="info" className="ms-2">{details.buildMode}</Badge>}
+        {details.description && <div className="text-muted small">{details.description}</div>}
+        <div className="small text-muted">
+          {details.apiVersion && <span className="me-3">APIバージョン: {details.apiVersion}</span>}
+          {details.createdDateTime && <span>作成日時: {new Date(details.createdDateTime).toLocaleString()}</span>}
+        </div>
+      </div>
+
+      {details.docTypes.length === 0 && (
+        <div className="small text-muted">このモデルには抽出フィールドの定義がありません（テキスト・レイアウトのみ）</div>
+      )}
+
+      {details.docTypes.map(docType => (
+        <div key={docType.name} className="mb-2">
+          <div className="small fw-bold">
+            {docType.name}
+            {docType.buildMode && docType.buildMode !== details.buildMode && (
+              <Badge bg="secondary" className="ms-2">{docType.buildMode}</Badge>
+            )}
+          </div>
+          <Table size="sm" bordered className="model-fields mb-0">
+            <thead>
+              <tr>
+                <th>フィールド</th>
+                <th>型</th>
+                <th>説明</th>
+              </tr>
+            </thead>
+            <tbody>
+              {docType.fields.map(field => (
+                <tr key={field.name}>
+                  <td><code>{field.name}</code></td>
+                  <td>{field.type}</td>
+                  <td>{field.description}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ModelDetails;
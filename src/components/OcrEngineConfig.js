@@ -0,0 +1,133 @@
+import React from 'react';
+import { Form, Card, Alert } from 'react-bootstrap';
+import {
+  OCR_ENGINES,
+  DEFAULT_TESSERACT_LANGUAGES,
+  DEFAULT_TESSERACT_WORKER_PATH,
+  DEFAULT_TESSERACT_CORE_PATH,
+  DEFAULT_TESSERACT_LANG_PATH
+} from '../services/ocrEngines';
+import { getConfidenceThreshold } from '../services/ocrConfidence';
+
+const CONFIDENCE_THRESHOLD_OPTIONS = [0.5, 0.6, 0.7, 0.8, 0.9, 0.95];
+
+const OcrEngineConfig = ({ ocrSettings, onSettingsChange, disabled }) => {
+  const engine = ocrSettings.engine || OCR_ENGINES.AZURE;
+  const tesseract = ocrSettings.tesseract || {};
+
+  const handleEngineChange = (e) => {
+    onSettingsChange({
+      ...ocrSettings,
+      engine: e.target.value
+    });
+  };
+
+  const handleTesseractChange = (e) => {
+    const { name, value } = e.target;
+    onSettingsChange({
+      ...ocrSettings,
+      tesseract: {
+        ...tesseract,
+        [name]: value
+      }
+    });
+  };
+
+  return (
+    <Card className="mb-4">
+      <Card.Header as="h5">OCRエンジン</Card.Header>
+      <Card.Body>
+        <Form.Group className="mb-3">
+          <Form.Label>使用するOCRエンジン</Form.Label>
+          <Form.Select value={engine} onChange={handleEngineChange} disabled={disabled}>
+            <option value={OCR_ENGINES.AZURE}>Azure Document Intelligence（クラウド）</option>
+            <option value={OCR_ENGINES.TESSERACT}>Tesseract.js（ブラウザ内で処理）</option>
+          </Form.Select>
+        </Form.Group>
+
+        {engine === OCR_ENGINES.TESSERACT && (
+          <>
+            <Alert variant="info">
+              Tesseract.jsは問診票をブラウザ内で処理し、外部に送信しません。
+              手書き文字や選択マーク（チェックボックス）の認識精度はAzureより低くなります。
+            </Alert>
+
+            <Form.Group className="mb-3">
+              <Form.Label>認識言語</Form.Label>
+              <Form.Control
+                type="text"
+                name="languages"
+                placeholder={DEFAULT_TESSERACT_LANGUAGES}
+                value={tesseract.languages || ''}
+                onChange={handleTesseractChange}
+                disabled={disabled}
+              />
+              <Form.Text className="text-muted">
+                「+」区切りで指定します（既定: {DEFAULT_TESSERACT_LANGUAGES}、横書き＋縦書きの日本語）
+              </Form.Text>
+            </Form.Group>
+
+            <Form.Group className="mb-3">
+              <Form.Label>言語データのURL（任意）</Form.Label>
+              <Form.Control
+                type="text"
+                name="langPath"
+                placeholder={DEFAULT_TESSERACT_LANG_PATH}
+                value={tesseract.langPath || ''}
+                onChange={handleTesseractChange}
+                disabled={disabled}
+              />
+              <Form.Text className="text-muted">
+                空欄の場合はこのアプリのサーバーが配信する言語データ（*.traineddata.gz）を使います。別のサーバーに置いた言語データを使う場合に指定してください
+              </Form.Text>
+            </Form.Group>
+
+            <Form.Group className="mb-3">
+              <Form.Label>ワーカーのURL（任意）</Form.Label>
+              <Form.Control
+                type="text"
+                name="workerPath"
+                placeholder={DEFAULT_TESSERACT_WORKER_PATH}
+                value={tesseract.workerPath || ''}
+                onChange={handleTesseractChange}
+                disabled={disabled}
+              />
+            </Form.Group>
+
+            <Form.Group className="mb-3">
+              <Form.Label>OCRエンジン本体（tesseract.js-core）のURL（任意）</Form.Label>
+              <Form.Control
+                type="text"
+                name="corePath"
+                placeholder={DEFAULT_TESSERACT_CORE_PATH}
+                value={tesseract.corePath || ''}
+                onChange={handleTesseractChange}
+                disabled={disabled}
+              />
+              <Form.Text className="text-muted">
+                空欄の場合はこのアプリのサーバー（server.js）が配信するファイルを使います。別のサーバーに置く場合のみ指定してください
+              </Form.Text>
+            </Form.Group>
+          </>
+        )}
+
+        <Form.Group>
+          <Form.Label>要確認とする信頼度</Form.Label>
+          <Form.Select
+            value={getConfidenceThreshold(ocrSettings)}
+            onChange={(e) => onSettingsChange({ ...ocrSettings, confidenceThreshold: Number(e.target.value) })}
+          >
+            {CONFIDENCE_THRESHOLD_OPTIONS.map(threshold => (
+              <option key={threshold} value={threshold}>{Math.round(threshold * 100)}%未満</option>
+            ))}
+          </Form.Select>
+          <Form.Text className="text-muted">
+            OCRの信頼度がこれより低い単語を、原本・OCR行・整形結果のセクションで要確認として表示します
+          </Form.Text>
+        </Form.Group>
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default OcrEngineConfig;
@@ -0,0 +1,96 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { ListGroup, Badge, Form } from 'react-bootstrap';
+
+const lineKey = (pageNumber, lineIndex) => `${pageNumber}-${lineIndex}`;
+
+// 行のテキスト（信頼度の低い部分を強調する）
+const LineContent = ({ line, lowConfidenceLine }) => {
+  if (!lowConfidenceLine) {
+    return line.content;
+  }
+  return lowConfidenceLine.segments.map((segment, index) => (segment.low ? (
+    <mark key={index} className="low-confidence" title={`信頼度 ${Math.round(segment.confidence * 100)}%`}>
+      {segment.text}
+    </mark>
+  ) : (
+    <React.Fragment key={index}>{segment.text}</React.Fragment>
+  )));
+};
+
+// OCRの行をページごとに一覧表示し、原本上のポリゴンと相互にハイライトする
+// 信頼度の低い単語を強調し、それを含む行だけに絞り込める（要確認の一覧）
+const OcrLineList = ({ ocrPages, lowConfidenceLines = [], confidenceThreshold, highlight, onHighlight }) => {
+  const highlightedRef = useRef(null);
+  const [onlyLowConfidence, setOnlyLowConfidence] = useState(false);
+
+  const lowConfidenceByLine = useMemo(
+    () => new Map(lowConfidenceLines.map(line => [lineKey(line.pageNumber, line.lineIndex), line])),
+    [lowConfidenceLines]
+  );
+
+  // 原本側で行がクリックされたら、一覧の該当行までスクロールする
+  useEffect(() => {
+    if (highlight && highlight.source === 'viewer' && highlightedRef.current) {
+      highlightedRef.current.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+  }, [highlight]);
+
+  if (!ocrPages || ocrPages.length === 0) {
+    return <p className="text-muted">行の位置情報がありません</p>;
+  }
+
+  return (
+    <>
+      <div className="d-flex align-items-center mb-2">
+        <Form.Check
+          type="switch"
+          id="ocr-lines-low-confidence"
+          label="要確認の行だけを表示"
+          checked={onlyLowConfidence}
+          onChange={(e) => setOnlyLowConfidence(e.target.checked)}
+          disabled={lowConfidenceLines.length === 0}
+        />
+        <small className="text-muted ms-auto">
+          信頼度{Math.round(confidenceThreshold * 100)}%未満の単語を含む行: {lowConfidenceLines.length}行
+        </small>
+      </div>
+      <div className="ocr-lines border mb-3">
+        {ocrPages.map(page => {
+          const lines = onlyLowConfidence
+            ? page.lines.filter(line => lowConfidenceByLine.has(lineKey(page.pageNumber, line.index)))
+            : page.lines;
+          if (lines.length === 0) {
+            return null;
+          }
+          return (
+            <div key={page.pageNumber}>
+              <div className="px-2 py-1 bg-light border-bottom fw-bold">{page.pageNumber}ページ目</div>
+              <ListGroup variant="flush">
+                {lines.map(line => {
+                  const isHighlighted = Boolean(
+                    highlight && highlight.pageNumber === page.pageNumber && highlight.lineIndex === line.index
+                  );
+                  return (
+                    <ListGroup.Item
+                      key={line.index}
+                      ref={isHighlighted ? highlightedRef : null}
+                      action
+                      active={isHighlighted}
+                      onClick={() => onHighlight({ pageNumber: page.pageNumber, lineIndex: line.index, source: 'list' })}
+                      className="py-1"
+                    >
+                      <Badge bg="light" text="dark" className="me-2">{line.index + 1}</Badge>
+                      <LineContent line={line} lowConfidenceLine={lowConfidenceByLine.get(lineKey(page.pageNumber, line.index))} />
+                    </ListGroup.Item>
+                  );
+                })}
+              </ListGroup>
+            </div>
+          );
+        })}
+      </div>
+    </>
+  );
+};
+
+export default OcrLineList;
@@ -0,0 +1,20 @@
+import React, { useState, useEffect } from 'react';
+import { formatOcrProgress } from '../services/ocrProgress';
+
+// OCRの段階と経過時間（1秒ごとに更新）
+const OcrProgressText = ({ progress }) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  return (
+    <small className="text-muted d-block text-truncate">
+      {formatOcrProgress(progress, Math.max(now, progress.startedAt + progress.elapsedMs))}
+    </small>
+  );
+};
+
+export default OcrProgressText;
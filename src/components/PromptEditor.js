@@ -1,26 +1,233 @@
-import React from 'react';
-import { Form, Card } from 'react-bootstrap';
+import React, { useState, useRef } from 'react';
+import { Form, Card, Button, ButtonGroup, Row, Col, Badge, Alert, InputGroup } from 'react-bootstrap';
+import TemplateVersionHistory from './TemplateVersionHistory';
+import TemplatePreview from './TemplatePreview';
+import {
+  getActiveTemplate,
+  addTemplate,
+  duplicateTemplate,
+  renameTemplate,
+  deleteTemplate,
+  selectTemplate,
+  editTemplateContent,
+  hasUnsavedChanges,
+  saveTemplateVersion,
+  restoreTemplateVersion,
+  exportTemplates,
+  importTemplates
+} from '../services/templateLibrary';
+
+// 診療科ごとにテンプレートをまとめる（診療科なしは「その他」）
+const groupByDepartment = (templates) => templates.reduce((groups, template) => {
+  const department = template.department || 'その他';
+  return { ...groups, [department]: [...(groups[department] || []), template] };
+}, {});
+
+const PromptEditor = ({ library, onLibraryChange, previewVariables, previewFileName, disabled }) => {
+  const [versionNote, setVersionNote] = useState('');
+  const [showHistory, setShowHistory] = useState(false);
+  const [message, setMessage] = useState(null);
+  const importInputRef = useRef(null);
+
+  const template = getActiveTemplate(library);
+  const unsaved = hasUnsavedChanges(template);
+
+  const handleSelect = (e) => {
+    onLibraryChange(selectTemplate(library, e.target.value));
+    setShowHistory(false);
+  };
+
+  const handleAdd = () => {
+    onLibraryChange(addTemplate(library, { name: '新しいテンプレート', department: template.department }));
+  };
+
+  const handleDuplicate = () => {
+    onLibraryChange(duplicateTemplate(library, template.id));
+  };
+
+  const handleDelete = () => {
+    if (library.templates.length <= 1) {
+      return;
+    }
+    if (window.confirm(`テンプレート「${template.name}」を削除しますか？（バージョン履歴も削除されます）`)) {
+      onLibraryChange(deleteTemplate(library, template.id));
+    }
+  };
+
+  const handleRename = (e) => {
+    const { name, value } = e.target;
+    onLibraryChange(renameTemplate(library, template.id, { [name]: value }));
+  };
+
+  const handleContentChange = (e) => {
+    const { name, value } = e.target;
+    onLibraryChange(editTemplateContent(library, template.id, { [name]: value }));
+  };
+
+  const handleSaveVersion = () => {
+    onLibraryChange(saveTemplateVersion(library, template.id, versionNote.trim()));
+    setVersionNote('');
+  };
+
+  const handleRestore = (versionIndex) => {
+    onLibraryChange(restoreTemplateVersion(library, template.id, versionIndex));
+  };
+
+  const handleExport = (ids) => {
+    const blob = new Blob([exportTemplates(library, ids)], { type: 'application/json' });
+    const element = document.createElement('a');
+    element.href = URL.createObjectURL(blob);
+    element.download = ids ? `prompt-template-${template.name}.json` : 'prompt-templates.json';
+    document.body.appendChild(element);
+    element.click();
+    document.body.removeChild(element);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+    try {
+      const { library: updatedLibrary, importedCount } = importTemplates(library, await file.text());
+      onLibraryChange(updatedLibrary);
+      setMessage({ variant: 'success', text: `${importedCount}件のテンプレートを取り込みました` });
+    } catch (error) {
+      setMessage({ variant: 'danger', text: `取り込みに失敗しました: ${error.message}` });
+    }
+  };
+
+  const groups = groupByDepartment(library.templates);
 
-const PromptEditor = ({ prompt, onPromptChange, disabled }) => {
   return (
     <Card className="mb-4">
-      <Card.Header as="h5">LLM プロンプト編集</Card.Header>
+      <Card.Header as="h5">LLM プロンプトテンプレート</Card.Header>
       <Card.Body>
+        <Form.Group className="mb-2">
+          <Form.Label>使用するテンプレート</Form.Label>
+          <Form.Select value={template.id} onChange={handleSelect} disabled={disabled}>
+            {Object.entries(groups).map(([department, templates]) => (
+              <optgroup key={department} label={department}>
+                {templates.map(item => (
+                  <option key={item.id} value={item.id}>{item.name}</option>
+                ))}
+              </optgroup>
+            ))}
+          </Form.Select>
+        </Form.Group>
+
+        <ButtonGroup size="sm" className="mb-3">
+          <Button variant="outline-secondary" onClick={handleAdd} disabled={disabled}>新規</Button>
+          <Button variant="outline-secondary" onClick={handleDuplicate} disabled={disabled}>複製</Button>
+          <Button
+            variant="outline-danger"
+            onClick={handleDelete}
+            disabled={disabled || library.templates.length <= 1}
+          >
+            削除
+          </Button>
+          <Button variant="outline-secondary" onClick={() => handleExport([template.id])}>このテンプレートをエクスポート</Button>
+          <Button variant="outline-secondary" onClick={() => handleExport(null)}>すべてエクスポート</Button>
+          <Button variant="outline-secondary" onClick={() => importInputRef.current.click()} disabled={disabled}>インポート</Button>
+        </ButtonGroup>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleImport}
+          style={{ display: 'none' }}
+        />
+
+        {message && (
+          <Alert variant={message.variant} dismissible onClose={() => setMessage(null)} className="py-2">
+            {message.text}
+          </Alert>
+        )}
+
+        <Row className="mb-3">
+          <Col sm={7}>
+            <Form.Group>
+              <Form.Label>テンプレート名</Form.Label>
+              <Form.Control name="name" value={template.name} onChange={handleRename} disabled={disabled} />
+            </Form.Group>
+          </Col>
+          <Col sm={5}>
+            <Form.Group>
+              <Form.Label>診療科</Form.Label>
+              <Form.Control
+                name="department"
+                placeholder="内科・小児科・健診など"
+                value={template.department}
+                onChange={handleRename}
+                disabled={disabled}
+              />
+            </Form.Group>
+          </Col>
+        </Row>
+
+        <Form.Group className="mb-3">
+          <Form.Label>システムメッセージ</Form.Label>
+          <Form.Control
+            as="textarea"
+            rows={2}
+            name="systemMessage"
+            value={template.systemMessage}
+            onChange={handleContentChange}
+            disabled={disabled}
+          />
+          <Form.Text className="text-muted">
+            LLMの役割や出力の方針を指示します（空欄の場合は既定のメッセージを使用）
+          </Form.Text>
+        </Form.Group>
+
         <Form.Group className="mb-3">
           <Form.Label>プロンプトテンプレート</Form.Label>
           <Form.Control
             as="textarea"
-            rows={5}
-            value={prompt}
-            onChange={(e) => onPromptChange(e.target.value)}
+            rows={8}
+            name="prompt"
+            value={template.prompt}
+            onChange={handleContentChange}
             disabled={disabled}
-            placeholder="ここにLLMへのプロンプトを入力してください。OCRの結果は {'{{OCR_RESULT}}'} として参照できます。"
+            placeholder="ここにLLMへのプロンプトを入力してください。OCRの結果は {'{{OCR_TEXT}}'} として参照できます。"
           />
           <Form.Text className="text-muted">
-            プロンプト内で {'{{OCR_RESULT}}'} と記載された部分はOCR結果に置き換えられます。
-            Local LLMに問診票データの整形方法を指示するプロンプトを記述してください。
+            {'{{OCR_TEXT}}'}（または {'{{OCR_RESULT}}'}）と記載された部分はすべてOCR結果に置き換えられます。
+            表・選択項目・抽出フィールドなどの変数も使えます。
           </Form.Text>
         </Form.Group>
+
+        <TemplatePreview
+          prompt={template.prompt}
+          systemMessage={template.systemMessage}
+          variables={previewVariables}
+          fileName={previewFileName}
+        />
+
+        <InputGroup size="sm" className="mb-2">
+          <Form.Control
+            placeholder="変更内容のメモ（任意）"
+            value={versionNote}
+            onChange={(e) => setVersionNote(e.target.value)}
+            disabled={disabled || !unsaved}
+          />
+          <Button variant="primary" onClick={handleSaveVersion} disabled={disabled || !unsaved}>
+            バージョンとして保存
+          </Button>
+        </InputGroup>
+        <div className="mb-2">
+          {unsaved
+            ? <Badge bg="warning" text="dark">未保存の変更があります</Badge>
+            : <Badge bg="light" text="dark">保存済み</Badge>}
+          <Button variant="link" size="sm" onClick={() => setShowHistory(!showHistory)}>
+            {showHistory ? '履歴を閉じる' : `バージョン履歴（${template.versions.length}件）`}
+          </Button>
+        </div>
+
+        {showHistory && (
+          <TemplateVersionHistory template={template} onRestore={handleRestore} disabled={disabled} />
+        )}
       </Card.Body>
     </Card>
   );
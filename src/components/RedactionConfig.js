@@ -0,0 +1,216 @@
+import React, { useState, useMemo } from 'react';
+import { Form, Card, Button, Table } from 'react-bootstrap';
+import RedactionSummary from './RedactionSummary';
+import {
+  BUILTIN_REDACTION_RULES,
+  PHI_CATEGORIES,
+  PHI_CATEGORY_LABELS,
+  createCustomRule,
+  createRedactor,
+  validateRulePattern
+} from '../services/phiRedaction';
+
+// LLMに送る前の個人情報の仮名化（ルールの有効・無効、カスタムルール、除外語、プレビュー）
+const RedactionConfig = ({ settings, onSettingsChange, previewText, disabled }) => {
+  const [showPreview, setShowPreview] = useState(false);
+  const [sampleText, setSampleText] = useState('');
+  // 入力途中の空行を保つため、除外語は入力中のテキストとして持つ
+  const [exclusionsText, setExclusionsText] = useState(() => (settings.exclusions || []).join('\n'));
+
+  const disabledRuleIds = settings.disabledRuleIds || [];
+  const customRules = settings.customRules || [];
+
+  const toggleBuiltinRule = (ruleId, enabled) => {
+    onSettingsChange({
+      ...settings,
+      disabledRuleIds: enabled
+        ? disabledRuleIds.filter(id => id !== ruleId)
+        : [...disabledRuleIds, ruleId]
+    });
+  };
+
+  const handleCustomRuleChange = (index, name, value) => {
+    onSettingsChange({
+      ...settings,
+      customRules: customRules.map((rule, i) => (i === index ? { ...rule, [name]: value } : rule))
+    });
+  };
+
+  const handleAddCustomRule = () => {
+    onSettingsChange({ ...settings, customRules: [...customRules, createCustomRule()] });
+  };
+
+  const handleRemoveCustomRule = (index) => {
+    onSettingsChange({ ...settings, customRules: customRules.filter((_, i) => i !== index) });
+  };
+
+  const handleExclusionsChange = (e) => {
+    setExclusionsText(e.target.value);
+    onSettingsChange({
+      ...settings,
+      exclusions: e.target.value.split('\n').map(word => word.trim()).filter(Boolean)
+    });
+  };
+
+  // プレビューは入力したテキスト、なければ選択中のファイルのOCR結果で行う
+  const previewSource = sampleText || previewText || '';
+  const preview = useMemo(() => {
+    if (!showPreview || !previewSource) {
+      return null;
+    }
+    const redactor = createRedactor(settings);
+    const maskedText = redactor.redact(previewSource);
+    return { entries: redactor.getEntries(), maskedText };
+  }, [showPreview, previewSource, settings]);
+
+  return (
+    <Card className="mb-4">
+      <Card.Header as="h5">個人情報の仮名化</Card.Header>
+      <Card.Body>
+        <Form.Check
+          type="switch"
+          id="redaction-enabled"
+          label="LLMに送る前に氏名・日付・連絡先などをトークンに置き換える"
+          checked={settings.enabled}
+          onChange={(e) => onSettingsChange({ ...settings, enabled: e.target.checked })}
+          disabled={disabled}
+          className="mb-2"
+        />
+        <Form.Text className="text-muted d-block mb-3">
+          OCRテキストの個人情報を「[NAME_1]」のようなトークンに置き換えてLLMに送り、LLMの出力に含まれるトークンを元の値に戻します。
+          検出は規則に基づくため、すべての個人情報を置き換えられるとは限りません。プレビューで確認してください。
+        </Form.Text>
+
+        {settings.enabled && (
+          <>
+            <Form.Label className="fw-bold">組み込みのルール</Form.Label>
+            {BUILTIN_REDACTION_RULES.map(rule => (
+              <Form.Check
+                key={rule.id}
+                type="checkbox"
+                id={`redaction-rule-${rule.id}`}
+                label={`${PHI_CATEGORY_LABELS[rule.category]}: ${rule.label}`}
+                checked={!disabledRuleIds.includes(rule.id)}
+                onChange={(e) => toggleBuiltinRule(rule.id, e.target.checked)}
+                disabled={disabled}
+              />
+            ))}
+
+            <Form.Label className="fw-bold mt-3">カスタムルール（正規表現・組み込みのルールより優先）</Form.Label>
+            {customRules.length > 0 && (
+              <Table size="sm" className="redaction-rules-table">
+                <thead>
+                  <tr>
+                    <th />
+                    <th>名前</th>
+                    <th>種類</th>
+                    <th>正規表現</th>
+                    <th />
+                  </tr>
+                </thead>
+                <tbody>
+                  {customRules.map((rule, index) => {
+                    const patternError = rule.pattern ? validateRulePattern(rule.pattern) : '';
+                    return (
+                      <tr key={rule.id}>
+                        <td>
+                          <Form.Check
+                            type="checkbox"
+                            aria-label="有効"
+                            checked={rule.enabled !== false}
+                            onChange={(e) => handleCustomRuleChange(index, 'enabled', e.target.checked)}
+                            disabled={disabled}
+                          />
+                        </td>
+                        <td>
+                          <Form.Control
+                            size="sm"
+                            value={rule.label}
+                            onChange={(e) => handleCustomRuleChange(index, 'label', e.target.value)}
+                            placeholder="例: カルテ番号"
+                            disabled={disabled}
+                          />
+                        </td>
+                        <td>
+                          <Form.Select
+                            size="sm"
+                            value={rule.category}
+                            onChange={(e) => handleCustomRuleChange(index, 'category', e.target.value)}
+                            disabled={disabled}
+                          >
+                            {Object.values(PHI_CATEGORIES).map(category => (
+                              <option key={category} value={category}>{PHI_CATEGORY_LABELS[category]}</option>
+                            ))}
+                          </Form.Select>
+                        </td>
+                        <td>
+                          <Form.Control
+                            size="sm"
+                            value={rule.pattern}
+                            onChange={(e) => handleCustomRuleChange(index, 'pattern', e.target.value)}
+                            placeholder="例: (?<=カルテ番号\s*)\d+"
+                            isInvalid={Boolean(patternError)}
+                            disabled={disabled}
+                          />
+                          <Form.Control.Feedback type="invalid">{patternError}</Form.Control.Feedback>
+                        </td>
+                        <td>
+                          <Button
+                            size="sm"
+                            variant="outline-danger"
+                            onClick={() => handleRemoveCustomRule(index)}
+                            disabled={disabled}
+                          >
+                            削除
+                          </Button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </Table>
+            )}
+            <Button variant="outline-secondary" size="sm" className="d-block mb-3" onClick={handleAddCustomRule} disabled={disabled}>
+              ルールを追加
+            </Button>
+
+            <Form.Group className="mb-3" controlId="redaction-exclusions">
+              <Form.Label className="fw-bold">置き換えない語（1行に1つ）</Form.Label>
+              <Form.Control
+                as="textarea"
+                rows={3}
+                value={exclusionsText}
+                onChange={handleExclusionsChange}
+                disabled={disabled}
+              />
+              <Form.Text className="text-muted">
+                医療機関名や「患者様」など、個人情報ではないのに一致してしまう語を指定します
+              </Form.Text>
+            </Form.Group>
+
+            <Button variant="outline-primary" size="sm" className="mb-2" onClick={() => setShowPreview(!showPreview)}>
+              {showPreview ? 'プレビューを閉じる' : 'プレビュー'}
+            </Button>
+            {showPreview && (
+              <>
+                <Form.Control
+                  as="textarea"
+                  rows={4}
+                  className="mb-2"
+                  value={sampleText}
+                  onChange={(e) => setSampleText(e.target.value)}
+                  placeholder={previewText
+                    ? '空欄の場合は選択中のファイルのOCR結果で確認します'
+                    : '確認したいテキストを入力してください（ファイルを処理すると、そのOCR結果でも確認できます）'}
+                />
+                {preview && <RedactionSummary entries={preview.entries} maskedText={preview.maskedText} />}
+              </>
+            )}
+          </>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default RedactionConfig;
@@ -0,0 +1,41 @@
+import React from 'react';
+import { Table } from 'react-bootstrap';
+import { PHI_CATEGORY_LABELS } from '../services/phiRedaction';
+
+// 仮名化で置き換えた値の一覧と、LLMに送ったテキスト
+const RedactionSummary = ({ entries, maskedText }) => {
+  if (!entries || entries.length === 0) {
+    return <p className="text-muted small mb-0">置き換えた個人情報はありません</p>;
+  }
+
+  return (
+    <>
+      <Table size="sm" bordered className="redaction-entries">
+        <thead>
+          <tr>
+            <th>トークン</th>
+            <th>種類</th>
+            <th>元の値</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map(entry => (
+            <tr key={entry.token}>
+              <td><code>{entry.token}</code></td>
+              <td>{PHI_CATEGORY_LABELS[entry.category] || entry.category}</td>
+              <td>{entry.value}</td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+      {maskedText && (
+        <>
+          <div className="small fw-bold">LLMに送るテキスト</div>
+          <pre className="redaction-preview">{maskedText}</pre>
+        </>
+      )}
+    </>
+  );
+};
+
+export default RedactionSummary;
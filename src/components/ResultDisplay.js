@@ -1,7 +1,125 @@
-import React from 'react';
-import { Card, Button, Tabs, Tab, ButtonGroup } from 'react-bootstrap';
+import React, { useState, useEffect, useMemo } from 'react';
+import { Card, Button, Tabs, Tab, ButtonGroup, Alert, Spinner } from 'react-bootstrap';
+import ChartForm from './ChartForm';
+import OcrLineList from './OcrLineList';
+import SelectionMarkList from './SelectionMarkList';
+import RedactionSummary from './RedactionSummary';
+import ResultSectionForm from './ResultSectionForm';
+import CorrectionDiff from './CorrectionDiff';
+import ExportMenu from './ExportMenu';
+import DictionarySuggestions from './DictionarySuggestions';
+import SafetyBanner from './SafetyBanner';
+import SafetyInfo from './SafetyInfo';
+import GroundingReport from './GroundingReport';
+import { chartToText, CHART_SECTIONS } from '../services/chartSchema';
+import { getCorrections, splitResultSections } from '../services/corrections';
+import { findUncertainSections } from '../services/ocrConfidence';
+import { extractSafetyInfo } from '../services/safetyExtractor';
+import { createDictionaryCorrector } from '../services/medicalDictionary';
+import {
+  getGroundingSources,
+  createGroundingIndex,
+  verifyGrounding,
+  groupUngroundedBySection,
+  GROUNDING_STATUS
+} from '../services/groundingVerifier';
+
+const ResultDisplay = ({
+  fileName,
+  ocrResult,
+  llmResult,
+  structuredResult,
+  originalLlmResult,
+  originalStructuredResult,
+  fixedSections,
+  chunkCount,
+  llmWarnings,
+  redaction,
+  dictionaryCorrection,
+  onDictionarySuggestionChange,
+  onRerunLlm,
+  groundingReview,
+  onReviewGrounding,
+  getExportRecords,
+  isLlmRunning,
+  streaming,
+  onCancel,
+  onStructuredResultChange,
+  onLlmResultChange,
+  ocrPages,
+  selectionGroups,
+  lowConfidenceLines,
+  confidenceThreshold,
+  highlight,
+  onHighlight
+}) => {
+  const [activeTab, setActiveTab] = useState('formatted');
+
+  // LLMの出力から医師が修正した内容
+  const corrections = useMemo(
+    () => getCorrections({ originalLlmResult, originalStructuredResult, llmResult, structuredResult }),
+    [originalLlmResult, originalStructuredResult, llmResult, structuredResult]
+  );
+  const correctedCount = corrections ? corrections.stats.changedSectionCount : 0;
+
+  // 整形結果のセクション [{ label, value }]
+  const resultSections = useMemo(() => (structuredResult
+    ? CHART_SECTIONS.map(section => ({ label: section.label, value: structuredResult[section.key] }))
+    : splitResultSections(llmResult).map(section => ({ label: section.label, value: section.body }))
+  ), [structuredResult, llmResult]);
+
+  // OCRの信頼度が低い箇所を含むセクション（セクション名 → 箇所）
+  const uncertainSections = useMemo(
+    () => findUncertainSections(resultSections, lowConfidenceLines || []),
+    [resultSections, lowConfidenceLines]
+  );
+  const uncertainCount = Object.keys(uncertainSections).length;
+
+  // アレルギー・内服薬（辞書補正がある場合は補正後のOCRテキストと比べる）
+  const ocrText = dictionaryCorrection ? dictionaryCorrection.correctedText : ocrResult;
+  const safety = useMemo(() => extractSafetyInfo({
+    ocrText: typeof ocrText === 'string' ? ocrText : '',
+    llmResult,
+    structuredResult
+  }), [ocrText, llmResult, structuredResult]);
+  const safetyCount = safety.allergies.dropped.length + (safety.allergies.statusMismatch ? 1 : 0);
+
+  // 記載ごとの根拠（辞書で補正したOCRの行・選択項目と照合する。照合の準備は編集のたびには作り直さない）
+  const groundingIndex = useMemo(() => createGroundingIndex(getGroundingSources({
+    ocrPages: ocrPages || [],
+    selectionGroups: selectionGroups || [],
+    ocrText: typeof ocrResult === 'string' ? ocrResult : '',
+    correct: createDictionaryCorrector(dictionaryCorrection && dictionaryCorrection.suggestions).correct
+  })), [ocrPages, selectionGroups, ocrResult, dictionaryCorrection]);
+  const groundingResults = useMemo(
+    () => (ocrResult && !isLlmRunning ? verifyGrounding(resultSections, groundingIndex, groundingReview || {}) : []),
+    [ocrResult, isLlmRunning, resultSections, groundingIndex, groundingReview]
+  );
+  const ungroundedSections = useMemo(() => groupUngroundedBySection(groundingResults), [groundingResults]);
+  const ungroundedCount = groundingResults.filter(result => result.status !== GROUNDING_STATUS.SUPPORTED).length;
+
+  const revertAllCorrections = () => {
+    if (structuredResult && originalStructuredResult) {
+      onStructuredResultChange(originalStructuredResult);
+    } else {
+      onLlmResultChange(originalLlmResult);
+    }
+  };
+
+  // LLM処理が始まったら受信中の応答が見えるよう整形済みデータのタブを表示する
+  useEffect(() => {
+    if (isLlmRunning) {
+      setActiveTab('formatted');
+    }
+  }, [isLlmRunning]);
+
+  // 原本側で行・選択マークが選択されたら対応するタブに切り替える
+  useEffect(() => {
+    if (highlight && highlight.source === 'viewer') {
+      setActiveTab(highlight.markIndex !== undefined ? 'marks' : 'lines');
+    }
+  }, [highlight]);
 
-const ResultDisplay = ({ ocrResult, llmResult }) => {
   const copyToClipboard = (text) => {
     navigator.clipboard.writeText(text);
     alert('テキストがクリップボードにコピーされました');
@@ -18,38 +136,122 @@ const ResultDisplay = ({ ocrResult, llmResult }) => {
     document.body.removeChild(element);
   };
 
+  // バッチ処理時にファイルを区別できるよう元のファイル名を接頭辞にする
+  const fileNamePrefix = fileName ? `${fileName.replace(/\.[^.]+$/, '')}-` : '';
+
   // OCR結果をダウンロード
   const downloadOcrResult = () => {
     const content = typeof ocrResult === 'object' ? JSON.stringify(ocrResult, null, 2) : ocrResult;
-    downloadAsTextFile(content, 'ocr-result.txt');
+    downloadAsTextFile(content, `${fileNamePrefix}ocr-result.txt`);
   };
 
+  // 構造化モードではフォームの内容からコピー用テキストを生成する
+  const formattedText = structuredResult ? chartToText(structuredResult) : llmResult;
+
   // LLM結果をダウンロード
   const downloadLlmResult = () => {
-    downloadAsTextFile(llmResult, 'llm-formatted-result.txt');
+    downloadAsTextFile(formattedText, `${fileNamePrefix}llm-formatted-result.txt`);
   };
 
   if (!ocrResult && !llmResult) {
     return null;
   }
 
+  // 表示中のタブが存在しない場合（LLM結果がまだない等）は表示できるタブに切り替える
+  const availableTabs = [
+    (llmResult || isLlmRunning) && 'formatted',
+    !isLlmRunning && corrections && 'corrections',
+    groundingResults.length > 0 && 'grounding',
+    (ocrResult || llmResult) && 'safety',
+    ocrResult && 'lines',
+    ocrResult && 'marks',
+    dictionaryCorrection && 'dictionary',
+    redaction && 'redaction',
+    ocrResult && 'raw'
+  ].filter(Boolean);
+  const currentTab = availableTabs.includes(activeTab) ? activeTab : availableTabs[0];
+
   return (
     <Card className="mb-4">
-      <Card.Header as="h5">処理結果</Card.Header>
+      <Card.Header as="h5">
+        処理結果
+        {fileName && <small className="text-muted ms-2">{fileName}</small>}
+      </Card.Header>
       <Card.Body>
-        <Tabs defaultActiveKey="formatted" className="mb-3">
-          {llmResult && (
+        <SafetyBanner allergies={safety.allergies} checkLlmResult={!isLlmRunning && Boolean(llmResult || structuredResult)} />
+        <Tabs activeKey={currentTab} onSelect={(key) => setActiveTab(key)} className="mb-3">
+          {isLlmRunning && (
+            <Tab eventKey="formatted" title="整形済みデータ">
+              <Card.Title>
+                LLM処理中
+                {streaming && streaming.label && <small className="text-muted ms-2">{streaming.label}</small>}
+              </Card.Title>
+              <div className="border p-3 mb-3 bg-light">
+                {streaming ? (
+                  <pre className="streaming-output">{streaming.text}</pre>
+                ) : (
+                  <div className="text-muted">
+                    <Spinner animation="border" size="sm" className="me-2" />
+                    応答を待っています...
+                  </div>
+                )}
+              </div>
+              <Button variant="outline-warning" onClick={onCancel} className="mb-2">
+                中止
+              </Button>
+            </Tab>
+          )}
+
+          {!isLlmRunning && llmResult && (
             <Tab eventKey="formatted" title="整形済みデータ">
               <Card.Title>LLM処理結果</Card.Title>
+              <p className="text-muted small mb-2">セクションごとに修正できます。コピー・ダウンロードには修正後の内容が使われます。</p>
+              {llmWarnings && llmWarnings.length > 0 && (
+                <Alert variant="warning" className="py-2">
+                  {llmWarnings.map((warning, index) => <div key={index}>{warning}</div>)}
+                </Alert>
+              )}
+              {uncertainCount > 0 && (
+                <Alert variant="danger" className="py-2">
+                  {uncertainCount}つのセクションが、OCRの信頼度が低い箇所に基づいている可能性があります。原本と照らし合わせて確認してください
+                </Alert>
+              )}
+              {ungroundedCount > 0 && (
+                <Alert variant="danger" className="py-2">
+                  {ungroundedCount}件の記載の根拠がOCRテキストに見つかりません。LLMが書き加えた内容でないか「根拠確認」タブで確認してください
+                </Alert>
+              )}
+              {chunkCount > 1 && (
+                <p className="text-muted small mb-2">
+                  長い問診票のため、{chunkCount}つの部分に分けてLLMで処理し、結果を統合しました
+                </p>
+              )}
               <div className="border p-3 mb-3 bg-light">
-                <pre style={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word', maxHeight: '300px', overflow: 'auto' }}>
-                  {llmResult}
-                </pre>
+                {structuredResult ? (
+                  <ChartForm
+                    chart={structuredResult}
+                    onChange={onStructuredResultChange}
+                    fixedSections={fixedSections}
+                    originalChart={originalStructuredResult}
+                    uncertainSections={uncertainSections}
+                    ungroundedSections={ungroundedSections}
+                    onHighlight={onHighlight}
+                  />
+                ) : (
+                  <ResultSectionForm
+                    text={llmResult}
+                    originalText={originalLlmResult}
+                    onChange={onLlmResultChange}
+                    uncertainSections={uncertainSections}
+                    ungroundedSections={ungroundedSections}
+                    onHighlight={onHighlight}
+                  />
+                )}
               </div>
               <ButtonGroup className="mb-2">
                 <Button 
                   variant="primary" 
-                  onClick={() => copyToClipboard(llmResult)}
+                  onClick={() => copyToClipboard(formattedText)}
                 >
                   電子カルテ用にコピー
                 </Button>
@@ -60,9 +262,93 @@ const ResultDisplay = ({ ocrResult, llmResult }) => {
                   テキストファイルでダウンロード
                 </Button>
               </ButtonGroup>
+              <ExportMenu getRecords={getExportRecords} fileNamePrefix={fileNamePrefix} className="ms-2 mb-2" />
             </Tab>
           )}
           
+          {!isLlmRunning && corrections && (
+            <Tab eventKey="corrections" title={correctedCount > 0 ? `修正差分（${correctedCount}）` : '修正差分'}>
+              <Card.Title>LLMの出力からの修正</Card.Title>
+              <p className="text-muted small">
+                修正内容は処理履歴に保存され、テンプレートごとの修正率の集計に使われます。
+              </p>
+              <CorrectionDiff corrections={corrections} onRevertAll={revertAllCorrections} />
+            </Tab>
+          )}
+
+          {groundingResults.length > 0 && (
+            <Tab eventKey="grounding" title={ungroundedCount > 0 ? `根拠確認（根拠なし ${ungroundedCount}）` : '根拠確認'}>
+              <Card.Title>OCRテキストとの照合（クリックすると原本上で根拠の行を表示）</Card.Title>
+              <p className="text-muted small">
+                記載ごとにOCRの行・選択項目と文字の並びを照合しています。OCRテキストに見つからない部分は強調して表示します。
+              </p>
+              <GroundingReport results={groundingResults} onHighlight={onHighlight} onReview={onReviewGrounding} />
+            </Tab>
+          )}
+
+          <Tab
+            eventKey="safety"
+            title={!isLlmRunning && (llmResult || structuredResult) && safetyCount > 0 ? `安全情報（要確認 ${safetyCount}）` : '安全情報'}
+          >
+            <Card.Title>アレルギー・内服薬</Card.Title>
+            <p className="text-muted small">
+              OCRテキストと整形結果から取り出した内容です。処方・検査の前に原本と照らし合わせて確認してください。
+            </p>
+            <SafetyInfo safety={safety} />
+          </Tab>
+
+          {ocrResult && (
+            <Tab
+              eventKey="lines"
+              title={lowConfidenceLines && lowConfidenceLines.length > 0 ? `OCR行（要確認 ${lowConfidenceLines.length}）` : 'OCR行'}
+            >
+              <Card.Title>OCR行（クリックすると原本上で位置を表示）</Card.Title>
+              <OcrLineList
+                ocrPages={ocrPages}
+                lowConfidenceLines={lowConfidenceLines}
+                confidenceThreshold={confidenceThreshold}
+                highlight={highlight}
+                onHighlight={onHighlight}
+              />
+            </Tab>
+          )}
+
+          {ocrResult && (
+            <Tab eventKey="marks" title="選択項目">
+              <Card.Title>選択マーク（設問ごと・クリックすると原本上で位置を表示）</Card.Title>
+              <SelectionMarkList groups={selectionGroups} highlight={highlight} onHighlight={onHighlight} />
+            </Tab>
+          )}
+
+          {dictionaryCorrection && (
+            <Tab
+              eventKey="dictionary"
+              title={`辞書補正（${dictionaryCorrection.suggestions.filter(suggestion => suggestion.accepted).length}/${dictionaryCorrection.suggestions.length}）`}
+            >
+              <Card.Title>医療辞書による補正候補</Card.Title>
+              <p className="text-muted small">
+                採用した候補はLLMに渡すテキストに反映しています。元のOCRテキストはOCR行・OCR生データタブでそのまま確認できます。
+              </p>
+              <DictionarySuggestions
+                correction={dictionaryCorrection}
+                originalText={typeof ocrResult === 'string' ? ocrResult : ''}
+                onChange={onDictionarySuggestionChange}
+                onRerun={onRerunLlm}
+                disabled={isLlmRunning}
+              />
+            </Tab>
+          )}
+
+          {redaction && (
+            <Tab eventKey="redaction" title="仮名化">
+              <Card.Title>LLMに送る前に置き換えた個人情報</Card.Title>
+              <p className="text-muted small">
+                LLMには右のトークンに置き換えたテキストを送り、整形結果のトークンは元の値に戻しています。
+              </p>
+              <RedactionSummary entries={redaction.entries} maskedText={redaction.maskedText} />
+            </Tab>
+          )}
+
           {ocrResult && (
             <Tab eventKey="raw" title="OCR生データ">
               <Card.Title>OCR処理結果（生データ）</Card.Title>
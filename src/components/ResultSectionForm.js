@@ -0,0 +1,63 @@
+import React, { useMemo } from 'react';
+import { Form, Badge, Button } from 'react-bootstrap';
+import UncertainWords from './UncertainWords';
+import UngroundedStatements from './UngroundedStatements';
+import { splitResultSections, joinResultSections } from '../services/corrections';
+
+// テキストの整形結果を【見出し】ごとに編集するフォーム（originalText があればLLMの出力から修正したセクションを示す）
+// uncertainSections（見出し → OCRの信頼度が低い箇所）があれば要確認として、
+// ungroundedSections（見出し → OCRテキストに根拠のない記載）があれば根拠なしとして示す
+const ResultSectionForm = ({
+  text,
+  originalText = '',
+  onChange,
+  uncertainSections = {},
+  ungroundedSections = {},
+  onHighlight
+}) => {
+  const sections = useMemo(() => splitResultSections(text), [text]);
+  const originalSections = useMemo(() => splitResultSections(originalText), [originalText]);
+
+  const handleChange = (index, body) => {
+    onChange(joinResultSections(sections.map((section, i) => (i === index ? { ...section, body } : section))));
+  };
+
+  return (
+    <Form className="chart-form">
+      {sections.map((section, index) => {
+        const original = originalText ? originalSections[index] : null;
+        const isCorrected = original && original.body !== section.body;
+        const uncertainWords = uncertainSections[section.label];
+        const ungroundedStatements = ungroundedSections[section.label];
+        return (
+          <Form.Group className="mb-2" key={index} controlId={`result-section-${index}`}>
+            {section.heading && <Form.Label className="mb-1 fw-bold">{section.heading}</Form.Label>}
+            {isCorrected && <Badge bg="warning" text="dark" className="ms-2 fw-normal">修正済み</Badge>}
+            {uncertainWords && <Badge bg="danger" className="ms-2 fw-normal">OCR要確認</Badge>}
+            {ungroundedStatements && <Badge bg="danger" className="ms-2 fw-normal">根拠なし</Badge>}
+            {isCorrected && (
+              <Button
+                variant="link"
+                size="sm"
+                className="p-0 ms-2 align-baseline"
+                onClick={() => handleChange(index, original.body)}
+              >
+                元に戻す
+              </Button>
+            )}
+            {uncertainWords && <UncertainWords words={uncertainWords} onHighlight={onHighlight} />}
+            {ungroundedStatements && <UngroundedStatements statements={ungroundedStatements} onHighlight={onHighlight} />}
+            <Form.Control
+              as="textarea"
+              rows={Math.min(8, Math.max(1, section.body.split('\n').length))}
+              value={section.body}
+              onChange={(e) => handleChange(index, e.target.value)}
+            />
+          </Form.Group>
+        );
+      })}
+    </Form>
+  );
+};
+
+export default ResultSectionForm;
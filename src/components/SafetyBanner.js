@@ -0,0 +1,38 @@
+import React from 'react';
+import { Alert } from 'react-bootstrap';
+
+const formatAllergen = (allergen) => (allergen.reaction ? `${allergen.substance}（${allergen.reaction}）` : allergen.substance);
+
+// アレルギーの申告がある場合の警告（整形結果で抜け落ちたアレルギーも表示する）
+const SafetyBanner = ({ allergies, checkLlmResult }) => {
+  const dropped = checkLlmResult ? allergies.dropped : [];
+  const statusMismatch = checkLlmResult && allergies.statusMismatch;
+  if (!allergies.declared && dropped.length === 0 && !statusMismatch) {
+    return null;
+  }
+
+  const allergens = [...allergies.llm.allergens, ...allergies.ocr.allergens]
+    .filter((allergen, index, list) => list.findIndex(item => item.substance === allergen.substance) === index);
+
+  return (
+    <Alert variant="danger" className="safety-banner">
+      <Alert.Heading as="div" className="fw-bold">
+        ⚠ アレルギーあり
+        {allergens.length > 0 && `: ${allergens.map(formatAllergen).join('、')}`}
+      </Alert.Heading>
+      {allergens.length === 0 && <div>アレルギーの申告がありますが、内容を読み取れませんでした。原本を確認してください</div>}
+      {statusMismatch && allergies.llm.allergens.length === 0 && (
+        <div>問診票ではアレルギーが申告されていますが、整形結果の【アレルギー】に記載がありません</div>
+      )}
+      {dropped.length > 0 && (
+        <div>
+          OCRテキストにあるアレルギーが整形結果の【アレルギー】に含まれていません:
+          {' '}
+          {dropped.map(allergen => `${formatAllergen(allergen)}${allergen.foundElsewhere ? '（別のセクションに記載）' : ''}`).join('、')}
+        </div>
+      )}
+    </Alert>
+  );
+};
+
+export default SafetyBanner;
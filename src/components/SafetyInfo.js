@@ -0,0 +1,68 @@
+import React from 'react';
+import { Table } from 'react-bootstrap';
+
+const SOURCE_LABELS = { ocr: 'OCR', llm: '整形結果' };
+
+// OCRテキストと整形結果から取り出したアレルゲン・内服薬の一覧
+const SafetyInfo = ({ safety }) => {
+  const allergens = ['llm', 'ocr'].flatMap(source => safety.allergies[source].allergens.map(allergen => ({ ...allergen, source })));
+  const medications = ['llm', 'ocr'].flatMap(source => safety.medications[source].map(medication => ({ ...medication, source })));
+
+  return (
+    <>
+      <div className="small fw-bold">アレルギー</div>
+      {allergens.length > 0 ? (
+        <Table size="sm" bordered className="safety-table">
+          <thead>
+            <tr>
+              <th>物質</th>
+              <th>症状</th>
+              <th>抽出元</th>
+            </tr>
+          </thead>
+          <tbody>
+            {allergens.map((allergen, index) => (
+              <tr key={index}>
+                <td>{allergen.substance}</td>
+                <td>{allergen.reaction}</td>
+                <td>{SOURCE_LABELS[allergen.source]}</td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      ) : (
+        <p className="text-muted small">
+          {safety.allergies.declared ? 'アレルギーの申告がありますが、物質を読み取れませんでした' : 'アレルギーの記載はありません'}
+        </p>
+      )}
+
+      <div className="small fw-bold">内服薬</div>
+      {medications.length > 0 ? (
+        <Table size="sm" bordered className="safety-table">
+          <thead>
+            <tr>
+              <th>薬剤名</th>
+              <th>用量</th>
+              <th>用法</th>
+              <th>抽出元</th>
+            </tr>
+          </thead>
+          <tbody>
+            {medications.map((medication, index) => (
+              <tr key={index}>
+                <td>{medication.name}</td>
+                <td>{medication.dose}</td>
+                <td>{medication.frequency}</td>
+                <td>{SOURCE_LABELS[medication.source]}</td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+      ) : (
+        <p className="text-muted small">内服薬の記載はありません</p>
+      )}
+    </>
+  );
+};
+
+export default SafetyInfo;
@@ -0,0 +1,111 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import LockScreen from './LockScreen';
+import {
+  DEFAULT_IDLE_MINUTES,
+  getLockConfig,
+  isLockEnabled,
+  unlock,
+  lock,
+  enableLock,
+  disableLock,
+  setIdleMinutes,
+  resetSecureStorage
+} from '../services/secureStorage';
+import { resealHistoryEntries, clearHistory } from '../services/historyStore';
+
+// 操作がないかを確認する間隔と、操作とみなすイベント
+const IDLE_CHECK_INTERVAL_MS = 15 * 1000;
+const ACTIVITY_EVENTS = ['mousedown', 'mousemove', 'keydown', 'touchstart', 'wheel', 'scroll'];
+
+// ロックが有効な場合は合言葉を入力するまでアプリを表示しない。
+// ロックするとアプリを破棄するため、画面上の処理結果もメモリから消える
+const SecureGate = ({ children }) => {
+  const [lockEnabled, setLockEnabled] = useState(() => isLockEnabled());
+  const [unlocked, setUnlocked] = useState(() => !isLockEnabled());
+  const [idleMinutes, setIdleMinutesState] = useState(() => {
+    const config = getLockConfig();
+    return (config && config.idleMinutes) || DEFAULT_IDLE_MINUTES;
+  });
+  const lastActivityRef = useRef(Date.now());
+
+  const lockNow = useCallback(() => {
+    lock();
+    setUnlocked(false);
+  }, []);
+
+  // 一定時間操作がなければ自動でロックする
+  useEffect(() => {
+    if (!lockEnabled || !unlocked) {
+      return undefined;
+    }
+
+    lastActivityRef.current = Date.now();
+    const handleActivity = () => {
+      lastActivityRef.current = Date.now();
+    };
+    ACTIVITY_EVENTS.forEach(eventName => window.addEventListener(eventName, handleActivity, { passive: true }));
+    const timer = setInterval(() => {
+      if (Date.now() - lastActivityRef.current >= idleMinutes * 60 * 1000) {
+        lockNow();
+      }
+    }, IDLE_CHECK_INTERVAL_MS);
+
+    return () => {
+      ACTIVITY_EVENTS.forEach(eventName => window.removeEventListener(eventName, handleActivity));
+      clearInterval(timer);
+    };
+  }, [lockEnabled, unlocked, idleMinutes, lockNow]);
+
+  const handleUnlock = async (passphrase) => {
+    await unlock(passphrase);
+    setUnlocked(true);
+  };
+
+  // 合言葉を忘れた場合は、暗号化した設定と処理履歴を消去して初期状態に戻す
+  const handleReset = async () => {
+    resetSecureStorage();
+    try {
+      await clearHistory();
+    } catch (clearError) {
+      console.error('処理履歴の削除に失敗しました:', clearError);
+    }
+    setLockEnabled(false);
+    setUnlocked(true);
+  };
+
+  const security = {
+    enabled: lockEnabled,
+    idleMinutes,
+
+    // 既存の平文の設定と処理履歴を暗号化して保存し直す
+    enable: async (passphrase, minutes) => {
+      await enableLock(passphrase, minutes);
+      await resealHistoryEntries();
+      setIdleMinutesState(minutes);
+      setLockEnabled(true);
+    },
+
+    // 処理履歴を平文に戻してから鍵を破棄する
+    disable: async () => {
+      await disableLock();
+      await resealHistoryEntries();
+      lock();
+      setLockEnabled(false);
+    },
+
+    lock: lockNow,
+
+    setIdleMinutes: (minutes) => {
+      setIdleMinutes(minutes);
+      setIdleMinutesState(minutes);
+    }
+  };
+
+  if (lockEnabled && !unlocked) {
+    return <LockScreen onUnlock={handleUnlock} onReset={handleReset} />;
+  }
+
+  return children(security);
+};
+
+export default SecureGate;
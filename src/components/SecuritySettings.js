@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { Card, Form, Button, ButtonGroup, Alert, Badge, Spinner } from 'react-bootstrap';
+import { MIN_PASSPHRASE_LENGTH } from '../services/secureStorage';
+
+const IDLE_MINUTE_OPTIONS = [5, 15, 30, 60];
+
+// 合言葉によるロック（設定と処理履歴の暗号化・操作がないときの自動ロック）
+const SecuritySettings = ({ security, isProcessing }) => {
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [idleMinutes, setIdleMinutes] = useState(security.idleMinutes);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  const run = async (operation) => {
+    setWorking(true);
+    setError('');
+    try {
+      await operation();
+    } catch (operationError) {
+      console.error('ロックの設定に失敗しました:', operationError);
+      setError(operationError.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setError(`合言葉は${MIN_PASSPHRASE_LENGTH}文字以上にしてください`);
+      return;
+    }
+    if (passphrase !== confirmation) {
+      setError('確認用の合言葉が一致しません');
+      return;
+    }
+    run(async () => {
+      await security.enable(passphrase, idleMinutes);
+      setPassphrase('');
+      setConfirmation('');
+    });
+  };
+
+  const handleDisable = () => {
+    if (window.confirm('ロックを無効にすると、APIキー等の設定と処理履歴を暗号化せずに保存します。よろしいですか？')) {
+      run(security.disable);
+    }
+  };
+
+  const handleLock = () => {
+    if (!isProcessing || window.confirm('処理中のファイルは中止されます。ロックしますか？')) {
+      security.lock();
+    }
+  };
+
+  return (
+    <Card className="mb-4">
+      <Card.Header as="h5">
+        ロック
+        {security.enabled
+          ? <Badge bg="success" className="ms-2">有効</Badge>
+          : <Badge bg="secondary" className="ms-2">無効</Badge>}
+      </Card.Header>
+      <Card.Body>
+        {error && <Alert variant="danger" className="py-2">{error}</Alert>}
+
+        {security.enabled ? (
+          <>
+            <p className="text-muted small">
+              APIキー等の設定と処理履歴は合言葉で暗号化して保存しています。ロックすると画面上の処理結果も消去されます。
+            </p>
+            <Form.Group className="mb-3" controlId="security-idle-minutes">
+              <Form.Label>自動ロック</Form.Label>
+              <Form.Select
+                value={security.idleMinutes}
+                onChange={(e) => security.setIdleMinutes(Number(e.target.value))}
+              >
+                {IDLE_MINUTE_OPTIONS.map(minutes => (
+                  <option key={minutes} value={minutes}>{minutes}分間操作がなければロック</option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+            <ButtonGroup>
+              <Button variant="primary" onClick={handleLock} disabled={working}>
+                今すぐロック
+              </Button>
+              <Button variant="outline-danger" onClick={handleDisable} disabled={working || isProcessing}>
+                {working && <Spinner animation="border" size="sm" className="me-2" />}
+                ロックを無効にする
+              </Button>
+            </ButtonGroup>
+          </>
+        ) : (
+          <Form onSubmit={handleEnable}>
+            <p className="text-muted small">
+              共用の端末では、合言葉を設定してAPIキー等の設定と処理履歴を暗号化してください。
+              合言葉を忘れると保存データは復元できません。
+            </p>
+            <Form.Group className="mb-3" controlId="security-passphrase">
+              <Form.Label>合言葉（{MIN_PASSPHRASE_LENGTH}文字以上）</Form.Label>
+              <Form.Control
+                type="password"
+                autoComplete="new-password"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                disabled={working}
+              />
+            </Form.Group>
+            <Form.Group className="mb-3" controlId="security-passphrase-confirmation">
+              <Form.Label>合言葉（確認）</Form.Label>
+              <Form.Control
+                type="password"
+                autoComplete="new-password"
+                value={confirmation}
+                onChange={(e) => setConfirmation(e.target.value)}
+                disabled={working}
+              />
+            </Form.Group>
+            <Form.Group className="mb-3" controlId="security-new-idle-minutes">
+              <Form.Label>自動ロック</Form.Label>
+              <Form.Select value={idleMinutes} onChange={(e) => setIdleMinutes(Number(e.target.value))} disabled={working}>
+                {IDLE_MINUTE_OPTIONS.map(minutes => (
+                  <option key={minutes} value={minutes}>{minutes}分間操作がなければロック</option>
+                ))}
+              </Form.Select>
+            </Form.Group>
+            <Button type="submit" variant="primary" disabled={working || isProcessing || !passphrase}>
+              {working && <Spinner animation="border" size="sm" className="me-2" />}
+              ロックを有効にする
+            </Button>
+          </Form>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default SecuritySettings;
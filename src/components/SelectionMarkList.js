@@ -0,0 +1,58 @@
+import React, { useEffect, useRef } from 'react';
+import { ListGroup, Badge } from 'react-bootstrap';
+import { CHECKED_SYMBOL } from '../services/layoutAnalysis';
+
+// 選択マークを設問ごとに一覧表示し、原本上のマークと相互にハイライトする
+const SelectionMarkList = ({ groups, highlight, onHighlight }) => {
+  const highlightedRef = useRef(null);
+
+  // 原本側でマークがクリックされたら、一覧の該当設問までスクロールする
+  useEffect(() => {
+    if (highlight && highlight.source === 'viewer' && highlightedRef.current) {
+      highlightedRef.current.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+  }, [highlight]);
+
+  if (!groups || groups.length === 0) {
+    return <p className="text-muted">選択マーク（チェックボックス）は検出されませんでした</p>;
+  }
+
+  const isHighlighted = (group, option) => Boolean(
+    highlight && highlight.pageNumber === group.pageNumber && highlight.markIndex === option.index
+  );
+
+  return (
+    <div className="ocr-lines border mb-3">
+      <ListGroup variant="flush">
+        {groups.map(group => {
+          const containsHighlight = group.options.some(option => isHighlighted(group, option));
+          return (
+            <ListGroup.Item
+              key={`${group.pageNumber}-${group.options[0].index}`}
+              ref={containsHighlight ? highlightedRef : null}
+              className={`py-1${containsHighlight ? ' bg-light' : ''}`}
+            >
+              <span className="fw-bold me-2">{group.question || '（設問不明）'}</span>
+              {group.options.map(option => (
+                <Badge
+                  key={option.index}
+                  bg={option.state === 'selected' ? 'success' : 'light'}
+                  text={option.state === 'selected' ? undefined : 'dark'}
+                  className={`me-1 selection-option${isHighlighted(group, option) ? ' highlighted' : ''}`}
+                  role="button"
+                  onClick={() => onHighlight({ pageNumber: group.pageNumber, markIndex: option.index, source: 'list' })}
+                >
+                  {option.label || '（ラベルなし）'}
+                  {option.state === 'selected' && ` ${CHECKED_SYMBOL}`}
+                </Badge>
+              ))}
+              <small className="text-muted ms-1">{group.pageNumber}ページ目</small>
+            </ListGroup.Item>
+          );
+        })}
+      </ListGroup>
+    </div>
+  );
+};
+
+export default SelectionMarkList;
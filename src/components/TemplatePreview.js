@@ -0,0 +1,86 @@
+import React, { useState, useMemo } from 'react';
+import { Alert, Button, Table } from 'react-bootstrap';
+import { TEMPLATE_VARIABLES, validateTemplate, renderTemplate } from '../services/templateEngine';
+
+// テンプレートの検証結果、使える変数の一覧、選択中のOCR結果でのプレビュー
+const TemplatePreview = ({ prompt, systemMessage, variables, fileName }) => {
+  const [showVariables, setShowVariables] = useState(false);
+  const [showPreview, setShowPreview] = useState(false);
+
+  const validation = useMemo(() => {
+    const results = [
+      { label: 'システムメッセージ', ...validateTemplate(systemMessage, variables) },
+      { label: 'プロンプト', ...validateTemplate(prompt, variables) }
+    ];
+    return {
+      errors: results.flatMap(result => result.errors.map(message => `${result.label}: ${message}`)),
+      warnings: results.flatMap(result => result.warnings.map(message => `${result.label}: ${message}`))
+    };
+  }, [prompt, systemMessage, variables]);
+
+  const preview = useMemo(() => {
+    if (!showPreview || !variables || validation.errors.length > 0) {
+      return null;
+    }
+    return {
+      systemMessage: renderTemplate(systemMessage, variables),
+      prompt: renderTemplate(prompt, variables)
+    };
+  }, [showPreview, prompt, systemMessage, variables, validation]);
+
+  return (
+    <div className="mb-3">
+      {validation.errors.length > 0 && (
+        <Alert variant="danger" className="py-2 mb-2">
+          {validation.errors.map(message => <div key={message}>{message}</div>)}
+        </Alert>
+      )}
+      {validation.warnings.length > 0 && (
+        <Alert variant="warning" className="py-2 mb-2">
+          {validation.warnings.map(message => <div key={message}>{message}</div>)}
+        </Alert>
+      )}
+
+      <Button variant="link" size="sm" className="ps-0" onClick={() => setShowVariables(!showVariables)}>
+        {showVariables ? '変数一覧を閉じる' : '使える変数'}
+      </Button>
+      <Button variant="link" size="sm" onClick={() => setShowPreview(!showPreview)}>
+        {showPreview ? 'プレビューを閉じる' : 'プレビュー'}
+      </Button>
+
+      {showVariables && (
+        <>
+          <Table size="sm" bordered className="template-variables mb-1">
+            <tbody>
+              {TEMPLATE_VARIABLES.map(variable => (
+                <tr key={variable.name}>
+                  <td><code>{`{{${variable.name}}}`}</code></td>
+                  <td>{variable.description}</td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+          <small className="text-muted d-block mb-2">
+            {'{{#if 変数}}…{{else}}…{{/if}} で条件分岐、{{#each 変数}}…{{/each}} で繰り返しができます（中では {{this}} と {{@index}} を参照）。'}
+          </small>
+        </>
+      )}
+
+      {showPreview && (
+        variables ? (
+          preview && (
+            <div>
+              <small className="text-muted">{fileName} のOCR結果で展開（長い文書はOCR_TEXTが分割されます）</small>
+              <pre className="prompt-preview border">{preview.systemMessage}</pre>
+              <pre className="prompt-preview border">{preview.prompt}</pre>
+            </div>
+          )
+        ) : (
+          <small className="text-muted d-block">OCR処理済みのファイルを選択すると、そのOCR結果でプレビューできます</small>
+        )
+      )}
+    </div>
+  );
+};
+
+export default TemplatePreview;
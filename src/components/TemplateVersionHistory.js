@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { ListGroup, Button, ButtonGroup } from 'react-bootstrap';
+import TextDiffView from './TextDiffView';
+
+// テンプレートのバージョン履歴（新しい順）。現在の内容との差分表示と復元ができる
+const TemplateVersionHistory = ({ template, onRestore, disabled }) => {
+  const [diffIndex, setDiffIndex] = useState(null);
+
+  const versions = template.versions
+    .map((version, index) => ({ ...version, index }))
+    .reverse();
+
+  return (
+    <ListGroup className="template-versions mb-3">
+      {versions.map(version => (
+        <ListGroup.Item key={version.index} className="py-2">
+          <div className="d-flex justify-content-between align-items-center">
+            <div>
+              <small className="text-muted">{new Date(version.savedAt).toLocaleString()}</small>
+              {version.note && <span className="ms-2">{version.note}</span>}
+            </div>
+            <ButtonGroup size="sm">
+              <Button
+                variant="outline-secondary"
+                onClick={() => setDiffIndex(diffIndex === version.index ? null : version.index)}
+              >
+                {diffIndex === version.index ? '差分を閉じる' : '現在との差分'}
+              </Button>
+              <Button
+                variant="outline-primary"
+                onClick={() => {
+                  onRestore(version.index);
+                  setDiffIndex(null);
+                }}
+                disabled={disabled}
+              >
+                復元
+              </Button>
+            </ButtonGroup>
+          </div>
+          {diffIndex === version.index && (
+            <div className="mt-2">
+              <div className="small fw-bold">システムメッセージ</div>
+              <TextDiffView before={version.systemMessage} after={template.systemMessage} />
+              <div className="small fw-bold">プロンプト</div>
+              <TextDiffView before={version.prompt} after={template.prompt} />
+            </div>
+          )}
+        </ListGroup.Item>
+      ))}
+    </ListGroup>
+  );
+};
+
+export default TemplateVersionHistory;
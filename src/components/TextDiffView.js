@@ -0,0 +1,25 @@
+import React from 'react';
+import { diffLines, DIFF_TYPES } from '../services/textDiff';
+
+const PREFIX = {
+  [DIFF_TYPES.EQUAL]: ' ',
+  [DIFF_TYPES.ADDED]: '+',
+  [DIFF_TYPES.REMOVED]: '-'
+};
+
+// 2つのテキストの行単位の差分を表示する
+const TextDiffView = ({ before, after }) => {
+  const diff = diffLines(before, after);
+
+  return (
+    <pre className="text-diff border mb-2">
+      {diff.flatMap((part, partIndex) => part.lines.map((line, lineIndex) => (
+        <div key={`${partIndex}-${lineIndex}`} className={`text-diff-${part.type}`}>
+          {PREFIX[part.type]} {line}
+        </div>
+      )))}
+    </pre>
+  );
+};
+
+export default TextDiffView;
@@ -0,0 +1,23 @@
+import React from 'react';
+import { Button } from 'react-bootstrap';
+
+// セクションが基づいている可能性のある、OCRの信頼度が低い箇所（クリックすると原本上で位置を表示）
+const UncertainWords = ({ words, onHighlight }) => (
+  <div className="small text-danger mb-1">
+    OCR要確認:
+    {words.map((word, index) => (
+      <Button
+        key={index}
+        variant="link"
+        size="sm"
+        className="p-0 ms-2 align-baseline text-danger"
+        title={`${word.pageNumber}ページ目 ${word.lineIndex + 1}行目`}
+        onClick={() => onHighlight({ pageNumber: word.pageNumber, lineIndex: word.lineIndex, source: 'list' })}
+      >
+        {word.text}（{Math.round(word.confidence * 100)}%）
+      </Button>
+    ))}
+  </div>
+);
+
+export default UncertainWords;
@@ -0,0 +1,28 @@
+import React from 'react';
+import { Button } from 'react-bootstrap';
+
+// セクションの記載のうち、OCRテキストに根拠を確認できなかったもの（クリックすると原本上で近い行を表示）
+const UngroundedStatements = ({ statements, onHighlight }) => (
+  <div className="small text-danger mb-1">
+    根拠なし:
+    {statements.map(statement => {
+      const location = statement.sources.length > 0 ? statement.sources[0].location : null;
+      return location ? (
+        <Button
+          key={statement.id}
+          variant="link"
+          size="sm"
+          className="p-0 ms-2 align-baseline text-danger"
+          title={statement.sources[0].content}
+          onClick={() => onHighlight({ ...location, source: 'list' })}
+        >
+          {statement.text}
+        </Button>
+      ) : (
+        <span key={statement.id} className="ms-2">{statement.text}</span>
+      );
+    })}
+  </div>
+);
+
+export default UngroundedStatements;
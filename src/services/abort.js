@@ -0,0 +1,60 @@
+/**
+ * 処理の中止（AbortSignal）に関する共通処理
+ */
+
+export const ABORT_MESSAGE = '処理を中止しました';
+
+/**
+ * 中止を表すエラーを作成する
+ * @returns {Error} - name が AbortError のエラー
+ */
+export const createAbortError = () => {
+  const error = new Error(ABORT_MESSAGE);
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * 中止によるエラーか（fetch の AbortError と axios の CanceledError の両方を判定する）
+ * @param {*} error - エラー
+ * @returns {boolean}
+ */
+export const isAbortError = (error) => Boolean(error) && (
+  error.name === 'AbortError' || error.name === 'CanceledError' || error.code === 'ERR_CANCELED'
+);
+
+/**
+ * 中止されていればエラーを投げる
+ * @param {AbortSignal} [signal] - 中止シグナル
+ */
+export const throwIfAborted = (signal) => {
+  if (signal && signal.aborted) {
+    throw createAbortError();
+  }
+};
+
+/**
+ * 指定時間待つ（待機中に中止されたら AbortError で終了する）
+ * @param {number} ms - 待機時間（ミリ秒）
+ * @param {AbortSignal} [signal] - 中止シグナル
+ * @returns {Promise<void>}
+ */
+export const delay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(createAbortError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  const timer = setTimeout(() => {
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+    resolve();
+  }, ms);
+  if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+});
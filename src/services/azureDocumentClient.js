@@ -0,0 +1,646 @@
+/**
+ * Azure Document Intelligence / Form Recognizer クライアント
+ * エンドポイントごとに利用できるAPIファミリー（パスとapi-versionの組み合わせ）を一度だけ判定してキャッシュし、
+ * 以降はそのファミリーだけを使って解析・ポーリングを行う
+ */
+import axios from 'axios';
+import { PROXY_OCR_URL, PROXY_OCR_MODELS_URL, documentAuthHeaders } from './proxyService';
+import { OCR_STAGES } from './ocrProgress';
+import { createAbortError, isAbortError, throwIfAborted, delay } from './abort';
+
+/**
+ * APIファミリーの定義（判定時はこの順に試す）
+ * v3系はモデルIDをパスに含む documentModels/{modelId}:analyze、
+ * v2.1はレイアウトとカスタムモデルでパスが異なる
+ */
+export const API_FAMILIES = [
+  {
+    id: 'documentintelligence-2024-11-30',
+    label: 'Document Intelligence (2024-11-30)',
+    apiVersion: '2024-11-30',
+    modelsPath: 'documentintelligence/documentModels',
+    analyzePath: (modelId) => `documentintelligence/documentModels/${encodeURIComponent(modelId)}:analyze`
+  },
+  {
+    id: 'formrecognizer-2023-07-31',
+    label: 'Form Recognizer (2023-07-31)',
+    apiVersion: '2023-07-31',
+    modelsPath: 'formrecognizer/documentModels',
+    analyzePath: (modelId) => `formrecognizer/documentModels/${encodeURIComponent(modelId)}:analyze`
+  },
+  {
+    id: 'formrecognizer-2022-08-31',
+    label: 'Form Recognizer (2022-08-31)',
+    apiVersion: '2022-08-31',
+    modelsPath: 'formrecognizer/documentModels',
+    analyzePath: (modelId) => `formrecognizer/documentModels/${encodeURIComponent(modelId)}:analyze`
+  },
+  {
+    id: 'formrecognizer-v2.1',
+    label: 'Form Recognizer v2.1',
+    apiVersion: null,
+    modelsPath: 'formrecognizer/v2.1/custom/models',
+    analyzePath: (modelId) => (modelId === DEFAULT_MODEL_ID
+      ? 'formrecognizer/v2.1/layout/analyze'
+      : `formrecognizer/v2.1/custom/models/${encodeURIComponent(modelId)}/analyze`)
+  }
+];
+
+export const DEFAULT_MODEL_ID = 'prebuilt-layout';
+
+// ポーリング間隔（Retry-After がない場合）と、結果を待つ最大時間
+const POLL_INTERVAL_MS = 1000;
+const POLL_TIMEOUT_MS = 3 * 60 * 1000;
+// 429（レート制限）時の待機（Retry-After がない場合）と再試行回数、Retry-After の上限
+const RATE_LIMIT_WAIT_MS = 10000;
+const MAX_RATE_LIMIT_RETRIES = 3;
+const MAX_RETRY_AFTER_MS = 60000;
+
+// 判定結果（エンドポイント → ファミリー）と判定中のPromise
+const familyCache = new Map();
+const discoveryInFlight = new Map();
+
+/**
+ * エンドポイントの末尾スラッシュを除く
+ * @param {string} endpoint - エンドポイント
+ * @returns {string} - 正規化したエンドポイント
+ */
+export const normalizeEndpoint = (endpoint) => (endpoint || '').trim().replace(/\/+$/, '');
+
+/**
+ * モデルIDを決定する（空白の場合は prebuilt-layout）
+ * @param {Object} config - Azure設定
+ * @returns {string} - モデルID
+ */
+export const resolveModelId = (config) => (
+  config.modelId && config.modelId.trim() !== '' ? config.modelId.trim() : DEFAULT_MODEL_ID
+);
+
+/**
+ * ファミリーのURLを組み立てる
+ * @param {string} endpoint - 正規化済みエンドポイント
+ * @param {string} path - APIパス
+ * @param {Object} family - APIファミリー
+ * @param {Object} [query] - 追加のクエリパラメータ
+ * @returns {string} - URL
+ */
+const buildFamilyUrl = (endpoint, path, family, query = {}) => {
+  const params = new URLSearchParams();
+  if (family.apiVersion) {
+    params.append('api-version', family.apiVersion);
+  }
+  Object.entries(query).forEach(([key, value]) => params.append(key, value));
+  const queryString = params.toString();
+  return `${endpoint}/${path}${queryString ? `?${queryString}` : ''}`;
+};
+
+/**
+ * モデル詳細APIのパスを組み立てる（モデルIDは必ずエンコードする）
+ * @param {Object} family - APIファミリー
+ * @param {string} modelId - モデルID
+ * @returns {string} - APIパス
+ */
+const modelPath = (family, modelId) => `${family.modelsPath}/${encodeURIComponent(modelId)}`;
+
+// v2.1 は応答の形式が異なる
+const isLegacyFamily = (family) => Boolean(family) && !family.apiVersion;
+
+/**
+ * ファイルからContent-Typeを取得する
+ * @param {File} file - ファイル
+ * @returns {string} - Content-Type
+ */
+export const getContentTypeFromFile = (file) => {
+  // ファイル自体のtype属性があればそれを使用
+  if (file.type) {
+    return file.type;
+  }
+
+  // 拡張子からContent-Typeを推測
+  const ext = file.name.toLowerCase().split('.').pop();
+  const mimeTypes = {
+    'pdf': 'application/pdf',
+    'jpg': 'image/jpeg',
+    'jpeg': 'image/jpeg',
+    'png': 'image/png',
+    'tif': 'image/tiff',
+    'tiff': 'image/tiff',
+    'bmp': 'image/bmp',
+    'heif': 'image/heif',
+    'gif': 'image/gif'
+  };
+
+  return mimeTypes[ext] || 'application/octet-stream';
+};
+
+/**
+ * ファイルをArrayBufferとして読み込む
+ * @param {File} file - ファイル
+ * @returns {Promise<ArrayBuffer>} - ArrayBuffer
+ */
+const readFileAsArrayBuffer = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = reject;
+  reader.readAsArrayBuffer(file);
+});
+
+/**
+ * 設定に保存されたファミリー、またはメモリ上のキャッシュを取得する
+ * @param {Object} config - Azure設定
+ * @returns {Object|null} - APIファミリー
+ */
+export const getCachedApiFamily = (config) => {
+  const endpoint = normalizeEndpoint(config.endpoint);
+  if (familyCache.has(endpoint)) {
+    return familyCache.get(endpoint);
+  }
+  if (config.apiFamily && config.apiFamily.endpoint === endpoint) {
+    const family = API_FAMILIES.find(item => item.id === config.apiFamily.id);
+    if (family) {
+      familyCache.set(endpoint, family);
+      return family;
+    }
+  }
+  return null;
+};
+
+/**
+ * キャッシュを破棄する（エンドポイントの設定変更やAPIの404時）
+ * @param {string} endpoint - エンドポイント
+ */
+export const clearApiFamilyCache = (endpoint) => {
+  familyCache.delete(normalizeEndpoint(endpoint));
+};
+
+/**
+ * エンドポイントで利用できるAPIファミリーを判定する
+ * モデル一覧の取得（GET）で判定するため、ファイルを何度も送信することはない
+ * @param {Object} config - Azure設定
+ * @param {Object} [options] - オプション
+ * @param {boolean} [options.force=false] - キャッシュを無視して判定し直す
+ * @returns {Promise<Object>} - { family, models }
+ */
+export const discoverApiFamily = async (config, { force = false } = {}) => {
+  const endpoint = normalizeEndpoint(config.endpoint);
+
+  if (!force) {
+    const cached = getCachedApiFamily(config);
+    if (cached) {
+      return { family: cached, models: null };
+    }
+  }
+
+  // 同じエンドポイントへの判定が進行中なら、その結果を待つ（バッチ処理時の重複を防ぐ）
+  if (discoveryInFlight.has(endpoint)) {
+    return discoveryInFlight.get(endpoint);
+  }
+
+  const discovery = (async () => {
+    let lastError = null;
+    for (const family of API_FAMILIES) {
+      const url = buildFamilyUrl(endpoint, family.modelsPath, family);
+      try {
+        console.log(`APIファミリー判定: ${family.label}`);
+        const response = await axios.get(url, { headers: documentAuthHeaders(config) });
+        familyCache.set(endpoint, family);
+        console.log(`APIファミリーを決定しました: ${family.label}`);
+        return { family, models: response.data };
+      } catch (error) {
+        lastError = error;
+        // 認証エラーはどのファミリーでも同じ結果になるため打ち切る
+        if (error.response && error.response.status === 401) {
+          break;
+        }
+      }
+    }
+    throw new Error(`利用できるAzure APIが見つかりませんでした: ${lastError ? lastError.message : '不明なエラー'}`);
+  })();
+
+  discoveryInFlight.set(endpoint, discovery);
+  try {
+    return await discovery;
+  } finally {
+    discoveryInFlight.delete(endpoint);
+  }
+};
+
+/**
+ * Retry-After ヘッダー（秒数またはHTTP日付）をミリ秒にする
+ * @param {string} value - ヘッダーの値
+ * @param {number} [now] - 現在時刻
+ * @returns {number|null} - 待機時間（解釈できない場合は null）
+ */
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+// 応答の Retry-After に従った待機時間（ない場合は fallback、長すぎる値は上限で切る）
+const getRetryDelay = (response, fallback) => {
+  const retryAfter = parseRetryAfter(response && response.headers && response.headers['retry-after']);
+  return retryAfter === null ? fallback : Math.min(retryAfter, MAX_RETRY_AFTER_MS);
+};
+
+const isRateLimited = (error) => Boolean(error.response && error.response.status === 429);
+
+// ポーリングを始めてからの時間が上限を超えたらエラーにする（レート制限が続く場合も含む）
+const throwIfPollTimedOut = (startedAt) => {
+  if (Date.now() - startedAt >= POLL_TIMEOUT_MS) {
+    throw new Error('OCR処理がタイムアウトしました。大きなファイルや複数ページのPDFであるため、時間がかかっている可能性があります。');
+  }
+};
+
+/**
+ * 解析結果をポーリングする（間隔は Retry-After に従う）
+ * @param {string} resultUrl - Operation-Location
+ * @param {Object} config - Azure設定
+ * @param {Object} options - { signal, onProgress, initialDelay }
+ * @returns {Promise<Object>} - 結果のレスポンスデータ
+ */
+const pollForResult = async (resultUrl, config, { signal, onProgress, initialDelay }) => {
+  console.log('結果をポーリング中...', resultUrl);
+  const startedAt = Date.now();
+  let waitMs = initialDelay;
+
+  for (let attempt = 1; ; attempt++) {
+    await delay(waitMs, signal);
+
+    let response;
+    try {
+      response = await axios.get(resultUrl, { headers: documentAuthHeaders(config), signal });
+    } catch (error) {
+      if (!isRateLimited(error)) {
+        throw error;
+      }
+      throwIfPollTimedOut(startedAt);
+      waitMs = getRetryDelay(error.response, RATE_LIMIT_WAIT_MS);
+      onProgress(OCR_STAGES.POLL, { status: 'throttled', attempt, waitMs });
+      continue;
+    }
+
+    const status = response.data.status;
+    console.log(`ポーリング状態: ${status}, 試行: ${attempt}`);
+
+    if (status === 'succeeded') {
+      return response.data;
+    }
+    if (status === 'failed') {
+      const detail = response.data.error || response.data.errors || response.data.analyzeResult?.errors;
+      throw new Error(`OCR処理に失敗しました: ${detail?.message || JSON.stringify(detail || {})}`);
+    }
+    throwIfPollTimedOut(startedAt);
+
+    onProgress(OCR_STAGES.POLL, { status, attempt });
+    waitMs = getRetryDelay(response, POLL_INTERVAL_MS);
+  }
+};
+
+/**
+ * 解析リクエストを送信し、結果が出るまで待つ
+ * @param {string} url - 解析APIのURL
+ * @param {ArrayBuffer} fileBuffer - ファイルの内容
+ * @param {string} contentType - Content-Type
+ * @param {Object} config - Azure設定
+ * @param {Object} options - { signal, onProgress }
+ * @returns {Promise<Object>} - 結果のレスポンスデータ
+ */
+const submitAndPoll = async (url, fileBuffer, contentType, config, { signal, onProgress }) => {
+  let response;
+  for (let attempt = 0; ; attempt++) {
+    onProgress(OCR_STAGES.UPLOAD, { percent: 0 });
+    try {
+      response = await axios.post(url, fileBuffer, {
+        headers: {
+          'Content-Type': contentType,
+          ...documentAuthHeaders(config)
+        },
+        signal,
+        onUploadProgress: (event) => {
+          // 送信し終えたら、Azureが受け付けるまでは依頼中とする
+          if (event.total && event.loaded >= event.total) {
+            onProgress(OCR_STAGES.ANALYZE);
+          } else if (event.total) {
+            onProgress(OCR_STAGES.UPLOAD, { percent: Math.round((event.loaded / event.total) * 100) });
+          }
+        }
+      });
+      break;
+    } catch (error) {
+      if (!isRateLimited(error) || attempt >= MAX_RATE_LIMIT_RETRIES) {
+        throw error;
+      }
+      const waitMs = getRetryDelay(error.response, RATE_LIMIT_WAIT_MS);
+      console.log(`レート制限のため ${waitMs / 1000} 秒後に再送信します`);
+      onProgress(OCR_STAGES.ANALYZE, { status: 'throttled', attempt: attempt + 1, waitMs });
+      await delay(waitMs, signal);
+    }
+  }
+
+  const operationLocation = response.headers['operation-location'];
+  if (!operationLocation) {
+    throw new Error('Azure APIから操作場所（Operation-Location）を取得できませんでした。');
+  }
+
+  onProgress(OCR_STAGES.POLL, { status: 'notStarted' });
+  return pollForResult(operationLocation, config, {
+    signal,
+    onProgress,
+    initialDelay: getRetryDelay(response, POLL_INTERVAL_MS)
+  });
+};
+
+/**
+ * Azure Document Intelligence でドキュメントを解析する
+ * @param {File} file - 処理するファイル
+ * @param {Object} config - Azure設定（endpoint, apiKey, modelId, useProxy, apiFamily）
+ * @param {Object} [options] - オプション
+ * @param {AbortSignal} [options.signal] - 中止シグナル（送信・待機・ポーリングのどの段階でも中止できる）
+ * @param {Function} [options.onProgress] - 段階が進むたびに (stage, details) で呼ばれる（OCR_STAGES）
+ * @returns {Promise<Object>} - { modelId, apiUrl, apiFamily, analyzeResult }
+ */
+export const analyzeDocument = async (file, config, { signal, onProgress = () => {} } = {}) => {
+  if (!config || (!config.useProxy && (!config.endpoint || !config.apiKey))) {
+    throw new Error('Azure設定が不完全です。エンドポイントとAPIキーを入力してください。');
+  }
+
+  const modelId = resolveModelId(config);
+  const contentType = getContentTypeFromFile(file);
+  const isPdf = contentType.includes('pdf');
+
+  console.log('ドキュメント処理を開始...', {
+    fileName: file.name,
+    fileSize: file.size,
+    fileType: contentType,
+    modelId
+  });
+
+  onProgress(OCR_STAGES.UPLOAD, { percent: 0 });
+  const fileBuffer = await readFileAsArrayBuffer(file);
+  const requestOptions = { signal, onProgress };
+
+  try {
+    throwIfAborted(signal);
+    // プロキシ経由の場合はサーバー側でパスとバージョンが決まる
+    if (config.useProxy) {
+      const params = new URLSearchParams({ modelId });
+      if (isPdf) {
+        params.append('pages', '1-');
+      }
+      const apiUrl = `${PROXY_OCR_URL}?${params.toString()}`;
+      const result = await submitAndPoll(apiUrl, fileBuffer, contentType, config, requestOptions);
+      return { modelId, apiUrl, apiFamily: null, analyzeResult: result.analyzeResult };
+    }
+
+    const endpoint = normalizeEndpoint(config.endpoint);
+    const analyzeWith = async (family) => {
+      // PDFの場合はすべてのページを処理（v2.1 はページ指定なしで全ページ）
+      const query = isPdf && family.apiVersion ? { pages: '1-' } : {};
+      const apiUrl = buildFamilyUrl(endpoint, family.analyzePath(modelId), family, query);
+      console.log('解析APIを呼び出します:', apiUrl);
+      const result = await submitAndPoll(apiUrl, fileBuffer, contentType, config, requestOptions);
+      return {
+        modelId,
+        apiUrl,
+        apiFamily: { endpoint, id: family.id },
+        analyzeResult: result.analyzeResult
+      };
+    };
+
+    const { family } = await discoverApiFamily(config);
+    try {
+      return await analyzeWith(family);
+    } catch (error) {
+      // キャッシュしたファミリーが使えなくなった場合（リソースの更新など）は一度だけ判定し直す
+      if (error.response && error.response.status === 404) {
+        console.log('解析APIが見つからないため、APIファミリーを判定し直します');
+        clearApiFamilyCache(endpoint);
+        const { family: rediscovered } = await discoverApiFamily(config, { force: true });
+        if (rediscovered.id !== family.id) {
+          return await analyzeWith(rediscovered);
+        }
+      }
+      throw error;
+    }
+  } catch (error) {
+    if (isAbortError(error)) {
+      throw createAbortError();
+    }
+    console.error('Azure処理エラー:', error);
+    if (error.response) {
+      console.log('エラー詳細:', {
+        status: error.response.status,
+        data: JSON.stringify(error.response.data)
+      });
+    }
+    const detail = error.response?.data?.error?.message || error.message;
+    throw new Error(`ドキュメント処理中にエラーが発生しました: ${detail}`);
+  }
+};
+
+/**
+ * モデル一覧の応答を共通の形に揃える
+ * @param {Object} data - 応答データ
+ * @param {Object|null} family - APIファミリー（プロキシ経由の場合は null）
+ * @returns {Array<Object>} - [{ modelId, description, createdDateTime }]
+ */
+const normalizeModelList = (data, family) => {
+  const models = isLegacyFamily(family)
+    ? (data.modelList || []).map(model => ({
+      modelId: model.modelId,
+      description: model.modelName || '',
+      createdDateTime: model.createdDateTime
+    }))
+    : (data.value || data.models || []).map(model => ({
+      modelId: model.modelId,
+      description: model.description || '',
+      createdDateTime: model.createdDateTime
+    }));
+  return models.filter(model => model.modelId);
+};
+
+/**
+ * フィールドスキーマを平坦なリストにする（オブジェクト・配列の子要素はパスで表す）
+ * @param {Object} fieldSchema - docTypes[].fieldSchema
+ * @param {string} [prefix] - 親フィールドのパス
+ * @returns {Array<Object>} - [{ name, type, description }]
+ */
+export const flattenFieldSchema = (fieldSchema, prefix = '') => (
+  Object.entries(fieldSchema || {}).flatMap(([name, field]) => {
+    const path = prefix ? `${prefix}.${name}` : name;
+    const entry = { name: path, type: field.type || '', description: field.description || '' };
+    if (field.type === 'object') {
+      return [entry, ...flattenFieldSchema(field.properties, path)];
+    }
+    if (field.type === 'array' && field.items && field.items.type === 'object') {
+      return [entry, ...flattenFieldSchema(field.items.properties, `${path}[]`)];
+    }
+    return [entry];
+  })
+);
+
+/**
+ * モデル詳細の応答を共通の形に揃える
+ * @param {Object} data - 応答データ
+ * @param {Object|null} family - APIファミリー（プロキシ経由の場合は null）
+ * @returns {Object} - { modelId, description, createdDateTime, apiVersion, buildMode, docTypes }
+ */
+const normalizeModelDetails = (data, family) => {
+  if (isLegacyFamily(family)) {
+    const info = data.modelInfo || {};
+    const trainResults = data.composedTrainResults || (data.trainResult ? [data.trainResult] : []);
+    return {
+      modelId: info.modelId,
+      description: info.modelName || '',
+      createdDateTime: info.createdDateTime,
+      apiVersion: 'v2.1',
+      buildMode: info.attributes && info.attributes.isComposed ? 'composed' : 'v2.1',
+      docTypes: trainResults.map((trainResult, index) => ({
+        name: trainResult.modelId || info.modelName || `docType${index + 1}`,
+        description: '',
+        buildMode: null,
+        fields: (trainResult.fields || []).map(field => ({
+          name: field.fieldName,
+          type: '',
+          description: field.accuracy !== undefined ? `精度 ${Math.round(field.accuracy * 100)}%` : ''
+        }))
+      }))
+    };
+  }
+
+  const docTypes = Object.entries(data.docTypes || {}).map(([name, docType]) => ({
+    name,
+    description: docType.description || '',
+    buildMode: docType.buildMode || data.buildMode || null,
+    fields: flattenFieldSchema(docType.fieldSchema)
+  }));
+
+  return {
+    modelId: data.modelId,
+    description: data.description || '',
+    createdDateTime: data.createdDateTime,
+    apiVersion: data.apiVersion || (family && family.apiVersion) || null,
+    buildMode: data.buildMode || (docTypes.find(docType => docType.buildMode) || {}).buildMode || null,
+    docTypes
+  };
+};
+
+/**
+ * 利用可能なモデルの一覧を取得する
+ * @param {Object} config - Azure設定
+ * @returns {Promise<Object>} - { family, models }
+ */
+export const listModels = async (config) => {
+  if (config.useProxy) {
+    const response = await axios.get(PROXY_OCR_MODELS_URL);
+    return { family: null, models: normalizeModelList(response.data, null) };
+  }
+
+  const { family, models } = await discoverApiFamily(config);
+  let data = models;
+  if (!data) {
+    const url = buildFamilyUrl(normalizeEndpoint(config.endpoint), family.modelsPath, family);
+    data = (await axios.get(url, { headers: documentAuthHeaders(config) })).data;
+  }
+  return { family, models: normalizeModelList(data, family) };
+};
+
+/**
+ * モデルの詳細（フィールドスキーマ・構築モード・作成日時・APIバージョン）を取得する
+ * @param {Object} config - Azure設定
+ * @param {string} [modelId] - モデルID（省略時は設定のモデルID）
+ * @returns {Promise<Object>} - 正規化したモデル詳細
+ */
+export const inspectModel = async (config, modelId = resolveModelId(config)) => {
+  if (config.useProxy) {
+    const response = await axios.get(`${PROXY_OCR_MODELS_URL}/${encodeURIComponent(modelId)}`);
+    return normalizeModelDetails(response.data, null);
+  }
+
+  const { family } = await discoverApiFamily(config);
+
+  // v2.1 のレイアウトはモデルとして登録されていない
+  if (isLegacyFamily(family) && modelId === DEFAULT_MODEL_ID) {
+    return {
+      modelId,
+      description: 'レイアウト（組み込み）',
+      createdDateTime: null,
+      apiVersion: 'v2.1',
+      buildMode: null,
+      docTypes: []
+    };
+  }
+
+  const url = buildFamilyUrl(normalizeEndpoint(config.endpoint), modelPath(family, modelId), family);
+  const response = await axios.get(url, { headers: documentAuthHeaders(config) });
+  return normalizeModelDetails(response.data, family);
+};
+
+/**
+ * 接続テスト: APIファミリーを判定し直し、モデル一覧と設定中のモデルの詳細を取得する
+ * @param {Object} config - Azure設定
+ * @returns {Promise<Object>} - { success, message, apiFamily, models, modelDetails, suggestion, correctModelId }
+ */
+export const testConnection = async (config) => {
+  let family = null;
+  let models = [];
+  try {
+    if (!config.useProxy) {
+      ({ family } = await discoverApiFamily(config, { force: true }));
+    }
+    ({ models } = await listModels(config));
+  } catch (error) {
+    console.error('Azure API connection test error:', error);
+    return {
+      success: false,
+      message: `Azure APIへの接続に失敗しました: ${error.response?.data?.error?.message || error.message || '不明なエラー'}`
+    };
+  }
+
+  const apiFamily = family ? { endpoint: normalizeEndpoint(config.endpoint), id: family.id } : null;
+  const apiLabel = family ? family.label : 'サーバープロキシ';
+  const modelId = resolveModelId(config);
+
+  try {
+    const modelDetails = await inspectModel(config, modelId);
+    return {
+      success: true,
+      message: `接続に成功しました（${apiLabel}）。モデル「${modelId}」が見つかりました。`,
+      apiFamily,
+      models,
+      modelDetails
+    };
+  } catch (error) {
+    if (!error.response || error.response.status !== 404) {
+      return {
+        success: false,
+        message: `API接続は成功しましたが、モデル「${modelId}」の情報を取得できませんでした: ${error.message}`,
+        apiFamily,
+        models
+      };
+    }
+
+    // 大文字小文字や一部だけが違う場合は、正しいモデルIDを提案する
+    const lowerId = modelId.toLowerCase();
+    const similar = models.find(model => {
+      const candidate = model.modelId.toLowerCase();
+      return candidate === lowerId || candidate.includes(lowerId) || lowerId.includes(candidate);
+    });
+
+    return {
+      success: false,
+      message: `API接続は成功しましたが（${apiLabel}）、モデル「${modelId}」は見つかりませんでした。`,
+      suggestion: similar ? `正確なモデルIDは '${similar.modelId}' です。このIDを使用することをお勧めします。` : null,
+      correctModelId: similar ? similar.modelId : null,
+      apiFamily,
+      models
+    };
+  }
+};
@@ -0,0 +1,127 @@
+import axios from 'axios';
+import {
+  discoverApiFamily,
+  getCachedApiFamily,
+  flattenFieldSchema,
+  analyzeDocument,
+  parseRetryAfter,
+  API_FAMILIES
+} from './azureDocumentClient';
+import { OCR_STAGES } from './ocrProgress';
+
+jest.mock('axios', () => ({ get: jest.fn(), post: jest.fn() }));
+
+describe('discoverApiFamily', () => {
+  beforeEach(() => {
+    axios.get.mockReset();
+  });
+
+  test('判定したファミリーをエンドポイントごとにキャッシュする', async () => {
+    const config = { endpoint: 'https://example.cognitiveservices.azure.com/', apiKey: 'key' };
+    axios.get
+      .mockRejectedValueOnce(Object.assign(new Error('not found'), { response: { status: 404 } }))
+      .mockResolvedValueOnce({ data: { value: [] } });
+
+    const { family } = await discoverApiFamily(config);
+    expect(family.id).toBe(API_FAMILIES[1].id);
+    expect(axios.get).toHaveBeenCalledTimes(2);
+
+    const cached = await discoverApiFamily(config);
+    expect(cached.family.id).toBe(API_FAMILIES[1].id);
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  test('設定に保存されたファミリーはエンドポイントが一致する場合のみ使う', () => {
+    const apiFamily = { endpoint: 'https://saved.cognitiveservices.azure.com', id: API_FAMILIES[2].id };
+    expect(getCachedApiFamily({ endpoint: 'https://other.cognitiveservices.azure.com', apiFamily })).toBeNull();
+    expect(getCachedApiFamily({ endpoint: 'https://saved.cognitiveservices.azure.com/', apiFamily }).id).toBe(API_FAMILIES[2].id);
+  });
+
+  test('認証エラーでは他のファミリーを試さない', async () => {
+    axios.get.mockRejectedValue(Object.assign(new Error('unauthorized'), { response: { status: 401 } }));
+    await expect(discoverApiFamily({ endpoint: 'https://denied.cognitiveservices.azure.com', apiKey: 'bad' }))
+      .rejects.toThrow('利用できるAzure APIが見つかりませんでした');
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('flattenFieldSchema', () => {
+  test('オブジェクト・配列の子フィールドをパスで展開する', () => {
+    const fields = flattenFieldSchema({
+      allergy_yes: { type: 'selectionMark' },
+      medications: {
+        type: 'array',
+        items: { type: 'object', properties: { name: { type: 'string', description: '薬剤名' } } }
+      }
+    });
+    expect(fields).toEqual([
+      { name: 'allergy_yes', type: 'selectionMark', description: '' },
+      { name: 'medications', type: 'array', description: '' },
+      { name: 'medications[].name', type: 'string', description: '薬剤名' }
+    ]);
+  });
+});
+
+describe('analyzeDocument', () => {
+  const file = new File(['%PDF'], 'monshin.pdf', { type: 'application/pdf' });
+  const proxyConfig = { useProxy: true };
+
+  beforeEach(() => {
+    axios.get.mockReset();
+    axios.post.mockReset();
+    axios.post.mockResolvedValue({ headers: { 'operation-location': '/api/ocr/results/1', 'retry-after': '0' } });
+  });
+
+  test('Retry-After に従ってポーリングし、段階を通知する', async () => {
+    axios.get
+      .mockResolvedValueOnce({ data: { status: 'running' }, headers: { 'retry-after': '0' } })
+      .mockResolvedValueOnce({ data: { status: 'succeeded', analyzeResult: { content: '頭痛' } }, headers: {} });
+    const onProgress = jest.fn();
+
+    const result = await analyzeDocument(file, proxyConfig, { onProgress });
+    expect(result.analyzeResult).toEqual({ content: '頭痛' });
+    expect(onProgress.mock.calls.map(([stage]) => stage)).toEqual([
+      OCR_STAGES.UPLOAD,
+      OCR_STAGES.UPLOAD,
+      OCR_STAGES.POLL,
+      OCR_STAGES.POLL
+    ]);
+    expect(onProgress).toHaveBeenLastCalledWith(OCR_STAGES.POLL, { status: 'running', attempt: 1 });
+  });
+
+  test('レート制限が続いてもタイムアウトで終了する', async () => {
+    let now = 0;
+    const dateNow = jest.spyOn(Date, 'now').mockImplementation(() => now);
+    axios.get.mockImplementation(async () => {
+      now += 60 * 1000;
+      throw Object.assign(new Error('throttled'), { response: { status: 429, headers: { 'retry-after': '0' } } });
+    });
+
+    try {
+      await expect(analyzeDocument(file, proxyConfig)).rejects.toThrow('OCR処理がタイムアウトしました');
+      expect(axios.get).toHaveBeenCalledTimes(3);
+    } finally {
+      dateNow.mockRestore();
+    }
+  });
+
+  test('ポーリング中に中止すると AbortError で終了する', async () => {
+    const controller = new AbortController();
+    axios.get.mockImplementation(async () => {
+      controller.abort();
+      return { data: { status: 'running' }, headers: { 'retry-after': '0' } };
+    });
+
+    await expect(analyzeDocument(file, proxyConfig, { signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError', message: '処理を中止しました' });
+    expect(axios.get).toHaveBeenCalledTimes(1);
+  });
+
+  test('Retry-After は秒数とHTTP日付のどちらも解釈する', () => {
+    const now = Date.parse('2024-01-01T00:00:00Z');
+    expect(parseRetryAfter('2', now)).toBe(2000);
+    expect(parseRetryAfter('Mon, 01 Jan 2024 00:00:05 GMT', now)).toBe(5000);
+    expect(parseRetryAfter(undefined, now)).toBeNull();
+    expect(parseRetryAfter('soon', now)).toBeNull();
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * 電子カルテ用の固定セクションと構造化出力（JSON）のスキーマ
+ * LLMの出力をこのスキーマで検証し、フォーム表示・コピー用テキスト生成に利用する
+ */
+
+// カルテのセクション定義（表示順）
+export const CHART_SECTIONS = [
+  { key: 'chiefComplaint', label: '主訴' },
+  { key: 'presentIllness', label: '現病歴' },
+  { key: 'pastHistory', label: '既往歴' },
+  { key: 'currentClinics', label: '通院中の医院' },
+  { key: 'medications', label: '内服薬' },
+  { key: 'allergies', label: 'アレルギー' },
+  { key: 'smoking', label: '喫煙歴' },
+  { key: 'alcohol', label: '飲酒歴' },
+  { key: 'pregnancy', label: '妊娠可能性', optional: true },
+  { key: 'examRequest', label: '検査についての希望' }
+];
+
+// JSON Schema（LLMへの指示と検証の両方に使う）
+export const CHART_JSON_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: CHART_SECTIONS.filter(section => !section.optional).map(section => section.key),
+  properties: CHART_SECTIONS.reduce((properties, section) => ({
+    ...properties,
+    [section.key]: section.optional
+      ? { type: ['string', 'null'], description: `${section.label}（該当する場合のみ）` }
+      : { type: 'string', description: section.label }
+  }), {})
+};
+
+/**
+ * 空のカルテを作成する
+ * @returns {Object} - 全セクションが空文字のカルテ
+ */
+export const createEmptyChart = () => CHART_SECTIONS.reduce((chart, section) => ({
+  ...chart,
+  [section.key]: section.optional ? null : ''
+}), {});
+
+/**
+ * LLMの応答テキストからJSONを取り出してパースする
+ * コードブロック（```json ... ```）や前後の説明文が付いていても取り出せるようにする
+ * @param {string} text - LLMの応答
+ * @returns {Object} - { value, error }
+ */
+export const parseChartJson = (text) => {
+  if (!text || typeof text !== 'string') {
+    return { value: null, error: '応答が空です' };
+  }
+
+  let jsonText = text.trim();
+  const fenced = jsonText.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    jsonText = fenced[1].trim();
+  } else {
+    const start = jsonText.indexOf('{');
+    const end = jsonText.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      jsonText = jsonText.slice(start, end + 1);
+    }
+  }
+
+  try {
+    return { value: JSON.parse(jsonText), error: null };
+  } catch (error) {
+    return { value: null, error: `JSONとして解析できません: ${error.message}` };
+  }
+};
+
+/**
+ * カルテJSONをスキーマで検証する
+ * @param {*} chart - 検証する値
+ * @returns {Object} - { valid, errors }
+ */
+export const validateChart = (chart) => {
+  const errors = [];
+
+  if (!chart || typeof chart !== 'object' || Array.isArray(chart)) {
+    return { valid: false, errors: ['ルートはオブジェクトである必要があります'] };
+  }
+
+  CHART_SECTIONS.forEach(section => {
+    const value = chart[section.key];
+    if (value === undefined) {
+      if (!section.optional) {
+        errors.push(`必須キー "${section.key}"（${section.label}）がありません`);
+      }
+      return;
+    }
+    if (value === null && section.optional) {
+      return;
+    }
+    if (typeof value !== 'string') {
+      errors.push(`"${section.key}"（${section.label}）は文字列である必要があります`);
+    }
+  });
+
+  const knownKeys = CHART_SECTIONS.map(section => section.key);
+  Object.keys(chart)
+    .filter(key => !knownKeys.includes(key))
+    .forEach(key => errors.push(`未定義のキー "${key}" が含まれています`));
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * 構造化出力用の指示文（プロンプト末尾に追加する）
+ * @param {string[]} [fixedSections] - OCRのフィールドから確定済みで、LLMに書かせないセクションのキー
+ * @returns {string} - 指示文
+ */
+export const buildStructuredInstruction = (fixedSections = []) => {
+  const keyList = CHART_SECTIONS
+    .map(section => {
+      if (fixedSections.includes(section.key)) {
+        return `- "${section.key}": ${section.label}（確定済みのため空文字）`;
+      }
+      return `- "${section.key}": ${section.label}${section.optional ? '（該当しない場合は null）' : ''}`;
+    })
+    .join('\n');
+
+  return `出力は次のJSONスキーマに一致するJSONオブジェクトのみとし、説明文やコードブロックは付けないでください。
+各セクションの値は文字列で、記載がない場合は空文字にしてください。
+${keyList}
+
+JSONスキーマ:
+${JSON.stringify(CHART_JSON_SCHEMA)}`;
+};
+
+/**
+ * 不正なJSONを修正させるための指示文
+ * @param {string[]} errors - 検証エラー
+ * @returns {string} - 指示文
+ */
+export const buildRepairPrompt = (errors) => `直前の出力はスキーマに一致しませんでした。
+問題点:
+${errors.map(error => `- ${error}`).join('\n')}
+
+内容は変えずに、スキーマに一致するJSONオブジェクトのみを出力し直してください。`;
+
+/**
+ * カルテの各値を文字列に正規化する（欠けているキーは空にする）
+ * @param {Object} chart - カルテ
+ * @returns {Object} - 正規化されたカルテ
+ */
+export const normalizeChart = (chart) => CHART_SECTIONS.reduce((normalized, section) => {
+  const value = chart ? chart[section.key] : undefined;
+  if (value === undefined || value === null) {
+    return { ...normalized, [section.key]: section.optional ? null : '' };
+  }
+  return { ...normalized, [section.key]: String(value).trim() };
+}, {});
+
+/**
+ * カルテを電子カルテへのコピー用テキストに変換する
+ * 空行は作らず、任意セクション（妊娠可能性）は値がある場合のみ出力する
+ * @param {Object} chart - カルテ
+ * @returns {string} - コピー用テキスト
+ */
+export const chartToText = (chart) => CHART_SECTIONS
+  .filter(section => !section.optional || (chart[section.key] && chart[section.key].trim() !== ''))
+  .map(section => {
+    const value = (chart[section.key] || '').trim();
+    return value ? `【${section.label}】\n${value}` : `【${section.label}】`;
+  })
+  .join('\n')
+  .replace(/\n{2,}/g, '\n');
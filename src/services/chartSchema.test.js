@@ -0,0 +1,32 @@
+import { parseChartJson, validateChart, chartToText, createEmptyChart } from './chartSchema';
+
+test('parses JSON wrapped in a code block', () => {
+  const { value, error } = parseChartJson('以下です\n```json\n{"chiefComplaint": "頭痛"}\n```');
+  expect(error).toBeNull();
+  expect(value).toEqual({ chiefComplaint: '頭痛' });
+});
+
+test('reports missing, mistyped and unknown keys', () => {
+  const chart = { ...createEmptyChart(), smoking: 10, extra: 'x' };
+  delete chart.allergies;
+
+  const { valid, errors } = validateChart(chart);
+  expect(valid).toBe(false);
+  expect(errors).toHaveLength(3);
+});
+
+test('accepts a chart without the optional pregnancy field', () => {
+  const chart = createEmptyChart();
+  delete chart.pregnancy;
+  expect(validateChart(chart).valid).toBe(true);
+});
+
+test('renders copy text without blank lines and omits an empty pregnancy section', () => {
+  const chart = { ...createEmptyChart(), chiefComplaint: '頭痛\n\n発熱', allergies: 'なし' };
+  const text = chartToText(chart);
+
+  expect(text.startsWith('【主訴】\n頭痛\n発熱\n【現病歴】')).toBe(true);
+  expect(text).toContain('【アレルギー】\nなし');
+  expect(text).not.toContain('妊娠可能性');
+  expect(text).not.toMatch(/\n\n/);
+});
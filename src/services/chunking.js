@@ -0,0 +1,94 @@
+/**
+ * 長いOCRテキストをLLMの入力上限に収まる単位（ページ → 段落 → 行 → 文字）に分割する
+ * トークン数はトークナイザーを使わずに見積もる（日本語は1文字 ≒ 1トークン、英数字は4文字 ≒ 1トークン）
+ */
+
+// 1回のリクエストに含めるOCRテキストの上限（トークン）
+export const DEFAULT_MAX_INPUT_TOKENS = 6000;
+
+// 1回の応答の上限（トークン）
+export const DEFAULT_MAX_OUTPUT_TOKENS = 1500;
+
+// これを超える分割数になる場合、残りは処理せずに警告する
+export const MAX_CHUNKS = 20;
+
+const CJK_CHARS = /[\u3000-\u30ff\u3400-\u9fff\uf900-\ufaff\uff00-\uffef]/g;
+
+/**
+ * テキストのトークン数を見積もる（多めに見積もる）
+ * @param {string} text - テキスト
+ * @returns {number} - 見積もりトークン数
+ */
+export const estimateTokens = (text) => {
+  if (!text) {
+    return 0;
+  }
+  const cjkCount = (text.match(CJK_CHARS) || []).length;
+  return Math.ceil(cjkCount + (text.length - cjkCount) / 4);
+};
+
+/**
+ * 上限を超える区間を段落 → 行 → 文字の順に細かく分ける
+ * @param {string} text - テキスト
+ * @param {number} maxTokens - 上限
+ * @returns {Array<string>} - 上限以下の区間
+ */
+const splitOversized = (text, maxTokens) => {
+  if (estimateTokens(text) <= maxTokens) {
+    return [text];
+  }
+
+  for (const separator of ['\n\n', '\n']) {
+    const parts = text.split(separator).filter(part => part.trim() !== '');
+    if (parts.length > 1) {
+      return parts.flatMap(part => splitOversized(part, maxTokens));
+    }
+  }
+
+  // 改行のない長い行は文字数で区切る（日本語を前提に上限トークン数 = 文字数とみなす）
+  const pieces = [];
+  for (let start = 0; start < text.length; start += maxTokens) {
+    pieces.push(text.slice(start, start + maxTokens));
+  }
+  return pieces;
+};
+
+/**
+ * 区間（ページごとのテキストなど）を上限に収まるチャンクに詰める
+ * 区間の境界をなるべく保ち、1つの区間が上限を超える場合だけ区間の中で分割する
+ * @param {Array<string>} segments - 区間
+ * @param {number} maxTokens - 1チャンクの上限
+ * @param {Object} [options] - オプション
+ * @param {number} [options.maxChunks=MAX_CHUNKS] - チャンク数の上限
+ * @returns {Object} - { chunks, omitted: { chunks, characters } }
+ */
+export const chunkSegments = (segments, maxTokens, { maxChunks = MAX_CHUNKS } = {}) => {
+  const pieces = segments
+    .filter(segment => segment && segment.trim() !== '')
+    .flatMap(segment => splitOversized(segment.trim(), maxTokens));
+
+  const chunks = [];
+  let current = '';
+  pieces.forEach(piece => {
+    const candidate = current ? `${current}\n\n${piece}` : piece;
+    if (current && estimateTokens(candidate) > maxTokens) {
+      chunks.push(current);
+      current = piece;
+    } else {
+      current = candidate;
+    }
+  });
+  if (current) {
+    chunks.push(current);
+  }
+
+  const kept = chunks.slice(0, maxChunks);
+  const dropped = chunks.slice(maxChunks);
+  return {
+    chunks: kept,
+    omitted: {
+      chunks: dropped.length,
+      characters: dropped.reduce((total, chunk) => total + chunk.length, 0)
+    }
+  };
+};
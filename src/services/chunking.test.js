@@ -0,0 +1,24 @@
+import { estimateTokens, chunkSegments } from './chunking';
+
+describe('chunkSegments', () => {
+  test('ページの境界を保ったまま上限に収まるように詰める', () => {
+    const pages = ['あ'.repeat(40), 'い'.repeat(40), 'う'.repeat(40)];
+    const { chunks, omitted } = chunkSegments(pages, 100);
+    expect(chunks).toEqual([`${pages[0]}\n\n${pages[1]}`, pages[2]]);
+    expect(omitted.chunks).toBe(0);
+  });
+
+  test('上限を超えるページは行で分割し、どの文字も失わない', () => {
+    const page = Array.from({ length: 10 }, (_, index) => `${index}行目${'あ'.repeat(20)}`).join('\n');
+    const { chunks } = chunkSegments([page], 60);
+    chunks.forEach(chunk => expect(estimateTokens(chunk)).toBeLessThanOrEqual(60));
+    expect(chunks.join('').replace(/\s/g, '')).toBe(page.replace(/\s/g, ''));
+  });
+
+  test('分割数の上限を超えた部分は省略した量を返す', () => {
+    const pages = ['あ'.repeat(50), 'い'.repeat(50), 'う'.repeat(50)];
+    const { chunks, omitted } = chunkSegments(pages, 50, { maxChunks: 2 });
+    expect(chunks).toHaveLength(2);
+    expect(omitted).toEqual({ chunks: 1, characters: 50 });
+  });
+});
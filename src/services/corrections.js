@@ -0,0 +1,150 @@
+/**
+ * 医師による整形結果の修正（LLMの出力との差分）の記録と集計
+ * テキスト出力は【見出し】ごとのセクションに分けて編集し、構造化出力はカルテのセクションごとに比較する
+ */
+import { CHART_SECTIONS } from './chartSchema';
+import { diffChars, DIFF_TYPES } from './textDiff';
+
+const HEADING_PATTERN = /^(【[^】]+】)(.*)$/;
+
+/**
+ * テキストを【見出し】ごとのセクションに分ける（joinResultSections で元のテキストに戻せる）
+ * @param {string} text - LLMの整形結果
+ * @returns {Array<Object>} - [{ label, heading, inline, body }]（最初の見出しより前の部分は見出しなし）
+ */
+export const splitResultSections = (text) => {
+  const sections = [];
+  let current = null;
+
+  (text || '').split('\n').forEach(line => {
+    const match = line.match(HEADING_PATTERN);
+    if (match) {
+      current = {
+        label: match[1].slice(1, -1),
+        heading: match[1],
+        // 「【主訴】頭痛」のように見出しと同じ行に書かれている場合
+        inline: match[2] !== '',
+        lines: match[2] !== '' ? [match[2]] : []
+      };
+      sections.push(current);
+    } else {
+      if (!current) {
+        current = { label: '', heading: '', inline: false, lines: [] };
+        sections.push(current);
+      }
+      current.lines.push(line);
+    }
+  });
+
+  return sections.map(({ lines, ...section }) => ({ ...section, body: lines.join('\n') }));
+};
+
+/**
+ * セクションをテキストに戻す
+ * @param {Array<Object>} sections - splitResultSections の結果（body を編集したもの）
+ * @returns {string} - テキスト
+ */
+export const joinResultSections = (sections) => sections
+  .map(section => {
+    if (!section.heading) {
+      return section.body;
+    }
+    if (!section.body) {
+      return section.heading;
+    }
+    return `${section.heading}${section.inline ? '' : '\n'}${section.body}`;
+  })
+  .join('\n');
+
+// 比較するセクションの一覧 [{ key, label, before, after }]
+const pairSections = ({ originalLlmResult, originalStructuredResult, llmResult, structuredResult }) => {
+  if (originalStructuredResult && structuredResult) {
+    return CHART_SECTIONS.map(section => ({
+      key: section.key,
+      label: section.label,
+      before: originalStructuredResult[section.key] || '',
+      after: structuredResult[section.key] || ''
+    }));
+  }
+
+  const before = splitResultSections(originalLlmResult);
+  const after = splitResultSections(llmResult);
+  return Array.from({ length: Math.max(before.length, after.length) }, (_, index) => ({
+    key: String(index),
+    label: (before[index] || after[index]).label,
+    before: before[index] ? before[index].body : '',
+    after: after[index] ? after[index].body : ''
+  }));
+};
+
+/**
+ * LLMの出力と現在の内容を比べ、修正されたセクションと修正量を求める
+ * @param {Object} result - { originalLlmResult, originalStructuredResult, llmResult, structuredResult }
+ * @returns {Object|null} - { sections: [{ key, label, before, after }], stats }（元の出力がない場合は null）
+ *   stats: { sectionCount, changedSectionCount, originalCharacters, changedCharacters, changeRatio }
+ */
+export const getCorrections = (result) => {
+  if (!result || (!result.originalLlmResult && !result.originalStructuredResult)) {
+    return null;
+  }
+
+  const pairs = pairSections(result);
+  const changed = pairs.filter(pair => pair.before !== pair.after);
+  // 追加・削除された文字数を修正量とする
+  const changedCharacters = changed.reduce((total, pair) => total + diffChars(pair.before, pair.after)
+    .filter(part => part.type !== DIFF_TYPES.EQUAL)
+    .reduce((sum, part) => sum + part.text.length, 0), 0);
+  const originalCharacters = pairs.reduce((total, pair) => total + pair.before.length, 0);
+
+  return {
+    sections: changed,
+    stats: {
+      sectionCount: pairs.length,
+      changedSectionCount: changed.length,
+      originalCharacters,
+      changedCharacters,
+      changeRatio: originalCharacters > 0 ? changedCharacters / originalCharacters : (changedCharacters > 0 ? 1 : 0)
+    }
+  };
+};
+
+/**
+ * 処理履歴をテンプレートごとに集計する（プロンプトの品質の目安）
+ * @param {Array<Object>} entries - 処理履歴（corrections を含む）
+ * @returns {Array<Object>} - 件数の多い順の
+ *   [{ templateId, templateName, count, correctedCount, averageChangeRatio, sectionChanges: { ラベル: 件数 } }]
+ */
+export const summarizeCorrectionsByTemplate = (entries) => {
+  const groups = new Map();
+
+  entries
+    .filter(entry => entry.llmResult || entry.structuredResult)
+    .forEach(entry => {
+      const templateId = entry.template ? entry.template.id : '';
+      if (!groups.has(templateId)) {
+        groups.set(templateId, {
+          templateId,
+          templateName: entry.template ? entry.template.name : '（不明）',
+          count: 0,
+          correctedCount: 0,
+          totalChangeRatio: 0,
+          sectionChanges: {}
+        });
+      }
+      const group = groups.get(templateId);
+      const corrections = entry.corrections;
+      group.count += 1;
+      if (corrections && corrections.stats.changedSectionCount > 0) {
+        group.correctedCount += 1;
+        group.totalChangeRatio += corrections.stats.changeRatio;
+        corrections.sections.forEach(section => {
+          const label = section.label || '（見出しなし）';
+          group.sectionChanges[label] = (group.sectionChanges[label] || 0) + 1;
+        });
+      }
+    });
+
+  return Array.from(groups.values())
+    .map(({ totalChangeRatio, ...group }) => ({ ...group, averageChangeRatio: totalChangeRatio / group.count }))
+    .sort((a, b) => b.count - a.count);
+};
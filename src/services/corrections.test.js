@@ -0,0 +1,67 @@
+import {
+  splitResultSections,
+  joinResultSections,
+  getCorrections,
+  summarizeCorrectionsByTemplate
+} from './corrections';
+import { createEmptyChart } from './chartSchema';
+
+const llmText = '問診票の要約です\n【主訴】頭痛\n【既往歴】\n高血圧\n糖尿病\n【アレルギー】\n';
+
+describe('splitResultSections', () => {
+  test('【見出し】ごとに分け、元のテキストに戻せる', () => {
+    const sections = splitResultSections(llmText);
+    expect(sections.map(section => [section.label, section.body])).toEqual([
+      ['', '問診票の要約です'],
+      ['主訴', '頭痛'],
+      ['既往歴', '高血圧\n糖尿病'],
+      ['アレルギー', '']
+    ]);
+    expect(joinResultSections(sections)).toBe(llmText.replace(/\n$/, ''));
+    expect(joinResultSections(splitResultSections('【主訴】\n頭痛'))).toBe('【主訴】\n頭痛');
+  });
+
+  test('空のセクションに入力すると見出しの次の行に書く', () => {
+    const sections = splitResultSections('【主訴】\n【既往歴】\nなし');
+    sections[0].body = '咳';
+    expect(joinResultSections(sections)).toBe('【主訴】\n咳\n【既往歴】\nなし');
+  });
+});
+
+describe('getCorrections', () => {
+  test('テキスト出力の修正されたセクションと修正量', () => {
+    const sections = splitResultSections(llmText);
+    sections[2].body = '高血圧';
+    const corrections = getCorrections({ originalLlmResult: llmText, llmResult: joinResultSections(sections) });
+
+    expect(corrections.sections).toEqual([{ key: '2', label: '既往歴', before: '高血圧\n糖尿病', after: '高血圧' }]);
+    expect(corrections.stats).toMatchObject({ sectionCount: 4, changedSectionCount: 1, changedCharacters: 4 });
+    expect(getCorrections({ originalLlmResult: llmText, llmResult: llmText }).stats.changedSectionCount).toBe(0);
+    expect(getCorrections({ llmResult: llmText })).toBeNull();
+  });
+
+  test('構造化出力はカルテのセクションごとに比べる', () => {
+    const original = { ...createEmptyChart(), chiefComplaint: '頭痛' };
+    const corrections = getCorrections({
+      originalStructuredResult: original,
+      structuredResult: { ...original, chiefComplaint: '頭痛・発熱' }
+    });
+    expect(corrections.sections.map(section => section.label)).toEqual(['主訴']);
+    expect(corrections.stats.changeRatio).toBe(1.5);
+  });
+});
+
+test('summarizeCorrectionsByTemplate', () => {
+  const corrected = getCorrections({ originalLlmResult: '【主訴】\n頭痛', llmResult: '【主訴】\n腹痛' });
+  const summary = summarizeCorrectionsByTemplate([
+    { template: { id: 't1', name: '内科' }, llmResult: 'a', corrections: corrected },
+    { template: { id: 't1', name: '内科' }, llmResult: 'b', corrections: null },
+    { template: { id: 't2', name: '小児科' }, llmResult: 'c', corrections: null },
+    { template: { id: 't2', name: '小児科' }, llmResult: '', structuredResult: null }
+  ]);
+
+  expect(summary).toEqual([
+    { templateId: 't1', templateName: '内科', count: 2, correctedCount: 1, averageChangeRatio: 0.5, sectionChanges: { 主訴: 1 } },
+    { templateId: 't2', templateName: '小児科', count: 1, correctedCount: 0, averageChangeRatio: 0, sectionChanges: {} }
+  ]);
+});
@@ -0,0 +1,234 @@
+/**
+ * 問診票1件分の処理パイプライン（OCR → LLM整形）
+ * 単体アップロードとバッチ処理の両方から利用する
+ */
+import { extractTextFromResult, extractTextSegments, extractTemplateVariables } from './ocrTextExtractor';
+import { runOcrEngine } from './ocrEngines';
+import { summarizeDocument, isLlmConfigComplete, verifyStatementsWithLLM } from './llmService';
+import { chartToText } from './chartSchema';
+import { isAbortError, throwIfAborted } from './abort';
+import { createProgressReporter } from './ocrProgress';
+import { applyFieldMappings, mergeMappedSections, isChartFullyMapped } from './fieldMapping';
+import { createRedactor } from './phiRedaction';
+import { createDictionaryCorrection, createDictionaryCorrector } from './medicalDictionary';
+
+// LLMの出力形式
+export const OUTPUT_MODE = {
+  TEXT: 'text',
+  JSON: 'json'
+};
+
+// 各ファイルの処理状態
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  OCR: 'ocr',
+  LLM: 'llm',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * 処理が終わっている（完了・失敗・中止）か
+ * @param {string} status - JOB_STATUS のいずれか
+ * @returns {boolean}
+ */
+export const isJobFinished = (status) => (
+  status === JOB_STATUS.DONE || status === JOB_STATUS.FAILED || status === JOB_STATUS.CANCELLED
+);
+
+/**
+ * 選択されたOCRエンジンで処理し、テキストとフィールドの対応付け結果を得る
+ * @param {File} file - 処理するファイル
+ * @param {Object} settings - { ocrSettings, azureConfig, fieldMappings }
+ * @param {Object} options - { signal, onProgress }
+ * @returns {Promise<Object>} - { rawResponse, extractedText, mappedFields }
+ */
+const runOcr = async (file, settings, options) => {
+  const rawResponse = await runOcrEngine(file, settings, options);
+  const extractedText = extractTextFromResult(rawResponse);
+  const mappedFields = applyFieldMappings(rawResponse.analyzeResult, settings.fieldMappings);
+  return { rawResponse, extractedText, mappedFields };
+};
+
+/**
+ * LLMで整形する（構造化モードではJSONを検証し、コピー用テキストも生成する）
+ * 長い文書はページ単位で分割して処理し、結果を統合する。
+ * 仮名化が有効な場合は、LLMに送るテキストと変数の個人情報をトークンに置き換え、出力で元に戻す
+ * 辞書による補正候補のうち採用したものは、仮名化の前にテキストと変数に反映する
+ * @param {Object} ocrResult - OCR結果 { rawResponse, extractedText, mappedFields }
+ * @param {Object} template - { promptTemplate, systemMessage, fileName }
+ * @param {Object} llmConfig - LLM設定（stream が false でなければストリーミングで受信する）
+ * @param {Object} options - { signal, onStream, redactionSettings, dictionaryCorrection }
+ * @returns {Promise<Object>} - { llmResult, structuredResult, chunkCount, llmWarnings, redaction }
+ */
+const runLlm = async (
+  { rawResponse, extractedText, mappedFields },
+  { promptTemplate, systemMessage, fileName },
+  llmConfig,
+  { signal, onStream, redactionSettings, dictionaryCorrection }
+) => {
+  const corrector = createDictionaryCorrector(dictionaryCorrection && dictionaryCorrection.suggestions);
+  const segments = extractTextSegments(rawResponse).map(corrector.correct);
+  const structured = llmConfig.outputMode === OUTPUT_MODE.JSON;
+  const redactor = createRedactor(redactionSettings);
+  const variables = corrector.correctDeep(extractTemplateVariables(rawResponse, fileName));
+
+  // フィールドから確定したセクションはLLMの出力で上書きしない
+  const { result, chunkCount, warnings } = await summarizeDocument(
+    (segments.length > 0 ? segments : [corrector.correct(extractedText)]).map(redactor.redact),
+    promptTemplate,
+    llmConfig,
+    {
+      structured,
+      fixedSections: mappedFields.fixedSections,
+      systemMessage,
+      // 今日の日付は個人情報ではないため、そのまま渡す
+      variables: { ...redactor.redactDeep(variables), TODAY: variables.TODAY },
+      signal,
+      onStream: llmConfig.stream !== false && onStream
+        ? (streaming) => onStream({ ...streaming, text: redactor.restore(streaming.text) })
+        : undefined
+    }
+  );
+
+  const entries = redactor.getEntries();
+  const redaction = entries.length > 0 ? { entries, maskedText: redactor.redact(corrector.correct(extractedText)) } : null;
+  const restored = redactor.restoreDeep(result);
+
+  if (structured) {
+    const structuredResult = mergeMappedSections(restored, mappedFields);
+    return { llmResult: chartToText(structuredResult), structuredResult, chunkCount, llmWarnings: warnings, redaction };
+  }
+  return { llmResult: restored, structuredResult: null, chunkCount, llmWarnings: warnings, redaction };
+};
+
+/**
+ * ファイル1件をOCR → 辞書による補正 → LLMの順に処理する
+ * @param {File} file - 処理するファイル
+ * @param {Object} options - 処理オプション
+ * @param {Object} options.ocrSettings - OCRエンジン設定
+ * @param {Object} options.azureConfig - Azure Document Intelligence 設定
+ * @param {Array<Object>} [options.fieldMappings] - カスタムモデルのフィールドとセクションの対応表
+ * @param {Object} options.llmConfig - LLM設定
+ * @param {string} options.promptTemplate - プロンプトテンプレート
+ * @param {string} [options.systemMessage] - システムメッセージ
+ * @param {Object} [options.redactionSettings] - LLMに送る前の個人情報の仮名化の設定
+ * @param {Object} [options.dictionarySettings] - 医療辞書によるOCRテキストの補正の設定
+ * @param {Function} [onStatus] - 処理段階が変わるたびに (status, partialResult) で呼ばれる
+ *   （OCR中は進捗のたびに { ocrProgress }、LLMのストリーミング中は受信するたびに { streaming: { label, text } } で呼ばれる）
+ * @param {Object} [options] - { signal, previous }（中止すると AbortError で終了し、取得済みのOCR結果を error.ocrResult に残す）
+ *   previous に前回の { ocrResult, dictionaryCorrection } を渡すと、OCRと補正候補の作成を省いてLLMの処理だけをやり直す
+ * @returns {Promise<Object>} - { ocrResult, dictionaryCorrection, llmResult, structuredResult, chunkCount, llmWarnings, redaction }
+ */
+export const processDocument = async (file, settings, onStatus = () => {}, { signal, previous } = {}) => {
+  const {
+    ocrSettings,
+    azureConfig,
+    fieldMappings,
+    llmConfig,
+    promptTemplate,
+    systemMessage,
+    redactionSettings,
+    dictionarySettings
+  } = settings;
+  throwIfAborted(signal);
+
+  let ocrResult = previous ? previous.ocrResult : null;
+  if (!ocrResult) {
+    onStatus(JOB_STATUS.OCR, {});
+    try {
+      ocrResult = await runOcr(file, { ocrSettings, azureConfig, fieldMappings }, {
+        signal,
+        onProgress: createProgressReporter(ocrProgress => onStatus(JOB_STATUS.OCR, { ocrProgress }))
+      });
+      throwIfAborted(signal);
+    } catch (ocrError) {
+      if (isAbortError(ocrError)) {
+        throw ocrError;
+      }
+      console.error('OCR processing error:', ocrError);
+      throw new Error(`OCR処理エラー: ${ocrError.message}`);
+    }
+  }
+
+  // 元のOCRテキストは ocrResult.extractedText に残し、補正後のテキストは dictionaryCorrection に持つ
+  const dictionaryCorrection = previous
+    ? previous.dictionaryCorrection
+    : createDictionaryCorrection(ocrResult.extractedText, dictionarySettings);
+
+  // 構造化モードで全セクションがフィールドから確定した場合、またはLLMを使えない場合はフィールドの値だけでカルテを作る
+  const { mappedFields } = ocrResult;
+  const isJsonMode = llmConfig.outputMode === OUTPUT_MODE.JSON;
+  if (isJsonMode && mappedFields.fixedSections.length > 0
+    && (isChartFullyMapped(mappedFields) || !isLlmConfigComplete(llmConfig))) {
+    const structuredResult = mergeMappedSections(null, mappedFields);
+    return { ocrResult, dictionaryCorrection, llmResult: chartToText(structuredResult), structuredResult };
+  }
+
+  if (!ocrResult.extractedText || !isLlmConfigComplete(llmConfig)) {
+    return { ocrResult, dictionaryCorrection, llmResult: '', structuredResult: null };
+  }
+
+  onStatus(JOB_STATUS.LLM, { ocrResult, dictionaryCorrection, ocrProgress: null });
+
+  try {
+    const llmOutput = await runLlm(ocrResult, { promptTemplate, systemMessage, fileName: file.name }, llmConfig, {
+      signal,
+      onStream: (streaming) => onStatus(JOB_STATUS.LLM, { streaming }),
+      redactionSettings,
+      dictionaryCorrection
+    });
+    return { ocrResult, dictionaryCorrection, ...llmOutput };
+  } catch (llmError) {
+    // OCR結果はレビューできるよう保持したままエラーにする
+    if (isAbortError(llmError)) {
+      llmError.ocrResult = ocrResult;
+      llmError.dictionaryCorrection = dictionaryCorrection;
+      throw llmError;
+    }
+    console.error('LLM processing error:', llmError);
+    const error = new Error(`LLM処理エラー: ${llmError.message}`);
+    error.ocrResult = ocrResult;
+    error.dictionaryCorrection = dictionaryCorrection;
+    throw error;
+  }
+};
+
+/**
+ * 文字の照合で根拠を確認できなかった記載を、LLMでOCRテキストと照らし合わせて判定する
+ * 整形と同じく、辞書による補正を反映し、仮名化が有効な場合は個人情報をトークンに置き換えて送る
+ * @param {Object} job - { ocrResult, dictionaryCorrection }
+ * @param {Array<Object>} statements - 判定する記載（groundingVerifier の splitStatements の要素）
+ * @param {Object} settings - { llmConfig, redactionSettings }
+ * @param {Object} [options] - { signal }
+ * @returns {Promise<Object>} - 記載 → { supported, evidence }
+ */
+export const reviewGroundingWithLLM = async (
+  { ocrResult, dictionaryCorrection },
+  statements,
+  { llmConfig, redactionSettings },
+  { signal } = {}
+) => {
+  const corrector = createDictionaryCorrector(dictionaryCorrection && dictionaryCorrection.suggestions);
+  const redactor = createRedactor(redactionSettings);
+  const ocrText = redactor.redact(corrector.correct(ocrResult.extractedText));
+  const maskedStatements = statements.map(statement => ({ ...statement, text: redactor.redact(statement.text) }));
+
+  try {
+    const review = await verifyStatementsWithLLM(ocrText, maskedStatements, llmConfig, { signal });
+    // 判定結果は元の記載で引けるようにし、根拠のトークンは元の値に戻す
+    return Object.fromEntries(maskedStatements
+      .filter(statement => review[statement.text])
+      .map(statement => [
+        statements.find(item => item.id === statement.id).text,
+        { ...review[statement.text], evidence: redactor.restore(review[statement.text].evidence) }
+      ]));
+  } catch (reviewError) {
+    if (isAbortError(reviewError)) {
+      throw reviewError;
+    }
+    console.error('Grounding review error:', reviewError);
+    throw new Error(`根拠確認エラー: ${reviewError.message}`);
+  }
+};
@@ -0,0 +1,419 @@
+/**
+ * 処理結果の電子カルテ連携用の出力（JSON・CSV・HL7 FHIR R4 QuestionnaireResponse）
+ * どの形式も出力前に形式の検証を行い、エラーがあればダウンロードさせない
+ */
+import { CHART_SECTIONS } from './chartSchema';
+import { splitResultSections, getCorrections } from './corrections';
+
+export const EXPORT_FORMATS = {
+  JSON: 'json',
+  CSV: 'csv',
+  FHIR: 'fhir'
+};
+
+export const EXPORT_FORMAT_OPTIONS = [
+  { value: EXPORT_FORMATS.JSON, label: 'JSON（OCR・LLMの結果と処理情報）', suffix: 'result.json', mimeType: 'application/json' },
+  { value: EXPORT_FORMATS.CSV, label: 'CSV（1ファイル1行）', suffix: 'result.csv', mimeType: 'text/csv' },
+  { value: EXPORT_FORMATS.FHIR, label: 'FHIR R4 QuestionnaireResponse（Bundle）', suffix: 'fhir.json', mimeType: 'application/fhir+json' }
+];
+
+export const JSON_EXPORT_FORMAT = 'monshin-ocr-llm-export';
+export const JSON_EXPORT_VERSION = 1;
+
+// CSVの先頭の列（セクションの列はこの後に続く）
+const CSV_BASE_COLUMNS = ['ファイル名', '処理日時', 'テンプレート'];
+// 見出しより前に書かれた部分の列名
+const PREAMBLE_LABEL = 'その他';
+
+const QUESTIONNAIRE_RESPONSE_STATUSES = ['in-progress', 'completed', 'amended', 'entered-in-error', 'stopped'];
+const FHIR_ID_PATTERN = /^[A-Za-z0-9\-.]{1,64}$/;
+const FHIR_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+const UUID_URN_PATTERN = /^urn:uuid:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+const createUuid = () => 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+  const random = Math.floor(Math.random() * 16);
+  return (char === 'x' ? random : (random % 4) + 8).toString(16);
+});
+
+/**
+ * 処理キューのジョブ（処理履歴から開いたものを含む）を出力用のレコードにする
+ * @param {Object} job - ジョブ
+ * @returns {Object} - 出力用のレコード
+ */
+export const createExportRecord = (job) => {
+  const ocrResult = job.ocrResult || {};
+  const rawResponse = ocrResult.rawResponse || {};
+  return {
+    id: job.historyId || job.id,
+    fileName: job.file ? (job.file.webkitRelativePath || job.file.name) : job.fileName,
+    processedAt: job.completedAt || null,
+    template: job.template
+      ? { id: job.template.id, name: job.template.name, department: job.template.department || '' }
+      : null,
+    ocr: {
+      engine: rawResponse.engine || null,
+      modelId: rawResponse.modelId || null,
+      extractedText: ocrResult.extractedText || '',
+      mappedFields: ocrResult.mappedFields || null,
+      // 医療辞書による補正候補（採用・却下）と補正後のテキスト
+      dictionaryCorrection: job.dictionaryCorrection || null,
+      analyzeResult: rawResponse.analyzeResult || null
+    },
+    llm: {
+      result: job.llmResult || '',
+      structuredResult: job.structuredResult || null,
+      originalResult: job.originalLlmResult || '',
+      originalStructuredResult: job.originalStructuredResult || null,
+      corrections: getCorrections(job),
+      chunkCount: job.chunkCount || 0,
+      warnings: job.llmWarnings || []
+    }
+  };
+};
+
+/**
+ * 整形結果のセクション（構造化出力はカルテのセクション、テキストは【見出し】ごと）
+ * テキストの見出しがカルテのセクション名と同じ場合は、構造化出力と同じキーにする
+ * @param {Object} record - createExportRecord の結果
+ * @returns {Array<Object>} - [{ key, label, value }]
+ */
+export const getResultSections = (record) => {
+  const { structuredResult, result } = record.llm;
+  if (structuredResult) {
+    return CHART_SECTIONS
+      .filter(section => !section.optional || structuredResult[section.key])
+      .map(section => ({ key: section.key, label: section.label, value: (structuredResult[section.key] || '').trim() }));
+  }
+
+  return splitResultSections(result)
+    .map((section, index) => {
+      const value = section.body.trim();
+      if (!section.heading) {
+        return { key: 'preamble', label: PREAMBLE_LABEL, value };
+      }
+      const chartSection = CHART_SECTIONS.find(candidate => candidate.label === section.label);
+      return { key: chartSection ? chartSection.key : `section-${index + 1}`, label: section.label, value };
+    })
+    .filter(section => section.key !== 'preamble' || section.value);
+};
+
+/**
+ * JSON形式の出力（OCR・LLMの結果と処理情報をまとめる）
+ * @param {Array<Object>} records - 出力用のレコード
+ * @param {Date} [date] - 出力日時
+ * @returns {Object} - JSON
+ */
+export const buildJsonExport = (records, date = new Date()) => ({
+  format: JSON_EXPORT_FORMAT,
+  version: JSON_EXPORT_VERSION,
+  exportedAt: date.toISOString(),
+  records: records.map(record => ({
+    ...record,
+    llm: { ...record.llm, sections: getResultSections(record) }
+  }))
+});
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * JSON形式の出力を検証する
+ * @param {*} data - buildJsonExport の結果
+ * @returns {Object} - { valid, errors }
+ */
+export const validateJsonExport = (data) => {
+  const errors = [];
+  if (!isPlainObject(data)) {
+    return { valid: false, errors: ['ルートはオブジェクトである必要があります'] };
+  }
+  if (data.format !== JSON_EXPORT_FORMAT) {
+    errors.push(`"format" は "${JSON_EXPORT_FORMAT}" である必要があります`);
+  }
+  if (data.version !== JSON_EXPORT_VERSION) {
+    errors.push(`"version" は ${JSON_EXPORT_VERSION} である必要があります`);
+  }
+  if (!Array.isArray(data.records) || data.records.length === 0) {
+    errors.push('"records" に1件以上の結果が必要です');
+    return { valid: false, errors };
+  }
+
+  data.records.forEach((record, index) => {
+    const path = `records[${index}]`;
+    if (!isPlainObject(record)) {
+      errors.push(`${path} はオブジェクトである必要があります`);
+      return;
+    }
+    if (typeof record.fileName !== 'string' || !record.fileName) {
+      errors.push(`${path}.fileName がありません`);
+    }
+    if (!isPlainObject(record.ocr) || typeof record.ocr.extractedText !== 'string') {
+      errors.push(`${path}.ocr.extractedText は文字列である必要があります`);
+    }
+    if (!isPlainObject(record.llm) || typeof record.llm.result !== 'string') {
+      errors.push(`${path}.llm.result は文字列である必要があります`);
+    } else if (!Array.isArray(record.llm.sections)
+      || record.llm.sections.some(section => typeof section.key !== 'string' || typeof section.value !== 'string')) {
+      errors.push(`${path}.llm.sections は { key, label, value } の配列である必要があります`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+};
+
+// Excelが数式として扱う先頭の文字
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// RFC 4180 に従ってフィールドを囲む
+// 患者やLLMの文章が数式として実行されないよう、数式と見なされる値の先頭に「'」を付ける
+const escapeCsvField = (value) => {
+  const raw = value === null || value === undefined ? '' : String(value);
+  const text = CSV_FORMULA_PREFIX.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSVを行と列に分ける（検証用）
+ * @param {string} text - CSV
+ * @returns {Array<string[]>} - 行ごとのフィールド
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i += 1) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error('閉じられていない引用符があります');
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * CSV形式の出力（1ファイル = 1行。列はカルテのセクションと、テキストの見出しを出てきた順に並べる）
+ * Excelで文字化けしないよう先頭にBOMを付ける
+ * @param {Array<Object>} records - 出力用のレコード
+ * @returns {string} - CSV
+ */
+export const buildCsvExport = (records) => {
+  const recordSections = records.map(getResultSections);
+  const sectionLabels = [];
+  [...CHART_SECTIONS.map(section => section.label), ...recordSections.flat().map(section => section.label)]
+    .forEach(label => {
+      if (!sectionLabels.includes(label) && !CSV_BASE_COLUMNS.includes(label)) {
+        sectionLabels.push(label);
+      }
+    });
+
+  const rows = records.map((record, index) => {
+    const values = new Map();
+    recordSections[index].forEach(section => {
+      // 同じ見出しが複数ある場合は1つの列にまとめる
+      values.set(section.label, values.has(section.label) ? `${values.get(section.label)}\n${section.value}` : section.value);
+    });
+    return [
+      record.fileName,
+      record.processedAt || '',
+      record.template ? record.template.name : '',
+      ...sectionLabels.map(label => values.get(label) || '')
+    ];
+  });
+
+  return `\uFEFF${[[...CSV_BASE_COLUMNS, ...sectionLabels], ...rows]
+    .map(row => row.map(escapeCsvField).join(','))
+    .join('\r\n')}\r\n`;
+};
+
+/**
+ * CSV形式の出力を検証する
+ * @param {string} text - buildCsvExport の結果
+ * @returns {Object} - { valid, errors }
+ */
+export const validateCsvExport = (text) => {
+  let rows;
+  try {
+    rows = parseCsv(text.replace(/^\uFEFF/, ''));
+  } catch (parseError) {
+    return { valid: false, errors: [`CSVとして解析できません: ${parseError.message}`] };
+  }
+
+  const errors = [];
+  const [header, ...dataRows] = rows;
+  if (!header || CSV_BASE_COLUMNS.some((column, index) => header[index] !== column)) {
+    errors.push(`先頭の列は ${CSV_BASE_COLUMNS.join('・')} である必要があります`);
+  } else if (new Set(header).size !== header.length) {
+    errors.push('列名が重複しています');
+  }
+  if (dataRows.length === 0) {
+    errors.push('データの行がありません');
+  }
+  dataRows.forEach((row, index) => {
+    if (header && row.length !== header.length) {
+      errors.push(`${index + 2}行目の列数（${row.length}）が見出しの列数（${header.length}）と一致しません`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * 整形結果を FHIR R4 の QuestionnaireResponse にする（セクション = 設問）
+ * テキストの整形結果で同じ見出しが複数ある場合、2つ目以降の linkId には番号を付ける（chiefComplaint-2）
+ * @param {Object} record - 出力用のレコード
+ * @returns {Object} - QuestionnaireResponse
+ */
+export const buildQuestionnaireResponse = (record) => {
+  const keyCounts = new Map();
+  const response = {
+    resourceType: 'QuestionnaireResponse',
+    status: 'completed',
+    item: getResultSections(record)
+      .filter(section => section.value)
+      .map(section => {
+        const count = (keyCounts.get(section.key) || 0) + 1;
+        keyCounts.set(section.key, count);
+        return {
+          linkId: count === 1 ? section.key : `${section.key}-${count}`,
+          text: section.label,
+          answer: [{ valueString: section.value }]
+        };
+      })
+  };
+  if (FHIR_ID_PATTERN.test(record.id || '')) {
+    response.id = record.id;
+  }
+  if (record.processedAt) {
+    response.authored = record.processedAt;
+  }
+  return response;
+};
+
+/**
+ * FHIR R4 の Bundle（collection）にまとめる
+ * @param {Array<Object>} records - 出力用のレコード
+ * @param {Date} [date] - 出力日時
+ * @returns {Object} - Bundle
+ */
+export const buildFhirBundle = (records, date = new Date()) => ({
+  resourceType: 'Bundle',
+  type: 'collection',
+  timestamp: date.toISOString(),
+  entry: records.map(record => ({
+    fullUrl: `urn:uuid:${createUuid()}`,
+    resource: buildQuestionnaireResponse(record)
+  }))
+});
+
+/**
+ * FHIR R4 の Bundle と QuestionnaireResponse の必須項目・値の形式を検証する
+ * @param {*} bundle - buildFhirBundle の結果
+ * @returns {Object} - { valid, errors }
+ */
+export const validateFhirBundle = (bundle) => {
+  const errors = [];
+  if (!isPlainObject(bundle) || bundle.resourceType !== 'Bundle') {
+    return { valid: false, errors: ['resourceType が Bundle ではありません'] };
+  }
+  if (bundle.type !== 'collection') {
+    errors.push('Bundle.type は collection である必要があります');
+  }
+  if (bundle.timestamp && !FHIR_DATE_TIME_PATTERN.test(bundle.timestamp)) {
+    errors.push('Bundle.timestamp の形式が正しくありません');
+  }
+  if (!Array.isArray(bundle.entry) || bundle.entry.length === 0) {
+    errors.push('Bundle.entry に1件以上のリソースが必要です');
+    return { valid: false, errors };
+  }
+
+  const fullUrls = new Set();
+  bundle.entry.forEach((entry, entryIndex) => {
+    const path = `Bundle.entry[${entryIndex}]`;
+    if (!UUID_URN_PATTERN.test(entry.fullUrl || '')) {
+      errors.push(`${path}.fullUrl は urn:uuid 形式である必要があります`);
+    } else if (fullUrls.has(entry.fullUrl)) {
+      errors.push(`${path}.fullUrl が重複しています`);
+    }
+    fullUrls.add(entry.fullUrl);
+
+    const resource = entry.resource;
+    if (!isPlainObject(resource) || resource.resourceType !== 'QuestionnaireResponse') {
+      errors.push(`${path}.resource は QuestionnaireResponse である必要があります`);
+      return;
+    }
+    if (!QUESTIONNAIRE_RESPONSE_STATUSES.includes(resource.status)) {
+      errors.push(`${path}.resource.status が正しくありません`);
+    }
+    if (resource.id !== undefined && !FHIR_ID_PATTERN.test(resource.id)) {
+      errors.push(`${path}.resource.id の形式が正しくありません`);
+    }
+    if (resource.authored !== undefined && !FHIR_DATE_TIME_PATTERN.test(resource.authored)) {
+      errors.push(`${path}.resource.authored の形式が正しくありません`);
+    }
+
+    const linkIds = new Set();
+    (resource.item || []).forEach((item, itemIndex) => {
+      const itemPath = `${path}.resource.item[${itemIndex}]`;
+      if (typeof item.linkId !== 'string' || !item.linkId.trim()) {
+        errors.push(`${itemPath}.linkId がありません`);
+      } else if (linkIds.has(item.linkId)) {
+        errors.push(`${itemPath}.linkId "${item.linkId}" が重複しています`);
+      }
+      linkIds.add(item.linkId);
+      (item.answer || []).forEach((answer, answerIndex) => {
+        // FHIRの文字列は空白だけにできない
+        if (typeof answer.valueString !== 'string' || !answer.valueString.trim()) {
+          errors.push(`${itemPath}.answer[${answerIndex}].valueString が空です`);
+        }
+      });
+    });
+  });
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * 指定した形式で出力内容を作り、検証する
+ * @param {string} format - EXPORT_FORMATS の値
+ * @param {Array<Object>} records - 出力用のレコード
+ * @returns {Object} - { content, errors }（errors が空でなければ出力しない）
+ */
+export const exportRecords = (format, records) => {
+  if (format === EXPORT_FORMATS.CSV) {
+    const content = buildCsvExport(records);
+    return { content, errors: validateCsvExport(content).errors };
+  }
+
+  const data = format === EXPORT_FORMATS.FHIR ? buildFhirBundle(records) : buildJsonExport(records);
+  const { errors } = format === EXPORT_FORMATS.FHIR ? validateFhirBundle(data) : validateJsonExport(data);
+  return { content: JSON.stringify(data, null, 2), errors };
+};
@@ -0,0 +1,149 @@
+import {
+  EXPORT_FORMATS,
+  createExportRecord,
+  getResultSections,
+  buildCsvExport,
+  validateCsvExport,
+  parseCsv,
+  buildFhirBundle,
+  validateFhirBundle,
+  buildJsonExport,
+  validateJsonExport,
+  exportRecords
+} from './exporters';
+import { createEmptyChart } from './chartSchema';
+
+const textJob = {
+  id: '1700000000000-abc',
+  fileName: 'monshin, 1.pdf',
+  completedAt: '2024-04-01T09:00:00.000Z',
+  template: { id: 't1', name: '内科', department: '内科', versions: [] },
+  ocrResult: { rawResponse: { engine: 'azure', modelId: 'prebuilt-layout', analyzeResult: {} }, extractedText: '頭痛' },
+  llmResult: '受診の要約\n【主訴】\n頭痛 "ズキズキ"\n【服薬状況】\nなし',
+  originalLlmResult: '【主訴】\n頭痛',
+  structuredResult: null
+};
+
+const structuredJob = {
+  id: '1700000000001-def',
+  file: { name: 'b.pdf' },
+  completedAt: '2024-04-01T10:00:00.000Z',
+  ocrResult: null,
+  structuredResult: { ...createEmptyChart(), chiefComplaint: '発熱', allergies: 'なし' },
+  llmResult: '【主訴】\n発熱'
+};
+
+describe('getResultSections', () => {
+  test('テキストの見出しがカルテのセクション名と同じならそのキーにする', () => {
+    expect(getResultSections(createExportRecord(textJob))).toEqual([
+      { key: 'preamble', label: 'その他', value: '受診の要約' },
+      { key: 'chiefComplaint', label: '主訴', value: '頭痛 "ズキズキ"' },
+      { key: 'section-3', label: '服薬状況', value: 'なし' }
+    ]);
+  });
+
+  test('構造化出力はカルテのセクション（任意のセクションは値がある場合のみ）', () => {
+    const sections = getResultSections(createExportRecord(structuredJob));
+    expect(sections.map(section => section.key)).not.toContain('pregnancy');
+    expect(sections.find(section => section.key === 'chiefComplaint').value).toBe('発熱');
+  });
+});
+
+describe('CSV', () => {
+  test('1ファイル1行で、区切り文字と引用符を含む値を囲む', () => {
+    const csv = buildCsvExport([createExportRecord(textJob), createExportRecord(structuredJob)]);
+    expect(csv.startsWith('\uFEFFファイル名,処理日時,テンプレート,主訴,')).toBe(true);
+    expect(validateCsvExport(csv)).toEqual({ valid: true, errors: [] });
+
+    const [header, first, second] = parseCsv(csv.slice(1));
+    const column = (row, label) => row[header.indexOf(label)];
+    expect(first[0]).toBe('monshin, 1.pdf');
+    expect(column(first, '主訴')).toBe('頭痛 "ズキズキ"');
+    expect(column(first, '服薬状況')).toBe('なし');
+    expect(column(second, 'アレルギー')).toBe('なし');
+    expect(column(second, '服薬状況')).toBe('');
+  });
+
+  test('数式と見なされる値は先頭に「\'」を付ける', () => {
+    const csv = buildCsvExport([createExportRecord({
+      ...structuredJob,
+      file: { name: '=HYPERLINK("http://example.com")' },
+      structuredResult: { ...createEmptyChart(), chiefComplaint: '+頭痛', allergies: '@SUM(A1)', medications: '-1錠', presentIllness: '3日前から -38度' }
+    })]);
+    const [header, row] = parseCsv(csv.slice(1));
+    const column = (label) => row[header.indexOf(label)];
+    expect(row[0]).toBe('\'=HYPERLINK("http://example.com")');
+    expect(column('主訴')).toBe('\'+頭痛');
+    expect(column('アレルギー')).toBe('\'@SUM(A1)');
+    expect(column('内服薬')).toBe('\'-1錠');
+    expect(column('現病歴')).toBe('3日前から -38度');
+  });
+
+  test('列数が合わないCSVは検証エラーにする', () => {
+    expect(validateCsvExport('ファイル名,処理日時,テンプレート\r\na.pdf,,\r\nb.pdf\r\n').errors)
+      .toEqual(['3行目の列数（1）が見出しの列数（3）と一致しません']);
+    expect(validateCsvExport('ファイル名\r\n"a.pdf').valid).toBe(false);
+  });
+});
+
+describe('FHIR', () => {
+  test('セクションごとの設問を持つ QuestionnaireResponse の Bundle', () => {
+    const bundle = buildFhirBundle([createExportRecord(textJob), createExportRecord(structuredJob)]);
+    expect(validateFhirBundle(bundle)).toEqual({ valid: true, errors: [] });
+    expect(bundle.entry).toHaveLength(2);
+
+    const response = bundle.entry[1].resource;
+    expect(response).toMatchObject({
+      resourceType: 'QuestionnaireResponse',
+      id: '1700000000001-def',
+      status: 'completed',
+      authored: '2024-04-01T10:00:00.000Z'
+    });
+    expect(response.item).toEqual([
+      { linkId: 'chiefComplaint', text: '主訴', answer: [{ valueString: '発熱' }] },
+      { linkId: 'allergies', text: 'アレルギー', answer: [{ valueString: 'なし' }] }
+    ]);
+  });
+
+  test('テキストの整形結果で同じ見出しが複数ある場合は linkId に番号を付ける', () => {
+    const bundle = buildFhirBundle([createExportRecord({ ...textJob, llmResult: '【主訴】\n頭痛\n【既往歴】\nなし\n【主訴】\n発熱' })]);
+    expect(validateFhirBundle(bundle)).toEqual({ valid: true, errors: [] });
+    expect(bundle.entry[0].resource.item.map(item => [item.linkId, item.answer[0].valueString])).toEqual([
+      ['chiefComplaint', '頭痛'],
+      ['pastHistory', 'なし'],
+      ['chiefComplaint-2', '発熱']
+    ]);
+  });
+
+  test('必須項目や値の形式の誤りを検出する', () => {
+    const bundle = buildFhirBundle([createExportRecord(structuredJob)]);
+    bundle.entry[0].resource.status = 'done';
+    bundle.entry[0].resource.item.push({ linkId: 'allergies', answer: [{ valueString: ' ' }] });
+    expect(validateFhirBundle(bundle).errors).toEqual([
+      'Bundle.entry[0].resource.status が正しくありません',
+      'Bundle.entry[0].resource.item[2].linkId "allergies" が重複しています',
+      'Bundle.entry[0].resource.item[2].answer[0].valueString が空です'
+    ]);
+  });
+});
+
+describe('JSON', () => {
+  test('OCR・LLMの結果と処理情報をまとめる', () => {
+    const data = buildJsonExport([createExportRecord(textJob)], new Date('2024-04-02T00:00:00.000Z'));
+    expect(validateJsonExport(data)).toEqual({ valid: true, errors: [] });
+    expect(data.exportedAt).toBe('2024-04-02T00:00:00.000Z');
+
+    const [record] = data.records;
+    expect(record.template).toEqual({ id: 't1', name: '内科', department: '内科' });
+    expect(record.ocr).toMatchObject({ engine: 'azure', modelId: 'prebuilt-layout', extractedText: '頭痛' });
+    expect(record.llm.originalResult).toBe('【主訴】\n頭痛');
+    expect(record.llm.corrections.stats.changedSectionCount).toBeGreaterThan(0);
+    expect(validateJsonExport({ ...data, records: [] }).valid).toBe(false);
+  });
+});
+
+test('exportRecords は出力内容と検証エラーを返す', () => {
+  const { content, errors } = exportRecords(EXPORT_FORMATS.FHIR, [createExportRecord(structuredJob)]);
+  expect(errors).toEqual([]);
+  expect(JSON.parse(content).resourceType).toBe('Bundle');
+});
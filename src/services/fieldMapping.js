@@ -0,0 +1,181 @@
+/**
+ * カスタムモデルの抽出フィールド（analyzeResult.documents[].fields）をカルテのセクションに対応付ける
+ * 対応付けたセクションはOCRの値でそのまま確定させ、LLMには残りの自由記述の要約だけを任せる
+ */
+import { CHART_SECTIONS, normalizeChart } from './chartSchema';
+
+// チェックボックス（選択マーク）が選択されているときの既定の表記
+const DEFAULT_SELECTED_TEXT = 'あり';
+
+// 同じセクションに複数のフィールドを対応付けたときの区切り
+const VALUE_SEPARATOR = '、';
+
+/**
+ * 対応表の1行を作成する
+ * @param {Object} [values] - 初期値
+ * @returns {Object} - { field, section, label }
+ */
+export const createFieldMapping = (values = {}) => ({
+  field: '',
+  section: CHART_SECTIONS[0].key,
+  label: '',
+  ...values
+});
+
+/**
+ * フィールドの値を文字列にする
+ * @param {Object} field - Azureのフィールド
+ * @returns {string} - 値（選択マークは 'selected' / 'unselected'）
+ */
+const fieldValueToText = (field) => {
+  switch (field.type) {
+    case 'selectionMark':
+      return field.valueSelectionMark || '';
+    case 'boolean':
+      return field.valueBoolean ? 'selected' : 'unselected';
+    case 'number':
+      return field.valueNumber !== undefined ? String(field.valueNumber) : (field.content || '');
+    case 'integer':
+      return field.valueInteger !== undefined ? String(field.valueInteger) : (field.content || '');
+    case 'date':
+      return field.valueDate || field.content || '';
+    case 'phoneNumber':
+      return field.valuePhoneNumber || field.content || '';
+    default:
+      return field.valueString || field.content || field.text || '';
+  }
+};
+
+const isCheckboxField = (field) => field.type === 'selectionMark' || field.type === 'boolean';
+
+/**
+ * 抽出フィールドを「パス → 値の配列」に平坦化する
+ * パスはモデル詳細のフィールドスキーマと同じ表記（配列要素のオブジェクトは name[].child）
+ * @param {Object} analyzeResult - 解析結果
+ * @returns {Map<string, Array<Object>>} - パス → [{ type, text, confidence, checkbox }]
+ */
+export const collectDocumentFields = (analyzeResult) => {
+  const collected = new Map();
+  if (!analyzeResult) {
+    return collected;
+  }
+
+  const push = (path, field) => {
+    if (!collected.has(path)) {
+      collected.set(path, []);
+    }
+    collected.get(path).push({
+      type: field.type,
+      text: fieldValueToText(field).trim(),
+      confidence: field.confidence,
+      checkbox: isCheckboxField(field)
+    });
+  };
+
+  const collect = (fields, prefix) => {
+    Object.entries(fields || {}).forEach(([name, field]) => {
+      if (!field) {
+        return;
+      }
+      const path = prefix ? `${prefix}.${name}` : name;
+      if (field.type === 'object' && field.valueObject) {
+        collect(field.valueObject, path);
+      } else if (field.type === 'array' && field.valueArray) {
+        field.valueArray.forEach(item => {
+          if (item && item.type === 'object' && item.valueObject) {
+            collect(item.valueObject, `${path}[]`);
+          } else if (item) {
+            push(path, item);
+          }
+        });
+      } else {
+        push(path, field);
+      }
+    });
+  };
+
+  // 2022-08-31以降は documents、v2.1 は documentResults
+  const documents = analyzeResult.documents || analyzeResult.documentResults || [];
+  documents.forEach(document => collect(document.fields, ''));
+  return collected;
+};
+
+/**
+ * 対応表に従ってフィールドの値をセクションの文字列にする
+ * @param {Object} value - collectDocumentFields の値
+ * @param {Object} mapping - 対応表の行
+ * @returns {string} - セクションに入れる文字列
+ */
+const formatMappedValue = (value, mapping) => {
+  if (value.checkbox) {
+    return value.text === 'selected' ? (mapping.label || DEFAULT_SELECTED_TEXT) : '';
+  }
+  if (!value.text) {
+    return '';
+  }
+  return mapping.label ? `${mapping.label}: ${value.text}` : value.text;
+};
+
+/**
+ * 対応表を解析結果に適用する
+ * 値が空のセクション（選ばれなかったチェックボックスだけの場合など）は確定とせず、LLMの出力を残す
+ * @param {Object} analyzeResult - 解析結果
+ * @param {Array<Object>} mappings - 対応表 [{ field, section, label }]
+ * @returns {Object} - { sections, fixedSections, matches }
+ */
+export const applyFieldMappings = (analyzeResult, mappings) => {
+  const fields = collectDocumentFields(analyzeResult);
+  const sectionValues = {};
+  const matches = [];
+
+  (mappings || []).forEach(mapping => {
+    const field = (mapping.field || '').trim();
+    if (!field || !mapping.section || !fields.has(field)) {
+      return;
+    }
+
+    if (!sectionValues[mapping.section]) {
+      sectionValues[mapping.section] = [];
+    }
+    fields.get(field).forEach(value => {
+      const text = formatMappedValue(value, mapping);
+      matches.push({ field, section: mapping.section, value: text, confidence: value.confidence });
+      if (text && !sectionValues[mapping.section].includes(text)) {
+        sectionValues[mapping.section].push(text);
+      }
+    });
+  });
+
+  const sections = Object.entries(sectionValues)
+    .filter(([, values]) => values.length > 0)
+    .reduce((result, [key, values]) => ({
+      ...result,
+      [key]: values.join(VALUE_SEPARATOR)
+    }), {});
+
+  return {
+    sections,
+    fixedSections: Object.keys(sections),
+    matches
+  };
+};
+
+/**
+ * 確定したセクションでカルテを上書きする
+ * @param {Object|null} chart - LLMが作成したカルテ（LLMを使わない場合は null）
+ * @param {Object} mapped - applyFieldMappings の結果
+ * @returns {Object} - 正規化されたカルテ
+ */
+export const mergeMappedSections = (chart, mapped) => normalizeChart({
+  ...(chart || {}),
+  ...mapped.sections
+});
+
+/**
+ * すべての必須セクションがフィールドから確定したか
+ * @param {Object} mapped - applyFieldMappings の結果
+ * @returns {boolean} - LLMが不要な場合は true
+ */
+export const isChartFullyMapped = (mapped) => CHART_SECTIONS
+  .filter(section => !section.optional)
+  .every(section => mapped.fixedSections.includes(section.key));
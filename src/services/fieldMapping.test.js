@@ -0,0 +1,54 @@
+import { applyFieldMappings, mergeMappedSections, isChartFullyMapped } from './fieldMapping';
+
+const analyzeResult = {
+  documents: [{
+    fields: {
+      allergy_yes: { type: 'selectionMark', valueSelectionMark: 'selected', confidence: 0.98 },
+      allergy_no: { type: 'selectionMark', valueSelectionMark: 'unselected', confidence: 0.97 },
+      allergy_detail: { type: 'string', valueString: '卵', content: '卵', confidence: 0.9 },
+      smoking_count: { type: 'number', valueNumber: 10, content: '10', confidence: 0.8 },
+      medications: {
+        type: 'array',
+        valueArray: [
+          { type: 'object', valueObject: { name: { type: 'string', valueString: 'アムロジピン' } } },
+          { type: 'object', valueObject: { name: { type: 'string', valueString: 'ロキソプロフェン' } } }
+        ]
+      }
+    }
+  }]
+};
+
+describe('applyFieldMappings', () => {
+  test('対応表に従ってセクションを確定する', () => {
+    const mapped = applyFieldMappings(analyzeResult, [
+      { field: 'allergy_yes', section: 'allergies', label: 'あり' },
+      { field: 'allergy_no', section: 'allergies', label: 'なし' },
+      { field: 'allergy_detail', section: 'allergies', label: '' },
+      { field: 'smoking_count', section: 'smoking', label: '1日本数' },
+      { field: 'medications[].name', section: 'medications', label: '' },
+      { field: 'missing_field', section: 'alcohol', label: '' }
+    ]);
+
+    expect(mapped.sections).toEqual({
+      allergies: 'あり、卵',
+      smoking: '1日本数: 10',
+      medications: 'アムロジピン、ロキソプロフェン'
+    });
+    expect(mapped.fixedSections).not.toContain('alcohol');
+    expect(isChartFullyMapped(mapped)).toBe(false);
+  });
+
+  test('確定したセクションはLLMの出力より優先する', () => {
+    const mapped = applyFieldMappings(analyzeResult, [{ field: 'smoking_count', section: 'smoking', label: '1日本数' }]);
+    const chart = mergeMappedSections({ chiefComplaint: '頭痛', smoking: '喫煙あり' }, mapped);
+    expect(chart.chiefComplaint).toBe('頭痛');
+    expect(chart.smoking).toBe('1日本数: 10');
+  });
+
+  test('値が空のセクションは確定とせず、LLMの出力を残す', () => {
+    const mapped = applyFieldMappings(analyzeResult, [{ field: 'allergy_no', section: 'allergies', label: 'なし' }]);
+    expect(mapped.fixedSections).toEqual([]);
+    const chart = mergeMappedSections({ chiefComplaint: '頭痛', allergies: '卵アレルギー' }, mapped);
+    expect(chart.allergies).toBe('卵アレルギー');
+  });
+});
@@ -0,0 +1,401 @@
+/**
+ * 整形結果の記載がOCRテキストに基づいているかの確認（LLMが書き加えた内容の検出）
+ * 整形結果を記載（行・文）ごとに分け、OCRの行と選択項目から文字の2文字組（bigram）が一致する範囲を探す。
+ * 言い換えなどで一致しない記載は、必要に応じてLLMで2回目の判定をする
+ */
+import { formatSelectionGroup, replaceMarkTokens } from './layoutAnalysis';
+
+export const GROUNDING_STATUS = {
+  SUPPORTED: 'supported',
+  PARTIAL: 'partial',
+  UNSUPPORTED: 'unsupported'
+};
+
+export const GROUNDING_STATUS_LABELS = {
+  [GROUNDING_STATUS.SUPPORTED]: '根拠あり',
+  [GROUNDING_STATUS.PARTIAL]: '一部根拠なし',
+  [GROUNDING_STATUS.UNSUPPORTED]: '根拠なし'
+};
+
+// 記載の文字のうち、OCRテキストに見つかった文字の割合のしきい値
+export const SUPPORTED_COVERAGE = 0.8;
+export const PARTIAL_COVERAGE = 0.5;
+// 根拠として示すOCRの行の最大数
+const MAX_SOURCES = 3;
+
+// 内容を持たない記載（確認の対象外）
+const EMPTY_STATEMENT_PATTERN = /^(記載なし|未記載|未記入|不明|該当なし|特記事項なし)。?$/;
+// 照合で無視する文字（空白・句読点・記号）
+const IGNORED_CHAR_PATTERN = /[\s、。,.:;!?'"()[\]{}「」『』【】<>・\-~〜/|☑☐✓]/;
+
+/**
+ * 整形結果のセクションを記載ごとに分ける（行と「。」で区切り、先頭の箇条書きの記号は除く）
+ * @param {Array<Object>} sections - [{ label, value }]
+ * @returns {Array<Object>} - [{ id, sectionLabel, text }]
+ */
+export const splitStatements = (sections) => sections
+  .flatMap(section => (section.value || '')
+    .split('\n')
+    .flatMap(line => line.match(/[^。]+。?/g) || [])
+    .map(text => text.replace(/^\s*(?:[・\-*•●○]|\d+[.)．）])\s*/, '').trim())
+    .filter(text => text && !EMPTY_STATEMENT_PATTERN.test(text))
+    .map(text => ({ sectionLabel: section.label, text })))
+  .map((statement, index) => ({ id: String(index + 1), ...statement }));
+
+// 照合用の文字の並び（NFKC で正規化し、無視する文字を除く。元の文字の位置も持つ）
+const toComparableChars = (text) => Array.from(text).flatMap((char, index) => (
+  Array.from(char.normalize('NFKC').toLowerCase())
+    .filter(normalized => !IGNORED_CHAR_PATTERN.test(normalized))
+    .map(normalized => ({ char: normalized, index }))
+));
+
+const toBigrams = (chars) => (chars.length === 1
+  ? [chars[0].char]
+  : chars.slice(1).map((item, index) => `${chars[index].char}${item.char}`));
+
+/**
+ * 照合に使うOCRの行（原本上の位置を持つ）。選択マークは「設問: 選択肢 ✓」の形で加える
+ * ページ情報がない場合はOCRテキストの行を位置なしで使う
+ * @param {Object} params - { ocrPages, selectionGroups, ocrText, correct（辞書による補正） }
+ * @returns {Array<Object>} - [{ content, location }]（location は onHighlight に渡す値）
+ */
+export const getGroundingSources = ({ ocrPages = [], selectionGroups = [], ocrText = '', correct = (text) => text }) => {
+  const lines = ocrPages.flatMap(page => page.lines.map(line => ({
+    content: correct(replaceMarkTokens(line.content)),
+    location: { pageNumber: page.pageNumber, lineIndex: line.index }
+  })));
+  if (lines.length === 0) {
+    return correct(ocrText || '').split('\n').filter(line => line.trim()).map(content => ({ content, location: null }));
+  }
+  const marks = selectionGroups.map(group => {
+    const selected = group.options.find(option => option.state === 'selected') || group.options[0];
+    return {
+      content: correct(formatSelectionGroup(group)),
+      location: selected ? { pageNumber: group.pageNumber, markIndex: selected.index } : null
+    };
+  });
+  return [...lines, ...marks];
+};
+
+// 連続した行をまとめて照合する行数の上限（1つの記載が原本の改行をまたぐ場合）
+const MAX_SPAN_LINES = 3;
+
+// 同じ行（または連続した行）として続けて照合できるか
+const isNextLine = (previous, next) => {
+  if (!previous.location && !next.location) {
+    return true;
+  }
+  return Boolean(previous.location && next.location)
+    && previous.location.lineIndex !== undefined
+    && next.location.lineIndex !== undefined
+    && previous.location.pageNumber === next.location.pageNumber
+    && next.location.lineIndex === previous.location.lineIndex + 1;
+};
+
+const toBigramSet = (chars) => new Set([...toBigrams(chars), ...chars.map(item => item.char)]);
+
+/**
+ * 照合の準備（OCRの行と、連続した行のまとまりごとの2文字組）
+ * 記載は1つの行または連続した行のまとまりだけと照合し、離れた行の語をつなぎ合わせた記載を根拠ありとしない
+ * @param {Array<Object>} sources - getGroundingSources の結果
+ * @returns {Object} - createGroundingIndex の結果（verifyStatement に渡す）
+ */
+export const createGroundingIndex = (sources) => {
+  const lines = sources.map(source => {
+    const chars = toComparableChars(source.content);
+    return { ...source, comparable: chars.map(item => item.char).join(''), bigrams: toBigramSet(chars) };
+  });
+  const spans = [];
+  lines.forEach((line, start) => {
+    const spanLines = [line];
+    spans.push({ lines: [line], bigrams: line.bigrams });
+    for (let next = start + 1; next < lines.length && spanLines.length < MAX_SPAN_LINES; next += 1) {
+      if (!isNextLine(lines[next - 1], lines[next])) {
+        break;
+      }
+      spanLines.push(lines[next]);
+      spans.push({
+        lines: [...spanLines],
+        bigrams: toBigramSet(toComparableChars(spanLines.map(item => item.content).join('')))
+      });
+    }
+  });
+  return { sources: lines, spans };
+};
+
+// 数値と単位（「60mg」「38.5℃」「3日」）。単位は表記をそろえて比べる
+const NUMBER_PATTERN = /(\d+(?:\.\d+)?)\s*(mg|mcg|μg|g|ml|l|kg|cm|mmhg|錠|カプセル|包|単位|滴|枚|本|度|℃|%|回|日|週間|週|か月|ヶ月|ヵ月|カ月|年|歳|才|時間|分)?/g;
+const UNIT_ALIASES = { '℃': '度', ヶ月: 'か月', ヵ月: 'か月', カ月: 'か月', 才: '歳', 週: '週間' };
+// 有無の表記（「ありません」は「なし」として扱う）
+const NEGATIVE_PATTERN = /ありません|ませんでした|なかった|なし|無し|ない|無い|陰性|いいえ|否定/g;
+const POSITIVE_PATTERN = /あり|有り|ある|有る|陽性|はい/g;
+
+export const GROUNDING_MISMATCH = {
+  NUMBER: 'number',
+  POLARITY: 'polarity'
+};
+
+export const GROUNDING_MISMATCH_LABELS = {
+  [GROUNDING_MISMATCH.NUMBER]: '数値・単位が原文と一致しません',
+  [GROUNDING_MISMATCH.POLARITY]: '有無が原文と一致しません'
+};
+
+// NFKC で正規化した文字列と、各文字の元の位置
+const toNormalizedText = (text) => {
+  const chars = Array.from(text).flatMap((char, index) => (
+    Array.from(char.normalize('NFKC').toLowerCase()).map(normalized => ({ char: normalized, index }))
+  ));
+  return { text: chars.map(item => item.char).join(''), indexes: chars.map(item => item.index) };
+};
+
+const findNumbers = (text) => Array.from(text.matchAll(NUMBER_PATTERN)).map(match => ({
+  value: Number(match[1]),
+  unit: match[2] ? (UNIT_ALIASES[match[2]] || match[2]) : '',
+  start: match.index,
+  end: match.index + match[0].length
+}));
+
+// 有無の表記の一覧（「ありません」の中の「あり」は肯定としない）
+const findPolarities = (text) => {
+  const negatives = Array.from(text.matchAll(NEGATIVE_PATTERN))
+    .map(match => ({ negative: true, start: match.index, end: match.index + match[0].length }));
+  const positives = Array.from(text.matchAll(POSITIVE_PATTERN))
+    .filter(match => !negatives.some(negative => match.index >= negative.start && match.index < negative.end))
+    .map(match => ({ negative: false, start: match.index, end: match.index + match[0].length }));
+  return [...negatives, ...positives].sort((a, b) => a.start - b.start);
+};
+
+/**
+ * 記載の数値・有無が根拠の行と一致するかを調べる
+ * 数値は値と単位の両方が根拠の行にあること、有無（なし・あり等）は直前の語に続く根拠の行の表記と同じであることを求める
+ * @param {string} statementText - 記載
+ * @param {Array<Object>} lines - 根拠の行（createGroundingIndex の sources の要素）
+ * @returns {Array<Object>} - [{ type, text, start, end }]（start・end は記載の文字列上の位置）
+ */
+const findMismatches = (statementText, lines) => {
+  const statement = toNormalizedText(statementText);
+  const lineTexts = lines.map(line => toNormalizedText(line.content).text);
+  const toOriginal = ({ start, end }) => ({
+    start: statement.indexes[start],
+    end: statement.indexes[end - 1] + 1
+  });
+  const mismatches = [];
+
+  const sourceNumbers = lineTexts.flatMap(findNumbers);
+  findNumbers(statement.text).forEach(number => {
+    const matched = sourceNumbers.some(source => source.value === number.value && (!number.unit || source.unit === number.unit));
+    if (!matched) {
+      const range = toOriginal(number);
+      mismatches.push({ type: GROUNDING_MISMATCH.NUMBER, text: statementText.slice(range.start, range.end), ...range });
+    }
+  });
+
+  const comparableLines = lines.map(line => line.comparable);
+  let previousEnd = 0;
+  findPolarities(statement.text).forEach(polarity => {
+    // 有無の直前の語（2文字）が根拠の行のどこにあるかを探し、その後ろの有無の表記と比べる
+    const subject = toComparableChars(statement.text.slice(previousEnd, polarity.start)).map(item => item.char).join('').slice(-2);
+    previousEnd = polarity.end;
+    if (!subject) {
+      return;
+    }
+    const sourcePolarities = comparableLines.flatMap(line => {
+      const results = [];
+      for (let position = line.indexOf(subject); position !== -1; position = line.indexOf(subject, position + 1)) {
+        const [first] = findPolarities(line.slice(position + subject.length));
+        results.push(first || null);
+      }
+      return results;
+    });
+    if (sourcePolarities.length === 0) {
+      return;
+    }
+    const stated = sourcePolarities.filter(Boolean);
+    const consistent = stated.some(source => source.negative === polarity.negative)
+      || (stated.length === 0 && !polarity.negative);
+    if (!consistent) {
+      const range = toOriginal(polarity);
+      mismatches.push({ type: GROUNDING_MISMATCH.POLARITY, text: statementText.slice(range.start, range.end), ...range });
+    }
+  });
+  return mismatches;
+};
+
+// 記載の文字のうち、照合先の2文字組に含まれる文字の位置
+const findSupportedIndexes = (chars, bigrams, bigramSet) => {
+  const found = bigrams.map(bigram => bigramSet.has(bigram));
+  const supportedIndexes = new Set();
+  chars.forEach((item, position) => {
+    const supported = chars.length === 1
+      ? found[0]
+      : found[position - 1] || found[position];
+    if (supported) {
+      supportedIndexes.add(item.index);
+    }
+  });
+  return supportedIndexes;
+};
+
+// 記載を、OCRテキストに見つかった部分と見つからなかった部分に分ける
+const toSegments = (text, supportedIndexes, comparableIndexes) => {
+  const segments = [];
+  Array.from(text).forEach((char, index) => {
+    const last = segments[segments.length - 1];
+    // 無視した文字は直前の部分に含める
+    const supported = comparableIndexes.has(index) ? supportedIndexes.has(index) : (last ? last.supported : true);
+    if (last && last.supported === supported) {
+      last.text += char;
+    } else {
+      segments.push({ text: char, supported });
+    }
+  });
+  return segments;
+};
+
+/**
+ * 記載1件の根拠を探す
+ * 1つの行（または連続した行）ごとに、2文字組がその行に含まれる文字を「見つかった文字」とし、最も多く見つかった行の割合で判定する。
+ * 数値・単位や有無が根拠の行と異なる記載は、割合によらず根拠なしとする
+ * @param {Object} statement - splitStatements の要素
+ * @param {Object} index - createGroundingIndex の結果
+ * @returns {Object} - { ...statement, status, coverage, segments: [{ text, supported }], sources: [{ content, location }], mismatches: [{ type, text }] }
+ */
+export const verifyStatement = (statement, index) => {
+  const chars = toComparableChars(statement.text);
+  const bigrams = toBigrams(chars);
+
+  // 同じ割合なら短いまとまり（先に作ったもの）を選ぶ
+  let best = { lines: [], supportedIndexes: new Set() };
+  index.spans.forEach(span => {
+    const supportedIndexes = findSupportedIndexes(chars, bigrams, span.bigrams);
+    if (supportedIndexes.size > best.supportedIndexes.size
+      || (supportedIndexes.size === best.supportedIndexes.size && supportedIndexes.size > 0 && span.lines.length < best.lines.length)) {
+      best = { lines: span.lines, supportedIndexes };
+    }
+  });
+
+  const mismatches = best.lines.length > 0 ? findMismatches(statement.text, best.lines) : [];
+  const supportedIndexes = new Set(Array.from(best.supportedIndexes)
+    .filter(position => !mismatches.some(mismatch => position >= mismatch.start && position < mismatch.end)));
+  const coverage = chars.length > 0 ? chars.filter(item => supportedIndexes.has(item.index)).length / chars.length : 1;
+
+  // 根拠として示す行（一致する2文字組の多い順）
+  const sources = best.lines
+    .map(line => ({ line, count: bigrams.filter(bigram => line.bigrams.has(bigram)).length }))
+    .filter(({ count }) => count > 0)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_SOURCES)
+    .map(({ line }) => ({ content: line.content, location: line.location }));
+
+  let status = GROUNDING_STATUS.UNSUPPORTED;
+  if (mismatches.length === 0 && coverage >= SUPPORTED_COVERAGE) {
+    status = GROUNDING_STATUS.SUPPORTED;
+  } else if (mismatches.length === 0 && coverage >= PARTIAL_COVERAGE) {
+    status = GROUNDING_STATUS.PARTIAL;
+  }
+
+  return {
+    ...statement,
+    status,
+    coverage,
+    segments: toSegments(statement.text, supportedIndexes, new Set(chars.map(item => item.index))),
+    sources,
+    mismatches: mismatches.map(({ type, text }) => ({ type, text }))
+  };
+};
+
+/**
+ * 整形結果の記載ごとに根拠を確認する
+ * LLMによる判定（review）がある記載はその結果を優先する（有無・数値の不一致がある記載は「一部根拠なし」が上限）
+ * @param {Array<Object>} sections - [{ label, value }]
+ * @param {Object} index - createGroundingIndex の結果（編集のたびに作り直さないよう呼び出し側で保持する）
+ * @param {Object} [review] - 記載 → { supported, evidence }（verifyStatementsWithLLM の結果）
+ * @returns {Array<Object>} - verifyStatement の結果（review があれば review を加える）
+ */
+export const verifyGrounding = (sections, index, review = {}) => (
+  splitStatements(sections).map(statement => {
+    const result = verifyStatement(statement, index);
+    const judgment = review[statement.text];
+    if (!judgment || typeof judgment.supported !== 'boolean') {
+      return result;
+    }
+    if (!judgment.supported) {
+      return { ...result, status: GROUNDING_STATUS.UNSUPPORTED, review: judgment };
+    }
+    // 有無・数値が原文と異なる記載は、LLMが根拠ありと判定しても「一部根拠なし」までにとどめる
+    return {
+      ...result,
+      status: result.mismatches.length > 0 ? GROUNDING_STATUS.PARTIAL : GROUNDING_STATUS.SUPPORTED,
+      review: judgment
+    };
+  })
+);
+
+/**
+ * 根拠を確認できなかった記載をセクションごとにまとめる
+ * @param {Array<Object>} results - verifyGrounding の結果
+ * @returns {Object} - セクション名 → 記載の一覧
+ */
+export const groupUngroundedBySection = (results) => results
+  .filter(result => result.status !== GROUNDING_STATUS.SUPPORTED)
+  .reduce((groups, result) => ({
+    ...groups,
+    [result.sectionLabel]: [...(groups[result.sectionLabel] || []), result]
+  }), {});
+
+const GROUNDING_SYSTEM_MESSAGE = 'あなたは医療文書の確認担当です。カルテの記載が問診票の原文に書かれている内容だけに基づいているかを厳密に判定します。';
+
+/**
+ * LLMで記載の根拠を判定するためのチャットメッセージ
+ * @param {string} ocrText - OCRテキスト
+ * @param {Array<Object>} statements - 判定する記載（splitStatements の要素）
+ * @returns {Array<Object>} - チャットメッセージ
+ */
+export const buildGroundingMessages = (ocrText, statements) => [
+  { role: 'system', content: GROUNDING_SYSTEM_MESSAGE },
+  {
+    role: 'user',
+    content: `以下の「OCRテキスト」は問診票の読み取り結果、「記載」はそれを整形したカルテの記載です。
+記載ごとに、その内容がOCRテキストに書かれているかを判定してください。
+言い換え・要約は意味が同じなら true、OCRテキストにない症状・経過・数値・薬剤名などが含まれる場合は false にします。
+次の形式のJSON配列だけを出力してください。
+[{"id": "記載の番号", "supported": true, "evidence": "根拠となるOCRテキストの一部（ない場合は空文字）"}]
+
+# OCRテキスト
+${ocrText}
+
+# 記載
+${statements.map(statement => `${statement.id}. ${statement.text}`).join('\n')}`
+  }
+];
+
+/**
+ * LLMの判定結果を読み取る
+ * @param {string} content - LLMの応答
+ * @param {Array<Object>} statements - 判定を依頼した記載
+ * @returns {Object} - 記載 → { supported, evidence }（判定がなかった記載は含まない）
+ */
+export const parseGroundingResponse = (content, statements) => {
+  const match = (content || '').match(/\[[\s\S]*\]/);
+  let judgments = null;
+  try {
+    judgments = match ? JSON.parse(match[0]) : null;
+  } catch (parseError) {
+    judgments = null;
+  }
+  if (!Array.isArray(judgments)) {
+    throw new Error('根拠確認の応答を読み取れませんでした');
+  }
+
+  const review = {};
+  judgments.forEach(judgment => {
+    const statement = judgment && statements.find(item => item.id === String(judgment.id));
+    if (statement && typeof judgment.supported === 'boolean') {
+      review[statement.text] = {
+        supported: judgment.supported,
+        evidence: typeof judgment.evidence === 'string' ? judgment.evidence : ''
+      };
+    }
+  });
+  return review;
+};
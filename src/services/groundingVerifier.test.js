@@ -0,0 +1,148 @@
+import {
+  splitStatements,
+  getGroundingSources,
+  createGroundingIndex,
+  verifyGrounding,
+  groupUngroundedBySection,
+  parseGroundingResponse,
+  GROUNDING_STATUS,
+  GROUNDING_MISMATCH
+} from './groundingVerifier';
+
+const ocrPages = [{
+  pageNumber: 1,
+  lines: [
+    { index: 0, content: '3日前から頭痛と発熱があります' },
+    { index: 1, content: '内服: ロキンニン 60mg' },
+    { index: 2, content: ':selected: 吸う :unselected: 吸わない' }
+  ]
+}];
+const selectionGroups = [{
+  pageNumber: 1,
+  question: '喫煙',
+  options: [{ index: 0, label: '吸う', state: 'selected' }, { index: 1, label: '吸わない', state: 'unselected' }]
+}];
+
+describe('splitStatements', () => {
+  test('行と「。」で区切り、箇条書きの記号と内容のない記載を除く', () => {
+    expect(splitStatements([
+      { label: '現病歴', value: '3日前から頭痛。発熱あり。\n・咳なし' },
+      { label: '既往歴', value: '記載なし' }
+    ])).toEqual([
+      { id: '1', sectionLabel: '現病歴', text: '3日前から頭痛。' },
+      { id: '2', sectionLabel: '現病歴', text: '発熱あり。' },
+      { id: '3', sectionLabel: '現病歴', text: '咳なし' }
+    ]);
+  });
+});
+
+describe('getGroundingSources', () => {
+  test('OCRの行（選択マークは記号に置き換え、辞書の補正を反映）と選択項目に原本上の位置を付ける', () => {
+    const sources = getGroundingSources({
+      ocrPages,
+      selectionGroups,
+      correct: (text) => text.replace('ロキンニン', 'ロキソニン')
+    });
+    expect(sources[1]).toEqual({ content: '内服: ロキソニン 60mg', location: { pageNumber: 1, lineIndex: 1 } });
+    expect(sources[2].content).toBe('☑ 吸う ☐ 吸わない');
+    expect(sources[3]).toEqual({ content: '喫煙: 吸う ✓', location: { pageNumber: 1, markIndex: 0 } });
+  });
+
+  test('ページ情報がなければOCRテキストの行を使う', () => {
+    expect(getGroundingSources({ ocrText: '頭痛\n\n発熱' })).toEqual([
+      { content: '頭痛', location: null },
+      { content: '発熱', location: null }
+    ]);
+  });
+});
+
+describe('verifyGrounding', () => {
+  const index = createGroundingIndex(getGroundingSources({ ocrPages, selectionGroups }));
+
+  test('OCRテキストにない内容を根拠なしとし、見つからなかった部分を示す', () => {
+    const [onset, invented, mixed, smoking] = verifyGrounding([
+      { label: '現病歴', value: '3日前から頭痛、発熱。\n嘔吐と下痢あり。\n頭痛と発熱、腹痛' },
+      { label: '喫煙歴', value: '喫煙: 吸う' }
+    ], index);
+
+    expect(onset.status).toBe(GROUNDING_STATUS.SUPPORTED);
+    expect(onset.sources[0]).toEqual({ content: '3日前から頭痛と発熱があります', location: { pageNumber: 1, lineIndex: 0 } });
+    expect(invented.status).toBe(GROUNDING_STATUS.UNSUPPORTED);
+    expect(mixed.status).toBe(GROUNDING_STATUS.PARTIAL);
+    expect(mixed.segments).toEqual([{ text: '頭痛と発熱、', supported: true }, { text: '腹痛', supported: false }]);
+    expect(smoking.status).toBe(GROUNDING_STATUS.SUPPORTED);
+    expect(smoking.sources[0].location).toEqual({ pageNumber: 1, markIndex: 0 });
+  });
+
+  test('離れた行の語をつなぎ合わせた記載と、有無・数値が原文と異なる記載は根拠なしとする', () => {
+    const vitalIndex = createGroundingIndex(getGroundingSources({ ocrText: '発熱 あり 38度\n咳 なし\nロキソニン 60mg' }));
+    const [fever, cough, dose, sameDose, temperature] = verifyGrounding([
+      { label: '現病歴', value: '発熱なし。\n咳なし。\nロキソニン 600mg\nロキソニン 60mg\n38℃の発熱あり' }
+    ], vitalIndex);
+
+    expect(fever.status).toBe(GROUNDING_STATUS.UNSUPPORTED);
+    expect(fever.mismatches).toEqual([{ type: GROUNDING_MISMATCH.POLARITY, text: 'なし' }]);
+    expect(fever.segments).toEqual([{ text: '発熱', supported: true }, { text: 'なし。', supported: false }]);
+    expect(cough.status).toBe(GROUNDING_STATUS.SUPPORTED);
+    expect(dose.status).toBe(GROUNDING_STATUS.UNSUPPORTED);
+    expect(dose.mismatches).toEqual([{ type: GROUNDING_MISMATCH.NUMBER, text: '600mg' }]);
+    expect(sameDose.status).toBe(GROUNDING_STATUS.SUPPORTED);
+    expect(temperature.mismatches).toEqual([]);
+  });
+
+  test('連続した行にまたがる記載は根拠ありとし、離れた行はつなげない', () => {
+    const lineIndex = createGroundingIndex(getGroundingSources({
+      ocrPages: [{
+        pageNumber: 1,
+        lines: [
+          { index: 0, content: '3日前から頭痛と' },
+          { index: 1, content: '発熱があります' },
+          { index: 2, content: '既往歴: なし' },
+          { index: 4, content: '内服: 降圧薬' }
+        ]
+      }]
+    }));
+    const [onset, joined] = verifyGrounding([{ label: '現病歴', value: '3日前から頭痛と発熱\nなし内服' }], lineIndex);
+    expect(onset.status).toBe(GROUNDING_STATUS.SUPPORTED);
+    expect(onset.sources.map(source => source.location.lineIndex)).toEqual([0, 1]);
+    expect(joined.status).not.toBe(GROUNDING_STATUS.SUPPORTED);
+  });
+
+  test('LLMによる判定を優先し、根拠なしの記載をセクションごとにまとめる', () => {
+    const results = verifyGrounding([{ label: '現病歴', value: '熱がある\n嘔吐あり' }], index, {
+      熱がある: { supported: true, evidence: '発熱があります' }
+    });
+    expect(results[0].status).toBe(GROUNDING_STATUS.SUPPORTED);
+    expect(results[0].review.evidence).toBe('発熱があります');
+    expect(Object.keys(groupUngroundedBySection(results))).toEqual(['現病歴']);
+    expect(groupUngroundedBySection(results)['現病歴'].map(result => result.text)).toEqual(['嘔吐あり']);
+  });
+
+  test('有無・数値が原文と異なる記載は、LLMが根拠ありと判定しても根拠ありにしない', () => {
+    const doseIndex = createGroundingIndex(getGroundingSources({ ocrText: 'ロキソニン 60mg\n咳 なし' }));
+    const [dose, cough] = verifyGrounding([{ label: '内服薬', value: 'ロキソニン 600mg\n咳なし' }], doseIndex, {
+      'ロキソニン 600mg': { supported: true, evidence: 'ロキソニン 60mg' },
+      咳なし: { supported: false, evidence: '' }
+    });
+    expect(dose.status).toBe(GROUNDING_STATUS.PARTIAL);
+    expect(dose.mismatches).toEqual([{ type: GROUNDING_MISMATCH.NUMBER, text: '600mg' }]);
+    expect(dose.review.supported).toBe(true);
+    expect(cough.status).toBe(GROUNDING_STATUS.UNSUPPORTED);
+  });
+});
+
+describe('parseGroundingResponse', () => {
+  const statements = [{ id: '1', text: '頭痛' }, { id: '2', text: '嘔吐あり' }];
+
+  test('コードブロックで囲まれたJSONも読み取る', () => {
+    const content = '```json\n[{"id": 1, "supported": true, "evidence": "頭痛"}, {"id": "2", "supported": false}]\n```';
+    expect(parseGroundingResponse(content, statements)).toEqual({
+      頭痛: { supported: true, evidence: '頭痛' },
+      嘔吐あり: { supported: false, evidence: '' }
+    });
+  });
+
+  test('JSONでない応答はエラーにする', () => {
+    expect(() => parseGroundingResponse('判定できません', statements)).toThrow('根拠確認の応答を読み取れませんでした');
+  });
+});
@@ -0,0 +1,339 @@
+/**
+ * 処理履歴（OCR・LLMの結果）をブラウザのIndexedDBに保存する
+ * 問診票の内容（個人の医療情報）を含むため、保存期間を過ぎた履歴は自動で削除する。
+ * 合言葉によるロックが有効な場合は、ID と作成日時（期限切れの削除に使う）以外を暗号化して保存する。
+ * 一覧用の項目（toIndexEntry）は別に暗号化し、一覧の表示では履歴全体を復号しない
+ */
+import { isLockEnabled, encryptValue, decryptValue } from './secureStorage';
+
+const DB_NAME = 'ocr-llm-history';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+const CREATED_AT_INDEX = 'createdAt';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_HISTORY_SETTINGS = {
+  enabled: true,
+  retentionDays: 30
+};
+
+const createId = () => `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+const now = () => new Date().toISOString();
+
+// IDBRequest を Promise にする
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('このブラウザではIndexedDBを利用できないため、処理履歴を保存できません'));
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      store.createIndex(CREATED_AT_INDEX, CREATED_AT_INDEX);
+    };
+    dbPromise = requestToPromise(request).catch(error => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * ストアに対する処理を1つのトランザクションで実行する
+ * @param {string} mode - 'readonly' | 'readwrite'
+ * @param {Function} operation - (store) => 結果（IDBRequest の場合は完了後の値）
+ * @returns {Promise<*>} - トランザクション完了後の結果
+ */
+const withStore = async (mode, operation) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    let result;
+    Promise.resolve(operation(transaction.objectStore(STORE_NAME)))
+      .then(value => {
+        result = value;
+      })
+      .catch(error => {
+        transaction.abort();
+        reject(error);
+      });
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('処理履歴の更新を中止しました'));
+  });
+};
+
+/**
+ * 処理結果から履歴を作成する
+ * @param {Object} params - パラメータ
+ * @param {File} params.file - 処理したファイル
+ * @param {string} [params.thumbnail] - 1ページ目の縮小画像（Data URL）
+ * @param {Object} params.result - processDocument の結果
+ * @param {Object} [params.template] - 使用したテンプレート { id, name, department, prompt, systemMessage }
+ * @param {string} [params.startedAt] - 処理の開始日時
+ * @returns {Object} - 履歴
+ */
+export const createHistoryEntry = ({ file, thumbnail = null, result, template = null, startedAt = null }) => {
+  const { ocrResult } = result;
+  const rawResponse = (ocrResult && ocrResult.rawResponse) || {};
+  const createdAt = now();
+  return {
+    id: createId(),
+    createdAt,
+    updatedAt: createdAt,
+    startedAt: startedAt || createdAt,
+    fileName: file.webkitRelativePath || file.name,
+    fileType: file.type,
+    fileSize: file.size,
+    thumbnail,
+    engine: rawResponse.engine || null,
+    modelId: rawResponse.modelId || null,
+    analyzeResult: rawResponse.analyzeResult || null,
+    extractedText: (ocrResult && ocrResult.extractedText) || '',
+    mappedFields: (ocrResult && ocrResult.mappedFields) || null,
+    llmResult: result.llmResult || '',
+    structuredResult: result.structuredResult || null,
+    // 医師が修正する前のLLMの出力と、その修正内容（corrections.js の getCorrections）
+    originalLlmResult: result.llmResult || '',
+    originalStructuredResult: result.structuredResult || null,
+    corrections: null,
+    chunkCount: result.chunkCount || 0,
+    llmWarnings: result.llmWarnings || [],
+    redaction: result.redaction || null,
+    dictionaryCorrection: result.dictionaryCorrection || null,
+    // LLMによる根拠確認の判定（groundingVerifier の記載 → { supported, evidence }）
+    groundingReview: null,
+    template: template && {
+      id: template.id,
+      name: template.name,
+      department: template.department,
+      prompt: template.prompt,
+      systemMessage: template.systemMessage
+    }
+  };
+};
+
+/**
+ * 履歴から processDocument の ocrResult と同じ形を復元する
+ * @param {Object} entry - 履歴
+ * @returns {Object|null} - { rawResponse, extractedText, mappedFields }
+ */
+export const toOcrResult = (entry) => (entry.analyzeResult ? {
+  rawResponse: { engine: entry.engine, modelId: entry.modelId, analyzeResult: entry.analyzeResult },
+  extractedText: entry.extractedText,
+  mappedFields: entry.mappedFields
+} : null);
+
+/**
+ * 保存期間の境界（これより前に作成された履歴は削除対象）
+ * @param {number} retentionDays - 保存日数
+ * @param {number} [currentTime] - 現在時刻
+ * @returns {string} - ISO 8601 の日時
+ */
+export const getRetentionCutoff = (retentionDays, currentTime = Date.now()) => (
+  new Date(currentTime - retentionDays * DAY_MS).toISOString()
+);
+
+// 全角・半角や大文字・小文字の違いを無視して検索する
+const normalizeForSearch = (text) => (text || '').normalize('NFKC').toLowerCase();
+
+const splitQuery = (query) => normalizeForSearch(query).split(/\s+/).filter(Boolean);
+
+const getSearchableText = (entry) => [
+  entry.fileName,
+  entry.template && entry.template.name,
+  entry.template && entry.template.department,
+  entry.extractedText,
+  entry.llmResult
+].map(normalizeForSearch).join('\n');
+
+/**
+ * 履歴を全文検索する（空白で区切った語をすべて含む履歴を返す）
+ * @param {Array<Object>} entries - 履歴の一覧
+ * @param {string} query - 検索語
+ * @returns {Array<Object>} - 一致した履歴
+ */
+export const searchHistoryEntries = (entries, query) => {
+  const terms = splitQuery(query);
+  if (terms.length === 0) {
+    return entries;
+  }
+  return entries.filter(entry => {
+    const text = getSearchableText(entry);
+    return terms.every(term => text.includes(term));
+  });
+};
+
+/**
+ * 検索語の前後を抜き出す（一覧で一致箇所を示す）
+ * @param {Object} entry - 履歴
+ * @param {string} query - 検索語
+ * @param {number} [radius=30] - 前後に含める文字数
+ * @returns {string} - 抜粋（一致箇所がファイル名やテンプレート名だけの場合は空文字）
+ */
+export const getSearchSnippet = (entry, query, radius = 30) => {
+  const [term] = splitQuery(query);
+  if (!term) {
+    return '';
+  }
+  for (const source of [entry.extractedText, entry.llmResult]) {
+    // NFKC で長さが変わる文字もあるため、位置は正規化後の文字列で求めて切り出す
+    const text = (source || '').normalize('NFKC');
+    const index = text.toLowerCase().indexOf(term);
+    if (index >= 0) {
+      const start = Math.max(0, index - radius);
+      const end = Math.min(text.length, index + term.length + radius);
+      const snippet = text.slice(start, end).replace(/\s+/g, ' ');
+      return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+    }
+  }
+  return '';
+};
+
+/**
+ * 一覧・検索に使う項目だけを取り出す（解析結果の生データ・構造化出力などは含まない）
+ * @param {Object} entry - 履歴
+ * @returns {Object} - 一覧用の履歴
+ */
+export const toIndexEntry = (entry) => ({
+  id: entry.id,
+  createdAt: entry.createdAt,
+  updatedAt: entry.updatedAt,
+  fileName: entry.fileName,
+  thumbnail: entry.thumbnail,
+  template: entry.template && { name: entry.template.name, department: entry.template.department },
+  corrections: entry.corrections && { stats: entry.corrections.stats },
+  extractedText: entry.extractedText,
+  llmResult: entry.llmResult
+});
+
+// 保存する形にする（ロックが有効なら暗号化する）。暗号化はトランザクションの外で行う
+// 一覧の表示で履歴全体を復号しないよう、一覧用の項目は別に暗号化しておく
+const sealRecord = async (entry) => (
+  isLockEnabled()
+    ? {
+      id: entry.id,
+      createdAt: entry.createdAt,
+      sealed: await encryptValue(entry),
+      sealedIndex: await encryptValue(toIndexEntry(entry))
+    }
+    : entry
+);
+
+// 保存された形から履歴に戻す（ロックの有効化前に保存した平文の履歴はそのまま）
+const openRecord = async (record) => (
+  record.sealed ? { ...(await decryptValue(record.sealed)), id: record.id } : record
+);
+
+// 保存された形から一覧用の履歴に戻す（一覧用の項目がない以前の暗号化した履歴は全体を復号する）
+const openIndexRecord = async (record) => (
+  record.sealedIndex
+    ? { ...(await decryptValue(record.sealedIndex)), id: record.id }
+    : toIndexEntry(await openRecord(record))
+);
+
+/**
+ * 履歴を保存する（同じIDがあれば上書き）
+ * @param {Object} entry - 履歴
+ * @returns {Promise<string>} - 履歴のID
+ */
+export const saveHistoryEntry = async (entry) => {
+  const record = await sealRecord(entry);
+  return withStore('readwrite', store => requestToPromise(store.put(record)));
+};
+
+/**
+ * 履歴を取得する
+ * @param {string} id - 履歴のID
+ * @returns {Promise<Object|null>} - 履歴
+ */
+export const getHistoryEntry = async (id) => {
+  const record = await withStore('readonly', store => requestToPromise(store.get(id)));
+  return record ? openRecord(record) : null;
+};
+
+/**
+ * 履歴の一覧を新しい順に取得する（toIndexEntry の項目だけを含む）
+ * @returns {Promise<Array<Object>>} - 履歴の一覧
+ */
+export const listHistoryEntries = async () => {
+  const records = await withStore('readonly', store => requestToPromise(store.getAll()));
+  const entries = await Promise.all(records.map(openIndexRecord));
+  return entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * 履歴の一部を更新する
+ * @param {string} id - 履歴のID
+ * @param {Object} patch - 更新する項目
+ * @returns {Promise<Object|null>} - 更新後の履歴（削除済みの場合は null）
+ */
+export const updateHistoryEntry = async (id, patch) => {
+  const entry = await getHistoryEntry(id);
+  if (!entry) {
+    return null;
+  }
+  const updated = { ...entry, ...patch, id, updatedAt: now() };
+  await saveHistoryEntry(updated);
+  return updated;
+};
+
+/**
+ * すべての履歴を現在のロックの状態に合わせて保存し直す
+ * （ロックの有効化時は暗号化し、無効化時は鍵を破棄する前に呼んで平文に戻す）
+ * @returns {Promise<number>} - 保存し直した件数
+ */
+export const resealHistoryEntries = async () => {
+  const records = await withStore('readonly', store => requestToPromise(store.getAll()));
+  const resealed = await Promise.all(records.map(async record => sealRecord(await openRecord(record))));
+  await withStore('readwrite', store => Promise.all(resealed.map(record => requestToPromise(store.put(record)))));
+  return resealed.length;
+};
+
+/**
+ * 履歴を削除する
+ * @param {string} id - 履歴のID
+ * @returns {Promise<void>}
+ */
+export const deleteHistoryEntry = (id) => withStore('readwrite', store => requestToPromise(store.delete(id)));
+
+/**
+ * すべての履歴を削除する
+ * @returns {Promise<void>}
+ */
+export const clearHistory = () => withStore('readwrite', store => requestToPromise(store.clear()));
+
+/**
+ * 保存期間を過ぎた履歴を削除する
+ * @param {number} retentionDays - 保存日数
+ * @param {number} [currentTime] - 現在時刻
+ * @returns {Promise<number>} - 削除した件数
+ */
+export const deleteExpiredEntries = (retentionDays, currentTime = Date.now()) => withStore('readwrite', store => (
+  new Promise((resolve, reject) => {
+    const range = IDBKeyRange.upperBound(getRetentionCutoff(retentionDays, currentTime), true);
+    const request = store.index(CREATED_AT_INDEX).openCursor(range);
+    let deletedCount = 0;
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve(deletedCount);
+        return;
+      }
+      cursor.delete();
+      deletedCount += 1;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  })
+));
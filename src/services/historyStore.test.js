@@ -0,0 +1,92 @@
+import {
+  createHistoryEntry,
+  toOcrResult,
+  getRetentionCutoff,
+  searchHistoryEntries,
+  getSearchSnippet,
+  toIndexEntry
+} from './historyStore';
+
+const file = { name: 'monshin.pdf', type: 'application/pdf', size: 1234 };
+
+const result = {
+  ocrResult: {
+    rawResponse: { engine: 'azure', modelId: 'prebuilt-layout', analyzeResult: { content: '頭痛が3日続く', pages: [] } },
+    extractedText: '氏名 山田太郎\n症状 頭痛が3日続く',
+    mappedFields: { fixedSections: [] }
+  },
+  llmResult: '【主訴】頭痛',
+  structuredResult: null,
+  chunkCount: 1,
+  llmWarnings: []
+};
+
+describe('createHistoryEntry', () => {
+  test('OCR・LLMの結果とテンプレートを保存し、OCR結果を復元できる', () => {
+    const entry = createHistoryEntry({
+      file,
+      thumbnail: 'data:image/jpeg;base64,xx',
+      result,
+      template: { id: 't1', name: '内科', department: '内科', prompt: 'p', systemMessage: 's', versions: [] },
+      startedAt: '2024-04-01T00:00:00.000Z'
+    });
+
+    expect(entry.fileName).toBe('monshin.pdf');
+    expect(entry.startedAt).toBe('2024-04-01T00:00:00.000Z');
+    expect(entry.updatedAt).toBe(entry.createdAt);
+    expect(entry.analyzeResult).toBe(result.ocrResult.rawResponse.analyzeResult);
+    expect(entry.llmResult).toBe('【主訴】頭痛');
+    expect(entry.originalLlmResult).toBe('【主訴】頭痛');
+    expect(entry.corrections).toBeNull();
+    expect(entry.template).toEqual({ id: 't1', name: '内科', department: '内科', prompt: 'p', systemMessage: 's' });
+    expect(toOcrResult(entry)).toEqual({
+      rawResponse: result.ocrResult.rawResponse,
+      extractedText: result.ocrResult.extractedText,
+      mappedFields: result.ocrResult.mappedFields
+    });
+  });
+});
+
+describe('toIndexEntry', () => {
+  test('一覧・検索に使う項目だけを残す', () => {
+    const entry = createHistoryEntry({
+      file,
+      result,
+      template: { id: 't1', name: '内科', department: '内科', prompt: 'p', systemMessage: 's' }
+    });
+    const indexEntry = toIndexEntry({ ...entry, corrections: { stats: { changedSectionCount: 1 }, sections: [] } });
+
+    expect(Object.keys(indexEntry)).not.toContain('analyzeResult');
+    expect(Object.keys(indexEntry)).not.toContain('structuredResult');
+    expect(indexEntry.template).toEqual({ name: '内科', department: '内科' });
+    expect(indexEntry.corrections).toEqual({ stats: { changedSectionCount: 1 } });
+    expect(searchHistoryEntries([indexEntry], '頭痛 内科')).toEqual([indexEntry]);
+  });
+});
+
+describe('getRetentionCutoff', () => {
+  test('保存日数前の日時を返す', () => {
+    expect(getRetentionCutoff(30, Date.parse('2024-05-31T00:00:00.000Z'))).toBe('2024-05-01T00:00:00.000Z');
+  });
+});
+
+describe('searchHistoryEntries', () => {
+  const entries = [
+    { id: 'a', fileName: 'a.pdf', template: { name: '小児科' }, extractedText: '発熱 ３８度', llmResult: '' },
+    { id: 'b', fileName: 'b.pdf', template: null, extractedText: '頭痛', llmResult: 'Headache' }
+  ];
+
+  test('空白で区切った語をすべて含む履歴を返す（全角・大文字を区別しない）', () => {
+    expect(searchHistoryEntries(entries, '')).toEqual(entries);
+    expect(searchHistoryEntries(entries, '発熱 38').map(entry => entry.id)).toEqual(['a']);
+    expect(searchHistoryEntries(entries, '小児科').map(entry => entry.id)).toEqual(['a']);
+    expect(searchHistoryEntries(entries, 'headache').map(entry => entry.id)).toEqual(['b']);
+    expect(searchHistoryEntries(entries, '頭痛 発熱')).toEqual([]);
+  });
+
+  test('一致箇所の前後を抜粋する', () => {
+    const entry = { extractedText: 'あいうえお かきくけこ さしすせそ', llmResult: '' };
+    expect(getSearchSnippet(entry, 'かき', 2)).toBe('…お かきくけ…');
+    expect(getSearchSnippet(entry, 'a.pdf')).toBe('');
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * アップロードされたファイルを、OCRエンジンとプレビューで扱える形式に変換する
+ * JPEG・PNG・BMP・PDF はそのまま使い、ブラウザで表示できないことの多い形式は次のように変換する
+ * - HEIC/HEIF（iPadのカメラ）→ JPEG（heic2any でデコードするため、ChromeやEdgeでも変換できる）
+ * - TIFF（FAXサーバー。複数ページあり）→ 全ページをまとめたPDF（UTIF.js でデコードする）
+ */
+import { readTiffPages, decodeTiffPage } from './tiffDecoder';
+
+export const UPLOAD_FORMATS = {
+  JPEG: 'jpeg',
+  PNG: 'png',
+  BMP: 'bmp',
+  TIFF: 'tiff',
+  HEIC: 'heic',
+  PDF: 'pdf'
+};
+
+// ファイル選択ダイアログの accept 属性
+export const UPLOAD_ACCEPT = '.jpg,.jpeg,.png,.bmp,.tif,.tiff,.heic,.heif,.pdf';
+
+const MIME_FORMATS = [
+  [/jpe?g/, UPLOAD_FORMATS.JPEG],
+  [/png/, UPLOAD_FORMATS.PNG],
+  [/bmp/, UPLOAD_FORMATS.BMP],
+  [/tiff?/, UPLOAD_FORMATS.TIFF],
+  [/hei[cf]/, UPLOAD_FORMATS.HEIC],
+  [/pdf/, UPLOAD_FORMATS.PDF]
+];
+
+const EXTENSION_FORMATS = {
+  jpg: UPLOAD_FORMATS.JPEG,
+  jpeg: UPLOAD_FORMATS.JPEG,
+  png: UPLOAD_FORMATS.PNG,
+  bmp: UPLOAD_FORMATS.BMP,
+  tif: UPLOAD_FORMATS.TIFF,
+  tiff: UPLOAD_FORMATS.TIFF,
+  heic: UPLOAD_FORMATS.HEIC,
+  heif: UPLOAD_FORMATS.HEIC,
+  pdf: UPLOAD_FORMATS.PDF
+};
+
+// ブラウザで変換が必要な形式
+const CONVERTED_FORMATS = [UPLOAD_FORMATS.HEIC, UPLOAD_FORMATS.TIFF];
+
+const HEIC_JPEG_QUALITY = 0.92;
+const POINTS_PER_INCH = 72;
+
+/**
+ * ファイルの形式を判定する（type 属性がない・汎用の場合は拡張子で判定する）
+ * @param {File} file - ファイル
+ * @returns {string|null} - UPLOAD_FORMATS の値（対象外の形式は null）
+ */
+export const getUploadFormat = (file) => {
+  const type = (file.type || '').toLowerCase();
+  const byType = type.startsWith('image/') || type === 'application/pdf'
+    ? MIME_FORMATS.find(([pattern]) => pattern.test(type))
+    : null;
+  if (byType) {
+    return byType[1];
+  }
+  const extension = file.name.toLowerCase().split('.').pop();
+  return EXTENSION_FORMATS[extension] || null;
+};
+
+/**
+ * ブラウザでの変換が必要なファイルかどうか
+ * @param {File} file - ファイル
+ * @returns {boolean}
+ */
+export const needsConversion = (file) => CONVERTED_FORMATS.includes(getUploadFormat(file));
+
+// 拡張子を置き換えたファイル名
+const replaceExtension = (name, extension) => `${name.replace(/\.[^./]+$/, '')}.${extension}`;
+
+const canvasToBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('画像を変換できませんでした'))), type, quality);
+});
+
+/**
+ * HEIC/HEIFをJPEGに変換する（複数の画像を含む場合は1枚目）
+ * @param {File} file - HEIC/HEIFファイル
+ * @returns {Promise<File>} - JPEGファイル
+ */
+const convertHeicToJpeg = async (file) => {
+  // デコーダー（libheif）は大きいため、HEICを変換するときだけ読み込む
+  const { default: heic2any } = await import('heic2any');
+  let converted;
+  try {
+    converted = await heic2any({ blob: file, toType: 'image/jpeg', quality: HEIC_JPEG_QUALITY });
+  } catch (error) {
+    throw new Error(`${file.name} を変換できませんでした: ${(error && error.message) || 'HEICファイルを読み込めません'}`);
+  }
+  const blob = Array.isArray(converted) ? converted[0] : converted;
+  return new File([blob], replaceExtension(file.name, 'jpg'), { type: 'image/jpeg', lastModified: file.lastModified });
+};
+
+/**
+ * TIFFの全ページを1つのPDFにまとめる（ページの大きさは解像度から求める）
+ * @param {File} file - TIFFファイル
+ * @returns {Promise<File>} - PDFファイル
+ */
+const convertTiffToPdf = async (file) => {
+  const buffer = await file.arrayBuffer();
+  const pages = await readTiffPages(buffer);
+  // pdf-lib は変換するときだけ読み込む
+  const { PDFDocument } = await import('pdf-lib');
+  const pdf = await PDFDocument.create();
+
+  for (const page of pages) {
+    const canvas = document.createElement('canvas');
+    canvas.width = page.width;
+    canvas.height = page.height;
+    canvas.getContext('2d').putImageData(new ImageData(await decodeTiffPage(buffer, page), page.width, page.height), 0, 0);
+    const png = await pdf.embedPng(await (await canvasToBlob(canvas, 'image/png')).arrayBuffer());
+
+    // FAXは縦横の解像度が異なることがあるため、縦横それぞれの解像度で大きさを求める
+    const width = (page.width * POINTS_PER_INCH) / page.xResolution;
+    const height = (page.height * POINTS_PER_INCH) / page.yResolution;
+    pdf.addPage([width, height]).drawImage(png, { x: 0, y: 0, width, height });
+  }
+
+  const bytes = await pdf.save();
+  return new File([bytes], replaceExtension(file.name, 'pdf'), { type: 'application/pdf', lastModified: file.lastModified });
+};
+
+/**
+ * OCRエンジンに送れる形式に変換する（変換が不要な形式はそのまま返す）
+ * @param {File} file - アップロードされたファイル
+ * @returns {Promise<File>} - JPEG・PNG・BMP・PDF のいずれかのファイル
+ */
+export const normalizeUploadFile = async (file) => {
+  const format = getUploadFormat(file);
+  if (format === UPLOAD_FORMATS.HEIC) {
+    return convertHeicToJpeg(file);
+  }
+  if (format === UPLOAD_FORMATS.TIFF) {
+    try {
+      return await convertTiffToPdf(file);
+    } catch (error) {
+      throw new Error(`${file.name} を変換できませんでした: ${error.message}`);
+    }
+  }
+  return file;
+};
@@ -0,0 +1,23 @@
+import { getUploadFormat, needsConversion, UPLOAD_FORMATS } from './imageNormalizer';
+
+const createFile = (name, type = '') => new File(['x'], name, { type });
+
+describe('getUploadFormat', () => {
+  test('MIMEタイプと拡張子から形式を判定する', () => {
+    expect(getUploadFormat(createFile('scan.png', 'image/png'))).toBe(UPLOAD_FORMATS.PNG);
+    expect(getUploadFormat(createFile('fax.TIF', 'image/tiff'))).toBe(UPLOAD_FORMATS.TIFF);
+    expect(getUploadFormat(createFile('IMG_0001.HEIC'))).toBe(UPLOAD_FORMATS.HEIC);
+    expect(getUploadFormat(createFile('photo.heif', 'application/octet-stream'))).toBe(UPLOAD_FORMATS.HEIC);
+    expect(getUploadFormat(createFile('form.bmp', 'image/x-ms-bmp'))).toBe(UPLOAD_FORMATS.BMP);
+    expect(getUploadFormat(createFile('form.pdf', 'application/pdf'))).toBe(UPLOAD_FORMATS.PDF);
+    expect(getUploadFormat(createFile('memo.txt', 'text/plain'))).toBeNull();
+    expect(getUploadFormat(createFile('anim.gif', 'image/gif'))).toBeNull();
+  });
+
+  test('HEICとTIFFだけをブラウザで変換する', () => {
+    expect(needsConversion(createFile('fax.tiff'))).toBe(true);
+    expect(needsConversion(createFile('IMG_0001.heic', 'image/heic'))).toBe(true);
+    expect(needsConversion(createFile('form.jpg', 'image/jpeg'))).toBe(false);
+    expect(needsConversion(createFile('form.png', 'image/png'))).toBe(false);
+  });
+});
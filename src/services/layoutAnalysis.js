@@ -0,0 +1,256 @@
+/**
+ * 選択マーク（チェックボックス）と周囲のテキストの位置関係から、
+ * 各マークの選択肢（「はい」「いいえ」など）と設問（「喫煙」など）を求める
+ */
+import { polygonBounds } from './ocrGeometry';
+
+// Azureの content / 単語に含まれる選択マークのプレースホルダ
+const MARK_TOKEN = /:(un)?selected:/g;
+
+// 選択済みを示す記号
+export const CHECKED_SYMBOL = '✓';
+
+// 距離の許容量はマークの高さに対する比率で表す（単位がインチでもピクセルでも同じ基準になる）
+const LABEL_MAX_GAP = 3;
+const LABEL_WORD_GAP = 1;
+const QUESTION_MAX_DISTANCE = 2.5;
+
+const CJK_CHAR = /[\u3000-\u30ff\u3400-\u9fff\uf900-\ufaff\uff00-\uffef]/;
+
+/**
+ * 単語をつなげる（日本語どうしの間には空白を入れない）
+ * @param {Array<string>} texts - 単語
+ * @returns {string} - つなげたテキスト
+ */
+const joinWords = (texts) => texts.reduce((joined, text) => {
+  if (!joined) {
+    return text;
+  }
+  const needsSpace = !CJK_CHAR.test(joined.slice(-1)) || !CJK_CHAR.test(text[0]);
+  return `${joined}${needsSpace ? ' ' : ''}${text}`;
+}, '');
+
+/**
+ * 設問の末尾の区切り記号（：や？）と選択マークのプレースホルダを除く
+ * @param {string} text - テキスト
+ * @returns {string} - 整えたテキスト
+ */
+const cleanText = (text) => text
+  .replace(MARK_TOKEN, '')
+  .replace(/[□■☐☑✓✔]/g, '')
+  .replace(/[\s:：?？]+$/, '')
+  .trim();
+
+const centerY = (bounds) => (bounds.top + bounds.bottom) / 2;
+
+// 2つの矩形が同じ行にあるか（縦方向の中心が相手の高さの範囲に入るか）
+const isSameRow = (a, b) => {
+  const tolerance = Math.max(a.bottom - a.top, b.bottom - b.top) * 0.6;
+  return Math.abs(centerY(a) - centerY(b)) <= tolerance;
+};
+
+const LABEL_SIDES = {
+  LEFT: 'left',
+  RIGHT: 'right'
+};
+
+// マークの左右で、隣のマークとの間にある単語（右側は左から、左側は右から順）
+const getSideWords = (mark, side, rowWords, rowMarks) => {
+  const size = mark.bounds.bottom - mark.bounds.top;
+  if (side === LABEL_SIDES.RIGHT) {
+    // 次のマークより先の単語は別の選択肢のラベル
+    const nextMark = rowMarks.find(other => other.bounds.left > mark.bounds.left);
+    const limit = nextMark ? nextMark.bounds.left : Infinity;
+    return rowWords.filter(word => (
+      word.bounds.left >= mark.bounds.right - size * 0.3 && word.bounds.right <= limit + size * 0.3
+    ));
+  }
+  const previousMark = [...rowMarks].reverse().find(other => other.bounds.left < mark.bounds.left);
+  const limit = previousMark ? previousMark.bounds.right : -Infinity;
+  return rowWords
+    .filter(word => word.bounds.right <= mark.bounds.left + size * 0.3 && word.bounds.left >= limit - size * 0.3)
+    .reverse();
+};
+
+// マークと、その左右の最も近い単語との間隔
+const getSideGap = (mark, side, rowWords, rowMarks) => {
+  const [nearest] = getSideWords(mark, side, rowWords, rowMarks);
+  if (!nearest) {
+    return Infinity;
+  }
+  return side === LABEL_SIDES.RIGHT ? nearest.bounds.left - mark.bounds.right : mark.bounds.left - nearest.bounds.right;
+};
+
+/**
+ * 行の選択肢のラベルがマークの右（「□はい」）と左（「はい□」）のどちらにあるかを判定する
+ * 半数を超えるマークで左の単語の方が近ければ左とする（同数の場合は右）
+ * @param {Array<Object>} rowMarks - 同じ行のマーク（左から順）
+ * @param {Array<Object>} rowWords - 同じ行の単語（左から順）
+ * @returns {string} - LABEL_SIDES の値
+ */
+const findLabelSide = (rowMarks, rowWords) => {
+  const leftCloser = rowMarks.filter(mark => (
+    getSideGap(mark, LABEL_SIDES.LEFT, rowWords, rowMarks) < getSideGap(mark, LABEL_SIDES.RIGHT, rowWords, rowMarks)
+  )).length;
+  return leftCloser * 2 > rowMarks.length ? LABEL_SIDES.LEFT : LABEL_SIDES.RIGHT;
+};
+
+/**
+ * マークの指定した側（その側に単語がなければ反対側）に続く単語を選択肢のラベルとして取得する
+ * @param {Object} mark - { bounds }
+ * @param {Array<Object>} rowWords - 同じ行の単語（左から順）
+ * @param {Array<Object>} rowMarks - 同じ行のマーク
+ * @param {string} side - findLabelSide の結果
+ * @returns {Object} - { text, words }
+ */
+const findOptionLabel = (mark, rowWords, rowMarks, side) => {
+  const size = mark.bounds.bottom - mark.bounds.top;
+
+  const collect = (labelSide, firstGap) => {
+    const labelWords = [];
+    let previousEdge = labelSide === LABEL_SIDES.RIGHT ? mark.bounds.right : mark.bounds.left;
+    for (const word of getSideWords(mark, labelSide, rowWords, rowMarks)) {
+      const gap = labelSide === LABEL_SIDES.RIGHT ? word.bounds.left - previousEdge : previousEdge - word.bounds.right;
+      const maxGap = labelWords.length === 0 ? firstGap : LABEL_WORD_GAP;
+      if (gap > size * maxGap) {
+        break;
+      }
+      labelWords.push(word);
+      previousEdge = labelSide === LABEL_SIDES.RIGHT ? word.bounds.right : word.bounds.left;
+    }
+    return labelSide === LABEL_SIDES.RIGHT ? labelWords : labelWords.reverse();
+  };
+
+  const otherSide = side === LABEL_SIDES.RIGHT ? LABEL_SIDES.LEFT : LABEL_SIDES.RIGHT;
+  let labelWords = collect(side, LABEL_MAX_GAP);
+  if (labelWords.length === 0) {
+    // 反対側は、マークのすぐ隣の単語だけをラベルとする（設問を選択肢としないため）
+    labelWords = collect(otherSide, LABEL_WORD_GAP * 1.5);
+  }
+  return labelWords.length > 0
+    ? { text: cleanText(joinWords(labelWords.map(word => word.content))), words: labelWords }
+    : { text: '', words: [] };
+};
+
+/**
+ * 設問を求める: 同じ行で最初のマークより左にある単語、なければマークの上にある直近の行
+ * @param {Array<Object>} rowMarks - 同じ行のマーク（左から順）
+ * @param {Array<Object>} rowWords - 同じ行の単語（左から順）
+ * @param {Set<Object>} labelWords - 選択肢のラベルとして使った単語
+ * @param {Array<Object>} lines - ページの行（bounds 付き）
+ * @returns {string} - 設問
+ */
+const findQuestion = (rowMarks, rowWords, labelWords, lines) => {
+  const first = rowMarks[0].bounds;
+  const size = first.bottom - first.top;
+
+  const leftText = cleanText(joinWords(rowWords
+    .filter(word => word.bounds.right <= first.left + size * 0.3 && !labelWords.has(word))
+    .map(word => word.content)));
+  if (leftText) {
+    return leftText;
+  }
+
+  const right = rowMarks[rowMarks.length - 1].bounds.right;
+  const above = lines
+    .filter(line => line.bounds.bottom <= first.top + size * 0.3)
+    .filter(line => first.top - line.bounds.bottom <= size * QUESTION_MAX_DISTANCE)
+    .filter(line => line.bounds.left <= right && line.bounds.right >= first.left - size * 10)
+    .sort((a, b) => b.bounds.bottom - a.bounds.bottom);
+
+  return above.length > 0 ? cleanText(above[0].content) : '';
+};
+
+/**
+ * ページ内の選択マークを行ごとにまとめ、選択肢と設問を付ける
+ * @param {Object} page - getOcrPages のページ
+ * @returns {Array<Object>} - [{ pageNumber, question, options: [{ index, label, state, confidence }] }]
+ */
+const analyzePage = (page) => {
+  const withBounds = (item) => ({ ...item, bounds: polygonBounds(item.polygon) });
+  const marks = page.selectionMarks.map(withBounds).filter(mark => mark.bounds);
+  if (marks.length === 0) {
+    return [];
+  }
+
+  const words = page.words
+    .map(withBounds)
+    .filter(word => word.bounds && cleanText(word.content) !== '')
+    .sort((a, b) => a.bounds.left - b.bounds.left);
+  const lines = page.lines.map(withBounds).filter(line => line.bounds);
+
+  // マークを上から順に、同じ行のもの同士でまとめる
+  const rows = [];
+  [...marks]
+    .sort((a, b) => a.bounds.top - b.bounds.top)
+    .forEach(mark => {
+      const row = rows.find(candidate => isSameRow(candidate[0].bounds, mark.bounds));
+      if (row) {
+        row.push(mark);
+      } else {
+        rows.push([mark]);
+      }
+    });
+
+  return rows.map(row => {
+    const rowMarks = row.sort((a, b) => a.bounds.left - b.bounds.left);
+    const rowWords = words.filter(word => isSameRow(rowMarks[0].bounds, word.bounds));
+    const labelWords = new Set();
+    const side = findLabelSide(rowMarks, rowWords);
+
+    const options = rowMarks.map(mark => {
+      const label = findOptionLabel(mark, rowWords, rowMarks, side);
+      label.words.forEach(word => labelWords.add(word));
+      return {
+        index: mark.index,
+        label: label.text,
+        state: mark.state,
+        confidence: mark.confidence
+      };
+    });
+
+    return {
+      pageNumber: page.pageNumber,
+      question: findQuestion(rowMarks, rowWords, labelWords, lines),
+      options
+    };
+  });
+};
+
+/**
+ * すべてのページの選択マークを設問ごとにまとめる
+ * @param {Array<Object>} ocrPages - getOcrPages の結果
+ * @returns {Array<Object>} - 設問の一覧
+ */
+export const analyzeSelectionMarks = (ocrPages) => (ocrPages || []).flatMap(analyzePage);
+
+/**
+ * 設問1件を「喫煙: はい ✓」の形式にする
+ * @param {Object} group - analyzeSelectionMarks の要素
+ * @returns {string} - テキスト
+ */
+export const formatSelectionGroup = (group) => {
+  const selected = group.options
+    .filter(option => option.state === 'selected')
+    .map(option => `${option.label || '（ラベルなし）'} ${CHECKED_SYMBOL}`);
+  const answer = selected.length > 0 ? selected.join('、') : '（未選択）';
+  return group.question ? `${group.question}: ${answer}` : answer;
+};
+
+/**
+ * 選択マークの一覧をLLMに渡すテキストにする
+ * @param {Array<Object>} groups - analyzeSelectionMarks の結果
+ * @returns {string} - テキスト（選択マークがない場合は空）
+ */
+export const selectionMarksToText = (groups) => (
+  groups.length > 0 ? `選択項目:\n${groups.map(formatSelectionGroup).join('\n')}` : ''
+);
+
+/**
+ * content 中の選択マークのプレースホルダを記号に置き換える
+ * @param {string} text - テキスト
+ * @returns {string} - 置き換えたテキスト
+ */
+export const replaceMarkTokens = (text) => text
+  .replace(/:selected:/g, '☑')
+  .replace(/:unselected:/g, '☐');
@@ -0,0 +1,63 @@
+import { analyzeSelectionMarks, formatSelectionGroup, selectionMarksToText } from './layoutAnalysis';
+
+// 幅 w・高さ 0.2 の矩形ポリゴン
+const box = (left, top, width = 0.2, height = 0.2) => [
+  left, top, left + width, top, left + width, top + height, left, top + height
+];
+
+const page = {
+  pageNumber: 1,
+  lines: [
+    { index: 0, content: '喫煙 :selected: はい :unselected: いいえ', polygon: box(1, 1, 3), spans: [] },
+    { index: 1, content: 'アレルギーはありますか？', polygon: box(1, 2, 2.4), spans: [] },
+    { index: 2, content: 'ある ない', polygon: box(1.3, 2.4, 2), spans: [] }
+  ],
+  words: [
+    { index: 0, content: '喫煙', polygon: box(1, 1, 0.4) },
+    { index: 1, content: 'はい', polygon: box(1.8, 1, 0.4) },
+    { index: 2, content: 'いいえ', polygon: box(2.8, 1, 0.6) },
+    { index: 3, content: 'アレルギーはありますか？', polygon: box(1, 2, 2.4) },
+    { index: 4, content: 'ある', polygon: box(1.6, 2.4, 0.4) },
+    { index: 5, content: 'ない', polygon: box(2.6, 2.4, 0.4) }
+  ],
+  selectionMarks: [
+    { index: 0, state: 'selected', polygon: box(1.5, 1), confidence: 0.9 },
+    { index: 1, state: 'unselected', polygon: box(2.5, 1), confidence: 0.9 },
+    { index: 2, state: 'unselected', polygon: box(1.3, 2.4), confidence: 0.9 },
+    { index: 3, state: 'unselected', polygon: box(2.3, 2.4), confidence: 0.9 }
+  ]
+};
+
+describe('analyzeSelectionMarks', () => {
+  test('同じ行の左側の単語を設問、マークの右の単語を選択肢にする', () => {
+    const [smoking] = analyzeSelectionMarks([page]);
+    expect(smoking.question).toBe('喫煙');
+    expect(smoking.options.map(option => option.label)).toEqual(['はい', 'いいえ']);
+    expect(formatSelectionGroup(smoking)).toBe('喫煙: はい ✓');
+  });
+
+  test('同じ行に設問がない場合は直上の行を設問にする', () => {
+    const groups = analyzeSelectionMarks([page]);
+    expect(groups[1].question).toBe('アレルギーはありますか');
+    expect(selectionMarksToText(groups)).toBe('選択項目:\n喫煙: はい ✓\nアレルギーはありますか: （未選択）');
+  });
+
+  test('選択肢のラベルがマークの左にある様式では、左の単語をラベルにする', () => {
+    const [smoking] = analyzeSelectionMarks([{
+      pageNumber: 1,
+      lines: [{ index: 0, content: '喫煙 はい :selected: いいえ :unselected:', polygon: box(1, 1, 2.75), spans: [] }],
+      words: [
+        { index: 0, content: '喫煙', polygon: box(1, 1, 0.4) },
+        { index: 1, content: 'はい', polygon: box(1.9, 1, 0.4) },
+        { index: 2, content: 'いいえ', polygon: box(2.9, 1, 0.6) }
+      ],
+      selectionMarks: [
+        { index: 0, state: 'selected', polygon: box(2.35, 1), confidence: 0.9 },
+        { index: 1, state: 'unselected', polygon: box(3.55, 1), confidence: 0.9 }
+      ]
+    }]);
+    expect(smoking.question).toBe('喫煙');
+    expect(smoking.options.map(option => option.label)).toEqual(['はい', 'いいえ']);
+    expect(formatSelectionGroup(smoking)).toBe('喫煙: はい ✓');
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * LLMプロバイダーの定義
+ * 各プロバイダーはチャット補完リクエストの組み立てと応答の解釈だけを担当し、
+ * 送信・再試行・エラー処理は llmService 側で共通化する
+ */
+import { PROXY_FORMAT_URL } from './proxyService';
+import { STREAM_FORMATS } from './streamParser';
+
+export const LLM_PROVIDERS = {
+  AZURE_OPENAI: 'azure-openai',
+  OPENAI_COMPATIBLE: 'openai-compatible',
+  OLLAMA: 'ollama'
+};
+
+/**
+ * URLを正規化する（プロトコル補完・末尾スラッシュ削除）
+ * @param {string} url - URL
+ * @param {string} defaultProtocol - プロトコルがない場合に補う値
+ * @returns {string} - 正規化したURL
+ */
+const normalizeBaseUrl = (url, defaultProtocol) => {
+  let baseUrl = (url || '').trim();
+  // プロトコルが含まれていない場合は追加
+  if (baseUrl && !baseUrl.startsWith('http')) {
+    baseUrl = `${defaultProtocol}://${baseUrl}`;
+  }
+  // 末尾のスラッシュを削除
+  return baseUrl.replace(/\/+$/, '');
+};
+
+// OpenAI互換の応答（choices[0].message.content）
+const parseOpenAIResponse = (data) => (
+  data && data.choices && data.choices.length > 0 ? data.choices[0].message.content : null
+);
+
+// 応答が max_tokens に達して途中で切れたか
+const isOpenAIResponseTruncated = (data) => Boolean(
+  data && data.choices && data.choices.length > 0 && data.choices[0].finish_reason === 'length'
+);
+
+// ストリーミング応答の1イベント（choices[0].delta.content）
+const parseOpenAIStreamChunk = (data) => {
+  const choice = data && data.choices && data.choices.length > 0 ? data.choices[0] : null;
+  return {
+    delta: (choice && choice.delta && choice.delta.content) || '',
+    truncated: Boolean(choice && choice.finish_reason === 'length')
+  };
+};
+
+const azureOpenAIProvider = {
+  label: 'Azure OpenAI',
+
+  isConfigComplete: (config) => Boolean(
+    config.useProxy || (config.endpoint && config.apiKey && config.deploymentName)
+  ),
+
+  describe: (config) => (config.useProxy ? PROXY_FORMAT_URL : config.endpoint),
+
+  buildRequest: (config, messages, { maxTokens, temperature, stream = false }) => {
+    const body = {
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      top_p: 0.95,
+      frequency_penalty: 0,
+      presence_penalty: 0,
+      stream
+    };
+
+    // プロキシ経由の場合はサーバーが認証情報を付与するため、APIキーは送らない
+    if (config.useProxy) {
+      return {
+        url: PROXY_FORMAT_URL,
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body
+      };
+    }
+
+    // Pythonコードで動作している最新バージョンを使用
+    const apiVersion = '2024-02-01';
+    const baseEndpoint = normalizeBaseUrl(config.endpoint, 'https');
+
+    return {
+      url: `${baseEndpoint}/openai/deployments/${encodeURIComponent(config.deploymentName)}/chat/completions?api-version=${apiVersion}`,
+      headers: {
+        'Content-Type': 'application/json',
+        'api-key': config.apiKey,
+        'Accept': 'application/json'
+      },
+      body
+    };
+  },
+
+  parseResponse: parseOpenAIResponse,
+
+  isTruncated: isOpenAIResponseTruncated,
+
+  streamFormat: STREAM_FORMATS.SSE,
+
+  parseStreamChunk: parseOpenAIStreamChunk,
+
+  errorHints: {
+    401: 'APIキーが正しくないか期限切れの可能性があります',
+    404: 'エンドポイントURLまたはデプロイメント名を確認してください'
+  }
+};
+
+// vLLM / llama.cpp server / LM Studio / Ollama の /v1 など、OpenAI互換APIを持つサーバー
+const openAICompatibleProvider = {
+  label: 'OpenAI互換サーバー',
+
+  isConfigComplete: (config) => {
+    const settings = config[LLM_PROVIDERS.OPENAI_COMPATIBLE] || {};
+    return Boolean(settings.baseUrl && settings.model);
+  },
+
+  describe: (config) => (config[LLM_PROVIDERS.OPENAI_COMPATIBLE] || {}).baseUrl,
+
+  buildRequest: (config, messages, { maxTokens, temperature, stream = false }) => {
+    const settings = config[LLM_PROVIDERS.OPENAI_COMPATIBLE] || {};
+    const headers = { 'Content-Type': 'application/json', 'Accept': 'application/json' };
+    // ローカルサーバーはAPIキー不要なことが多いため、入力がある場合のみ付与する
+    if (settings.apiKey) {
+      headers.Authorization = `Bearer ${settings.apiKey}`;
+    }
+
+    return {
+      url: `${normalizeBaseUrl(settings.baseUrl, 'http')}/chat/completions`,
+      headers,
+      body: {
+        model: settings.model,
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+        top_p: 0.95,
+        stream
+      }
+    };
+  },
+
+  parseResponse: parseOpenAIResponse,
+
+  isTruncated: isOpenAIResponseTruncated,
+
+  streamFormat: STREAM_FORMATS.SSE,
+
+  parseStreamChunk: parseOpenAIStreamChunk,
+
+  errorHints: {
+    401: 'APIキーを確認してください',
+    404: 'ベースURL（通常は /v1 まで）を確認してください'
+  }
+};
+
+// Ollama のネイティブAPI（/api/chat）
+const ollamaProvider = {
+  label: 'Ollama',
+
+  isConfigComplete: (config) => {
+    const settings = config[LLM_PROVIDERS.OLLAMA] || {};
+    return Boolean(settings.baseUrl && settings.model);
+  },
+
+  describe: (config) => (config[LLM_PROVIDERS.OLLAMA] || {}).baseUrl,
+
+  buildRequest: (config, messages, { maxTokens, temperature, stream = false }) => {
+    const settings = config[LLM_PROVIDERS.OLLAMA] || {};
+    return {
+      url: `${normalizeBaseUrl(settings.baseUrl, 'http')}/api/chat`,
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+      body: {
+        model: settings.model,
+        messages,
+        stream,
+        options: {
+          temperature,
+          num_predict: maxTokens,
+          top_p: 0.95
+        }
+      }
+    };
+  },
+
+  parseResponse: (data) => (data && data.message ? data.message.content : null),
+
+  isTruncated: (data) => Boolean(data && data.done_reason === 'length'),
+
+  // ストリーミングでは1行ごとに message.content の続きが届き、最後の行が done: true になる
+  streamFormat: STREAM_FORMATS.NDJSON,
+
+  parseStreamChunk: (data) => ({
+    delta: (data && data.message && data.message.content) || '',
+    truncated: Boolean(data && data.done && data.done_reason === 'length')
+  }),
+
+  errorHints: {
+    404: 'モデル名が正しいか（ollama pull 済みか）確認してください'
+  }
+};
+
+const PROVIDERS = {
+  [LLM_PROVIDERS.AZURE_OPENAI]: azureOpenAIProvider,
+  [LLM_PROVIDERS.OPENAI_COMPATIBLE]: openAICompatibleProvider,
+  [LLM_PROVIDERS.OLLAMA]: ollamaProvider
+};
+
+/**
+ * 設定からプロバイダーを取得する（未指定の場合は従来どおりAzure OpenAI）
+ * @param {Object} config - LLM設定
+ * @returns {Object} - プロバイダー
+ */
+export const getLlmProvider = (config) => (
+  PROVIDERS[(config && config.provider) || LLM_PROVIDERS.AZURE_OPENAI] || azureOpenAIProvider
+);
@@ -0,0 +1,77 @@
+import { getLlmProvider, LLM_PROVIDERS } from './llmProviders';
+
+const messages = [{ role: 'user', content: '頭痛' }];
+const options = { maxTokens: 1000, temperature: 0.2 };
+
+const openAICompatible = (settings) => ({ provider: LLM_PROVIDERS.OPENAI_COMPATIBLE, [LLM_PROVIDERS.OPENAI_COMPATIBLE]: settings });
+const ollama = (settings) => ({ provider: LLM_PROVIDERS.OLLAMA, [LLM_PROVIDERS.OLLAMA]: settings });
+
+describe('リクエストの組み立て', () => {
+  test.each([
+    [
+      'OpenAI互換（APIキーなし、プロトコルと末尾のスラッシュを補正）',
+      openAICompatible({ baseUrl: 'localhost:8000/v1/', model: 'qwen' }),
+      {},
+      {
+        url: 'http://localhost:8000/v1/chat/completions',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: { model: 'qwen', messages, temperature: 0.2, max_tokens: 1000, top_p: 0.95, stream: false }
+      }
+    ],
+    [
+      'OpenAI互換（APIキーあり、ストリーミング）',
+      openAICompatible({ baseUrl: 'https://llm.example/v1', model: 'qwen', apiKey: 'secret' }),
+      { stream: true },
+      {
+        url: 'https://llm.example/v1/chat/completions',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', Authorization: 'Bearer secret' },
+        body: { model: 'qwen', messages, temperature: 0.2, max_tokens: 1000, top_p: 0.95, stream: true }
+      }
+    ],
+    [
+      'Ollama（ネイティブAPI、生成の上限は num_predict）',
+      ollama({ baseUrl: 'http://localhost:11434/', model: 'llama3' }),
+      { stream: true },
+      {
+        url: 'http://localhost:11434/api/chat',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: { model: 'llama3', messages, stream: true, options: { temperature: 0.2, num_predict: 1000, top_p: 0.95 } }
+      }
+    ]
+  ])('%s', (_, config, extra, expected) => {
+    expect(getLlmProvider(config).buildRequest(config, messages, { ...options, ...extra })).toEqual(expected);
+  });
+});
+
+describe('応答の読み取りと途中終了の判定', () => {
+  test.each([
+    ['OpenAI互換', LLM_PROVIDERS.OPENAI_COMPATIBLE, { choices: [{ message: { content: '結果' }, finish_reason: 'stop' }] }, '結果', false],
+    ['OpenAI互換（上限で途中まで）', LLM_PROVIDERS.OPENAI_COMPATIBLE, { choices: [{ message: { content: '結' }, finish_reason: 'length' }] }, '結', true],
+    ['OpenAI互換（choices なし）', LLM_PROVIDERS.OPENAI_COMPATIBLE, { choices: [] }, null, false],
+    ['Ollama', LLM_PROVIDERS.OLLAMA, { message: { content: '結果' }, done: true, done_reason: 'stop' }, '結果', false],
+    ['Ollama（上限で途中まで）', LLM_PROVIDERS.OLLAMA, { message: { content: '結' }, done: true, done_reason: 'length' }, '結', true],
+    ['Ollama（message なし）', LLM_PROVIDERS.OLLAMA, {}, null, false]
+  ])('%s', (_, provider, data, content, truncated) => {
+    const llm = getLlmProvider({ provider });
+    expect(llm.parseResponse(data)).toBe(content);
+    expect(llm.isTruncated(data)).toBe(truncated);
+  });
+});
+
+describe('ストリームのイベントの読み取り', () => {
+  test.each([
+    ['OpenAI互換', LLM_PROVIDERS.OPENAI_COMPATIBLE, { choices: [{ delta: { content: '頭' } }] }, { delta: '頭', truncated: false }],
+    ['OpenAI互換（role だけのイベント）', LLM_PROVIDERS.OPENAI_COMPATIBLE, { choices: [{ delta: { role: 'assistant' } }] }, { delta: '', truncated: false }],
+    ['OpenAI互換（上限で終了）', LLM_PROVIDERS.OPENAI_COMPATIBLE, { choices: [{ delta: {}, finish_reason: 'length' }] }, { delta: '', truncated: true }],
+    ['Ollama', LLM_PROVIDERS.OLLAMA, { message: { content: '痛' }, done: false }, { delta: '痛', truncated: false }],
+    ['Ollama（途中の行の done_reason は見ない）', LLM_PROVIDERS.OLLAMA, { message: { content: '' }, done: false, done_reason: 'length' }, { delta: '', truncated: false }],
+    ['Ollama（上限で終了）', LLM_PROVIDERS.OLLAMA, { message: { content: '' }, done: true, done_reason: 'length' }, { delta: '', truncated: true }]
+  ])('%s', (_, provider, data, expected) => {
+    expect(getLlmProvider({ provider }).parseStreamChunk(data)).toEqual(expected);
+  });
+});
+
+test('プロバイダーが未指定・不明の場合はAzure OpenAI', () => {
+  expect(getLlmProvider({}).label).toBe('Azure OpenAI');
+  expect(getLlmProvider({ provider: 'unknown' }).label).toBe('Azure OpenAI');
+});
@@ -1,16 +1,67 @@
 import axios from 'axios';
+import { getLlmProvider, LLM_PROVIDERS } from './llmProviders';
+import { chunkSegments, estimateTokens, DEFAULT_MAX_INPUT_TOKENS, DEFAULT_MAX_OUTPUT_TOKENS } from './chunking';
+import {
+  buildStructuredInstruction,
+  buildRepairPrompt,
+  parseChartJson,
+  validateChart,
+  normalizeChart
+} from './chartSchema';
+import { DEFAULT_SYSTEM_MESSAGE } from './templateLibrary';
+import { renderTemplate } from './templateEngine';
+import { readStream, STREAM_FORMATS } from './streamParser';
+import { createAbortError, isAbortError, throwIfAborted, delay } from './abort';
+import { buildGroundingMessages, parseGroundingResponse } from './groundingVerifier';
 
 /**
- * Process OCR text with Azure OpenAI Service
+ * 設定が揃っているか（Azure OpenAIでプロキシ経由ならサーバー側の設定を使うので不要）
+ * @param {Object} config - LLM設定
+ * @returns {boolean}
+ */
+export const isLlmConfigComplete = (config) => Boolean(
+  config && getLlmProvider(config).isConfigComplete(config)
+);
+
+/**
+ * OCRテキストとプロンプトテンプレートからチャットメッセージを組み立てる
+ * 長い文書は summarizeDocument で分割してから渡すため、ここでは切り詰めない
  * @param {string} ocrText - The text extracted from OCR
- * @param {string} prompt - The prompt template with {{OCR_RESULT}} placeholder
- * @param {Object} config - The Azure OpenAI configuration
- * @param {string} config.endpoint - The Azure OpenAI endpoint
- * @param {string} config.apiKey - The Azure OpenAI API key
- * @param {string} config.deploymentName - The model deployment name
- * @returns {Promise<string>} - The generated text from Azure OpenAI
+ * @param {string} prompt - The prompt template ({{OCR_TEXT}} などの変数を展開する)
+ * @param {string} [instruction] - プロンプト末尾に追加する指示
+ * @param {string} [systemMessage] - システムメッセージ
+ * @param {Object} [variables] - テンプレートの変数（OCR_TEXT は ocrText で置き換える）
+ * @returns {Array<Object>} - チャットメッセージ
+ */
+const buildPromptMessages = (ocrText, prompt, instruction = '', systemMessage = DEFAULT_SYSTEM_MESSAGE, variables = {}) => {
+  const fullPrompt = renderTemplate(prompt, { ...variables, OCR_TEXT: ocrText });
+
+  return [
+    {
+      role: 'system',
+      content: renderTemplate(systemMessage || DEFAULT_SYSTEM_MESSAGE, variables)
+    },
+    {
+      role: 'user',
+      content: instruction ? `${fullPrompt}\n\n${instruction}` : fullPrompt
+    }
+  ];
+};
+
+/**
+ * 応答の上限トークン数（設定がなければ既定値）
+ * @param {Object} config - LLM設定
+ * @returns {number} - 上限
  */
-export const processWithAzureOpenAI = async (ocrText, prompt, config) => {
+const getMaxOutputTokens = (config) => Number(config.maxOutputTokens) || DEFAULT_MAX_OUTPUT_TOKENS;
+
+/**
+ * 入力と設定を検証する
+ * @param {string} ocrText - The text extracted from OCR
+ * @param {string} prompt - The prompt template
+ * @param {Object} config - LLM設定
+ */
+const assertProcessInputs = (ocrText, prompt, config) => {
   if (!ocrText) {
     throw new Error('OCRテキストが提供されていません');
   }
@@ -19,111 +70,194 @@ export const processWithAzureOpenAI = async (ocrText, prompt, config) => {
     throw new Error('プロンプトが提供されていません');
   }
 
-  if (!config || !config.endpoint || !config.apiKey || !config.deploymentName) {
-    throw new Error('Azure OpenAIの設定が不完全です');
+  if (!isLlmConfigComplete(config)) {
+    throw new Error(`${getLlmProvider(config).label}の設定が不完全です`);
   }
+};
 
-  // Replace placeholder in the prompt with actual OCR text
-  // OCRテキストを制限してトークン数を削減する
-  const MAX_OCR_LENGTH = 3000; // 最大文字数を制限
-  let limitedOcrText = ocrText;
-  
-  if (ocrText.length > MAX_OCR_LENGTH) {
-    console.log(`OCRテキストが長すぎるため制限します: ${ocrText.length} -> ${MAX_OCR_LENGTH} 文字`);
-    limitedOcrText = ocrText.substring(0, MAX_OCR_LENGTH) + "\n... [テキストが長すぎるため制限されました]"; 
+/**
+ * 応答全体を一度に受け取る
+ * @param {Object} provider - LLMプロバイダー
+ * @param {Object} request - { endpoint, headers, requestData }
+ * @param {Object} options - { timeout, signal }
+ * @returns {Promise<Object>} - { content, truncated }
+ */
+const postChatCompletion = async (provider, { endpoint, headers, requestData }, { timeout, signal }) => {
+  const response = await axios.post(endpoint, requestData, {
+    headers,
+    timeout,
+    signal
+  });
+
+  const content = provider.parseResponse(response.data);
+  if (typeof content !== 'string') {
+    console.error('予期しない応答フォーマット:', response.data);
+    throw new Error(`予期しない${provider.label}応答フォーマット`);
+  }
+  return { content, truncated: Boolean(provider.isTruncated && provider.isTruncated(response.data)) };
+};
+
+/**
+ * 応答をストリーミングで受け取り、受信するたびに onToken を呼ぶ
+ * タイムアウトは応答全体ではなく無通信の時間に対して適用する（長い応答でも途中で打ち切らない）
+ * @param {Object} provider - LLMプロバイダー
+ * @param {Object} request - { endpoint, headers, requestData }
+ * @param {Object} options - { timeout, signal, onToken }
+ * @returns {Promise<Object>} - { content, truncated }
+ */
+const streamChatCompletion = async (provider, { endpoint, headers, requestData }, { timeout, signal, onToken }) => {
+  throwIfAborted(signal);
+
+  const controller = new AbortController();
+  let timedOut = false;
+  let timer = null;
+  const resetTimer = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+  };
+  const onAbort = () => controller.abort();
+  if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true });
   }
-  
-  const fullPrompt = prompt.replace('{{OCR_RESULT}}', limitedOcrText);
+  resetTimer();
 
   try {
-    // Azure OpenAI APIのリクエスト形式
-    const requestData = {
-      messages: [
-        {
-          role: 'system',
-          content: '問診票を構造化して名前、症状、既往歴を表形式で整理。簡潔に。'
-        },
-        {
-          role: 'user',
-          content: fullPrompt
-        }
-      ],
-      temperature: 0.0, // 最も決定的な応答にしてトークンを節約
-      max_tokens: 300,  // さらにトークン数を削減
-      top_p: 0.95,
-      frequency_penalty: 0,
-      presence_penalty: 0
-    };
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: {
+        ...headers,
+        'Accept': provider.streamFormat === STREAM_FORMATS.SSE ? 'text/event-stream' : 'application/x-ndjson'
+      },
+      body: JSON.stringify(requestData),
+      signal: controller.signal
+    });
 
-    console.log('Azure OpenAI request data:', JSON.stringify(requestData));
+    if (!response.ok) {
+      // axios のエラーと同じ形にして、共通のエラーメッセージ整形を使う
+      const text = await response.text();
+      let data = text;
+      try {
+        data = JSON.parse(text);
+      } catch (parseError) {
+        // JSONでなければテキストのまま扱う
+      }
+      const error = new Error(`Request failed with status code ${response.status}`);
+      error.response = { status: response.status, data, headers: Object.fromEntries(response.headers.entries()) };
+      throw error;
+    }
 
-    // Azure OpenAIへのリクエストエンドポイント設定
-    // 複数のAPI仕様・バージョンに対応
-    // Pythonコードで動作している最新バージョンを使用
-    const apiVersion = '2024-02-01'; // Pythonコードで動作している値に更新
-    
-    // エンドポイントの正規化
-    let baseEndpoint = config.endpoint.trim();
-    // プロトコルが含まれていない場合は追加
-    if (!baseEndpoint.startsWith('http')) {
-      baseEndpoint = `https://${baseEndpoint}`;
+    let content = '';
+    let truncated = false;
+    await readStream(response.body, provider.streamFormat, (payload) => {
+      // Ollama などは応答の途中でエラーを返すことがある
+      if (payload && payload.error) {
+        const error = new Error(typeof payload.error === 'string' ? payload.error : payload.error.message || JSON.stringify(payload.error));
+        error.isStreamError = true;
+        throw error;
+      }
+      const chunk = provider.parseStreamChunk(payload);
+      truncated = truncated || chunk.truncated;
+      if (chunk.delta) {
+        content += chunk.delta;
+        onToken(content);
+      }
+    }, resetTimer);
+
+    return { content, truncated };
+  } catch (error) {
+    if (timedOut) {
+      const timeoutError = new Error(`${timeout / 1000}秒間応答がありませんでした`);
+      timeoutError.request = true;
+      throw timeoutError;
     }
-    // 末尾のスラッシュを削除
-    baseEndpoint = baseEndpoint.endsWith('/') ? baseEndpoint.slice(0, -1) : baseEndpoint;
-    
-    // エンドポイントを構築
-    const endpoint = `${baseEndpoint}/openai/deployments/${config.deploymentName}/chat/completions?api-version=${apiVersion}`;
-    
+    if (signal && signal.aborted) {
+      throw createAbortError();
+    }
+    // fetch のネットワークエラー（CORSを含む）は応答なしとして扱う
+    if (error instanceof TypeError && !error.response) {
+      error.request = true;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+};
+
+/**
+ * チャット補完リクエストを送信し、応答テキストを返す
+ * 429（レート制限）の再試行とエラーメッセージの整形を行う
+ * @param {Array<Object>} messages - チャットメッセージ
+ * @param {Object} config - LLM設定（provider で送信先を切り替える）
+ * @param {Object} [options] - リクエストオプション
+ * @param {number} [options.maxTokens] - 応答の最大トークン数
+ * @param {number} [options.timeout=60000] - タイムアウト（ミリ秒。ストリーミング時は無通信の時間）
+ * @param {number} [options.maxRetries=2] - 429（レート制限）時の最大再試行回数
+ * @param {AbortSignal} [options.signal] - 中止シグナル（中止すると AbortError で終了する）
+ * @param {Function} [options.onToken] - 指定するとストリーミングで受信し、受信するたびにそれまでの応答テキストで呼ばれる
+ * @returns {Promise<Object>} - { content, truncated }（truncated は応答が上限で途切れた場合 true）
+ */
+const requestChatCompletion = async (messages, config, {
+  maxTokens = DEFAULT_MAX_OUTPUT_TOKENS,
+  timeout = 60000,
+  maxRetries = 2,
+  signal,
+  onToken
+} = {}) => {
+  const provider = getLlmProvider(config);
+  const stream = Boolean(onToken);
+
+  try {
+    // プロバイダーごとのリクエスト形式（temperature 0 で最も決定的な応答にする）
+    const { url: endpoint, headers, body: requestData } = provider.buildRequest(config, messages, {
+      maxTokens,
+      temperature: 0.0,
+      stream
+    });
+
+    console.log(`${provider.label} request data:`, JSON.stringify(requestData));
     console.log('使用するエンドポイント:', endpoint);
     
     // APIリクエストを送信
-    console.log('リクエストを送信中...');
+    console.log(stream ? 'リクエストを送信中（ストリーミング）...' : 'リクエストを送信中...');
     
     try {
-      let retryCount = 0;
-      const maxRetries = 2; // 最大再試行回数を増やす
-      let response = null;
-      
-      while (retryCount <= maxRetries) {
+      const request = { endpoint, headers, requestData };
+      for (let retryCount = 0; ; retryCount++) {
         try {
-          response = await axios.post(endpoint, requestData, {
-            headers: {
-              'Content-Type': 'application/json',
-              'api-key': config.apiKey,
-              'Accept': 'application/json'
-            },
-            timeout: 30000 // タイムアウトを増やす
-          });
-          
+          const result = stream
+            ? await streamChatCompletion(provider, request, { timeout, signal, onToken })
+            : await postChatCompletion(provider, request, { timeout, signal });
           console.log('API呼び出しに成功しました');
-          break; // 成功したらループを抜ける
+          return result;
         } catch (err) {
-          // 429エラー（レート制限）の場合は再試行
+          // 429エラー（レート制限）の場合は再試行（待機中も中止できる）
           if (err.response && err.response.status === 429 && retryCount < maxRetries) {
-            retryCount++;
-            console.log(`レート制限エラーです。${retryCount}回目の再試行まで 90 秒間待機します...`);
-            await new Promise(resolve => setTimeout(resolve, 90000)); // 90秒待機に延長
+            console.log(`レート制限エラーです。${retryCount + 1}回目の再試行まで 90 秒間待機します...`);
+            await delay(90000, signal);
             continue;
           }
           // それ以外のエラーはスロー
           throw err;
         }
       }
-      
-      if (response && response.data.choices && response.data.choices.length > 0) {
-        return response.data.choices[0].message.content;
-      } else {
-        console.error('予期しない応答フォーマット:', response ? response.data : '応答なし');
-        throw new Error('予期しないAzure OpenAI応答フォーマット');
-      }
     } catch (error) {
-      console.error('Azure OpenAI APIに接続できませんでした:', error);
+      if (!isAbortError(error)) {
+        console.error(`${provider.label} APIに接続できませんでした:`, error);
+      }
       throw error;
     }
     
-    // 成功レスポンスの処理は上記tryブロック内で完了している
   } catch (error) {
-    console.error('Azure OpenAI API error:', error);
+    if (isAbortError(error)) {
+      throw createAbortError();
+    }
+    console.error(`${provider.label} API error:`, error);
     
     // CORSの問題がある可能性を確認
     if (error.message && error.message.includes('CORS')) {
@@ -132,9 +266,9 @@ export const processWithAzureOpenAI = async (ocrText, prompt, config) => {
     
     // 詳細なエラー情報を表示
     if (error.response) {
-      console.error('Azure OpenAI API response status:', error.response.status);
-      console.error('Azure OpenAI API response data:', error.response.data);
-      console.error('Azure OpenAI API response headers:', error.response.headers);
+      console.error(`${provider.label} API response status:`, error.response.status);
+      console.error(`${provider.label} API response data:`, error.response.data);
+      console.error(`${provider.label} API response headers:`, error.response.headers);
       
       // 広くエラーメッセージを探索
       let errorMessage = '';
@@ -156,121 +290,314 @@ export const processWithAzureOpenAI = async (ocrText, prompt, config) => {
         }
       }
       
+      const hint = provider.errorHints[error.response.status];
       if (error.response.status === 401) {
-        throw new Error(`Azure OpenAI認証エラー: APIキーが正しくないか期限切れの可能性があります`);
-      } else if (error.response.status === 404) {
-        throw new Error(`Azure OpenAIエンドポイントが見つかりません: エンドポイントURLまたはデプロイメント名を確認してください`);
+        throw new Error(`${provider.label}認証エラー: ${hint || 'APIキーを確認してください'}`);
+      } else if (error.response.status === 404 && hint) {
+        throw new Error(`${provider.label}のエンドポイントが見つかりません: ${hint}`);
       } else {
-        throw new Error(`Azure OpenAIエラー (${error.response.status}): ${errorMessage || error.message || '不明なエラー'}`);
+        throw new Error(`${provider.label}エラー (${error.response.status}): ${errorMessage || error.message || '不明なエラー'}`);
       }
+    } else if (error.isStreamError) {
+      throw new Error(`${provider.label}エラー: ${error.message}`);
     } else if (error.request) {
       // リクエストは送信されたが、応答が存在しない場合
-      console.error('Azure OpenAI API no response received:', error.request);
-      throw new Error(`Azure OpenAIから応答がありませんでした。エンドポイントのアクセス性やネットワーク接続を確認してください: ${config.endpoint}`);
+      console.error(`${provider.label} API no response received:`, error.request);
+      throw new Error(`${provider.label}から応答がありませんでした。エンドポイントのアクセス性やネットワーク接続（CORS設定を含む）を確認してください: ${provider.describe(config)}`);
     } else {
       // リクエストの作成中に発生したエラー
-      console.error('Azure OpenAI request setup error:', error.message);
-      throw new Error(`Azure OpenAIリクエスト作成エラー: ${error.message || error}`);
+      console.error(`${provider.label} request setup error:`, error.message);
+      throw new Error(`${provider.label}リクエスト作成エラー: ${error.message || error}`);
     }
   }
 };
 
-// 後方互換性のために元の関数名を維持
-export const processWithLocalLLM = processWithAzureOpenAI;
-export const processWithChatGPT = processWithAzureOpenAI;
-export const processWithCopilot = processWithAzureOpenAI;
+/**
+ * Process OCR text with the configured LLM provider
+ * @param {string} ocrText - The text extracted from OCR
+ * @param {string} prompt - The prompt template ({{OCR_TEXT}} などの変数を展開する)
+ * @param {Object} config - LLM設定
+ * @param {string} [config.provider] - LLM_PROVIDERS のいずれか（省略時はAzure OpenAI）
+ * @param {Object} [options] - オプション
+ * @param {string} [options.systemMessage] - システムメッセージ（テンプレートごとの設定）
+ * @param {Object} [options.variables] - テンプレートの変数（OCR_TEXT は ocrText で置き換える）
+ * @param {AbortSignal} [options.signal] - 中止シグナル
+ * @param {Function} [options.onToken] - ストリーミングで受信するたびに、それまでの応答テキストで呼ばれる
+ * @returns {Promise<string>} - The generated text
+ */
+export const processWithLLM = async (ocrText, prompt, config, { systemMessage, variables, signal, onToken } = {}) => {
+  assertProcessInputs(ocrText, prompt, config);
+  const { content } = await requestChatCompletion(buildPromptMessages(ocrText, prompt, '', systemMessage, variables), config, {
+    maxTokens: getMaxOutputTokens(config),
+    signal,
+    onToken
+  });
+  return content;
+};
 
 /**
- * Test connection to Azure OpenAI Service
+ * Process OCR text with Azure OpenAI Service
+ * @param {string} ocrText - The text extracted from OCR
+ * @param {string} prompt - The prompt template ({{OCR_TEXT}} などの変数を展開する)
  * @param {Object} config - The Azure OpenAI configuration
  * @param {string} config.endpoint - The Azure OpenAI endpoint
  * @param {string} config.apiKey - The Azure OpenAI API key
  * @param {string} config.deploymentName - The model deployment name
- * @returns {Promise<boolean>} - Whether the connection was successful
+ * @param {boolean} [config.useProxy] - Send the request through the server proxy (/api/format)
+ * @returns {Promise<string>} - The generated text from Azure OpenAI
  */
-export const testAzureOpenAIConnection = async (config) => {
-  try {
-    if (!config || !config.endpoint || !config.apiKey || !config.deploymentName) {
-      console.error('Azure OpenAIの設定が不完全です');
-      return false;
+export const processWithAzureOpenAI = (ocrText, prompt, config) => (
+  processWithLLM(ocrText, prompt, { ...config, provider: LLM_PROVIDERS.AZURE_OPENAI })
+);
+
+/**
+ * 構造化出力を要求し、スキーマに一致しない応答の場合は問題点を伝えて修正を依頼する
+ * @param {Array<Object>} messages - チャットメッセージ（修正依頼のやり取りを追加する）
+ * @param {Object} config - LLM設定
+ * @param {number} maxRepairAttempts - 修正依頼の最大回数
+ * @param {Object} [streamOptions] - { signal, onToken }（requestChatCompletion と同じ）
+ * @returns {Promise<Object>} - { chart, truncated }
+ */
+const requestStructuredChart = async (messages, config, maxRepairAttempts, streamOptions = {}) => {
+  // JSONは自由記述より長くなるため応答上限を広げる
+  const requestOptions = { ...streamOptions, maxTokens: Math.max(getMaxOutputTokens(config), 1000) };
+
+  let { content, truncated } = await requestChatCompletion(messages, config, requestOptions);
+
+  for (let attempt = 0; ; attempt++) {
+    const { value, error } = parseChartJson(content);
+    const { valid, errors } = value ? validateChart(value) : { valid: false, errors: [error] };
+
+    if (valid) {
+      return { chart: normalizeChart(value), truncated };
     }
-    
-    // 設定内容をログ出力（APIキーはマスク）
-    console.log('Azure OpenAI設定確認:', { 
-      endpoint: config.endpoint,
-      apiKey: config.apiKey ? '***' + config.apiKey.substr(-4) : undefined, // 最後の4文字のみ表示
-      deploymentName: config.deploymentName
-    });
 
-    // Simple test request to Azure OpenAI
-    const requestData = {
-      messages: [
-        {
-          role: 'user',
-          content: '簡単なテストです。「接続成功」と返してください。'
-        }
-      ],
-      max_tokens: 20,
-      temperature: 0.0
-    };
+    console.log(`構造化出力の検証に失敗しました（${attempt + 1}回目）:`, errors);
+    if (attempt >= maxRepairAttempts) {
+      throw new Error(`LLMの出力がスキーマに一致しませんでした: ${errors.join(', ')}`);
+    }
 
-    console.log('Azure OpenAI connection test request:', JSON.stringify(requestData));
+    messages.push(
+      { role: 'assistant', content },
+      { role: 'user', content: buildRepairPrompt(errors) }
+    );
+    ({ content, truncated } = await requestChatCompletion(messages, config, requestOptions));
+  }
+};
 
-    // Azure OpenAIへのリクエストエンドポイント設定
-    // 複数のAPI仕様・バージョンに対応
-    // Pythonコードで動作している最新バージョンを使用
-    const apiVersion = '2024-02-01'; // Pythonコードで動作している値に更新
-    
-    // エンドポイントの正規化
-    let baseEndpoint = config.endpoint.trim();
-    // プロトコルが含まれていない場合は追加
-    if (!baseEndpoint.startsWith('http')) {
-      baseEndpoint = `https://${baseEndpoint}`;
+/**
+ * OCRテキストをカルテのJSONスキーマに沿って構造化する
+ * スキーマに一致しない応答の場合は、問題点を伝えて修正を依頼する
+ * @param {string} ocrText - The text extracted from OCR
+ * @param {string} prompt - The prompt template ({{OCR_TEXT}} などの変数を展開する)
+ * @param {Object} config - LLM設定
+ * @param {Object} [options] - オプション
+ * @param {number} [options.maxRepairAttempts=2] - 修正依頼の最大回数
+ * @param {string[]} [options.fixedSections] - OCRのフィールドから確定済みのセクション（LLMには書かせない）
+ * @param {string} [options.systemMessage] - システムメッセージ（テンプレートごとの設定）
+ * @param {Object} [options.variables] - テンプレートの変数（OCR_TEXT は ocrText で置き換える）
+ * @param {AbortSignal} [options.signal] - 中止シグナル
+ * @param {Function} [options.onToken] - ストリーミングで受信するたびに、それまでの応答テキスト（JSON）で呼ばれる
+ * @returns {Promise<Object>} - スキーマに一致するカルテ
+ */
+export const processStructuredWithLLM = async (ocrText, prompt, config, {
+  maxRepairAttempts = 2,
+  fixedSections = [],
+  systemMessage,
+  variables,
+  signal,
+  onToken
+} = {}) => {
+  assertProcessInputs(ocrText, prompt, config);
+
+  const messages = buildPromptMessages(ocrText, prompt, buildStructuredInstruction(fixedSections), systemMessage, variables);
+  const { chart } = await requestStructuredChart(messages, config, maxRepairAttempts, { signal, onToken });
+  return chart;
+};
+
+// 分割した部分ごとの結果を統合するときの前置き
+const MERGE_TEXT_PREFACE = '以下は1つの問診票を複数の部分に分けて整形した結果です。重複を除き、矛盾する場合は具体的な記載を優先して、1つにまとめてください。';
+const MERGE_STRUCTURED_PROMPT = `以下は1つの問診票を複数の部分に分けて抽出したカルテのJSONです。
+セクションごとに内容を統合し（重複は除き、空でない値を優先）、1つのカルテにまとめてください。
+
+{{OCR_RESULT}}`;
+
+/**
+ * 長い問診票を入力上限に収まる単位に分割して処理し、1つの結果に統合する（map-reduce）
+ * 1つに収まる場合は従来どおり1回のリクエストで処理する
+ * @param {Array<string>} segments - ページごとのテキストなどの区間
+ * @param {string} prompt - The prompt template ({{OCR_TEXT}} などの変数を展開する)
+ * @param {Object} config - LLM設定（maxInputTokens / maxOutputTokens）
+ * @param {Object} [options] - オプション
+ * @param {boolean} [options.structured=false] - 構造化JSONで出力する
+ * @param {string[]} [options.fixedSections] - OCRのフィールドから確定済みのセクション
+ * @param {number} [options.maxRepairAttempts=2] - 構造化出力の修正依頼の最大回数
+ * @param {string} [options.systemMessage] - システムメッセージ（テンプレートごとの設定）
+ * @param {Object} [options.variables] - テンプレートの変数（OCR_TEXT は各部分のテキストで置き換える）
+ * @param {AbortSignal} [options.signal] - 中止シグナル（中止すると AbortError で終了する）
+ * @param {Function} [options.onStream] - 指定するとストリーミングで受信し、受信するたびに
+ *   { label（分割時の「1/3部分目」「統合」など。分割しない場合は空）, text（それまでの応答） } で呼ばれる
+ * @returns {Promise<Object>} - { result（テキストまたはカルテ）, chunkCount, warnings }
+ */
+export const summarizeDocument = async (segments, prompt, config, {
+  structured = false,
+  fixedSections = [],
+  maxRepairAttempts = 2,
+  systemMessage = DEFAULT_SYSTEM_MESSAGE,
+  variables = {},
+  signal,
+  onStream
+} = {}) => {
+  assertProcessInputs(segments.join(''), prompt, config);
+
+  const instruction = structured ? buildStructuredInstruction(fixedSections) : '';
+  const maxInputTokens = Number(config.maxInputTokens) || DEFAULT_MAX_INPUT_TOKENS;
+  // プロンプト自体のトークン数を差し引いた分をOCRテキストに使う（最低でも500トークン）
+  const promptText = renderTemplate(prompt, { ...variables, OCR_TEXT: '' });
+  const budget = Math.max(500, maxInputTokens - estimateTokens(`${renderTemplate(systemMessage, variables)}${promptText}${instruction}`));
+
+  const { chunks, omitted } = chunkSegments(segments, budget);
+  const warnings = [];
+  if (omitted.chunks > 0) {
+    warnings.push(`OCRテキストが長すぎるため、末尾の約${omitted.characters}文字（${omitted.chunks}部分）はLLMで処理していません。原本を確認してください`);
+  }
+
+  const run = async (text, runPrompt, label) => {
+    const streamLabel = chunks.length > 1 ? label : '';
+    const streamOptions = {
+      signal,
+      onToken: onStream ? (streamedText) => onStream({ label: streamLabel, text: streamedText }) : undefined
+    };
+    if (structured) {
+      const messages = buildPromptMessages(text, runPrompt, instruction, systemMessage, variables);
+      const { chart, truncated } = await requestStructuredChart(messages, config, maxRepairAttempts, streamOptions);
+      if (truncated) {
+        warnings.push(`${label}の応答が上限（${getMaxOutputTokens(config)}トークン）で途切れました`);
+      }
+      return chart;
     }
-    // 末尾のスラッシュを削除
-    baseEndpoint = baseEndpoint.endsWith('/') ? baseEndpoint.slice(0, -1) : baseEndpoint;
-    
-    // APIリクエストを送信
-    console.log('テストリクエストを送信中...');
-    
-    // エンドポイントを構築
-    const endpoint = `${baseEndpoint}/openai/deployments/${config.deploymentName}/chat/completions?api-version=${apiVersion}`;
-    console.log('使用するエンドポイント:', endpoint);
-    
-    try {
-      const response = await axios.post(endpoint, requestData, {
-        headers: {
-          'Content-Type': 'application/json',
-          'api-key': config.apiKey,
-          'Accept': 'application/json'
-        },
-        timeout: 10000 // 10秒のタイムアウト
-      });
-      
-      console.log('Azure OpenAI接続テスト成功:', response.data);
-      return true;
-    } catch (error) {
-      console.error('Azure OpenAI接続テスト失敗:', error.message);
-      
-      if (error.response) {
-        console.error('レスポンスステータス:', error.response.status);
-        console.error('レスポンスデータ:', error.response.data);
+    const { content, truncated } = await requestChatCompletion(buildPromptMessages(text, runPrompt, '', systemMessage, variables), config, {
+      ...streamOptions,
+      maxTokens: getMaxOutputTokens(config)
+    });
+    if (truncated) {
+      warnings.push(`${label}の応答が上限（${getMaxOutputTokens(config)}トークン）で途切れたため、内容が欠けている可能性があります`);
+    }
+    return content;
+  };
+
+  // map: 部分ごとに整形する
+  let partials = [];
+  for (let index = 0; index < chunks.length; index++) {
+    const note = chunks.length > 1
+      ? `\n\n（全${chunks.length}部分中の${index + 1}部分目です。この部分に記載のない項目は空欄にしてください）`
+      : '';
+    console.log(`LLM処理: ${index + 1}/${chunks.length} 部分目`);
+    partials.push(await run(`${chunks[index]}${note}`, prompt, chunks.length > 1 ? `${index + 1}/${chunks.length}部分目` : 'LLM'));
+  }
+
+  // reduce: 入力上限に収まる単位で統合を繰り返し、1つにまとめる
+  const toText = (partial) => (structured ? JSON.stringify(partial) : partial);
+  while (partials.length > 1) {
+    let { chunks: groups } = chunkSegments(partials.map(toText), budget, { maxChunks: Infinity });
+    if (groups.length >= partials.length) {
+      // 個々の結果が大きく詰められない場合は2件ずつ統合する
+      groups = [];
+      for (let index = 0; index < partials.length; index += 2) {
+        groups.push(partials.slice(index, index + 2).map(toText).join('\n\n'));
       }
-      
-      return false;
     }
-    // ここに到達することは通常ないはず
-  } catch (error) {
-    console.error('Azure OpenAI connection test error:', error);
-    if (error.response) {
-      console.error('Azure OpenAI response data:', error.response.data);
-      console.error('Azure OpenAI response status:', error.response.status);
+    console.log(`LLM処理: ${partials.length} 件の結果を ${groups.length} 件に統合`);
+    const merged = [];
+    for (const group of groups) {
+      merged.push(structured
+        ? await run(group, MERGE_STRUCTURED_PROMPT, '統合')
+        : await run(`${MERGE_TEXT_PREFACE}\n\n${group}`, prompt, '統合'));
     }
+    partials = merged;
+  }
+
+  return { result: partials[0], chunkCount: chunks.length, warnings };
+};
+
+/**
+ * 整形結果の記載がOCRテキストに書かれている内容かをLLMで判定する（文字の照合で根拠を確認できなかった記載の2回目の判定）
+ * @param {string} ocrText - The text extracted from OCR
+ * @param {Array<Object>} statements - 判定する記載 [{ id, text }]
+ * @param {Object} config - LLM設定
+ * @param {Object} [options] - { signal }
+ * @returns {Promise<Object>} - 記載 → { supported, evidence }
+ */
+export const verifyStatementsWithLLM = async (ocrText, statements, config, { signal } = {}) => {
+  if (!ocrText) {
+    throw new Error('OCRテキストが提供されていません');
+  }
+  if (!isLlmConfigComplete(config)) {
+    throw new Error(`${getLlmProvider(config).label}の設定が不完全です`);
+  }
+
+  const { content } = await requestChatCompletion(buildGroundingMessages(ocrText, statements), config, {
+    maxTokens: Math.max(getMaxOutputTokens(config), 1000),
+    signal
+  });
+  return parseGroundingResponse(content, statements);
+};
+
+// 後方互換性のために元の関数名を維持
+export const processWithLocalLLM = processWithLLM;
+export const processWithChatGPT = processWithLLM;
+export const processWithCopilot = processWithLLM;
+
+/**
+ * Test connection to the configured LLM provider
+ * @param {Object} config - LLM設定
+ * @returns {Promise<boolean>} - Whether the connection was successful
+ */
+export const testLLMConnection = async (config) => {
+  const provider = getLlmProvider(config);
+
+  if (!isLlmConfigComplete(config)) {
+    console.error(`${provider.label}の設定が不完全です`);
+    return false;
+  }
+
+  // 設定内容をログ出力（APIキーはマスク）
+  console.log(`${provider.label}設定確認:`, {
+    provider: config.provider || LLM_PROVIDERS.AZURE_OPENAI,
+    endpoint: provider.describe(config),
+    apiKey: config.apiKey ? '***' + config.apiKey.substr(-4) : undefined // 最後の4文字のみ表示
+  });
+
+  try {
+    // 簡単なテストリクエスト（10秒のタイムアウト、再試行なし）
+    const { content } = await requestChatCompletion([
+      {
+        role: 'user',
+        content: '簡単なテストです。「接続成功」と返してください。'
+      }
+    ], config, { maxTokens: 20, timeout: 10000, maxRetries: 0 });
+
+    console.log(`${provider.label}接続テスト成功:`, content);
+    return true;
+  } catch (error) {
+    console.error(`${provider.label}接続テスト失敗:`, error.message);
     return false;
   }
 };
 
+/**
+ * Test connection to Azure OpenAI Service
+ * @param {Object} config - The Azure OpenAI configuration
+ * @param {string} config.endpoint - The Azure OpenAI endpoint
+ * @param {string} config.apiKey - The Azure OpenAI API key
+ * @param {string} config.deploymentName - The model deployment name
+ * @param {boolean} [config.useProxy] - Send the request through the server proxy (/api/format)
+ * @returns {Promise<boolean>} - Whether the connection was successful
+ */
+export const testAzureOpenAIConnection = (config) => (
+  testLLMConnection({ ...config, provider: LLM_PROVIDERS.AZURE_OPENAI })
+);
+
 // 後方互換性のために元の関数名を維持
-export const testLLMConnection = testAzureOpenAIConnection;
-export const testOpenAIConnection = testAzureOpenAIConnection;
-export const testCopilotConnection = testAzureOpenAIConnection;
+export const testOpenAIConnection = testLLMConnection;
+export const testCopilotConnection = testLLMConnection;
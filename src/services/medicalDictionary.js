@@ -0,0 +1,234 @@
+/**
+ * 医療辞書（薬剤名・病名・近隣の医療機関名）によるOCRテキストの補正
+ * OCRテキストの語と辞書の語の編集距離を求めて補正候補を作り、採用した候補だけをLLMに渡すテキストに反映する
+ */
+import { parseCsv } from './exporters';
+import { mapStrings } from './phiRedaction';
+
+export const DICTIONARY_CATEGORIES = {
+  DRUG: 'drug',
+  DISEASE: 'disease',
+  CLINIC: 'clinic'
+};
+
+export const DICTIONARY_CATEGORY_LABELS = {
+  [DICTIONARY_CATEGORIES.DRUG]: '薬剤名',
+  [DICTIONARY_CATEGORIES.DISEASE]: '病名',
+  [DICTIONARY_CATEGORIES.CLINIC]: '医療機関名'
+};
+
+// 既定の辞書（よく使われる語のみ。院内の採用薬リスト等をCSVで読み込んで使う）
+const DEFAULT_DRUGS = [
+  'ロキソニン', 'カロナール', 'ムコスタ', 'ガスター', 'アムロジピン', 'ノルバスク', 'ブロプレス', 'オルメテック',
+  'メトホルミン', 'ジャヌビア', 'リピトール', 'クレストール', 'バイアスピリン', 'ワーファリン', 'プラビックス',
+  'タケキャブ', 'ネキシウム', 'マイスリー', 'デパス', 'アレグラ', 'クラリチン', 'ザイザル', 'ムコダイン',
+  'メジコン', 'フロモックス', 'クラビット', 'プレドニン', 'リリカ', 'トラムセット', 'ビオフェルミン'
+];
+
+const DEFAULT_DISEASES = [
+  '高血圧', '糖尿病', '脂質異常症', '高脂血症', '気管支喘息', '狭心症', '心筋梗塞', '脳梗塞', '脳出血',
+  '不整脈', '心房細動', '胃潰瘍', '十二指腸潰瘍', '逆流性食道炎', '慢性腎臓病', '痛風', '骨粗鬆症',
+  '関節リウマチ', 'アトピー性皮膚炎', '花粉症', '甲状腺機能低下症', '甲状腺機能亢進症', '肺炎', '結核', '肝炎',
+  'うつ病', '認知症'
+];
+
+export const DEFAULT_DICTIONARY_SETTINGS = {
+  enabled: true,
+  // 辞書の語との編集距離の上限（語の長さの3分の1も超えない）
+  maxDistance: 2,
+  // この編集距離以下の候補は最初から採用する（0 の場合はすべて確認してから採用する）
+  // 「低血圧」→「高血圧」のように1文字違いで別の病名・薬剤名になることがあるため、既定ではすべて確認する
+  autoAcceptDistance: 0,
+  dictionaries: {
+    [DICTIONARY_CATEGORIES.DRUG]: DEFAULT_DRUGS,
+    [DICTIONARY_CATEGORIES.DISEASE]: DEFAULT_DISEASES,
+    [DICTIONARY_CATEGORIES.CLINIC]: []
+  }
+};
+
+// 語の区切り（空白・句読点・括弧・記号）
+const DELIMITER_PATTERN = /[\s、。,.，．:：;；/／・()（）「」『』[\]【】<>＜＞!?！？"'＝=~〜]+/u;
+// 同じ文字種の並び（カタカナ・漢字）。「ロキソニン錠」から「ロキソニン」を取り出す
+const SCRIPT_RUN_PATTERN = /[\p{Script=Katakana}ー]+|\p{Script=Han}+/gu;
+// 補正候補を探す語の長さ
+const MIN_TOKEN_LENGTH = 3;
+const MAX_TOKEN_LENGTH = 24;
+// これより短い語の候補は、編集距離によらず最初から採用しない（短い語は1文字違いでも別の語になりやすい）
+const MIN_AUTO_ACCEPT_LENGTH = 5;
+
+const normalize = (text) => text.normalize('NFKC');
+
+/**
+ * 2つの文字列の編集距離（レーベンシュタイン距離）
+ * @param {string} a - 文字列
+ * @param {string} b - 文字列
+ * @param {number} [limit] - これを超えることが分かった時点で打ち切る
+ * @returns {number} - 編集距離（打ち切った場合は limit + 1）
+ */
+export const editDistance = (a, b, limit = Infinity) => {
+  if (Math.abs(a.length - b.length) > limit) {
+    return limit + 1;
+  }
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) {
+      return limit + 1;
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * 辞書のCSVを読み込む（1列目を語とする。1行目が見出しの場合は読み飛ばす）
+ * @param {string} text - CSV
+ * @returns {string[]} - 重複を除いた語
+ */
+export const parseDictionaryCsv = (text) => {
+  const words = parseCsv(text.replace(/^\uFEFF/, ''))
+    .map(row => (row[0] || '').trim())
+    .filter(Boolean);
+  if (words.length > 0 && /^(name|word|名称|名前|語|薬剤名|病名|医療機関名)$/i.test(words[0])) {
+    words.shift();
+  }
+  return Array.from(new Set(words));
+};
+
+/**
+ * 辞書をCSVにする
+ * @param {string[]} words - 辞書の語
+ * @returns {string} - CSV
+ */
+export const toDictionaryCsv = (words) => `${words
+  .map(word => (/[",\r\n]/.test(word) ? `"${word.replace(/"/g, '""')}"` : word))
+  .join('\r\n')}\r\n`;
+
+// テキストから補正候補を探す語（区切りの間の語と、その中のカタカナ・漢字の並び）
+const collectTokens = (text) => {
+  const tokens = new Set();
+  text.split(DELIMITER_PATTERN).forEach(chunk => {
+    tokens.add(chunk);
+    (chunk.match(SCRIPT_RUN_PATTERN) || []).forEach(run => tokens.add(run));
+  });
+  return Array.from(tokens).filter(token => token.length >= MIN_TOKEN_LENGTH && token.length <= MAX_TOKEN_LENGTH);
+};
+
+const countOccurrences = (text, token) => text.split(token).length - 1;
+
+/**
+ * OCRテキストの語に近い辞書の語を補正候補として探す
+ * 辞書の語をそのまま含む語（「ロキソニン錠」など）と、他の候補の一部になっている語は対象外とする
+ * @param {string} text - OCRテキスト
+ * @param {Object} settings - 辞書の設定（DEFAULT_DICTIONARY_SETTINGS と同じ形）
+ * @returns {Array<Object>} - [{ id, original, replacement, category, distance, count, accepted }]
+ */
+export const findDictionarySuggestions = (text, settings) => {
+  const entries = Object.entries(settings.dictionaries || {})
+    .flatMap(([category, words]) => words.map(word => ({ category, word, normalized: normalize(word) })));
+  const maxDistance = settings.maxDistance || DEFAULT_DICTIONARY_SETTINGS.maxDistance;
+  const autoAcceptDistance = settings.autoAcceptDistance || 0;
+
+  const suggestions = [];
+  collectTokens(text || '').forEach(token => {
+    const normalizedToken = normalize(token);
+    if (entries.some(entry => normalizedToken.includes(entry.normalized))) {
+      return;
+    }
+    let best = null;
+    entries.forEach(entry => {
+      const limit = Math.min(maxDistance, Math.floor(entry.normalized.length / 3));
+      if (limit < 1 || (best && best.distance <= 1)) {
+        return;
+      }
+      const distance = editDistance(normalizedToken, entry.normalized, best ? Math.min(limit, best.distance - 1) : limit);
+      if (distance <= limit && (!best || distance < best.distance)) {
+        best = { ...entry, distance };
+      }
+    });
+    if (best) {
+      suggestions.push({
+        original: token,
+        replacement: best.word,
+        category: best.category,
+        distance: best.distance
+      });
+    }
+  });
+
+  return suggestions
+    .filter(suggestion => !suggestions.some(other => (
+      other !== suggestion && other.original.length > suggestion.original.length && other.original.includes(suggestion.original)
+    )))
+    .sort((a, b) => text.indexOf(a.original) - text.indexOf(b.original))
+    .map((suggestion, index) => ({
+      id: `s${index + 1}`,
+      ...suggestion,
+      count: countOccurrences(text, suggestion.original),
+      accepted: suggestion.distance <= autoAcceptDistance && normalize(suggestion.original).length >= MIN_AUTO_ACCEPT_LENGTH
+    }));
+};
+
+/**
+ * 採用した補正候補をテキストに反映する（長い語から順に置き換える）
+ * @param {string} text - テキスト
+ * @param {Array<Object>} suggestions - 補正候補
+ * @returns {string} - 補正後のテキスト
+ */
+export const applyDictionaryCorrections = (text, suggestions) => suggestions
+  .filter(suggestion => suggestion.accepted)
+  .sort((a, b) => b.original.length - a.original.length)
+  .reduce((corrected, suggestion) => corrected.split(suggestion.original).join(suggestion.replacement), text);
+
+/**
+ * テキストや変数（配列・オブジェクト）の文字列に補正を反映する関数を作る
+ * @param {Array<Object>} suggestions - 補正候補
+ * @returns {Object} - { correct, correctDeep }
+ */
+export const createDictionaryCorrector = (suggestions) => {
+  const correct = (text) => applyDictionaryCorrections(text, suggestions || []);
+  return {
+    correct,
+    correctDeep: (value) => mapStrings(value, correct)
+  };
+};
+
+/**
+ * OCRテキストの補正候補と補正後のテキストを作る
+ * @param {string} text - OCRテキスト
+ * @param {Object} settings - 辞書の設定
+ * @returns {Object|null} - { suggestions, correctedText }（無効な場合・候補がない場合は null）
+ */
+export const createDictionaryCorrection = (text, settings) => {
+  if (!settings || !settings.enabled) {
+    return null;
+  }
+  const suggestions = findDictionarySuggestions(text, settings);
+  return suggestions.length > 0
+    ? { suggestions, correctedText: applyDictionaryCorrections(text, suggestions) }
+    : null;
+};
+
+/**
+ * 補正候補の採用・却下を変更する
+ * @param {Object} correction - createDictionaryCorrection の結果
+ * @param {string} originalText - OCRテキスト
+ * @param {string} suggestionId - 補正候補のID
+ * @param {boolean} accepted - 採用するか
+ * @returns {Object} - 新しい { suggestions, correctedText }
+ */
+export const setSuggestionAccepted = (correction, originalText, suggestionId, accepted) => {
+  const suggestions = correction.suggestions.map(suggestion => (
+    suggestion.id === suggestionId ? { ...suggestion, accepted } : suggestion
+  ));
+  return { suggestions, correctedText: applyDictionaryCorrections(originalText, suggestions) };
+};
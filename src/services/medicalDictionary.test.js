@@ -0,0 +1,81 @@
+import {
+  editDistance,
+  parseDictionaryCsv,
+  toDictionaryCsv,
+  findDictionarySuggestions,
+  applyDictionaryCorrections,
+  createDictionaryCorrection,
+  createDictionaryCorrector,
+  setSuggestionAccepted,
+  DEFAULT_DICTIONARY_SETTINGS
+} from './medicalDictionary';
+
+const settings = {
+  ...DEFAULT_DICTIONARY_SETTINGS,
+  dictionaries: {
+    drug: ['ロキソニン', 'アムロジピン'],
+    disease: ['高血圧', 'アトピー性皮膚炎'],
+    clinic: ['山田内科クリニック']
+  }
+};
+
+test('editDistance', () => {
+  expect(editDistance('ロキンニン', 'ロキソニン')).toBe(1);
+  expect(editDistance('kitten', 'sitting')).toBe(3);
+  expect(editDistance('kitten', 'sitting', 1)).toBe(2);
+});
+
+test('parseDictionaryCsv は1列目を読み、見出しと重複を除く', () => {
+  expect(parseDictionaryCsv('\uFEFF薬剤名,分類\r\nロキソニン,鎮痛薬\r\n"カロナール"\r\nロキソニン\r\n')).toEqual(['ロキソニン', 'カロナール']);
+  expect(parseDictionaryCsv(toDictionaryCsv(['A,B', '高血圧']))).toEqual(['A,B', '高血圧']);
+});
+
+describe('findDictionarySuggestions', () => {
+  const text = '内服: ロキンニン錠 60mg、アムロジピン錠\n既往歴: 高血庄、アトピー性皮膚災\nかかりつけ: 山田内科クリニツク\nロキンニン';
+
+  test('辞書の語に近い語を編集距離とともに示す', () => {
+    const suggestions = findDictionarySuggestions(text, settings);
+    expect(suggestions.map(({ original, replacement, category, distance, count }) => (
+      [original, replacement, category, distance, count]
+    ))).toEqual([
+      ['ロキンニン', 'ロキソニン', 'drug', 1, 2],
+      ['高血庄', '高血圧', 'disease', 1, 1],
+      ['アトピー性皮膚災', 'アトピー性皮膚炎', 'disease', 1, 1],
+      ['山田内科クリニツク', '山田内科クリニック', 'clinic', 1, 1]
+    ]);
+  });
+
+  test('既定ではすべての候補を確認してから採用する', () => {
+    expect(findDictionarySuggestions('ロキンニン', settings)[0].accepted).toBe(false);
+    expect(createDictionaryCorrection('既往歴 低血圧', { ...settings, dictionaries: DEFAULT_DICTIONARY_SETTINGS.dictionaries }).correctedText)
+      .toBe('既往歴 低血圧');
+    expect(createDictionaryCorrection('高血糖', { ...settings, dictionaries: DEFAULT_DICTIONARY_SETTINGS.dictionaries }).correctedText)
+      .toBe('高血糖');
+  });
+
+  test('編集距離が自動採用の上限以下でも、5文字未満の語は最初から採用しない', () => {
+    const autoAccept = { ...settings, autoAcceptDistance: 1 };
+    expect(findDictionarySuggestions('ロキンニン', autoAccept)[0].accepted).toBe(true);
+    expect(findDictionarySuggestions('既往歴 低血圧', autoAccept)).toEqual([
+      expect.objectContaining({ original: '低血圧', replacement: '高血圧', accepted: false })
+    ]);
+    expect(findDictionarySuggestions('高血糖', autoAccept)[0].accepted).toBe(false);
+  });
+
+  test('短い語は編集距離が語の長さの3分の1を超えると候補にしない', () => {
+    expect(findDictionarySuggestions('低血糖', settings)).toEqual([]);
+  });
+});
+
+test('採用した候補だけを反映し、元のテキストも残す', () => {
+  const original = 'ロキンニン 1錠、高血庄';
+  const correction = createDictionaryCorrection(original, { ...settings, autoAcceptDistance: 0 });
+  expect(correction.correctedText).toBe(original);
+
+  const accepted = setSuggestionAccepted(correction, original, correction.suggestions[0].id, true);
+  expect(accepted.correctedText).toBe('ロキソニン 1錠、高血庄');
+  expect(applyDictionaryCorrections(original, accepted.suggestions)).toBe(accepted.correctedText);
+  expect(createDictionaryCorrector(accepted.suggestions).correctDeep({ FIELDS: { 薬: 'ロキンニン' } }))
+    .toEqual({ FIELDS: { 薬: 'ロキソニン' } });
+  expect(createDictionaryCorrection(original, { ...settings, enabled: false })).toBeNull();
+});
@@ -0,0 +1,161 @@
+/**
+ * OCRの単語ごとの信頼度（confidence）から、誤認識の可能性が高い箇所を求める
+ * 行の中の低信頼度の範囲と、その範囲の文字列を含むLLMの整形結果のセクションを確認対象にする
+ */
+import { polygonBounds } from './ocrGeometry';
+
+// これ未満の信頼度の単語を要確認とする（Tesseract.jsの信頼度も0〜1に換算済み）
+export const DEFAULT_CONFIDENCE_THRESHOLD = 0.8;
+
+/**
+ * OCR設定の信頼度のしきい値
+ * @param {Object} ocrSettings - OCR設定
+ * @returns {number} - 0〜1
+ */
+export const getConfidenceThreshold = (ocrSettings) => (
+  ocrSettings && typeof ocrSettings.confidenceThreshold === 'number'
+    ? ocrSettings.confidenceThreshold
+    : DEFAULT_CONFIDENCE_THRESHOLD
+);
+
+/**
+ * 信頼度が低いか（信頼度がない単語は対象外）
+ * @param {Object} word - 単語
+ * @param {number} threshold - しきい値
+ * @returns {boolean}
+ */
+export const isLowConfidence = (word, threshold) => (
+  typeof word.confidence === 'number' && word.confidence < threshold
+);
+
+const isSpanInLine = (span, line) => line.spans.some(lineSpan => (
+  span.offset >= lineSpan.offset && span.offset < lineSpan.offset + lineSpan.length
+));
+
+const isCenterInLine = (word, line) => {
+  const wordBounds = polygonBounds(word.polygon);
+  const lineBounds = polygonBounds(line.polygon);
+  if (!wordBounds || !lineBounds) {
+    return false;
+  }
+  const x = (wordBounds.left + wordBounds.right) / 2;
+  const y = (wordBounds.top + wordBounds.bottom) / 2;
+  return x >= lineBounds.left && x <= lineBounds.right && y >= lineBounds.top && y <= lineBounds.bottom;
+};
+
+// 単語を行に振り分ける（span で判定し、なければ単語の中心が行の矩形に入るかで判定する）
+const groupWordsByLine = (page) => {
+  const wordsByLine = new Map(page.lines.map(line => [line.index, []]));
+  page.words.forEach(word => {
+    const line = page.lines.find(candidate => (
+      word.span && candidate.spans.length > 0 ? isSpanInLine(word.span, candidate) : isCenterInLine(word, candidate)
+    ));
+    if (line) {
+      wordsByLine.get(line.index).push(word);
+    }
+  });
+  return wordsByLine;
+};
+
+/**
+ * 行のテキストを信頼度の高い部分と低い部分に分ける
+ * 単語の位置は行テキスト内を先頭から順に探して求め、隣り合う低信頼度の単語は1つの範囲にまとめる
+ * @param {Object} line - 行
+ * @param {Array<Object>} words - 行に含まれる単語
+ * @param {number} threshold - しきい値
+ * @returns {Array<Object>} - [{ text, low, confidence }]（confidence は低信頼度の範囲の最小値）
+ */
+export const segmentLineByConfidence = (line, words, threshold) => {
+  const segments = [];
+  const push = (text, low, confidence = null) => {
+    if (!text) {
+      return;
+    }
+    const last = segments[segments.length - 1];
+    if (last && last.low === low) {
+      last.text += text;
+      last.confidence = low ? Math.min(last.confidence, confidence) : null;
+    } else {
+      segments.push({ text, low, confidence: low ? confidence : null });
+    }
+  };
+
+  let cursor = 0;
+  words.forEach(word => {
+    const position = word.content ? line.content.indexOf(word.content, cursor) : -1;
+    if (position === -1) {
+      return;
+    }
+    const low = isLowConfidence(word, threshold);
+    // 低信頼度の単語の間の空白は範囲に含める
+    const gap = line.content.slice(cursor, position);
+    const last = segments[segments.length - 1];
+    push(gap, Boolean(low && last && last.low && gap.trim() === ''), last && last.low ? last.confidence : null);
+    push(word.content, low, word.confidence);
+    cursor = position + word.content.length;
+  });
+  push(line.content.slice(cursor), false);
+
+  return segments;
+};
+
+/**
+ * 低信頼度の単語を含む行の一覧（確認用の一覧と、原本・OCR行での強調に使う）
+ * @param {Array<Object>} ocrPages - getOcrPages の結果
+ * @param {number} threshold - しきい値
+ * @returns {Array<Object>} - [{ pageNumber, lineIndex, content, segments, minConfidence }]
+ */
+export const getLowConfidenceLines = (ocrPages, threshold) => (ocrPages || []).flatMap(page => {
+  const wordsByLine = groupWordsByLine(page);
+  return page.lines
+    .map(line => ({ line, segments: segmentLineByConfidence(line, wordsByLine.get(line.index), threshold) }))
+    .filter(({ segments }) => segments.some(segment => segment.low))
+    .map(({ line, segments }) => ({
+      pageNumber: page.pageNumber,
+      lineIndex: line.index,
+      content: line.content,
+      segments,
+      minConfidence: Math.min(...segments.filter(segment => segment.low).map(segment => segment.confidence))
+    }));
+});
+
+const normalize = (text) => text.normalize('NFKC').replace(/\s+/g, '');
+
+// 低信頼度の範囲を探すための文字列（1文字だけでは無関係な箇所にも一致するため、前後の1文字を付ける）
+const getSearchPatterns = (segments, index) => {
+  const text = normalize(segments[index].text);
+  if (text.length >= 2) {
+    return [text];
+  }
+  const before = normalize(segments.slice(0, index).map(segment => segment.text).join('')).slice(-1);
+  const after = normalize(segments.slice(index + 1).map(segment => segment.text).join('')).slice(0, 1);
+  return [before && `${before}${text}`, after && `${text}${after}`].filter(Boolean);
+};
+
+/**
+ * 低信頼度の範囲の文字列を含むセクション（整形結果がOCRの不確かな箇所に基づいている可能性がある）
+ * LLMは表記を変えることがあるため、見つからなかった箇所は OCR行 の一覧で確認する
+ * @param {Array<Object>} sections - [{ label, value }]
+ * @param {Array<Object>} lowConfidenceLines - getLowConfidenceLines の結果
+ * @returns {Object} - セクション名 → [{ text, confidence, pageNumber, lineIndex }]
+ */
+export const findUncertainSections = (sections, lowConfidenceLines) => {
+  const uncertain = {};
+  sections.forEach(section => {
+    const value = normalize(section.value || '');
+    if (!value) {
+      return;
+    }
+    lowConfidenceLines.forEach(line => {
+      line.segments.forEach((segment, index) => {
+        if (segment.low && getSearchPatterns(line.segments, index).some(pattern => value.includes(pattern))) {
+          uncertain[section.label] = [
+            ...(uncertain[section.label] || []),
+            { text: segment.text.trim(), confidence: segment.confidence, pageNumber: line.pageNumber, lineIndex: line.lineIndex }
+          ];
+        }
+      });
+    });
+  });
+  return uncertain;
+};
@@ -0,0 +1,67 @@
+import {
+  segmentLineByConfidence,
+  getLowConfidenceLines,
+  findUncertainSections,
+  getConfidenceThreshold,
+  DEFAULT_CONFIDENCE_THRESHOLD
+} from './ocrConfidence';
+
+const word = (content, confidence, offset) => ({
+  content,
+  confidence,
+  polygon: [],
+  span: { offset, length: content.length }
+});
+
+// 「内服 ロキソニン 60mg」のうち「ロキソ」「ニン」の信頼度が低い
+const page = {
+  pageNumber: 1,
+  lines: [
+    { index: 0, content: '内服 ロキソニン 60mg', polygon: [], spans: [{ offset: 0, length: 13 }] },
+    { index: 1, content: '頭痛あり', polygon: [], spans: [{ offset: 14, length: 4 }] },
+    { index: 2, content: '熱', polygon: [0, 0, 10, 0, 10, 10, 0, 10], spans: [] }
+  ],
+  words: [
+    word('内服', 0.99, 0),
+    word('ロキソ', 0.42, 3),
+    word('ニン', 0.6, 6),
+    word('60mg', 0.95, 9),
+    word('頭痛', 0.98, 14),
+    word('あり', 0.97, 16),
+    // span がない場合は位置で行に振り分ける
+    { content: '熱', confidence: 0.3, polygon: [2, 2, 8, 2, 8, 8, 2, 8], span: null }
+  ]
+};
+
+test('getConfidenceThreshold', () => {
+  expect(getConfidenceThreshold({})).toBe(DEFAULT_CONFIDENCE_THRESHOLD);
+  expect(getConfidenceThreshold({ confidenceThreshold: 0.5 })).toBe(0.5);
+});
+
+test('segmentLineByConfidence は隣り合う低信頼度の単語をまとめる', () => {
+  expect(segmentLineByConfidence(page.lines[0], page.words.slice(0, 4), 0.8)).toEqual([
+    { text: '内服 ', low: false, confidence: null },
+    { text: 'ロキソニン', low: true, confidence: 0.42 },
+    { text: ' 60mg', low: false, confidence: null }
+  ]);
+});
+
+test('getLowConfidenceLines', () => {
+  const lines = getLowConfidenceLines([page], 0.8);
+  expect(lines.map(line => [line.lineIndex, line.minConfidence])).toEqual([[0, 0.42], [2, 0.3]]);
+  expect(getLowConfidenceLines([page], 0.2)).toEqual([]);
+});
+
+test('findUncertainSections は低信頼度の範囲を含むセクションを示す', () => {
+  const lines = getLowConfidenceLines([page], 0.8);
+  const uncertain = findUncertainSections([
+    { label: '内服薬', value: 'ロキソニン６０ｍｇ' },
+    { label: '主訴', value: '頭痛' },
+    // 1文字の範囲は前後の文字と合わせて探す（前後がない場合は対象外）
+    { label: '現病歴', value: '熱がある' }
+  ], lines);
+
+  expect(uncertain).toEqual({
+    内服薬: [{ text: 'ロキソニン', confidence: 0.42, pageNumber: 1, lineIndex: 0 }]
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * OCRエンジンの定義
+ * どのエンジンも Azure Document Intelligence（2022-08-31以降）の analyzeResult と同じ形
+ * （content / pages[].lines / words / selectionMarks / tables）に正規化した結果を返す。
+ * 後段のテキスト抽出・原本への重ね表示はこの形だけを前提にする
+ */
+import { analyzeDocument } from './azureDocumentClient';
+import { getOcrPages } from './ocrGeometry';
+import { renderDocumentPages } from './pageRenderer';
+import { OCR_STAGES } from './ocrProgress';
+import { createAbortError, throwIfAborted } from './abort';
+
+export const OCR_ENGINES = {
+  AZURE: 'azure',
+  TESSERACT: 'tesseract'
+};
+
+export const DEFAULT_TESSERACT_LANGUAGES = 'jpn+jpn_vert';
+// ワーカーとOCRエンジン本体（tesseract.js-core）は既定で server.js から配信したものを使う
+export const DEFAULT_TESSERACT_WORKER_PATH = '/tesseract/worker/worker.min.js';
+export const DEFAULT_TESSERACT_CORE_PATH = '/tesseract/core';
+// 言語データ（@tesseract.js-data）も server.js から配信する
+export const DEFAULT_TESSERACT_LANG_PATH = '/tesseract/lang';
+
+/**
+ * v2.1 API（readResults）形式の結果を pages 形式に揃える
+ * @param {Object} analyzeResult - Azure APIの analyzeResult
+ * @returns {Object} - 正規化された analyzeResult
+ */
+const normalizeAzureAnalyzeResult = (analyzeResult) => {
+  if (!analyzeResult || Array.isArray(analyzeResult.pages) || !Array.isArray(analyzeResult.readResults)) {
+    return analyzeResult;
+  }
+
+  const pages = getOcrPages(analyzeResult);
+  const content = pages
+    .map(page => page.lines.map(line => line.content).join('\n'))
+    .join('\n');
+
+  return {
+    ...analyzeResult,
+    content: analyzeResult.content || content,
+    pages,
+    tables: analyzeResult.tables || []
+  };
+};
+
+const azureEngine = {
+  label: 'Azure Document Intelligence',
+
+  isConfigComplete: ({ azureConfig }) => Boolean(
+    azureConfig && (azureConfig.useProxy || (azureConfig.endpoint && azureConfig.apiKey))
+  ),
+
+  recognize: async (file, { azureConfig }, options) => {
+    console.log('Azure Document IntelligenceでOCR処理を実行:', file.name);
+    const result = await analyzeDocument(file, azureConfig, options);
+    return {
+      engine: OCR_ENGINES.AZURE,
+      modelId: result.modelId,
+      apiUrl: result.apiUrl,
+      // 判定したAPIファミリーは設定に保存し、次回以降の判定を省く
+      apiFamily: result.apiFamily,
+      analyzeResult: normalizeAzureAnalyzeResult(result.analyzeResult)
+    };
+  }
+};
+
+// 日本語は1文字ずつ単語として認識されるため、文字間の空白を詰める
+const CJK_CHAR = '[\\u3000-\\u30ff\\u3400-\\u9fff\\uf900-\\ufaff\\uff00-\\uffef]';
+const CJK_SPACING = new RegExp(`(${CJK_CHAR})\\s+(?=${CJK_CHAR})`, 'g');
+const joinCjkText = (text) => text.replace(CJK_SPACING, '$1').trim();
+
+const bboxToPolygon = ({ x0, y0, x1, y1 }) => [x0, y0, x1, y0, x1, y1, x0, y1];
+
+let tesseractPromise = null;
+
+// tesseract.js は初めて使うときに読み込む
+const loadTesseract = () => {
+  if (!tesseractPromise) {
+    tesseractPromise = import('tesseract.js');
+  }
+  return tesseractPromise;
+};
+
+/**
+ * Tesseractの認識結果（blocks）を1ページ分の analyzeResult.pages 形式に変換する
+ * @param {Object} data - worker.recognize の結果
+ * @param {Object} image - ページ画像 { pageNumber, width, height }
+ * @param {number} contentOffset - 文書全体のテキストにおけるこのページの開始位置
+ * @returns {Object} - { page, content }
+ */
+export const toAnalyzePage = (data, image, contentOffset) => {
+  const lines = [];
+  const words = [];
+  let content = '';
+
+  (data.blocks || []).forEach(block => {
+    (block.paragraphs || []).forEach(paragraph => {
+      (paragraph.lines || []).forEach(line => {
+        const lineText = joinCjkText(line.text || '');
+        if (!lineText) {
+          return;
+        }
+        if (content) {
+          content += '\n';
+        }
+        const lineOffset = contentOffset + content.length;
+
+        // 単語の位置は行テキスト内を先頭から順に探して求める
+        let cursor = 0;
+        (line.words || []).forEach(word => {
+          const wordText = (word.text || '').trim();
+          if (!wordText) {
+            return;
+          }
+          const position = lineText.indexOf(wordText, cursor);
+          words.push({
+            content: wordText,
+            polygon: bboxToPolygon(word.bbox),
+            confidence: word.confidence / 100,
+            span: position === -1 ? null : { offset: lineOffset + position, length: wordText.length }
+          });
+          if (position !== -1) {
+            cursor = position + wordText.length;
+          }
+        });
+
+        lines.push({
+          content: lineText,
+          polygon: bboxToPolygon(line.bbox),
+          spans: [{ offset: lineOffset, length: lineText.length }]
+        });
+        content += lineText;
+      });
+    });
+  });
+
+  return {
+    page: {
+      pageNumber: image.pageNumber,
+      width: image.width,
+      height: image.height,
+      unit: 'pixel',
+      lines,
+      words,
+      selectionMarks: []
+    },
+    content
+  };
+};
+
+/**
+ * Tesseract.js のワーカーの設定（ワーカーはBlobから読み込まれるため、URLは絶対URLにする）
+ * 言語データも公開CDN（tesseract.js の既定）ではなく、langPath または server.js から取得する
+ * @param {Object} settings - ocrSettings.tesseract
+ * @param {string} [baseUrl] - 相対URLの基準
+ * @returns {Object} - createWorker のオプション
+ */
+export const getTesseractWorkerOptions = (settings = {}, baseUrl = window.location.href) => {
+  const toAbsolute = (url) => new URL(url, baseUrl).toString();
+  return {
+    workerPath: toAbsolute(settings.workerPath || DEFAULT_TESSERACT_WORKER_PATH),
+    corePath: toAbsolute(settings.corePath || DEFAULT_TESSERACT_CORE_PATH),
+    langPath: toAbsolute(settings.langPath || DEFAULT_TESSERACT_LANG_PATH)
+  };
+};
+
+// ブラウザ内で完結するOCR（問診票をクラウドに送信しない）
+const tesseractEngine = {
+  label: 'Tesseract.js（ローカル）',
+
+  isConfigComplete: () => true,
+
+  recognize: async (file, { ocrSettings }, { signal, onProgress }) => {
+    const settings = (ocrSettings && ocrSettings.tesseract) || {};
+    const languages = (settings.languages || DEFAULT_TESSERACT_LANGUAGES).split('+').filter(Boolean);
+    const { createWorker } = await loadTesseract();
+
+    const workerOptions = getTesseractWorkerOptions(settings);
+
+    console.log('Tesseract.jsでOCR処理を実行:', { fileName: file.name, languages });
+    onProgress(OCR_STAGES.RECOGNIZE);
+    const images = await renderDocumentPages(file, { scale: 2 });
+    throwIfAborted(signal);
+    const worker = await createWorker(languages, undefined, workerOptions);
+
+    // 中止されたら認識中のページを待たずにワーカーを終了する
+    let terminated = false;
+    const terminate = async () => {
+      if (!terminated) {
+        terminated = true;
+        await worker.terminate();
+      }
+    };
+    const onAbort = () => {
+      terminate().catch(() => {});
+    };
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    try {
+      const pages = [];
+      let content = '';
+      for (const image of images) {
+        onProgress(OCR_STAGES.RECOGNIZE, { pagesProcessed: pages.length, pageCount: images.length });
+        throwIfAborted(signal);
+        if (content) {
+          content += '\n';
+        }
+        const { data } = await worker.recognize(image.imageUrl, {}, { blocks: true, text: true });
+        const converted = toAnalyzePage(data, image, content.length);
+        pages.push(converted.page);
+        content += converted.content;
+      }
+      onProgress(OCR_STAGES.RECOGNIZE, { pagesProcessed: pages.length, pageCount: images.length });
+
+      return {
+        engine: OCR_ENGINES.TESSERACT,
+        modelId: `tesseract:${languages.join('+')}`,
+        analyzeResult: {
+          content,
+          pages,
+          tables: [],
+          paragraphs: []
+        }
+      };
+    } catch (error) {
+      throw signal && signal.aborted ? createAbortError() : error;
+    } finally {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      await terminate();
+    }
+  }
+};
+
+const ENGINES = {
+  [OCR_ENGINES.AZURE]: azureEngine,
+  [OCR_ENGINES.TESSERACT]: tesseractEngine
+};
+
+/**
+ * 設定からOCRエンジンを取得する（未指定の場合は従来どおりAzure）
+ * @param {Object} ocrSettings - OCRエンジン設定
+ * @returns {Object} - エンジン
+ */
+export const getOcrEngine = (ocrSettings) => (
+  ENGINES[(ocrSettings && ocrSettings.engine) || OCR_ENGINES.AZURE] || azureEngine
+);
+
+/**
+ * 選択されたエンジンでOCRを実行する
+ * @param {File} file - 処理するファイル
+ * @param {Object} settings - { ocrSettings, azureConfig }
+ * @param {Object} [options] - オプション
+ * @param {AbortSignal} [options.signal] - 中止シグナル（中止すると AbortError で終了する）
+ * @param {Function} [options.onProgress] - 段階が進むたびに (stage, details) で呼ばれる（OCR_STAGES）
+ * @returns {Promise<Object>} - { engine, modelId, analyzeResult }
+ */
+export const runOcrEngine = async (file, settings, { signal, onProgress = () => {} } = {}) => {
+  const engine = getOcrEngine(settings.ocrSettings);
+  if (!engine.isConfigComplete(settings)) {
+    throw new Error(`${engine.label}の設定が不完全です`);
+  }
+  return engine.recognize(file, settings, { signal, onProgress });
+};
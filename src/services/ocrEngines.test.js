@@ -0,0 +1,79 @@
+import { toAnalyzePage, getTesseractWorkerOptions, DEFAULT_TESSERACT_CORE_PATH, DEFAULT_TESSERACT_LANG_PATH } from './ocrEngines';
+
+// pdfjs-dist のワーカーの読み込み（import.meta）は jest で解釈できないため差し替える
+jest.mock('./pageRenderer', () => ({ renderDocumentPages: jest.fn() }));
+
+const bbox = (x0, y0, x1, y1) => ({ x0, y0, x1, y1 });
+
+describe('toAnalyzePage', () => {
+  const image = { pageNumber: 2, width: 800, height: 1000 };
+  const data = {
+    blocks: [{
+      paragraphs: [{
+        lines: [
+          {
+            text: '頭 痛 が あ る\n',
+            bbox: bbox(10, 10, 120, 30),
+            words: [
+              { text: '頭', bbox: bbox(10, 10, 30, 30), confidence: 95 },
+              { text: '痛', bbox: bbox(30, 10, 50, 30), confidence: 42 },
+              { text: ' ', bbox: bbox(50, 10, 52, 30), confidence: 0 }
+            ]
+          },
+          { text: '  ', bbox: bbox(0, 0, 1, 1), words: [] },
+          {
+            text: 'BP 120/80',
+            bbox: bbox(10, 40, 100, 60),
+            words: [
+              { text: 'BP', bbox: bbox(10, 40, 40, 60), confidence: 90 },
+              { text: '120/80', bbox: bbox(45, 40, 100, 60), confidence: 88 },
+              { text: '不明', bbox: bbox(0, 0, 1, 1), confidence: 10 }
+            ]
+          }
+        ]
+      }]
+    }]
+  };
+
+  test.each([
+    ['content', ({ content }) => content, '頭痛がある\nBP 120/80'],
+    ['行のテキストと位置', ({ page }) => page.lines.map(line => [line.content, line.spans[0].offset]), [['頭痛がある', 5], ['BP 120/80', 11]]],
+    ['単語の信頼度（0〜1）', ({ page }) => page.words.map(word => word.confidence), [0.95, 0.42, 0.9, 0.88, 0.1]],
+    ['単語の位置（行にない単語は null）', ({ page }) => page.words.map(word => word.span), [
+      { offset: 5, length: 1 }, { offset: 6, length: 1 }, { offset: 11, length: 2 }, { offset: 14, length: 6 }, null
+    ]],
+    ['ページ情報', ({ page }) => [page.pageNumber, page.width, page.height, page.unit, page.selectionMarks], [2, 800, 1000, 'pixel', []]]
+  ])('%s', (_, select, expected) => {
+    expect(select(toAnalyzePage(data, image, 5))).toEqual(expected);
+  });
+
+  test('単語の矩形をポリゴンにする', () => {
+    expect(toAnalyzePage(data, image, 0).page.words[0].polygon).toEqual([10, 10, 30, 10, 30, 30, 10, 30]);
+    expect(toAnalyzePage({}, image, 0)).toEqual({ page: expect.objectContaining({ lines: [], words: [] }), content: '' });
+  });
+});
+
+describe('getTesseractWorkerOptions', () => {
+  test.each([
+    [{}, {
+      workerPath: 'https://app.example/tesseract/worker/worker.min.js',
+      corePath: 'https://app.example/tesseract/core',
+      langPath: 'https://app.example/tesseract/lang'
+    }],
+    [
+      { workerPath: 'https://intranet.example/tesseract/worker.min.js', corePath: '/ocr/core', langPath: '/tessdata' },
+      {
+        workerPath: 'https://intranet.example/tesseract/worker.min.js',
+        corePath: 'https://app.example/ocr/core',
+        langPath: 'https://app.example/tessdata'
+      }
+    ]
+  ])('%j', (settings, expected) => {
+    expect(getTesseractWorkerOptions(settings, 'https://app.example/history')).toEqual(expected);
+  });
+
+  test('既定はこのアプリのサーバーから配信したファイル', () => {
+    expect(getTesseractWorkerOptions().corePath).toBe(new URL(DEFAULT_TESSERACT_CORE_PATH, window.location.href).toString());
+    expect(getTesseractWorkerOptions().langPath).toBe(new URL(DEFAULT_TESSERACT_LANG_PATH, window.location.href).toString());
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * OCR結果の座標情報（ページ・行・単語・選択マーク）を共通の形に正規化する
+ * 新しいAPI（analyzeResult.pages）と v2.1 API（analyzeResult.readResults）の両方に対応
+ */
+
+/**
+ * ポリゴンをフラットな座標配列 [x1, y1, x2, y2, ...] に変換する
+ * @param {Array<number>|Array<Object>} polygon - ポリゴン（数値配列または {x, y} の配列）
+ * @returns {Array<number>} - 座標配列
+ */
+export const toFlatPolygon = (polygon) => {
+  if (!Array.isArray(polygon) || polygon.length === 0) {
+    return [];
+  }
+  if (typeof polygon[0] === 'object') {
+    return polygon.reduce((points, point) => [...points, point.x, point.y], []);
+  }
+  return polygon;
+};
+
+/**
+ * ポリゴンを囲む矩形を求める
+ * @param {Array<number>} polygon - 座標配列
+ * @returns {Object|null} - { left, top, right, bottom }
+ */
+export const polygonBounds = (polygon) => {
+  if (!polygon || polygon.length < 2) {
+    return null;
+  }
+  const xs = polygon.filter((_, index) => index % 2 === 0);
+  const ys = polygon.filter((_, index) => index % 2 === 1);
+  return {
+    left: Math.min(...xs),
+    top: Math.min(...ys),
+    right: Math.max(...xs),
+    bottom: Math.max(...ys)
+  };
+};
+
+/**
+ * SVGの points 属性用の文字列に変換する
+ * @param {Array<number>} polygon - 座標配列
+ * @returns {string} - "x1,y1 x2,y2 ..."
+ */
+export const polygonToPoints = (polygon) => {
+  const points = [];
+  for (let i = 0; i + 1 < polygon.length; i += 2) {
+    points.push(`${polygon[i]},${polygon[i + 1]}`);
+  }
+  return points.join(' ');
+};
+
+const normalizePage = (page) => ({
+  pageNumber: page.pageNumber,
+  width: page.width,
+  height: page.height,
+  unit: page.unit,
+  lines: (page.lines || []).map((line, index) => ({
+    index,
+    content: line.content || '',
+    polygon: toFlatPolygon(line.polygon),
+    spans: line.spans || []
+  })),
+  words: (page.words || []).map((word, index) => ({
+    index,
+    content: word.content || '',
+    polygon: toFlatPolygon(word.polygon),
+    confidence: word.confidence,
+    span: word.span || null
+  })),
+  selectionMarks: (page.selectionMarks || []).map((mark, index) => ({
+    index,
+    state: mark.state,
+    polygon: toFlatPolygon(mark.polygon),
+    confidence: mark.confidence
+  }))
+});
+
+// v2.1 API（readResults）形式
+const normalizeReadResult = (page) => {
+  const words = [];
+  const lines = (page.lines || []).map((line, index) => {
+    (line.words || []).forEach(word => {
+      words.push({
+        index: words.length,
+        content: word.text || '',
+        polygon: toFlatPolygon(word.boundingBox),
+        confidence: word.confidence,
+        span: null
+      });
+    });
+    return {
+      index,
+      content: line.text || '',
+      polygon: toFlatPolygon(line.boundingBox),
+      spans: []
+    };
+  });
+
+  return {
+    pageNumber: page.page,
+    width: page.width,
+    height: page.height,
+    unit: page.unit,
+    lines,
+    words,
+    selectionMarks: (page.selectionMarks || []).map((mark, index) => ({
+      index,
+      state: mark.state,
+      polygon: toFlatPolygon(mark.boundingBox),
+      confidence: mark.confidence
+    }))
+  };
+};
+
+/**
+ * analyzeResult からページごとの座標情報を取得する
+ * @param {Object} analyzeResult - Azure APIの analyzeResult
+ * @returns {Array<Object>} - ページ一覧
+ */
+export const getOcrPages = (analyzeResult) => {
+  if (!analyzeResult) {
+    return [];
+  }
+  if (Array.isArray(analyzeResult.pages)) {
+    return analyzeResult.pages.map(normalizePage);
+  }
+  if (Array.isArray(analyzeResult.readResults)) {
+    return analyzeResult.readResults.map(normalizeReadResult);
+  }
+  return [];
+};
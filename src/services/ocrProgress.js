@@ -0,0 +1,73 @@
+/**
+ * OCR処理の進捗（段階・経過時間・処理済みページ数）
+ * エンジンは onProgress(stage, details) を呼ぶだけで、経過時間はここで付ける
+ */
+
+export const OCR_STAGES = {
+  UPLOAD: 'upload',
+  ANALYZE: 'analyze',
+  POLL: 'poll',
+  RECOGNIZE: 'recognize'
+};
+
+export const OCR_STAGE_LABELS = {
+  [OCR_STAGES.UPLOAD]: 'ファイルを送信中',
+  [OCR_STAGES.ANALYZE]: '解析を依頼中',
+  [OCR_STAGES.POLL]: '解析結果を待機中',
+  [OCR_STAGES.RECOGNIZE]: '文字を認識中'
+};
+
+// Azureの解析状態（ポーリング応答の status）
+const AZURE_STATUS_LABELS = {
+  notStarted: '開始待ち',
+  running: '解析中',
+  throttled: '混雑のため待機中'
+};
+
+/**
+ * 進捗の通知関数を作成する
+ * @param {Function} onProgress - { stage, startedAt, elapsedMs, ...details } で呼ばれる
+ * @returns {Function} - (stage, details) => void
+ */
+export const createProgressReporter = (onProgress) => {
+  const startedAt = Date.now();
+  return (stage, details = {}) => onProgress({
+    stage,
+    startedAt,
+    elapsedMs: Date.now() - startedAt,
+    ...details
+  });
+};
+
+/**
+ * 進捗を表示用の文字列にする（経過時間は表示時点で計算する）
+ * @param {Object} progress - createProgressReporter が通知した進捗
+ * @param {number} [now] - 現在時刻
+ * @returns {string} - 例: 「解析結果を待機中（解析中・3回目） 12秒」
+ */
+export const formatOcrProgress = (progress, now = Date.now()) => {
+  if (!progress) {
+    return '';
+  }
+
+  const notes = [];
+  if (progress.stage === OCR_STAGES.UPLOAD && typeof progress.percent === 'number') {
+    notes.push(`${progress.percent}%`);
+  }
+  if (progress.status && AZURE_STATUS_LABELS[progress.status]) {
+    notes.push(AZURE_STATUS_LABELS[progress.status]);
+  }
+  if (progress.attempt) {
+    notes.push(`${progress.attempt}回目`);
+  }
+  if (progress.waitMs) {
+    notes.push(`${Math.ceil(progress.waitMs / 1000)}秒後に再試行`);
+  }
+  if (progress.pageCount) {
+    notes.push(`${progress.pagesProcessed || 0}/${progress.pageCount}ページ`);
+  }
+
+  const label = OCR_STAGE_LABELS[progress.stage] || progress.stage;
+  const elapsedSeconds = Math.max(0, Math.floor((now - progress.startedAt) / 1000));
+  return `${label}${notes.length > 0 ? `（${notes.join('・')}）` : ''} ${elapsedSeconds}秒`;
+};
@@ -0,0 +1,160 @@
+/**
+ * 正規化済みのOCR結果（analyzeResult）からLLMに渡すテキストを抽出する
+ */
+import { collectDocumentFields } from './fieldMapping';
+import { getOcrPages } from './ocrGeometry';
+import { analyzeSelectionMarks, formatSelectionGroup, selectionMarksToText, replaceMarkTokens } from './layoutAnalysis';
+
+/**
+ * カスタムモデルの抽出フィールドを「名前: 値」の行にする
+ * @param {Object} analyzeResult - 解析結果
+ * @returns {string} - フィールドのテキスト（フィールドがない場合は空）
+ */
+const extractFieldText = (analyzeResult) => {
+  const lines = [];
+  collectDocumentFields(analyzeResult).forEach((values, path) => {
+    values.forEach(value => {
+      if (value.checkbox) {
+        lines.push(`${path}: ${value.text === 'selected' ? '選択' : '未選択'}`);
+      } else if (value.text) {
+        lines.push(`${path}: ${value.text}`);
+      }
+    });
+  });
+  return lines.length > 0 ? `抽出フィールド:\n${lines.join('\n')}` : '';
+};
+
+/**
+ * 表を「列 | 列」の行にする
+ * @param {Object} table - 解析結果の表
+ * @returns {string} - 表のテキスト
+ */
+const formatTable = (table) => {
+  const cells = table.cells || [];
+  if (cells.length === 0) {
+    return '';
+  }
+
+  // 2D配列で表データを保持
+  const rowCount = Math.max(...cells.map(cell => cell.rowIndex)) + 1;
+  const colCount = Math.max(...cells.map(cell => cell.columnIndex)) + 1;
+  const tableData = Array.from({ length: rowCount }, () => Array(colCount).fill(''));
+
+  cells.forEach(cell => {
+    if (cell.content) {
+      tableData[cell.rowIndex][cell.columnIndex] = cell.content;
+    }
+  });
+
+  return tableData.map(row => row.join(' | ')).join('\n');
+};
+
+/**
+ * 本文の後に付けるテキスト（選択マークの設問と選択肢、カスタムモデルのフィールド）
+ * @param {Object} analyzeResult - 解析結果
+ * @returns {string} - テキスト
+ */
+const extractAppendixText = (analyzeResult) => [
+  selectionMarksToText(analyzeSelectionMarks(getOcrPages(analyzeResult))),
+  extractFieldText(analyzeResult)
+].filter(Boolean).join('\n\n');
+
+/**
+ * Azure APIのレスポンスからテキストを抽出
+ * @param {Object} result - API結果
+ * @returns {string} - 抽出されたテキスト
+ */
+export const extractTextFromResult = (result) => {
+  if (!result || !result.analyzeResult) {
+    return '';
+  }
+
+  const { analyzeResult } = result;
+  const appendix = extractAppendixText(analyzeResult);
+  
+  // content（全文テキスト）があればそれを使用
+  if (analyzeResult.content) {
+    const content = replaceMarkTokens(analyzeResult.content);
+    return appendix ? `${content}\n\n${appendix}` : content;
+  }
+  
+  // paragraphs（段落）からテキストを抽出
+  let extractedText = '';
+  
+  if (analyzeResult.paragraphs && analyzeResult.paragraphs.length > 0) {
+    extractedText = analyzeResult.paragraphs.map(p => p.content).join('\n\n');
+  }
+  
+  // tables（表）からもテキストを抽出
+  if (analyzeResult.tables && analyzeResult.tables.length > 0) {
+    extractedText += '\n\n表形式データ:\n';
+    
+    analyzeResult.tables.forEach((table, tableIndex) => {
+      extractedText += `\n表 ${tableIndex + 1}:\n${formatTable(table)}\n`;
+    });
+  }
+  
+  if (appendix) {
+    extractedText += `\n\n${appendix}`;
+  }
+
+  return extractedText;
+};
+
+
+/**
+ * 長い文書を分割して処理するため、テキストをページごとの区間に分けて抽出する
+ * ページの範囲（spans）がない場合は行から組み立て、それもなければ全文を1区間とする
+ * @param {Object} result - API結果
+ * @returns {Array<string>} - ページごとのテキスト（最後に選択マーク・フィールドの区間）
+ */
+export const extractTextSegments = (result) => {
+  if (!result || !result.analyzeResult) {
+    return [];
+  }
+
+  const { analyzeResult } = result;
+  const content = analyzeResult.content || '';
+  const pages = analyzeResult.pages || [];
+
+  const pageTexts = pages.map(page => {
+    if (content && Array.isArray(page.spans) && page.spans.length > 0) {
+      return page.spans.map(span => content.slice(span.offset, span.offset + span.length)).join('');
+    }
+    return (page.lines || []).map(line => line.content).join('\n');
+  });
+
+  if (pageTexts.length === 0 || pageTexts.every(text => text.trim() === '')) {
+    return [extractTextFromResult(result)];
+  }
+
+  return [...pageTexts.map(replaceMarkTokens), extractAppendixText(analyzeResult)].filter(Boolean);
+};
+
+/**
+ * プロンプトテンプレートの変数を作成する（OCR_TEXT は分割処理の際に各部分で置き換わる）
+ * @param {Object} result - API結果
+ * @param {string} [fileName] - ファイル名
+ * @returns {Object} - { OCR_TEXT, TABLES, SELECTION_MARKS, FIELDS, TODAY, FILE_NAME, PAGE_COUNT }
+ */
+export const extractTemplateVariables = (result, fileName = '') => {
+  const analyzeResult = (result && result.analyzeResult) || null;
+  const fields = {};
+  collectDocumentFields(analyzeResult).forEach((values, path) => {
+    fields[path] = values
+      .map(value => (value.checkbox ? (value.text === 'selected' ? '選択' : '未選択') : value.text))
+      .filter(Boolean)
+      .join('、');
+  });
+
+  const pages = getOcrPages(analyzeResult);
+  return {
+    OCR_TEXT: extractTextFromResult(result),
+    TABLES: ((analyzeResult && analyzeResult.tables) || []).map(formatTable),
+    SELECTION_MARKS: analyzeSelectionMarks(pages).map(formatSelectionGroup),
+    FIELDS: fields,
+    TODAY: new Date().toLocaleDateString('ja-JP', { year: 'numeric', month: 'long', day: 'numeric' }),
+    FILE_NAME: fileName,
+    PAGE_COUNT: pages.length
+  };
+};
@@ -0,0 +1,119 @@
+/**
+ * アップロードされたファイルをページ単位の画像に変換する（プレビュー・レビュー表示用）
+ * PDFは pdfjs-dist で各ページを描画し、画像ファイルはそのまま1ページとして扱う
+ */
+
+const isPdf = (file) => file.type.includes('pdf') || file.name.toLowerCase().endsWith('.pdf');
+
+/**
+ * ファイルをData URLとして読み込む
+ * @param {Blob} file - ファイル
+ * @returns {Promise<string>} - Data URL
+ */
+const readFileAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = reject;
+  reader.readAsDataURL(file);
+});
+
+/**
+ * 画像のピクセルサイズを取得する
+ * @param {string} src - 画像のURL
+ * @returns {Promise<Object>} - { width, height }
+ */
+const loadImageSize = (src) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve({ width: image.naturalWidth, height: image.naturalHeight });
+  image.onerror = () => reject(new Error('画像を読み込めませんでした'));
+  image.src = src;
+});
+
+let pdfjsPromise = null;
+
+// pdfjs-dist はサイズが大きいため、初めてPDFを表示するときに読み込む
+const loadPdfjs = () => {
+  if (!pdfjsPromise) {
+    pdfjsPromise = import('pdfjs-dist').then(pdfjs => {
+      pdfjs.GlobalWorkerOptions.workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.mjs', import.meta.url).toString();
+      return pdfjs;
+    });
+  }
+  return pdfjsPromise;
+};
+
+/**
+ * PDFの全ページを画像に描画する
+ * @param {File} file - PDFファイル
+ * @param {number} scale - 描画倍率
+ * @param {number} [maxPages] - 描画するページ数の上限（省略時は全ページ）
+ * @returns {Promise<Array<Object>>} - ページ画像の一覧
+ */
+const renderPdfPages = async (file, scale, maxPages = Infinity) => {
+  const pdfjs = await loadPdfjs();
+  const data = new Uint8Array(await file.arrayBuffer());
+  const pdf = await pdfjs.getDocument({ data }).promise;
+
+  try {
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= Math.min(pdf.numPages, maxPages); pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale });
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.floor(viewport.width);
+      canvas.height = Math.floor(viewport.height);
+
+      await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+      pages.push({
+        pageNumber,
+        imageUrl: canvas.toDataURL('image/jpeg', 0.85),
+        width: canvas.width,
+        height: canvas.height
+      });
+      page.cleanup();
+    }
+    return pages;
+  } finally {
+    pdf.destroy();
+  }
+};
+
+/**
+ * ファイルの全ページを画像として取得する
+ * @param {File} file - PDFまたは画像ファイル
+ * @param {Object} [options] - オプション
+ * @param {number} [options.scale=1.5] - PDFの描画倍率
+ * @returns {Promise<Array<Object>>} - [{ pageNumber, imageUrl, width, height }]
+ */
+export const renderDocumentPages = async (file, { scale = 1.5 } = {}) => {
+  if (isPdf(file)) {
+    return renderPdfPages(file, scale);
+  }
+
+  const imageUrl = await readFileAsDataUrl(file);
+  const { width, height } = await loadImageSize(imageUrl);
+  return [{ pageNumber: 1, imageUrl, width, height }];
+};
+
+/**
+ * 1ページ目の縮小画像を作成する（処理履歴の一覧表示用）
+ * @param {File} file - PDFまたは画像ファイル
+ * @param {number} [maxSize=240] - 長辺のピクセル数
+ * @returns {Promise<string>} - JPEGのData URL
+ */
+export const createThumbnail = async (file, maxSize = 240) => {
+  const [page] = isPdf(file) ? await renderPdfPages(file, 0.5, 1) : await renderDocumentPages(file);
+  const image = await new Promise((resolve, reject) => {
+    const element = new Image();
+    element.onload = () => resolve(element);
+    element.onerror = () => reject(new Error('画像を読み込めませんでした'));
+    element.src = page.imageUrl;
+  });
+
+  const ratio = Math.min(1, maxSize / Math.max(page.width, page.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(page.width * ratio));
+  canvas.height = Math.max(1, Math.round(page.height * ratio));
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL('image/jpeg', 0.7);
+};
@@ -0,0 +1,297 @@
+/**
+ * 個人情報の仮名化（LLMに送る前に氏名・日付・電話番号などをトークンに置き換え、LLMの出力で元に戻す）
+ * 検出は正規表現のルールで行う。一致した部分だけを置き換えるため、「氏名」などの見出しは後読みで指定する
+ */
+
+export const PHI_CATEGORIES = {
+  NAME: 'NAME',
+  DATE: 'DATE',
+  PHONE: 'PHONE',
+  POSTAL_CODE: 'POSTAL_CODE',
+  ADDRESS: 'ADDRESS',
+  INSURANCE_NUMBER: 'INSURANCE_NUMBER',
+  OTHER: 'OTHER'
+};
+
+export const PHI_CATEGORY_LABELS = {
+  [PHI_CATEGORIES.NAME]: '氏名',
+  [PHI_CATEGORIES.DATE]: '日付',
+  [PHI_CATEGORIES.PHONE]: '電話番号',
+  [PHI_CATEGORIES.POSTAL_CODE]: '郵便番号',
+  [PHI_CATEGORIES.ADDRESS]: '住所',
+  [PHI_CATEGORIES.INSURANCE_NUMBER]: '保険証番号等',
+  [PHI_CATEGORIES.OTHER]: 'その他'
+};
+
+// OCR結果には全角の数字・記号も混ざる
+const DIGIT = '[0-9０-９]';
+const HYPHEN = '[-‐－ー−―]';
+const KANJI = '[\\p{Script=Han}々〆ヶ]';
+const NAME_PART = '[\\p{Script=Han}\\p{Script=Hiragana}\\p{Script=Katakana}々ー・A-Za-zＡ-Ｚａ-ｚ]{1,10}';
+const LABEL_SEPARATOR = '\\s*[:：]?\\s*';
+// 見出しは行・項目の先頭にあるものだけを使う（「お薬の名前：」「症状の記号：」は見出しとしない）
+const FIELD_START = '(?<![^\\s|｜、，,。;；(（【\\[])';
+
+// 組み込みのルール（上にあるものほど優先する）
+export const BUILTIN_REDACTION_RULES = [
+  {
+    id: 'phone',
+    category: PHI_CATEGORIES.PHONE,
+    label: '電話番号（03-1234-5678、090(1234)5678、09012345678）',
+    pattern: `(?<!${DIGIT})(?:0${DIGIT}{1,4}(?:${HYPHEN}|[(（])${DIGIT}{1,4}(?:${HYPHEN}|[)）])${DIGIT}{4}`
+      + `|[(（]0${DIGIT}{1,4}[)）]\\s*${DIGIT}{1,4}${HYPHEN}?${DIGIT}{4}|0${DIGIT}{9,10})(?!${DIGIT})`
+  },
+  {
+    id: 'postal-code',
+    category: PHI_CATEGORIES.POSTAL_CODE,
+    label: '郵便番号（〒123-4567）',
+    pattern: `(?:〒\\s*)?(?<!${DIGIT})${DIGIT}{3}${HYPHEN}${DIGIT}{4}(?!${DIGIT})`
+  },
+  {
+    id: 'date',
+    category: PHI_CATEGORIES.DATE,
+    label: '西暦の日付（1980年4月1日、1980/4/1）',
+    pattern: `(?<!${DIGIT})(?:19|20|１９|２０)${DIGIT}{2}\\s*[年/.／．-]\\s*${DIGIT}{1,2}\\s*[月/.／．-]\\s*${DIGIT}{1,2}(?:\\s*日)?(?!${DIGIT})`
+  },
+  {
+    id: 'japanese-era-date',
+    category: PHI_CATEGORIES.DATE,
+    label: '和暦の日付（昭和55年4月1日、S55.4.1）',
+    pattern: `(?:明治|大正|昭和|平成|令和)\\s*(?:元|${DIGIT}{1,2})\\s*年\\s*${DIGIT}{1,2}\\s*月\\s*${DIGIT}{1,2}\\s*日`
+      + `|(?<![A-Za-z])[MTSHR]\\s*${DIGIT}{1,2}[./．／]${DIGIT}{1,2}[./．／]${DIGIT}{1,2}(?!${DIGIT})`
+  },
+  {
+    id: 'insurance-number',
+    category: PHI_CATEGORIES.INSURANCE_NUMBER,
+    label: '行・項目の先頭の保険者番号・記号・番号・受給者番号などの見出しに続く番号',
+    pattern: `(?<=${FIELD_START}(?:保険者番号|保険証番号|被保険者証?番号|被保険者証?記号|保険証記号|記号|番号|受給者番号|公費負担者番号|個人番号|マイナンバー)${LABEL_SEPARATOR})`
+      + `[0-9０-９A-Za-zＡ-Ｚａ-ｚ](?:[0-9０-９A-Za-zＡ-Ｚａ-ｚ・･]|${HYPHEN})*`
+  },
+  {
+    id: 'my-number',
+    category: PHI_CATEGORIES.INSURANCE_NUMBER,
+    label: '12桁の番号（個人番号）',
+    pattern: `(?<!${DIGIT})${DIGIT}{4}[ 　-]?${DIGIT}{4}[ 　-]?${DIGIT}{4}(?!${DIGIT})`
+  },
+  {
+    id: 'labeled-name',
+    category: PHI_CATEGORIES.NAME,
+    label: '行・項目の先頭の氏名・お名前・フリガナなどの見出しに続く名前',
+    pattern: `(?<=${FIELD_START}(?:患者氏名|患者名|氏名|お名前|名前|フリガナ|ふりがな|カナ)${LABEL_SEPARATOR})${NAME_PART}(?:[ 　]${NAME_PART})?`
+  },
+  {
+    id: 'honorific-name',
+    category: PHI_CATEGORIES.NAME,
+    label: '「様」「殿」が付く名前（山田 太郎 様）',
+    pattern: `${KANJI}{1,4}[ 　]?${KANJI}{1,4}(?=[ 　]?(?:様|さま|殿))`
+  },
+  {
+    id: 'labeled-address',
+    category: PHI_CATEGORIES.ADDRESS,
+    label: '住所・所在地の見出しに続く行',
+    pattern: `(?<=(?:現住所|ご住所|住所|所在地)${LABEL_SEPARATOR})[^\\s:：][^\\t\\r\\n]{1,59}?(?=[ 　]{2,}|[\\t\\r\\n]|$)`
+  },
+  {
+    id: 'prefecture-address',
+    category: PHI_CATEGORIES.ADDRESS,
+    label: '都道府県から始まる住所',
+    pattern: `(?:北海道|東京都|大阪府|京都府|${KANJI}{2,3}県)[^\\s、，,。：:]{2,40}`
+  }
+];
+
+export const DEFAULT_REDACTION_SETTINGS = {
+  enabled: true,
+  disabledRuleIds: [],
+  customRules: [],
+  // 名前のルールに一致しやすい一般的な語
+  exclusions: ['患者', '医師', '先生', 'ご家族', '保護者']
+};
+
+/**
+ * 空のカスタムルールを作成する
+ * @returns {Object} - { id, label, category, pattern, enabled }
+ */
+export const createCustomRule = () => ({
+  id: `custom-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+  label: '',
+  category: PHI_CATEGORIES.OTHER,
+  pattern: '',
+  enabled: true
+});
+
+/**
+ * ルールの正規表現が正しいか確認する
+ * @param {string} pattern - 正規表現
+ * @returns {string} - エラーメッセージ（正しい場合は空文字）
+ */
+export const validateRulePattern = (pattern) => {
+  if (!pattern) {
+    return '正規表現を入力してください';
+  }
+  try {
+    // 空文字に一致するルールは置き換えが終わらないため受け付けない
+    if (new RegExp(pattern, 'u').test('')) {
+      return '空の文字列に一致する正規表現は使えません';
+    }
+    return '';
+  } catch (error) {
+    return `正規表現が正しくありません: ${error.message}`;
+  }
+};
+
+/**
+ * 設定から有効なルールを取得する（正規表現が正しくないカスタムルールは除く）
+ * @param {Object} settings - 仮名化の設定
+ * @returns {Array<Object>} - [{ id, category, label, regex }]
+ */
+export const getActiveRules = (settings) => {
+  if (!settings || !settings.enabled) {
+    return [];
+  }
+  const disabledRuleIds = settings.disabledRuleIds || [];
+  const builtinRules = BUILTIN_REDACTION_RULES.filter(rule => !disabledRuleIds.includes(rule.id));
+  const customRules = (settings.customRules || [])
+    .filter(rule => rule.enabled !== false && !validateRulePattern(rule.pattern));
+  return [...customRules, ...builtinRules].map(rule => ({
+    id: rule.id,
+    category: rule.category || PHI_CATEGORIES.OTHER,
+    label: rule.label,
+    regex: new RegExp(rule.pattern, 'gu')
+  }));
+};
+
+const findAllOccurrences = (text, value) => {
+  const starts = [];
+  for (let index = text.indexOf(value); index >= 0; index = text.indexOf(value, index + value.length)) {
+    starts.push(index);
+  }
+  return starts;
+};
+
+/**
+ * テキストから個人情報と思われる部分を探す
+ * 重なる場合は先に始まるもの（同じ位置なら長いもの・上のルール）を採用し、
+ * 一度見つかった値は別の場所に出てきた場合も対象にする
+ * @param {string} text - テキスト
+ * @param {Array<Object>} rules - getActiveRules の結果
+ * @param {Object} [options] - オプション
+ * @param {Array<string>} [options.exclusions] - 置き換えない語
+ * @param {Map<string, string>} [options.knownValues] - 他のテキストで見つかった値 → 種類（見出しがなくても対象にする）
+ * @returns {Array<Object>} - 位置順の [{ start, end, value, category, ruleId }]
+ */
+export const findPhiMatches = (text, rules, { exclusions = [], knownValues: previousValues = new Map() } = {}) => {
+  if (!text || rules.length === 0) {
+    return [];
+  }
+
+  const candidates = [];
+  rules.forEach((rule, ruleIndex) => {
+    for (const match of text.matchAll(rule.regex)) {
+      const value = match[0].trim();
+      if (value && !exclusions.includes(value)) {
+        const start = match.index + match[0].indexOf(value);
+        candidates.push({ start, end: start + value.length, value, category: rule.category, ruleId: rule.id, ruleIndex });
+      }
+    }
+  });
+
+  // 見つかった値（2文字以上）が他の場所にも出てくれば同じ種類として追加する
+  const knownValues = new Map();
+  previousValues.forEach((category, value) => {
+    knownValues.set(value, { value, category, ruleId: 'known-value' });
+  });
+  candidates.forEach(candidate => {
+    if (candidate.value.length >= 2 && !knownValues.has(candidate.value)) {
+      knownValues.set(candidate.value, candidate);
+    }
+  });
+  knownValues.forEach((candidate, value) => {
+    findAllOccurrences(text, value).forEach(start => {
+      candidates.push({ ...candidate, start, end: start + value.length, ruleIndex: rules.length });
+    });
+  });
+
+  candidates.sort((a, b) => (a.start - b.start) || ((b.end - b.start) - (a.end - a.start)) || (a.ruleIndex - b.ruleIndex));
+  const matches = [];
+  candidates.forEach(({ ruleIndex, ...candidate }) => {
+    const last = matches[matches.length - 1];
+    if (!last || candidate.start >= last.end) {
+      matches.push(candidate);
+    }
+  });
+  return matches;
+};
+
+// LLMが括弧を全角にしたり空白を入れたりしても戻せるようにする
+const TOKEN_PATTERN = new RegExp(`[[［]\\s*(${Object.values(PHI_CATEGORIES).join('|')})_(\\d+)\\s*[\\]］]`, 'g');
+
+/**
+ * 値（配列・オブジェクトを含む）のすべての文字列を変換する
+ * @param {*} value - 値
+ * @param {Function} transform - 文字列の変換
+ * @returns {*} - 変換した値
+ */
+export const mapStrings = (value, transform) => {
+  if (typeof value === 'string') {
+    return transform(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => mapStrings(item, transform));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, transform)]));
+  }
+  return value;
+};
+
+/**
+ * 1件の問診票用の仮名化処理を作成する（同じ値は同じトークンに置き換え、分割した各部分でも共通にする）
+ * @param {Object} settings - 仮名化の設定
+ * @returns {Object} - { redact, redactDeep, restore, restoreDeep, getEntries }
+ */
+export const createRedactor = (settings) => {
+  const rules = getActiveRules(settings);
+  const exclusions = (settings && settings.exclusions) || [];
+  const categoriesByValue = new Map();
+  const tokensByValue = new Map();
+  const entriesByToken = new Map();
+  const counters = {};
+
+  const getToken = (value, category) => {
+    if (!tokensByValue.has(value)) {
+      counters[category] = (counters[category] || 0) + 1;
+      const token = `[${category}_${counters[category]}]`;
+      tokensByValue.set(value, token);
+      if (value.length >= 2) {
+        categoriesByValue.set(value, category);
+      }
+      entriesByToken.set(token, { token, category, value });
+    }
+    return tokensByValue.get(value);
+  };
+
+  const redact = (text) => {
+    const matches = findPhiMatches(text, rules, { exclusions, knownValues: categoriesByValue });
+    let redacted = '';
+    let position = 0;
+    matches.forEach(match => {
+      redacted += text.slice(position, match.start) + getToken(match.value, match.category);
+      position = match.end;
+    });
+    return redacted + (text || '').slice(position);
+  };
+
+  const restore = (text) => text.replace(TOKEN_PATTERN, (token, category, number) => {
+    const entry = entriesByToken.get(`[${category}_${number}]`);
+    return entry ? entry.value : token;
+  });
+
+  return {
+    redact,
+    redactDeep: (value) => mapStrings(value, redact),
+    restore,
+    restoreDeep: (value) => mapStrings(value, restore),
+    // 置き換えた値の一覧（トークン・種類・元の値）
+    getEntries: () => Array.from(entriesByToken.values())
+  };
+};
@@ -0,0 +1,87 @@
+import {
+  DEFAULT_REDACTION_SETTINGS,
+  PHI_CATEGORIES,
+  createRedactor,
+  findPhiMatches,
+  getActiveRules,
+  validateRulePattern
+} from './phiRedaction';
+
+const ocrText = [
+  '問診票',
+  'フリガナ ヤマダ タロウ',
+  '氏名 山田 太郎',
+  '生年月日 昭和55年4月1日',
+  '住所 〒123-4567 東京都千代田区千代田1-1',
+  '電話番号 03-1234-5678  携帯 090(1234)5678',
+  '被保険者証番号 12345678',
+  '症状 3日前から頭痛。山田 太郎 様は内服薬なし'
+].join('\n');
+
+const valuesOf = (matches, category) => matches.filter(match => match.category === category).map(match => match.value);
+
+describe('findPhiMatches', () => {
+  const matches = findPhiMatches(ocrText, getActiveRules(DEFAULT_REDACTION_SETTINGS), {
+    exclusions: DEFAULT_REDACTION_SETTINGS.exclusions
+  });
+
+  test('氏名・日付・電話番号・郵便番号・住所・保険証番号を検出する', () => {
+    expect(valuesOf(matches, PHI_CATEGORIES.NAME)).toEqual(['ヤマダ タロウ', '山田 太郎', '山田 太郎']);
+    expect(valuesOf(matches, PHI_CATEGORIES.DATE)).toEqual(['昭和55年4月1日']);
+    expect(valuesOf(matches, PHI_CATEGORIES.ADDRESS)).toEqual(['〒123-4567 東京都千代田区千代田1-1']);
+    expect(valuesOf(matches, PHI_CATEGORIES.PHONE)).toEqual(['03-1234-5678', '090(1234)5678']);
+    expect(valuesOf(matches, PHI_CATEGORIES.INSURANCE_NUMBER)).toEqual(['12345678']);
+  });
+
+  test('症状などの本文は置き換えない', () => {
+    const redacted = createRedactor(DEFAULT_REDACTION_SETTINGS).redact(ocrText);
+    expect(redacted).toContain('症状 3日前から頭痛。[NAME_2] 様は内服薬なし');
+    expect(redacted).toContain('電話番号 [PHONE_1]');
+  });
+
+  test('行の途中の「名前」「記号」は見出しとしない', () => {
+    const text = 'お薬の名前：ロキソニン\n症状の記号：A\n氏名：山田 太郎\n被保険者証記号：12-34';
+    const matches = findPhiMatches(text, getActiveRules(DEFAULT_REDACTION_SETTINGS));
+    expect(valuesOf(matches, PHI_CATEGORIES.NAME)).toEqual(['山田 太郎']);
+    expect(valuesOf(matches, PHI_CATEGORIES.INSURANCE_NUMBER)).toEqual(['12-34']);
+    expect(createRedactor(DEFAULT_REDACTION_SETTINGS).redact(text)).toContain('お薬の名前：ロキソニン\n症状の記号：A');
+  });
+
+  test('無効にしたルールと除外語は置き換えない', () => {
+    const settings = { ...DEFAULT_REDACTION_SETTINGS, disabledRuleIds: ['phone'], exclusions: ['山田 太郎'] };
+    const names = valuesOf(findPhiMatches(ocrText, getActiveRules(settings), { exclusions: settings.exclusions }), PHI_CATEGORIES.NAME);
+    expect(names).toEqual(['ヤマダ タロウ']);
+    expect(getActiveRules({ ...settings, enabled: false })).toEqual([]);
+  });
+});
+
+describe('createRedactor', () => {
+  test('同じ値は同じトークンにし、LLMの出力で元に戻す', () => {
+    const redactor = createRedactor(DEFAULT_REDACTION_SETTINGS);
+    const first = redactor.redact('氏名 佐藤 花子\n電話 0312345678');
+    const second = redactor.redactDeep({ FIELDS: { name: '佐藤 花子' } });
+
+    expect(first).toBe('氏名 [NAME_1]\n電話 [PHONE_1]');
+    expect(second).toEqual({ FIELDS: { name: '[NAME_1]' } });
+    expect(redactor.restore('【氏名】［NAME_1］ 連絡先 [ PHONE_1 ] [NAME_9]')).toBe('【氏名】佐藤 花子 連絡先 0312345678 [NAME_9]');
+    expect(redactor.restoreDeep({ sections: ['[NAME_1]'] })).toEqual({ sections: ['佐藤 花子'] });
+    expect(redactor.getEntries()).toEqual([
+      { token: '[NAME_1]', category: PHI_CATEGORIES.NAME, value: '佐藤 花子' },
+      { token: '[PHONE_1]', category: PHI_CATEGORIES.PHONE, value: '0312345678' }
+    ]);
+  });
+
+  test('カスタムルールは組み込みのルールより優先する', () => {
+    const redactor = createRedactor({
+      ...DEFAULT_REDACTION_SETTINGS,
+      customRules: [{ id: 'karte', label: 'カルテ番号', category: PHI_CATEGORIES.OTHER, pattern: 'ID-\\d+' }]
+    });
+    expect(redactor.redact('ID-0312345678')).toBe('[OTHER_1]');
+  });
+});
+
+test('validateRulePattern', () => {
+  expect(validateRulePattern('ID-\\d+')).toBe('');
+  expect(validateRulePattern('(')).toMatch('正規表現が正しくありません');
+  expect(validateRulePattern('\\d*')).toMatch('空の文字列');
+});
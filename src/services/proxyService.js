@@ -0,0 +1,33 @@
+/**
+ * サーバー側プロキシ（server.js の /api/*）との連携
+ * プロキシ経由の場合、APIキーはサーバーの環境変数で管理されブラウザには渡らない
+ */
+import axios from 'axios';
+
+export const PROXY_OCR_URL = '/api/ocr';
+export const PROXY_OCR_MODELS_URL = '/api/ocr/models';
+export const PROXY_FORMAT_URL = '/api/format';
+export const PROXY_STATUS_URL = '/api/status';
+
+/**
+ * プロキシで利用可能な機能を取得する
+ * @returns {Promise<Object>} - { ocr: boolean, llm: boolean, deploymentName: string|null }
+ */
+export const fetchProxyStatus = async () => {
+  try {
+    const response = await axios.get(PROXY_STATUS_URL, { timeout: 10000 });
+    return response.data;
+  } catch (error) {
+    console.error('プロキシの状態取得に失敗しました:', error.message);
+    throw new Error('サーバープロキシに接続できませんでした。server.js が起動しているか確認してください');
+  }
+};
+
+/**
+ * Azure Document Intelligence 用の認証ヘッダー
+ * @param {Object} config - Azure設定
+ * @returns {Object} - ヘッダー（プロキシ経由の場合は空）
+ */
+export const documentAuthHeaders = (config) => (
+  config.useProxy ? {} : { 'Ocp-Apim-Subscription-Key': config.apiKey }
+);
@@ -0,0 +1,308 @@
+/**
+ * アレルギーと内服薬の抽出（安全に関わる情報の確認用）
+ * OCRテキストとLLMの整形結果の両方から、アレルゲン（物質・症状）と薬剤（名前・用量・用法）を取り出し、
+ * OCRテキストにあるアレルギーが整形結果から抜け落ちていないかを調べる
+ */
+import { splitResultSections } from './corrections';
+
+export const ALLERGY_STATUS = {
+  PRESENT: 'present',
+  NONE: 'none',
+  UNKNOWN: 'unknown'
+};
+
+// 「アレルギー性鼻炎」等の病名は対象外
+const ALLERGY_KEYWORD = /アレルギー(?!性)|過敏症/;
+const MEDICATION_KEYWORD = /内服|服用|飲んでいる薬|のんでいる薬|常用薬|処方薬/;
+
+// 否定は末尾で判定する（「特記事項なし」「特にありません」「記載なし」）
+const NONE_PATTERN = /^(無|いいえ|no|none)$|(なし|無し|ない|無い|ありません|ませんでした)$/i;
+const YES_PATTERN = /^(あり|有り|ある|有|あります|はい|yes)$/i;
+// 否定の前に付く語（「特に ありません」と区切られた場合）
+const FILLER_PATTERN = /^(特に|とくに|特記事項|記載|現在|今のところ)$/;
+// 「薬: ペニシリン」「食物: 卵」の分類名
+const CATEGORY_PATTERN = /^(薬|薬剤|薬物|お薬|食物|食べ物|食品|その他|金属|動物|植物|環境)$/;
+// 「そばアレルギー」「薬剤アレルギー」のような項目名
+const ALLERGY_LABEL_PATTERN = /^(.*?)(?:アレルギー|過敏症)$/;
+const isCategoryLabel = (text) => {
+  const label = text.match(ALLERGY_LABEL_PATTERN);
+  return Boolean(label) && (!label[1].trim() || CATEGORY_PATTERN.test(label[1].trim()));
+};
+// アレルゲンの区切り
+const ALLERGEN_SEPARATOR = /[、,;/・\s]/;
+const REACTION_PATTERN = /発疹|皮疹|湿疹|蕁麻疹|じんましん|じんま疹|かゆみ|痒み|発赤|腫れ|むくみ|呼吸困難|喘鳴|喘息|咳|アナフィラキシー|ショック|嘔吐|吐き気|下痢|腹痛|発熱|めまい|動悸|血圧低下/;
+
+const DOSE_PATTERN = /\d+(?:\.\d+)?\s*(?:mg|g|μg|mcg|ml|mL|単位|錠|カプセル|包|滴|枚|本|吸入)/i;
+const FREQUENCY_PATTERN = /1日\s*\d+\s*回|\d+日\s*\d+\s*回|週\s*\d+\s*回|毎食(?:前|後|間)|朝食?(?:前|後)?|昼食?(?:前|後)?|夕食?(?:前|後)?|就寝前|寝る前|眠前|頓服|食(?:前|後|間)|必要時/g;
+// 薬剤名の後に付く剤形
+const DOSAGE_FORM_SUFFIX = /(?:OD)?(?:錠|カプセル|散|顆粒|シロップ)$/;
+
+const normalize = (text) => text.normalize('NFKC');
+
+// 照合用（空白を除き、ひらがなをカタカナにそろえる）
+const toComparable = (text) => normalize(text)
+  .replace(/\s+/g, '')
+  .replace(/[ぁ-ゖ]/g, char => String.fromCharCode(char.charCodeAt(0) + 0x60))
+  .toLowerCase();
+
+/**
+ * 選択マーク付きの行から、選ばれていない選択肢を除く（☐ なし → 削除、☑ あり → あり）
+ * @param {string} text - テキスト
+ * @returns {string} - テキスト
+ */
+const keepSelectedOptions = (text) => text
+  .replace(/☐\s*[^\s☐☑]+/g, ' ')
+  .replace(/[☑✓✔■]/g, ' ');
+
+// 見出し・設問の後の回答部分（「…ありますか？ ☑ はい」「アレルギー（薬・食物）: あり」）
+const getAnswerText = (line, keyword) => {
+  const match = line.match(keyword);
+  let answer = match ? line.slice(match.index + match[0].length) : line;
+  const questionEnd = Math.max(answer.lastIndexOf('?'), answer.lastIndexOf('？'));
+  if (questionEnd !== -1) {
+    answer = answer.slice(questionEnd + 1);
+  } else {
+    const colon = answer.search(/[:：]/);
+    if (colon !== -1 && !/[、,]/.test(answer.slice(0, colon))) {
+      answer = answer.slice(colon + 1);
+    }
+  }
+  return answer.replace(/「?(はい|あり|ある)」?の(方|場合)[:：]?/g, ' ');
+};
+
+// 括弧を含めて1項目ずつに分ける（「ペニシリン(発疹)、卵」→ ["ペニシリン(発疹)", "卵"]）
+const splitItems = (text, separator) => {
+  const items = [];
+  let depth = 0;
+  let current = '';
+  Array.from(text).forEach(char => {
+    if (char === '(') {
+      depth += 1;
+    } else if (char === ')') {
+      depth = Math.max(0, depth - 1);
+    }
+    if (depth === 0 && separator.test(char)) {
+      items.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  });
+  items.push(current);
+  return items.map(item => item.trim()).filter(Boolean);
+};
+
+/**
+ * アレルギーの記載を解析する
+ * @param {string} text - アレルギーの記載（回答部分やセクションの内容）
+ * @returns {Object} - { status, allergens: [{ substance, reaction }] }
+ */
+export const parseAllergies = (text) => {
+  const allergens = [];
+  let declared = false;
+  let denied = false;
+
+  const addItem = (item) => {
+    const parenthesized = item.match(/^([^(]*)\((.*)\)$/);
+    const head = (parenthesized ? parenthesized[1] : item).trim();
+    const inner = parenthesized ? parenthesized[2].trim() : '';
+
+    if (NONE_PATTERN.test(head) && !inner) {
+      denied = true;
+      return;
+    }
+    if (FILLER_PATTERN.test(head) && !inner) {
+      return;
+    }
+    if (YES_PATTERN.test(head) || (!head && inner)) {
+      declared = true;
+      splitItems(inner, ALLERGEN_SEPARATOR).forEach(addItem);
+      return;
+    }
+    // 行の途中の項目名（「食物アレルギー そば 薬剤アレルギー ペニシリン」）は除き、「卵アレルギー」は「卵」とする
+    const label = head.match(ALLERGY_LABEL_PATTERN);
+    if (label) {
+      const prefix = label[1].trim();
+      if (isCategoryLabel(head)) {
+        splitItems(inner, ALLERGEN_SEPARATOR).forEach(addItem);
+        return;
+      }
+      addItem(inner ? `${prefix}(${inner})` : prefix);
+      return;
+    }
+    // 症状だけの項目は直前のアレルゲンの症状とする（「ペニシリン 発疹」）
+    if (REACTION_PATTERN.test(head) && !inner && allergens.length > 0 && !allergens[allergens.length - 1].reaction) {
+      allergens[allergens.length - 1].reaction = head;
+      return;
+    }
+
+    let substance = head;
+    let reaction = inner;
+    const colon = head.indexOf(':');
+    if (colon !== -1) {
+      const left = head.slice(0, colon).trim();
+      const right = head.slice(colon + 1).trim();
+      if (CATEGORY_PATTERN.test(left) || isCategoryLabel(left)) {
+        addItem(inner ? `${right}(${inner})` : right);
+        return;
+      }
+      substance = left;
+      reaction = reaction || right;
+    }
+    // 「ペニシリンで発疹」
+    const cause = substance.match(/^(.+?)(?:で|による|により|を飲むと|を食べると)(.+)$/);
+    if (cause && REACTION_PATTERN.test(cause[2])) {
+      substance = cause[1];
+      reaction = reaction || cause[2];
+    }
+    if (!substance || NONE_PATTERN.test(substance) || CATEGORY_PATTERN.test(substance)) {
+      return;
+    }
+    allergens.push({ substance, reaction });
+  };
+
+  splitItems(keepSelectedOptions(normalize(text || '')), /[、,;/・\n\s]/).forEach(addItem);
+
+  if (allergens.length > 0 || declared) {
+    return { status: ALLERGY_STATUS.PRESENT, allergens };
+  }
+  return { status: denied ? ALLERGY_STATUS.NONE : ALLERGY_STATUS.UNKNOWN, allergens };
+};
+
+/**
+ * 内服薬の記載を解析する
+ * @param {string} text - 内服薬の記載
+ * @returns {Array<Object>} - [{ name, dose, frequency }]
+ */
+export const parseMedications = (text) => splitItems(keepSelectedOptions(normalize(text || '')), /[、,;\n]/)
+  .filter(item => !NONE_PATTERN.test(item) && !YES_PATTERN.test(item))
+  .map(item => {
+    const dose = item.match(DOSE_PATTERN);
+    const frequencies = item.match(FREQUENCY_PATTERN) || [];
+    const nameEnd = item.search(/\d|\s|(?:1日|毎食|朝|昼|夕|就寝前|寝る前|眠前|頓服|食前|食後|食間|必要時)/);
+    const name = (nameEnd > 0 ? item.slice(0, nameEnd) : item).replace(DOSAGE_FORM_SUFFIX, '').trim();
+    return {
+      name,
+      dose: dose ? dose[0].replace(/\s+/g, '') : '',
+      frequency: frequencies.map(frequency => frequency.replace(/\s+/g, '')).join(' ')
+    };
+  })
+  .filter(medication => medication.name && !CATEGORY_PATTERN.test(medication.name));
+
+const QUESTION_PATTERN = /[?？]|ますか|ですか/;
+
+// キーワードの直前の語（「卵アレルギー」の「卵」）。分類名（「薬アレルギー」の「薬」）は除く
+const getSubjectBefore = (line, keyword) => {
+  const match = line.match(keyword);
+  const before = match ? line.slice(0, match.index) : '';
+  const subject = (before.split(/[、,;:：\s・()（）「」【】[\]]/).pop() || '').trim();
+  return CATEGORY_PATTERN.test(subject) ? '' : subject;
+};
+
+// 「卵アレルギー: 発疹」の回答部分を、直前の語と合わせて「卵(発疹)」の形にする
+const combineSubject = (subject, answer) => {
+  if (!answer || YES_PATTERN.test(answer)) {
+    return subject;
+  }
+  if (NONE_PATTERN.test(answer)) {
+    return answer;
+  }
+  return REACTION_PATTERN.test(answer) ? `${subject}(${answer})` : `${subject}、${answer}`;
+};
+
+/**
+ * OCRテキストの、キーワードを含む行の回答部分
+ * 回答が空の場合、その行が設問・見出し（キーワードの前に語がない）なら次の行を回答とする。
+ * 回答が「あり」だけの場合は、次の行を具体的な内容として加える
+ * @param {string} text - OCRテキスト
+ * @param {RegExp} keyword - キーワード
+ * @param {Object} [options] - { subjectBeforeKeyword: キーワードの直前の語も回答に含める（「卵アレルギー」） }
+ * @returns {string[]} - 回答
+ */
+const findAnswers = (text, keyword, { subjectBeforeKeyword = false } = {}) => {
+  const lines = normalize(text || '').split('\n');
+  return lines.flatMap((line, index) => {
+    if (!keyword.test(line)) {
+      return [];
+    }
+    const selected = keepSelectedOptions(line);
+    const isQuestion = QUESTION_PATTERN.test(line);
+    const subject = subjectBeforeKeyword && !isQuestion ? getSubjectBefore(selected, keyword) : '';
+    // 見出しの閉じ括弧（「【アレルギー】」）は回答に含めない
+    const answer = getAnswerText(selected, keyword).replace(/^[\s】」』）)\]]+/, '').trim();
+    if (subject) {
+      return [combineSubject(subject, answer)];
+    }
+    const next = lines[index + 1];
+    // 「薬剤アレルギー ☑ あり ☐ なし」の次の行に具体的な内容が続く様式
+    if (YES_PATTERN.test(answer)) {
+      const hasDetail = next && next.trim() && !keyword.test(next) && !QUESTION_PATTERN.test(next)
+        && !ALLERGY_KEYWORD.test(next) && !MEDICATION_KEYWORD.test(next);
+      return hasDetail ? [answer, next] : [answer];
+    }
+    if (answer) {
+      return [answer];
+    }
+    const isHeading = !getSubjectBefore(selected, keyword);
+    return (isQuestion || isHeading) && next && !keyword.test(next) ? [next] : [];
+  });
+};
+
+// 整形結果のセクションの内容（構造化出力はキー、テキストは見出しで探す）
+const getResultSection = (llmResult, structuredResult, key, labelPattern) => {
+  if (structuredResult) {
+    return structuredResult[key] || '';
+  }
+  return splitResultSections(llmResult)
+    .filter(section => labelPattern.test(section.label))
+    .map(section => section.body)
+    .join('\n');
+};
+
+const mergeAllergyResults = (results) => {
+  const allergens = [];
+  results.forEach(result => result.allergens.forEach(allergen => {
+    if (!allergens.some(item => toComparable(item.substance) === toComparable(allergen.substance))) {
+      allergens.push(allergen);
+    }
+  }));
+  const statuses = results.map(result => result.status);
+  const status = [ALLERGY_STATUS.PRESENT, ALLERGY_STATUS.NONE].find(candidate => statuses.includes(candidate))
+    || ALLERGY_STATUS.UNKNOWN;
+  return { status, allergens };
+};
+
+/**
+ * OCRテキストと整形結果からアレルギーと内服薬を取り出し、整形結果で抜け落ちたアレルギーを調べる
+ * @param {Object} params - { ocrText, llmResult, structuredResult }
+ * @returns {Object} - {
+ *   allergies: { ocr, llm, declared, dropped: [{ substance, reaction, foundElsewhere }], statusMismatch },
+ *   medications: { ocr, llm }
+ * }
+ */
+export const extractSafetyInfo = ({ ocrText = '', llmResult = '', structuredResult = null }) => {
+  const ocrAllergies = mergeAllergyResults(findAnswers(ocrText, ALLERGY_KEYWORD, { subjectBeforeKeyword: true }).map(parseAllergies));
+  const llmAllergyText = getResultSection(llmResult, structuredResult, 'allergies', /アレルギー/);
+  const llmAllergies = parseAllergies(llmAllergyText);
+
+  const comparableSection = toComparable(llmAllergyText);
+  const comparableResult = toComparable(llmResult || '');
+  const dropped = ocrAllergies.allergens
+    .filter(allergen => !comparableSection.includes(toComparable(allergen.substance)))
+    .map(allergen => ({ ...allergen, foundElsewhere: comparableResult.includes(toComparable(allergen.substance)) }));
+
+  return {
+    allergies: {
+      ocr: ocrAllergies,
+      llm: llmAllergies,
+      declared: ocrAllergies.status === ALLERGY_STATUS.PRESENT || llmAllergies.status === ALLERGY_STATUS.PRESENT,
+      dropped,
+      // OCRテキストでは「あり」なのに整形結果が「なし」・空の場合
+      statusMismatch: ocrAllergies.status === ALLERGY_STATUS.PRESENT && llmAllergies.status !== ALLERGY_STATUS.PRESENT
+    },
+    medications: {
+      ocr: findAnswers(ocrText, MEDICATION_KEYWORD).flatMap(parseMedications),
+      llm: parseMedications(getResultSection(llmResult, structuredResult, 'medications', /薬/))
+    }
+  };
+};
@@ -0,0 +1,121 @@
+import { parseAllergies, parseMedications, extractSafetyInfo, ALLERGY_STATUS } from './safetyExtractor';
+
+describe('parseAllergies', () => {
+  test('アレルゲンと症状を分ける', () => {
+    expect(parseAllergies('ペニシリン（発疹）、卵 じんましん、薬: セフェム系で呼吸困難')).toEqual({
+      status: ALLERGY_STATUS.PRESENT,
+      allergens: [
+        { substance: 'ペニシリン', reaction: '発疹' },
+        { substance: '卵', reaction: 'じんましん' },
+        { substance: 'セフェム系', reaction: '呼吸困難' }
+      ]
+    });
+  });
+
+  test('「あり(…)」の括弧内をアレルゲンとする', () => {
+    expect(parseAllergies('あり（ペニシリン、そば）').allergens.map(allergen => allergen.substance))
+      .toEqual(['ペニシリン', 'そば']);
+  });
+
+  test('選択マークの付いていない選択肢は読まない', () => {
+    expect(parseAllergies('☐ あり ☑ なし').status).toBe(ALLERGY_STATUS.NONE);
+    expect(parseAllergies('☑ あり ☐ なし')).toEqual({ status: ALLERGY_STATUS.PRESENT, allergens: [] });
+    expect(parseAllergies('').status).toBe(ALLERGY_STATUS.UNKNOWN);
+  });
+
+  test.each(['特記事項なし', 'ありません', '特にありません', '特に ありません', '記載なし', '特にない'])('「%s」はアレルギーなしとする', (text) => {
+    expect(parseAllergies(text)).toEqual({ status: ALLERGY_STATUS.NONE, allergens: [] });
+  });
+
+  test('「・」で区切られたアレルゲンを分ける', () => {
+    expect(parseAllergies('卵・そば').allergens.map(allergen => allergen.substance)).toEqual(['卵', 'そば']);
+  });
+
+  test('行の途中の項目名はアレルゲンにしない', () => {
+    expect(parseAllergies('そば 薬剤アレルギー ペニシリン 食物アレルギー:卵').allergens.map(allergen => allergen.substance))
+      .toEqual(['そば', 'ペニシリン', '卵']);
+  });
+});
+
+describe('parseMedications', () => {
+  test('薬剤名・用量・用法に分ける', () => {
+    expect(parseMedications('ロキソニン錠60mg 1日3回毎食後\nアムロジピン 5mg 朝、マイスリー 就寝前')).toEqual([
+      { name: 'ロキソニン', dose: '60mg', frequency: '1日3回 毎食後' },
+      { name: 'アムロジピン', dose: '5mg', frequency: '朝' },
+      { name: 'マイスリー', dose: '', frequency: '就寝前' }
+    ]);
+  });
+
+  test('「なし」は薬剤にしない', () => {
+    expect(parseMedications('なし')).toEqual([]);
+  });
+});
+
+describe('extractSafetyInfo', () => {
+  const ocrText = [
+    '既往歴: アレルギー性鼻炎',
+    '薬や食べ物でアレルギーが出たことがありますか？ ☑ はい ☐ いいえ',
+    'アレルギー: ペニシリン(発疹)、卵',
+    '現在服用中の薬: ロキソニン 60mg 1日3回'
+  ].join('\n');
+
+  test('整形結果で抜け落ちたアレルギーを調べる', () => {
+    const result = extractSafetyInfo({
+      ocrText,
+      llmResult: '【既往歴】\nアレルギー性鼻炎、卵\n【アレルギー】\nペニシリン（発疹）\n【内服薬】\nロキソニン 60mg 1日3回'
+    });
+    expect(result.allergies.declared).toBe(true);
+    expect(result.allergies.statusMismatch).toBe(false);
+    expect(result.allergies.ocr.allergens.map(allergen => allergen.substance)).toEqual(['ペニシリン', '卵']);
+    expect(result.allergies.dropped).toEqual([{ substance: '卵', reaction: '', foundElsewhere: true }]);
+    expect(result.medications.ocr).toEqual([{ name: 'ロキソニン', dose: '60mg', frequency: '1日3回' }]);
+    expect(result.medications.llm).toEqual(result.medications.ocr);
+  });
+
+  test('構造化出力でアレルギーが「なし」になっている場合', () => {
+    const result = extractSafetyInfo({ ocrText, structuredResult: { allergies: 'なし', medications: '' } });
+    expect(result.allergies.llm.status).toBe(ALLERGY_STATUS.NONE);
+    expect(result.allergies.statusMismatch).toBe(true);
+    expect(result.allergies.dropped).toHaveLength(2);
+  });
+
+  test('アレルギーがない場合は警告しない', () => {
+    const result = extractSafetyInfo({ ocrText: 'アレルギー ☐ あり ☑ なし', llmResult: '【アレルギー】なし' });
+    expect(result.allergies.declared).toBe(false);
+    expect(result.allergies.dropped).toEqual([]);
+  });
+
+  test('「卵アレルギー」の形の記載は、キーワードの前の語をアレルゲンとする', () => {
+    const result = extractSafetyInfo({ ocrText: '卵アレルギー\n症状 頭痛\n薬アレルギー: ペニシリン\nそばアレルギー: じんましん' });
+    expect(result.allergies.ocr.allergens).toEqual([
+      { substance: '卵', reaction: '' },
+      { substance: 'ペニシリン', reaction: '' },
+      { substance: 'そば', reaction: 'じんましん' }
+    ]);
+  });
+
+  test('整形結果の「特記事項なし」はアレルギーの記載としない', () => {
+    const result = extractSafetyInfo({ ocrText: 'アレルギー: 特にありません', llmResult: '【アレルギー】\n特記事項なし' });
+    expect(result.allergies.ocr.status).toBe(ALLERGY_STATUS.NONE);
+    expect(result.allergies.llm.status).toBe(ALLERGY_STATUS.NONE);
+    expect(result.allergies.declared).toBe(false);
+  });
+
+  test('選択欄の「あり」の次の行を具体的な内容とする', () => {
+    const result = extractSafetyInfo({ ocrText: '薬剤アレルギー ☑ あり ☐ なし\nペニシリン' });
+    expect(result.allergies.ocr).toEqual({
+      status: ALLERGY_STATUS.PRESENT,
+      allergens: [{ substance: 'ペニシリン', reaction: '' }]
+    });
+  });
+
+  test('同じ行に並んだ項目名はアレルゲンにしない', () => {
+    const result = extractSafetyInfo({ ocrText: '食物アレルギー　そば　薬剤アレルギー　ペニシリン' });
+    expect(result.allergies.ocr.allergens.map(allergen => allergen.substance)).toEqual(['そば', 'ペニシリン']);
+  });
+
+  test('見出しだけの行は次の行を回答とする', () => {
+    const result = extractSafetyInfo({ ocrText: '【アレルギー】\nペニシリン' });
+    expect(result.allergies.ocr.allergens.map(allergen => allergen.substance)).toEqual(['ペニシリン']);
+  });
+});
@@ -0,0 +1,292 @@
+/**
+ * 合言葉による保存データの暗号化（WebCrypto の PBKDF2 + AES-GCM）
+ * ロックを有効にすると、設定と処理履歴を暗号化して保存する。
+ * 鍵はメモリ上にだけ保持し、ロックすると破棄する（ページを再読み込みした場合も再入力が必要）
+ */
+
+const LOCK_CONFIG_KEY = 'secureStorage';
+
+// ロックが有効な場合に暗号化する設定（localStorage のキー）
+// APIキー・エンドポイントに加え、除外語・辞書・プロンプトに患者の情報が含まれうるため、保存する設定はすべて対象とする
+// （batchConcurrency は同時処理数の数値だけのため平文のまま）
+export const SECURE_SETTING_KEYS = [
+  'azureConfig',
+  'llmConfig',
+  'ocrSettings',
+  'fieldMappings',
+  'promptTemplateLibrary',
+  'historySettings',
+  'redactionSettings',
+  'dictionarySettings'
+];
+
+export const MIN_PASSPHRASE_LENGTH = 8;
+export const DEFAULT_IDLE_MINUTES = 15;
+
+const PBKDF2_ITERATIONS = 600000;
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+// 合言葉の確認用に暗号化しておく値（復号できれば合言葉が正しい）
+const VERIFIER_TEXT = 'ocr-llm-processor';
+
+export const WRONG_PASSPHRASE_MESSAGE = '合言葉が正しくありません';
+export const LOCKED_MESSAGE = 'ロック中のため、保存データを読み書きできません';
+
+let sessionKey = null;
+// 復号済みの設定（ロック中は空）
+const settingsCache = new Map();
+// 設定の非同期の書き込みが前後しないよう、最後に依頼された内容だけを書き込む
+const settingWriteVersions = new Map();
+
+const toBase64 = (bytes) => {
+  const array = new Uint8Array(bytes);
+  let binary = '';
+  // 大きなデータで引数の上限を超えないよう分割して変換する
+  for (let offset = 0; offset < array.length; offset += 0x8000) {
+    binary += String.fromCharCode.apply(null, array.subarray(offset, offset + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+const getCrypto = () => {
+  if (typeof crypto === 'undefined' || !crypto.subtle) {
+    throw new Error('このブラウザでは暗号化機能（WebCrypto）を利用できません。HTTPSまたはlocalhostで開いてください');
+  }
+  return crypto;
+};
+
+/**
+ * 合言葉からAES-GCMの鍵を導出する
+ * @param {string} passphrase - 合言葉
+ * @param {Uint8Array} salt - ソルト
+ * @param {number} iterations - PBKDF2の反復回数
+ * @returns {Promise<CryptoKey>} - 取り出し不可の鍵
+ */
+const deriveKey = async (passphrase, salt, iterations) => {
+  const { subtle } = getCrypto();
+  const baseKey = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+const encryptWithKey = async (key, value) => {
+  const cryptoApi = getCrypto();
+  const iv = cryptoApi.getRandomValues(new Uint8Array(IV_BYTES));
+  const data = await cryptoApi.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+  return { iv, data };
+};
+
+const decryptWithKey = async (key, { iv, data }) => {
+  const plain = await getCrypto().subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+  return JSON.parse(new TextDecoder().decode(plain));
+};
+
+// localStorage に保存する形（Base64）
+const toEnvelope = ({ iv, data }) => ({ encrypted: true, iv: toBase64(iv), data: toBase64(data) });
+
+const parseEnvelope = (envelope) => ({ iv: fromBase64(envelope.iv), data: fromBase64(envelope.data) });
+
+const isEnvelope = (value) => Boolean(value && value.encrypted === true && value.iv && value.data);
+
+const readJson = (key) => {
+  const saved = localStorage.getItem(key);
+  if (!saved) {
+    return null;
+  }
+  try {
+    return JSON.parse(saved);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * ロックの設定（ソルト・反復回数・確認用データ・自動ロックまでの時間）
+ * @returns {Object|null} - ロックが無効な場合は null
+ */
+export const getLockConfig = () => readJson(LOCK_CONFIG_KEY);
+
+export const isLockEnabled = () => Boolean(getLockConfig());
+
+export const isUnlocked = () => Boolean(sessionKey);
+
+/**
+ * 現在の合言葉で値を暗号化する（ロックが有効で解除済みのときだけ使える）
+ * @param {*} value - JSONに変換できる値
+ * @returns {Promise<Object>} - { iv, data }（IndexedDBにそのまま保存できる）
+ */
+export const encryptValue = (value) => {
+  if (!sessionKey) {
+    return Promise.reject(new Error(LOCKED_MESSAGE));
+  }
+  return encryptWithKey(sessionKey, value);
+};
+
+/**
+ * encryptValue で暗号化した値を復号する
+ * @param {Object} payload - { iv, data }
+ * @returns {Promise<*>} - 元の値
+ */
+export const decryptValue = (payload) => {
+  if (!sessionKey) {
+    return Promise.reject(new Error(LOCKED_MESSAGE));
+  }
+  return decryptWithKey(sessionKey, payload);
+};
+
+const writeEncryptedSetting = async (key, value) => {
+  const version = (settingWriteVersions.get(key) || 0) + 1;
+  settingWriteVersions.set(key, version);
+  const envelope = JSON.stringify(toEnvelope(await encryptWithKey(sessionKey, value)));
+  if (settingWriteVersions.get(key) === version) {
+    localStorage.setItem(key, envelope);
+  }
+};
+
+/**
+ * 設定を読み込む（ロック中の暗号化された設定は解除時に復号したものを返す）
+ * @param {string} key - localStorage のキー
+ * @returns {*} - 保存されている値（ない場合は null）
+ */
+export const loadSetting = (key) => {
+  if (SECURE_SETTING_KEYS.includes(key) && isLockEnabled()) {
+    return settingsCache.has(key) ? settingsCache.get(key) : null;
+  }
+  return readJson(key);
+};
+
+/**
+ * 設定を保存する（ロックが有効な場合は暗号化する）
+ * @param {string} key - localStorage のキー
+ * @param {*} value - 保存する値
+ */
+export const saveSetting = (key, value) => {
+  if (!SECURE_SETTING_KEYS.includes(key) || !isLockEnabled()) {
+    localStorage.setItem(key, JSON.stringify(value));
+    return;
+  }
+  if (!sessionKey) {
+    console.error(`${LOCKED_MESSAGE}: ${key}`);
+    return;
+  }
+  settingsCache.set(key, value);
+  writeEncryptedSetting(key, value).catch(error => console.error(`設定の暗号化に失敗しました: ${key}`, error));
+};
+
+/**
+ * 合言葉でロックを解除し、暗号化された設定を復号する
+ * @param {string} passphrase - 合言葉
+ * @returns {Promise<void>} - 合言葉が違う場合は WRONG_PASSPHRASE_MESSAGE で失敗する
+ */
+export const unlock = async (passphrase) => {
+  const config = getLockConfig();
+  if (!config) {
+    return;
+  }
+
+  const key = await deriveKey(passphrase, fromBase64(config.salt), config.iterations);
+  try {
+    await decryptWithKey(key, parseEnvelope(config.verifier));
+  } catch (error) {
+    throw new Error(WRONG_PASSPHRASE_MESSAGE);
+  }
+
+  sessionKey = key;
+  settingsCache.clear();
+  for (const settingKey of SECURE_SETTING_KEYS) {
+    const saved = readJson(settingKey);
+    if (isEnvelope(saved)) {
+      settingsCache.set(settingKey, await decryptWithKey(key, parseEnvelope(saved)));
+    } else if (saved) {
+      // 有効化の途中で中断して平文のまま残った設定は、ここで暗号化し直す
+      settingsCache.set(settingKey, saved);
+      await writeEncryptedSetting(settingKey, saved);
+    }
+  }
+};
+
+/**
+ * ロックする（鍵と復号済みの設定をメモリから破棄する）
+ */
+export const lock = () => {
+  sessionKey = null;
+  settingsCache.clear();
+  settingWriteVersions.clear();
+};
+
+/**
+ * ロックを有効にし、平文で保存されている設定を暗号化する
+ * （処理履歴の暗号化は historyStore の resealHistoryEntries で行う）
+ * @param {string} passphrase - 合言葉
+ * @param {number} [idleMinutes] - 操作がないときに自動でロックするまでの分数
+ * @returns {Promise<void>}
+ */
+export const enableLock = async (passphrase, idleMinutes = DEFAULT_IDLE_MINUTES) => {
+  if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`合言葉は${MIN_PASSPHRASE_LENGTH}文字以上にしてください`);
+  }
+
+  const salt = getCrypto().getRandomValues(new Uint8Array(SALT_BYTES));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const verifier = toEnvelope(await encryptWithKey(key, VERIFIER_TEXT));
+  const plainSettings = SECURE_SETTING_KEYS
+    .map(settingKey => [settingKey, readJson(settingKey)])
+    .filter(([, value]) => value !== null);
+
+  sessionKey = key;
+  settingsCache.clear();
+  localStorage.setItem(LOCK_CONFIG_KEY, JSON.stringify({
+    salt: toBase64(salt),
+    iterations: PBKDF2_ITERATIONS,
+    verifier,
+    idleMinutes
+  }));
+  for (const [settingKey, value] of plainSettings) {
+    settingsCache.set(settingKey, value);
+    await writeEncryptedSetting(settingKey, value);
+  }
+};
+
+/**
+ * ロックを無効にし、設定を平文に戻す（鍵は処理履歴を復号し終えるまで残すため、最後に lock を呼ぶ）
+ * @returns {Promise<void>}
+ */
+export const disableLock = async () => {
+  if (!sessionKey) {
+    throw new Error(LOCKED_MESSAGE);
+  }
+  for (const settingKey of SECURE_SETTING_KEYS) {
+    if (settingsCache.has(settingKey)) {
+      localStorage.setItem(settingKey, JSON.stringify(settingsCache.get(settingKey)));
+    }
+  }
+  settingWriteVersions.clear();
+  localStorage.removeItem(LOCK_CONFIG_KEY);
+};
+
+/**
+ * 自動ロックまでの分数を変更する
+ * @param {number} idleMinutes - 分数
+ */
+export const setIdleMinutes = (idleMinutes) => {
+  const config = getLockConfig();
+  if (config) {
+    localStorage.setItem(LOCK_CONFIG_KEY, JSON.stringify({ ...config, idleMinutes }));
+  }
+};
+
+/**
+ * 合言葉を忘れた場合に、暗号化した設定とロックの設定を削除する（処理履歴は呼び出し側で削除する）
+ */
+export const resetSecureStorage = () => {
+  lock();
+  SECURE_SETTING_KEYS.forEach(settingKey => localStorage.removeItem(settingKey));
+  localStorage.removeItem(LOCK_CONFIG_KEY);
+};
@@ -0,0 +1,72 @@
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+import {
+  enableLock,
+  disableLock,
+  unlock,
+  lock,
+  isLockEnabled,
+  loadSetting,
+  saveSetting,
+  encryptValue,
+  decryptValue,
+  WRONG_PASSPHRASE_MESSAGE
+} from './secureStorage';
+
+const azureConfig = { endpoint: 'https://example.cognitiveservices.azure.com', apiKey: 'secret-key' };
+
+// jsdom には WebCrypto がないため、Node の実装を使う
+beforeAll(() => {
+  Object.defineProperty(global, 'crypto', { value: webcrypto, configurable: true });
+  Object.assign(global, { TextEncoder, TextDecoder });
+});
+
+beforeEach(() => {
+  lock();
+  localStorage.clear();
+});
+
+test('ロックを有効にすると平文の設定を暗号化し、合言葉で復号できる', async () => {
+  localStorage.setItem('azureConfig', JSON.stringify(azureConfig));
+  localStorage.setItem('redactionSettings', JSON.stringify({ exclusions: ['山田 太郎'] }));
+  localStorage.setItem('batchConcurrency', '3');
+
+  await enableLock('correct horse', 15);
+
+  expect(isLockEnabled()).toBe(true);
+  expect(localStorage.getItem('azureConfig')).not.toContain('secret-key');
+  expect(JSON.parse(localStorage.getItem('azureConfig')).encrypted).toBe(true);
+  // APIキー以外の設定（除外語など）も暗号化し、同時処理数だけは平文のまま
+  expect(localStorage.getItem('redactionSettings')).not.toContain('山田');
+  expect(loadSetting('redactionSettings')).toEqual({ exclusions: ['山田 太郎'] });
+  expect(localStorage.getItem('batchConcurrency')).toBe('3');
+
+  lock();
+  expect(loadSetting('azureConfig')).toBeNull();
+  expect(loadSetting('redactionSettings')).toBeNull();
+  await expect(encryptValue({})).rejects.toThrow();
+
+  await expect(unlock('wrong passphrase')).rejects.toThrow(WRONG_PASSPHRASE_MESSAGE);
+  await unlock('correct horse');
+  expect(loadSetting('azureConfig')).toEqual(azureConfig);
+
+  const sealed = await encryptValue({ text: '頭痛' });
+  expect(await decryptValue(sealed)).toEqual({ text: '頭痛' });
+}, 30000);
+
+test('ロックを無効にすると設定を平文に戻す', async () => {
+  await enableLock('correct horse', 15);
+  saveSetting('llmConfig', { apiKey: 'llm-key' });
+  expect(loadSetting('llmConfig')).toEqual({ apiKey: 'llm-key' });
+
+  await disableLock();
+  lock();
+
+  expect(isLockEnabled()).toBe(false);
+  expect(JSON.parse(localStorage.getItem('llmConfig'))).toEqual({ apiKey: 'llm-key' });
+}, 30000);
+
+test('短すぎる合言葉は受け付けない', async () => {
+  await expect(enableLock('short')).rejects.toThrow('8文字以上');
+  expect(isLockEnabled()).toBe(false);
+});
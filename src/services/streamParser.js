@@ -0,0 +1,90 @@
+/**
+ * ストリーミング応答（Server-Sent Events / 改行区切りJSON）の解釈
+ * OpenAI互換APIとAzure OpenAIはSSE、Ollamaのネイティブ APIは改行区切りJSONで応答を返す
+ */
+
+export const STREAM_FORMATS = {
+  SSE: 'sse',
+  NDJSON: 'ndjson'
+};
+
+const parsePayload = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`ストリームの応答を解釈できません: ${text.slice(0, 100)}`);
+  }
+};
+
+/**
+ * 受信したテキストを少しずつ渡し、完結したデータ（JSON）を取り出すパーサーを作成する
+ * @param {string} format - STREAM_FORMATS のいずれか
+ * @returns {Object} - { push(text) → Array<Object>, flush() → Array<Object> }
+ */
+export const createStreamParser = (format) => {
+  let buffer = '';
+  let dataLines = [];
+
+  // SSEは空行でイベントが区切られ、data: 行が複数ある場合は改行で連結する（[DONE] は終了の合図）
+  const dispatchEvent = () => {
+    const data = dataLines.join('\n');
+    dataLines = [];
+    return data && data !== '[DONE]' ? [parsePayload(data)] : [];
+  };
+
+  const parseLine = (rawLine) => {
+    const line = rawLine.replace(/\r$/, '');
+    if (format === STREAM_FORMATS.NDJSON) {
+      return line.trim() ? [parsePayload(line)] : [];
+    }
+    if (line === '') {
+      return dispatchEvent();
+    }
+    if (line.startsWith('data:')) {
+      dataLines.push(line.slice('data:'.length).replace(/^ /, ''));
+    }
+    // コメント（: で始まる行）や event: / id: 行は使わない
+    return [];
+  };
+
+  return {
+    push: (text) => {
+      buffer += text;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      return lines.flatMap(parseLine);
+    },
+
+    flush: () => {
+      const rest = buffer;
+      buffer = '';
+      const payloads = rest ? parseLine(rest) : [];
+      return format === STREAM_FORMATS.SSE ? [...payloads, ...dispatchEvent()] : payloads;
+    }
+  };
+};
+
+/**
+ * fetch のレスポンス本文を読み、データを受信するたびにコールバックを呼ぶ
+ * @param {ReadableStream} body - レスポンス本文
+ * @param {string} format - STREAM_FORMATS のいずれか
+ * @param {Function} onPayload - 解釈したデータごとに呼ばれる
+ * @param {Function} [onReceive] - 何か受信するたびに呼ばれる（無通信タイムアウトの延長用）
+ * @returns {Promise<void>}
+ */
+export const readStream = async (body, format, onPayload, onReceive = () => {}) => {
+  const reader = body.getReader();
+  const decoder = new TextDecoder('utf-8');
+  const parser = createStreamParser(format);
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    onReceive();
+    parser.push(decoder.decode(value, { stream: true })).forEach(onPayload);
+  }
+  parser.push(decoder.decode()).forEach(onPayload);
+  parser.flush().forEach(onPayload);
+};
@@ -0,0 +1,27 @@
+import { createStreamParser, STREAM_FORMATS } from './streamParser';
+
+test('parses SSE events split across reads and stops at [DONE]', () => {
+  const parser = createStreamParser(STREAM_FORMATS.SSE);
+  const payloads = [
+    ...parser.push('data: {"choices":[{"delta":{"content":"【主'),
+    ...parser.push('訴】"}}]}\r\n\r\n: keep-alive\n\ndata: {"choices":[{"delta":{"content":"頭痛"},"finish_reason":"length"}]}\n\n'),
+    ...parser.push('data: [DONE]\n\n'),
+    ...parser.flush()
+  ];
+  expect(payloads).toEqual([
+    { choices: [{ delta: { content: '【主訴】' } }] },
+    { choices: [{ delta: { content: '頭痛' }, finish_reason: 'length' }] }
+  ]);
+});
+
+test('parses newline-delimited JSON including a final line without a newline', () => {
+  const parser = createStreamParser(STREAM_FORMATS.NDJSON);
+  expect(parser.push('{"message":{"content":"頭"}}\n{"message":')).toEqual([{ message: { content: '頭' } }]);
+  expect(parser.push('{"content":"痛"}}\n\n{"done":true,"done_reason":"length"}')).toEqual([{ message: { content: '痛' } }]);
+  expect(parser.flush()).toEqual([{ done: true, done_reason: 'length' }]);
+});
+
+test('reports payloads that are not JSON', () => {
+  const parser = createStreamParser(STREAM_FORMATS.SSE);
+  expect(() => parser.push('data: <html>\n\n')).toThrow('ストリームの応答を解釈できません');
+});
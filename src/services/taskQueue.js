@@ -0,0 +1,57 @@
+/**
+ * 同時実行数を制限するタスクキュー
+ * Azureへの同時リクエスト数を抑えつつ、複数ファイルを順次処理する
+ */
+
+/**
+ * タスクキューを作成する
+ * @param {number} concurrency - 同時実行数の上限
+ * @returns {Object} - { enqueue, setConcurrency, getStats }
+ */
+export const createTaskQueue = (concurrency = 2) => {
+  let limit = Math.max(1, concurrency);
+  let active = 0;
+  const pending = [];
+
+  const finish = () => {
+    active--;
+    next();
+  };
+
+  const run = ({ task, resolve, reject }) => {
+    active++;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(finish);
+  };
+
+  function next() {
+    while (active < limit && pending.length > 0) {
+      run(pending.shift());
+    }
+  }
+
+  return {
+    /**
+     * タスクを追加する
+     * @param {Function} task - Promiseを返す関数
+     * @returns {Promise<*>} - タスクの結果
+     */
+    enqueue: (task) => new Promise((resolve, reject) => {
+      pending.push({ task, resolve, reject });
+      next();
+    }),
+
+    /**
+     * 同時実行数の上限を変更する（実行中のタスクには影響しない）
+     * @param {number} value - 新しい上限
+     */
+    setConcurrency: (value) => {
+      limit = Math.max(1, value);
+      next();
+    },
+
+    getStats: () => ({ active, pending: pending.length, concurrency: limit })
+  };
+};
@@ -0,0 +1,38 @@
+import { createTaskQueue } from './taskQueue';
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+};
+
+test('runs no more tasks at once than the concurrency limit', async () => {
+  const queue = createTaskQueue(2);
+  const gates = [deferred(), deferred(), deferred()];
+  let running = 0;
+  let maxRunning = 0;
+
+  const results = gates.map((gate, index) => queue.enqueue(async () => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await gate.promise;
+    running--;
+    return index;
+  }));
+
+  await Promise.resolve();
+  expect(queue.getStats()).toMatchObject({ active: 2, pending: 1 });
+
+  gates.forEach(gate => gate.resolve());
+  await expect(Promise.all(results)).resolves.toEqual([0, 1, 2]);
+  expect(maxRunning).toBe(2);
+});
+
+test('a failing task rejects its own promise and does not block the queue', async () => {
+  const queue = createTaskQueue(1);
+  const failed = queue.enqueue(() => Promise.reject(new Error('boom')));
+  const succeeded = queue.enqueue(() => 'ok');
+
+  await expect(failed).rejects.toThrow('boom');
+  await expect(succeeded).resolves.toBe('ok');
+});
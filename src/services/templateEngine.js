@@ -0,0 +1,247 @@
+/**
+ * プロンプトテンプレートの変数展開
+ * {{変数}}、{{FIELDS.名前}}、{{#if 変数}}…{{else}}…{{/if}}、{{#each 変数}}…{{/each}} に対応する
+ * （#each の中では {{this}}・{{this.名前}}・{{@index}}（0始まり）・{{@key}} を参照できる）
+ */
+
+// テンプレートで使える変数（プロンプトエディタの一覧と検証に使う）
+export const TEMPLATE_VARIABLES = [
+  { name: 'OCR_TEXT', description: 'OCRで抽出したテキスト（長い文書は分割した各部分）' },
+  { name: 'OCR_RESULT', description: 'OCR_TEXT と同じ（以前のテンプレートとの互換用）' },
+  { name: 'TABLES', description: '表（1表ずつ「列 | 列」の行。#each で繰り返せます）' },
+  { name: 'SELECTION_MARKS', description: '選択項目（「設問: 選択肢 ✓」の行。#each で繰り返せます）' },
+  { name: 'FIELDS', description: 'カスタムモデルの抽出フィールド（{{FIELDS.名前}} で個別に参照）' },
+  { name: 'TODAY', description: '処理した日付' },
+  { name: 'FILE_NAME', description: 'ファイル名' },
+  { name: 'PAGE_COUNT', description: 'ページ数' }
+];
+
+// 別名（参照先の変数）
+const VARIABLE_ALIASES = {
+  OCR_RESULT: 'OCR_TEXT'
+};
+
+// #each の中だけで使える変数
+const LOOP_VARIABLES = ['this', '@index', '@key'];
+
+const TAG_PATTERN = /\{\{\s*([^{}]*?)\s*\}\}/g;
+
+/**
+ * テンプレートを構文木に変換する
+ * @param {string} template - テンプレート
+ * @returns {Array<Object>} - ノード（text / variable / if / each）
+ */
+export const parseTemplate = (template) => {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const append = (node) => {
+    const parent = current();
+    (parent.inElse ? parent.otherwise : parent.children).push(node);
+  };
+
+  let lastIndex = 0;
+  let match;
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(template || '')) !== null) {
+    if (match.index > lastIndex) {
+      append({ type: 'text', value: template.slice(lastIndex, match.index) });
+    }
+    lastIndex = TAG_PATTERN.lastIndex;
+
+    const tag = match[1];
+    const [keyword, ...args] = tag.split(/\s+/);
+
+    if (!tag) {
+      throw new Error('空のタグ {{}} があります');
+    } else if (keyword === '#if' || keyword === '#each') {
+      if (args.length !== 1) {
+        throw new Error(`{{${tag}}} には変数を1つ指定してください`);
+      }
+      const node = { type: keyword.slice(1), path: args[0], children: [], otherwise: [], inElse: false };
+      append(node);
+      stack.push(node);
+    } else if (keyword === 'else') {
+      const block = current();
+      if (block.type !== 'if' || block.inElse) {
+        throw new Error('{{else}} は {{#if}} の中で1回だけ使えます');
+      }
+      block.inElse = true;
+    } else if (keyword === '/if' || keyword === '/each') {
+      const block = current();
+      if (block.type !== keyword.slice(1)) {
+        throw new Error(block.type === 'root'
+          ? `対応する開始タグのない {{${keyword}}} があります`
+          : `{{#${block.type} ${block.path}}} が閉じられる前に {{${keyword}}} があります`);
+      }
+      stack.pop();
+    } else if (keyword.startsWith('#') || keyword.startsWith('/')) {
+      throw new Error(`不明なブロック {{${tag}}} です（#if と #each に対応）`);
+    } else if (args.length > 0) {
+      throw new Error(`変数名に空白は使えません: {{${tag}}}`);
+    } else {
+      append({ type: 'variable', path: keyword });
+    }
+  }
+
+  if (stack.length > 1) {
+    const block = current();
+    throw new Error(`{{#${block.type} ${block.path}}} が {{/${block.type}}} で閉じられていません`);
+  }
+  if (lastIndex < (template || '').length) {
+    append({ type: 'text', value: template.slice(lastIndex) });
+  }
+  return root.children;
+};
+
+const hasOwn = (value, key) => value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key);
+
+/**
+ * ドット区切りの名前で値を取り出す（FIELDS の名前自体にドットや [] を含む場合もそのまま探す）
+ * @param {*} value - 対象
+ * @param {string} path - 名前
+ * @returns {*} - 値（見つからない場合は undefined）
+ */
+const resolvePath = (value, path) => {
+  if (hasOwn(value, path)) {
+    return value[path];
+  }
+  for (let index = path.indexOf('.'); index > 0; index = path.indexOf('.', index + 1)) {
+    const head = path.slice(0, index);
+    if (hasOwn(value, head)) {
+      const resolved = resolvePath(value[head], path.slice(index + 1));
+      if (resolved !== undefined) {
+        return resolved;
+      }
+    }
+  }
+  return undefined;
+};
+
+const lookup = (path, scopes, variables) => {
+  const [head] = path.split('.');
+  if (LOOP_VARIABLES.includes(head)) {
+    const scope = scopes[scopes.length - 1];
+    if (!scope) {
+      return undefined;
+    }
+    if (path === '@index') {
+      return scope.index;
+    }
+    if (path === '@key') {
+      return scope.key;
+    }
+    return path === 'this' ? scope.item : resolvePath(scope.item, path.slice('this.'.length));
+  }
+  const alias = VARIABLE_ALIASES[head];
+  return resolvePath(variables, alias ? `${alias}${path.slice(head.length)}` : path);
+};
+
+const toText = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(toText).join('\n');
+  }
+  if (typeof value === 'object') {
+    return Object.entries(value).map(([key, item]) => `${key}: ${toText(item)}`).join('\n');
+  }
+  return String(value);
+};
+
+const isTruthy = (value) => {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).length > 0;
+  }
+  return Boolean(value);
+};
+
+const renderNodes = (nodes, scopes, variables) => nodes.map(node => {
+  switch (node.type) {
+    case 'text':
+      return node.value;
+    case 'variable':
+      return toText(lookup(node.path, scopes, variables));
+    case 'if':
+      return renderNodes(isTruthy(lookup(node.path, scopes, variables)) ? node.children : node.otherwise, scopes, variables);
+    case 'each': {
+      const value = lookup(node.path, scopes, variables);
+      const entries = Array.isArray(value)
+        ? value.map((item, index) => ({ item, index, key: index }))
+        : Object.entries(isTruthy(value) ? value : {}).map(([key, item], index) => ({ item, index, key }));
+      return entries.map(scope => renderNodes(node.children, [...scopes, scope], variables)).join('');
+    }
+    default:
+      return '';
+  }
+}).join('');
+
+/**
+ * テンプレートに変数を展開する（同じ変数が何度出てきてもすべて置き換える）
+ * @param {string} template - テンプレート
+ * @param {Object} variables - 変数（OCR_TEXT, TABLES, FIELDS など）
+ * @returns {string} - 展開後のテキスト
+ */
+export const renderTemplate = (template, variables = {}) => renderNodes(parseTemplate(template), [], variables);
+
+const collectPaths = (nodes, depth = 0) => nodes.flatMap(node => {
+  if (node.type === 'variable') {
+    return [{ path: node.path, depth }];
+  }
+  if (node.type === 'if' || node.type === 'each') {
+    return [
+      { path: node.path, depth },
+      ...collectPaths(node.children, node.type === 'each' ? depth + 1 : depth),
+      ...collectPaths(node.otherwise, depth)
+    ];
+  }
+  return [];
+});
+
+/**
+ * テンプレートを検証する
+ * @param {string} template - テンプレート
+ * @param {Object} [variables] - 現在のOCR結果の変数（指定するとFIELDSの名前も確認する）
+ * @returns {Object} - { errors, warnings }
+ */
+export const validateTemplate = (template, variables = null) => {
+  let nodes;
+  try {
+    nodes = parseTemplate(template);
+  } catch (error) {
+    return { errors: [error.message], warnings: [] };
+  }
+
+  const known = TEMPLATE_VARIABLES.map(variable => variable.name);
+  const errors = [];
+  const warnings = [];
+  const report = (list, message) => {
+    if (!list.includes(message)) {
+      list.push(message);
+    }
+  };
+
+  collectPaths(nodes).forEach(({ path, depth }) => {
+    const [head] = path.split('.');
+    if (LOOP_VARIABLES.includes(head)) {
+      if (depth === 0) {
+        report(errors, `{{${path}}} は {{#each}} の中でのみ使えます`);
+      }
+      return;
+    }
+    if (!known.includes(head)) {
+      report(errors, `不明な変数です: {{${path}}}`);
+      return;
+    }
+    if (head === 'FIELDS' && path !== 'FIELDS' && variables && isTruthy(variables.FIELDS)
+      && resolvePath(variables, path) === undefined) {
+      report(warnings, `現在のOCR結果にはフィールド「${path.slice('FIELDS.'.length)}」がありません`);
+    }
+  });
+
+  return { errors, warnings };
+};
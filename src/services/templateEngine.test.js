@@ -0,0 +1,44 @@
+import { renderTemplate, validateTemplate } from './templateEngine';
+
+const variables = {
+  OCR_TEXT: '頭痛が3日前から続く',
+  TABLES: ['薬剤 | 用量\nアムロジピン | 5mg'],
+  SELECTION_MARKS: ['喫煙: はい ✓', '飲酒: いいえ ✓'],
+  FIELDS: { allergy_detail: '卵', 'medications[].name': 'アムロジピン、ロキソプロフェン' },
+  FILE_NAME: 'monshin.pdf',
+  PAGE_COUNT: 2
+};
+
+test('replaces every occurrence and keeps OCR_RESULT as an alias', () => {
+  expect(renderTemplate('{{OCR_RESULT}} / {{ OCR_TEXT }} / {{OCR_RESULT}}', variables))
+    .toBe('頭痛が3日前から続く / 頭痛が3日前から続く / 頭痛が3日前から続く');
+});
+
+test('looks up field names that contain dots and brackets', () => {
+  expect(renderTemplate('{{FIELDS.allergy_detail}}・{{FIELDS.medications[].name}}・{{FIELDS.missing}}', variables))
+    .toBe('卵・アムロジピン、ロキソプロフェン・');
+});
+
+test('renders conditionals and loops', () => {
+  const template = '{{#if TABLES}}表あり{{else}}表なし{{/if}}\n{{#each SELECTION_MARKS}}{{@index}}. {{this}}\n{{/each}}{{#if FIELDS.smoking}}喫煙{{/if}}';
+  expect(renderTemplate(template, variables)).toBe('表あり\n0. 喫煙: はい ✓\n1. 飲酒: いいえ ✓\n');
+  expect(renderTemplate('{{#each FIELDS}}{{@key}}={{this}};{{/each}}', { FIELDS: { a: '1', b: '2' } })).toBe('a=1;b=2;');
+  expect(renderTemplate('{{#if PAGE_COUNT}}{{PAGE_COUNT}}ページ{{/if}}', { PAGE_COUNT: 0 })).toBe('');
+});
+
+test('reports syntax errors, unknown variables and missing fields', () => {
+  expect(validateTemplate('{{#if TABLES}}表')).toEqual({
+    errors: ['{{#if TABLES}} が {{/if}} で閉じられていません'],
+    warnings: []
+  });
+  expect(validateTemplate('{{/each}}').errors).toEqual(['対応する開始タグのない {{/each}} があります']);
+  expect(validateTemplate('{{OCR_TXT}} {{this}}').errors).toEqual([
+    '不明な変数です: {{OCR_TXT}}',
+    '{{this}} は {{#each}} の中でのみ使えます'
+  ]);
+  expect(validateTemplate('{{FIELDS.allergy_detail}} {{FIELDS.smoking}}', variables)).toEqual({
+    errors: [],
+    warnings: ['現在のOCR結果にはフィールド「smoking」がありません']
+  });
+  expect(() => renderTemplate('{{#each TABLES}}{{/if}}', variables)).toThrow('{{#each TABLES}} が閉じられる前に {{/if}} があります');
+});
@@ -0,0 +1,267 @@
+/**
+ * プロンプトテンプレートのライブラリ（診療科ごとの名前付きテンプレートとバージョン履歴）
+ * すべての関数はライブラリを変更せず、新しいライブラリを返す
+ */
+
+// エクスポートファイルの形式
+const EXPORT_FORMAT = 'ocr-llm-prompt-templates';
+const EXPORT_VERSION = 1;
+
+// 整形時のシステムメッセージ（テンプレートで指定がない場合）
+export const DEFAULT_SYSTEM_MESSAGE = '問診票を構造化して名前、症状、既往歴を表形式で整理。簡潔に。';
+
+// テンプレートごとに保持するバージョン数
+export const MAX_VERSIONS = 50;
+
+export const DEFAULT_PROMPT = `{{OCR_RESULT}}を電子カルテにコピーできる形に整形してください。
+形式としては下記の様にまとめて、それ以外は表記しないでください。また患者の自由記載については要点だけ記載してください。また、空行は作らず、詰めて記載してください。
+【主訴】
+【現病歴】
+【既往歴】
+【通院中の医院】
+【内服薬】
+【アレルギー】
+【喫煙歴】
+【飲酒歴】
+(もしあれば【妊娠可能性】）
+【検査についての希望】`;
+
+const createId = () => `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+const now = () => new Date().toISOString();
+
+/**
+ * バージョン（保存時点の内容）を作成する
+ * @param {Object} content - { prompt, systemMessage }
+ * @param {string} [note] - メモ
+ * @returns {Object} - バージョン
+ */
+const createVersion = ({ prompt, systemMessage }, note = '') => ({
+  savedAt: now(),
+  prompt,
+  systemMessage,
+  note
+});
+
+/**
+ * テンプレートを作成する
+ * @param {Object} values - { name, department, prompt, systemMessage }
+ * @returns {Object} - テンプレート
+ */
+export const createTemplate = ({ name, department = '', prompt = DEFAULT_PROMPT, systemMessage = DEFAULT_SYSTEM_MESSAGE }) => {
+  const timestamp = now();
+  return {
+    id: createId(),
+    name,
+    department,
+    prompt,
+    systemMessage,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    versions: [createVersion({ prompt, systemMessage }, '作成')]
+  };
+};
+
+/**
+ * ライブラリを作成する（以前の単一プロンプトがあれば最初のテンプレートとして引き継ぐ）
+ * @param {string|null} [legacyPrompt] - 以前 localStorage に保存していたプロンプト
+ * @returns {Object} - { activeTemplateId, templates }
+ */
+export const createTemplateLibrary = (legacyPrompt = null) => {
+  const template = createTemplate({ name: '標準（問診票）', prompt: legacyPrompt || DEFAULT_PROMPT });
+  return { activeTemplateId: template.id, templates: [template] };
+};
+
+/**
+ * 選択中のテンプレートを取得する
+ * @param {Object} library - ライブラリ
+ * @returns {Object} - テンプレート
+ */
+export const getActiveTemplate = (library) => (
+  library.templates.find(template => template.id === library.activeTemplateId) || library.templates[0]
+);
+
+const updateTemplate = (library, id, update) => ({
+  ...library,
+  templates: library.templates.map(template => (
+    template.id === id ? { ...template, ...update(template), updatedAt: now() } : template
+  ))
+});
+
+/**
+ * テンプレートを追加して選択する
+ * @param {Object} library - ライブラリ
+ * @param {Object} values - { name, department, prompt, systemMessage }
+ * @returns {Object} - ライブラリ
+ */
+export const addTemplate = (library, values) => {
+  const template = createTemplate(values);
+  return { activeTemplateId: template.id, templates: [...library.templates, template] };
+};
+
+/**
+ * テンプレートを複製して選択する（現在の内容をコピーし、履歴は引き継がない）
+ * @param {Object} library - ライブラリ
+ * @param {string} id - 複製元のID
+ * @returns {Object} - ライブラリ
+ */
+export const duplicateTemplate = (library, id) => {
+  const source = library.templates.find(template => template.id === id);
+  if (!source) {
+    return library;
+  }
+  return addTemplate(library, {
+    name: `${source.name} のコピー`,
+    department: source.department,
+    prompt: source.prompt,
+    systemMessage: source.systemMessage
+  });
+};
+
+/**
+ * テンプレート名・診療科を変更する
+ * @param {Object} library - ライブラリ
+ * @param {string} id - テンプレートID
+ * @param {Object} values - { name, department }
+ * @returns {Object} - ライブラリ
+ */
+export const renameTemplate = (library, id, { name, department }) => updateTemplate(library, id, template => ({
+  name: name !== undefined ? name : template.name,
+  department: department !== undefined ? department : template.department
+}));
+
+/**
+ * テンプレートを削除する（最後の1件は削除しない）
+ * @param {Object} library - ライブラリ
+ * @param {string} id - テンプレートID
+ * @returns {Object} - ライブラリ
+ */
+export const deleteTemplate = (library, id) => {
+  if (library.templates.length <= 1) {
+    return library;
+  }
+  const templates = library.templates.filter(template => template.id !== id);
+  const activeTemplateId = library.activeTemplateId === id ? templates[0].id : library.activeTemplateId;
+  return { activeTemplateId, templates };
+};
+
+/**
+ * 使用するテンプレートを選択する
+ * @param {Object} library - ライブラリ
+ * @param {string} id - テンプレートID
+ * @returns {Object} - ライブラリ
+ */
+export const selectTemplate = (library, id) => (
+  library.templates.some(template => template.id === id) ? { ...library, activeTemplateId: id } : library
+);
+
+/**
+ * テンプレートの内容（プロンプト・システムメッセージ）を編集する
+ * 編集内容はバージョンとして保存するまで履歴に残らない
+ * @param {Object} library - ライブラリ
+ * @param {string} id - テンプレートID
+ * @param {Object} content - { prompt, systemMessage } のいずれか
+ * @returns {Object} - ライブラリ
+ */
+export const editTemplateContent = (library, id, content) => updateTemplate(library, id, () => content);
+
+/**
+ * 最後に保存したバージョンから変更があるか
+ * @param {Object} template - テンプレート
+ * @returns {boolean}
+ */
+export const hasUnsavedChanges = (template) => {
+  const latest = template.versions[template.versions.length - 1];
+  return !latest || latest.prompt !== template.prompt || latest.systemMessage !== template.systemMessage;
+};
+
+/**
+ * 現在の内容をバージョンとして保存する（変更がなければ何もしない）
+ * @param {Object} library - ライブラリ
+ * @param {string} id - テンプレートID
+ * @param {string} [note] - メモ
+ * @returns {Object} - ライブラリ
+ */
+export const saveTemplateVersion = (library, id, note = '') => updateTemplate(library, id, template => (
+  hasUnsavedChanges(template)
+    ? { versions: [...template.versions, createVersion(template, note)].slice(-MAX_VERSIONS) }
+    : {}
+));
+
+/**
+ * 過去のバージョンに戻す（戻す前の内容が未保存なら、失わないよう先にバージョンとして保存する）
+ * @param {Object} library - ライブラリ
+ * @param {string} id - テンプレートID
+ * @param {number} versionIndex - バージョンの位置
+ * @returns {Object} - ライブラリ
+ */
+export const restoreTemplateVersion = (library, id, versionIndex) => {
+  const saved = saveTemplateVersion(library, id, '復元前の内容');
+  return updateTemplate(saved, id, template => {
+    const version = template.versions[versionIndex];
+    if (!version) {
+      return {};
+    }
+    const restored = { prompt: version.prompt, systemMessage: version.systemMessage };
+    return {
+      ...restored,
+      versions: [...template.versions, createVersion(restored, `${new Date(version.savedAt).toLocaleString()} の版を復元`)]
+        .slice(-MAX_VERSIONS)
+    };
+  });
+};
+
+/**
+ * テンプレートをJSONとしてエクスポートする
+ * @param {Object} library - ライブラリ
+ * @param {Array<string>} [ids] - 対象のID（省略時はすべて）
+ * @returns {string} - JSON文字列
+ */
+export const exportTemplates = (library, ids = null) => JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt: now(),
+  templates: library.templates
+    .filter(template => !ids || ids.includes(template.id))
+    .map(({ name, department, prompt, systemMessage, versions }) => ({ name, department, prompt, systemMessage, versions }))
+}, null, 2);
+
+/**
+ * エクスポートしたJSONからテンプレートを取り込む（IDは振り直し、既存のテンプレートには追加する）
+ * @param {Object} library - ライブラリ
+ * @param {string} json - JSON文字列
+ * @returns {Object} - { library, importedCount }
+ */
+export const importTemplates = (library, json) => {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`JSONとして読み込めません: ${error.message}`);
+  }
+
+  if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.templates)) {
+    throw new Error('プロンプトテンプレートのエクスポートファイルではありません');
+  }
+
+  const imported = data.templates.map((item, index) => {
+    if (!item || typeof item.name !== 'string' || typeof item.prompt !== 'string') {
+      throw new Error(`${index + 1}件目のテンプレートに名前またはプロンプトがありません`);
+    }
+    const template = createTemplate({
+      name: item.name,
+      department: typeof item.department === 'string' ? item.department : '',
+      prompt: item.prompt,
+      systemMessage: typeof item.systemMessage === 'string' ? item.systemMessage : DEFAULT_SYSTEM_MESSAGE
+    });
+    const versions = Array.isArray(item.versions)
+      ? item.versions.filter(version => version && typeof version.prompt === 'string')
+      : [];
+    return versions.length > 0 ? { ...template, versions: versions.slice(-MAX_VERSIONS) } : template;
+  });
+
+  return {
+    library: { ...library, templates: [...library.templates, ...imported] },
+    importedCount: imported.length
+  };
+};
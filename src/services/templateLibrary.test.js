@@ -0,0 +1,68 @@
+import {
+  createTemplateLibrary,
+  getActiveTemplate,
+  addTemplate,
+  deleteTemplate,
+  editTemplateContent,
+  hasUnsavedChanges,
+  saveTemplateVersion,
+  restoreTemplateVersion,
+  exportTemplates,
+  importTemplates
+} from './templateLibrary';
+import { diffLines, DIFF_TYPES, hasChanges } from './textDiff';
+
+test('keeps the legacy prompt as the first template', () => {
+  const library = createTemplateLibrary('旧プロンプト {{OCR_RESULT}}');
+  expect(library.templates).toHaveLength(1);
+  expect(getActiveTemplate(library).prompt).toBe('旧プロンプト {{OCR_RESULT}}');
+  expect(hasUnsavedChanges(getActiveTemplate(library))).toBe(false);
+});
+
+test('saves versions and restores an earlier one without losing unsaved edits', () => {
+  let library = createTemplateLibrary('v1');
+  const { id } = getActiveTemplate(library);
+
+  library = saveTemplateVersion(editTemplateContent(library, id, { prompt: 'v2' }), id, '修正');
+  library = editTemplateContent(library, id, { prompt: 'v3（未保存）' });
+  expect(hasUnsavedChanges(getActiveTemplate(library))).toBe(true);
+
+  library = restoreTemplateVersion(library, id, 0);
+  const template = getActiveTemplate(library);
+  expect(template.prompt).toBe('v1');
+  expect(template.versions.map(version => version.prompt)).toEqual(['v1', 'v2', 'v3（未保存）', 'v1']);
+  expect(hasUnsavedChanges(template)).toBe(false);
+});
+
+test('never deletes the last template', () => {
+  let library = createTemplateLibrary();
+  const firstId = library.activeTemplateId;
+  library = addTemplate(library, { name: '小児科', department: '小児科' });
+  library = deleteTemplate(library, library.activeTemplateId);
+  expect(library.activeTemplateId).toBe(firstId);
+  expect(deleteTemplate(library, firstId)).toBe(library);
+});
+
+test('round-trips templates through JSON export and import', () => {
+  const source = addTemplate(createTemplateLibrary(), { name: '健診', department: '健診', prompt: '健診用', systemMessage: 'あなたは健診担当です' });
+  const json = exportTemplates(source, [source.activeTemplateId]);
+
+  const { library, importedCount } = importTemplates(createTemplateLibrary(), json);
+  expect(importedCount).toBe(1);
+  const imported = library.templates[1];
+  expect(imported).toMatchObject({ name: '健診', department: '健診', prompt: '健診用', systemMessage: 'あなたは健診担当です' });
+  expect(imported.id).not.toBe(source.activeTemplateId);
+
+  expect(() => importTemplates(library, '{')).toThrow('JSONとして読み込めません');
+  expect(() => importTemplates(library, '{"templates":[]}')).toThrow('エクスポートファイルではありません');
+});
+
+test('diffs text line by line', () => {
+  const diff = diffLines('【主訴】\n【既往歴】', '【主訴】\n【現病歴】\n【既往歴】');
+  expect(diff).toEqual([
+    { type: DIFF_TYPES.EQUAL, lines: ['【主訴】'] },
+    { type: DIFF_TYPES.ADDED, lines: ['【現病歴】'] },
+    { type: DIFF_TYPES.EQUAL, lines: ['【既往歴】'] }
+  ]);
+  expect(hasChanges(diffLines('a', 'a'))).toBe(false);
+});
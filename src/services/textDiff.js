@@ -0,0 +1,85 @@
+/**
+ * 2つのテキストの差分（最長共通部分列による行単位・文字単位の比較）
+ */
+
+export const DIFF_TYPES = {
+  EQUAL: 'equal',
+  ADDED: 'added',
+  REMOVED: 'removed'
+};
+
+/**
+ * 2つの配列の差分を求める
+ * @param {Array<string>} before - 変更前
+ * @param {Array<string>} after - 変更後
+ * @returns {Array<Object>} - [{ type, value }]
+ */
+const diffSequences = (before, after) => {
+  // lengths[i][j] = before[i:] と after[j:] の最長共通部分列の長さ
+  const lengths = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const result = [];
+  const push = (type, value) => {
+    const last = result[result.length - 1];
+    if (last && last.type === type) {
+      last.values.push(value);
+    } else {
+      result.push({ type, values: [value] });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      push(DIFF_TYPES.EQUAL, before[i]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push(DIFF_TYPES.REMOVED, before[i]);
+      i++;
+    } else {
+      push(DIFF_TYPES.ADDED, after[j]);
+      j++;
+    }
+  }
+  while (i < before.length) {
+    push(DIFF_TYPES.REMOVED, before[i++]);
+  }
+  while (j < after.length) {
+    push(DIFF_TYPES.ADDED, after[j++]);
+  }
+  return result;
+};
+
+/**
+ * 行単位の差分
+ * @param {string} before - 変更前のテキスト
+ * @param {string} after - 変更後のテキスト
+ * @returns {Array<Object>} - [{ type, lines }]
+ */
+export const diffLines = (before, after) => diffSequences((before || '').split('\n'), (after || '').split('\n'))
+  .map(part => ({ type: part.type, lines: part.values }));
+
+/**
+ * 文字単位の差分（短いテキストの比較用）
+ * @param {string} before - 変更前のテキスト
+ * @param {string} after - 変更後のテキスト
+ * @returns {Array<Object>} - [{ type, text }]
+ */
+export const diffChars = (before, after) => diffSequences(Array.from(before || ''), Array.from(after || ''))
+  .map(part => ({ type: part.type, text: part.values.join('') }));
+
+/**
+ * 差分があるか
+ * @param {Array<Object>} diff - diffLines / diffChars の結果
+ * @returns {boolean}
+ */
+export const hasChanges = (diff) => diff.some(part => part.type !== DIFF_TYPES.EQUAL);
@@ -0,0 +1,144 @@
+/**
+ * TIFF画像のデコード（FAXサーバーが出力する複数ページのTIFFを、PDFに変換するため）
+ * デコードは UTIF.js で行う。UTIF.js が読めない圧縮形式・色の形式は、白紙や崩れた画像にせずエラーにする
+ */
+
+const TAGS = {
+  IMAGE_WIDTH: 't256',
+  IMAGE_LENGTH: 't257',
+  COMPRESSION: 't259',
+  PHOTOMETRIC: 't262',
+  X_RESOLUTION: 't282',
+  Y_RESOLUTION: 't283',
+  PLANAR_CONFIGURATION: 't284',
+  RESOLUTION_UNIT: 't296'
+};
+
+// UTIF.js が展開できる圧縮形式（CCITT RLE（2）などは未対応）
+const SUPPORTED_COMPRESSIONS = {
+  1: '非圧縮',
+  3: 'CCITT T.4',
+  4: 'CCITT T.6',
+  5: 'LZW',
+  6: 'JPEG（旧形式）',
+  7: 'JPEG',
+  8: 'Deflate',
+  32773: 'PackBits'
+};
+
+// 白黒・グレー・RGB・パレット・CMYK
+const SUPPORTED_PHOTOMETRICS = [0, 1, 2, 3, 5];
+
+// 解像度がない場合（FAXの標準は 204×196dpi だが、不明な場合は一般的な値とする）
+const DEFAULT_RESOLUTION = 72;
+// 循環したIFDや壊れたファイルで止まらないよう、ページ数に上限を設ける
+const MAX_PAGES = 1000;
+
+/**
+ * TIFFファイルか（先頭のバイト順の印とバージョン番号で判定する）
+ * @param {Uint8Array} bytes - ファイルの先頭
+ * @returns {boolean}
+ */
+export const isTiff = (bytes) => bytes.length >= 4 && (
+  (bytes[0] === 0x49 && bytes[1] === 0x49 && bytes[2] === 42 && bytes[3] === 0)
+  || (bytes[0] === 0x4d && bytes[1] === 0x4d && bytes[2] === 0 && bytes[3] === 42)
+);
+
+// UTIF.js はIFDのつながりを確かめずに読むため、循環や範囲外の参照があるファイルは先に弾く
+const assertIfdChain = (buffer) => {
+  const view = new DataView(buffer);
+  const littleEndian = view.getUint8(0) === 0x49;
+  const visited = new Set();
+  let offset = view.getUint32(4, littleEndian);
+  while (offset !== 0) {
+    if (visited.has(offset) || visited.size >= MAX_PAGES || offset + 2 > view.byteLength) {
+      throw new Error('TIFFファイルが壊れています');
+    }
+    visited.add(offset);
+    const next = offset + 2 + view.getUint16(offset, littleEndian) * 12;
+    if (next + 4 > view.byteLength) {
+      throw new Error('TIFFファイルが壊れています');
+    }
+    offset = view.getUint32(next, littleEndian);
+  }
+  if (visited.size === 0) {
+    throw new Error('TIFFファイルにページがありません');
+  }
+};
+
+let utifPromise = null;
+
+// UTIF.js はTIFFを変換するときだけ読み込む
+const loadUtif = () => {
+  if (!utifPromise) {
+    utifPromise = import('utif').then(module => module.default || module);
+  }
+  return utifPromise;
+};
+
+const getTag = (ifd, tag, defaultValue) => (ifd[tag] ? ifd[tag][0] : defaultValue);
+
+// 解像度（dpi）。ResolutionUnit が 3 の場合は cm 単位
+const toDpi = (value, unit) => {
+  if (!value) {
+    return DEFAULT_RESOLUTION;
+  }
+  return unit === 3 ? value * 2.54 : value;
+};
+
+const assertSupported = (ifd, pageNumber) => {
+  const compression = getTag(ifd, TAGS.COMPRESSION, 1);
+  if (!SUPPORTED_COMPRESSIONS[compression]) {
+    throw new Error(`${pageNumber}ページ目の圧縮形式（${compression}）には対応していません`);
+  }
+  const photometric = getTag(ifd, TAGS.PHOTOMETRIC, 1);
+  if (!SUPPORTED_PHOTOMETRICS.includes(photometric)) {
+    throw new Error(`${pageNumber}ページ目の色の形式（PhotometricInterpretation ${photometric}）には対応していません`);
+  }
+  if (getTag(ifd, TAGS.PLANAR_CONFIGURATION, 1) !== 1) {
+    throw new Error(`${pageNumber}ページ目の画素の並び（PlanarConfiguration 2）には対応していません`);
+  }
+};
+
+/**
+ * TIFFのページ一覧を読む（画像データのデコードは decodeTiffPage でページごとに行う）
+ * @param {ArrayBuffer} buffer - TIFFファイル
+ * @returns {Promise<Array<Object>>} - [{ pageNumber, width, height, xResolution, yResolution（dpi）, ifd }]
+ */
+export const readTiffPages = async (buffer) => {
+  if (!isTiff(new Uint8Array(buffer))) {
+    throw new Error('TIFFファイルではありません');
+  }
+  assertIfdChain(buffer);
+  const UTIF = await loadUtif();
+  return UTIF.decode(buffer)
+    .filter(ifd => ifd[TAGS.IMAGE_WIDTH] && ifd[TAGS.IMAGE_LENGTH])
+    .map((ifd, index) => {
+      const unit = getTag(ifd, TAGS.RESOLUTION_UNIT, 2);
+      return {
+        pageNumber: index + 1,
+        width: getTag(ifd, TAGS.IMAGE_WIDTH, 0),
+        height: getTag(ifd, TAGS.IMAGE_LENGTH, 0),
+        xResolution: toDpi(getTag(ifd, TAGS.X_RESOLUTION, 0), unit),
+        yResolution: toDpi(getTag(ifd, TAGS.Y_RESOLUTION, 0), unit),
+        ifd
+      };
+    });
+};
+
+/**
+ * ページの画像をRGBAにデコードする
+ * @param {ArrayBuffer} buffer - TIFFファイル
+ * @param {Object} page - readTiffPages の要素
+ * @returns {Promise<Uint8ClampedArray>} - RGBA（width × height × 4）
+ */
+export const decodeTiffPage = async (buffer, page) => {
+  assertSupported(page.ifd, page.pageNumber);
+  const UTIF = await loadUtif();
+  UTIF.decodeImage(buffer, page.ifd);
+  const rgba = UTIF.toRGBA8(page.ifd);
+  if (!page.ifd.data || rgba.length !== page.width * page.height * 4) {
+    throw new Error(`${page.pageNumber}ページ目の画像を読み込めませんでした`);
+  }
+  return new Uint8ClampedArray(rgba.buffer, rgba.byteOffset, rgba.length);
+};
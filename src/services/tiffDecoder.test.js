@@ -0,0 +1,157 @@
+import { isTiff, readTiffPages, decodeTiffPage } from './tiffDecoder';
+
+const SHORT = 3;
+const LONG = 4;
+const RATIONAL = 5;
+
+// リトルエンディアンのTIFFを組み立てる（pages: [{ entries: [[tag, type, values]], data または strips }]）
+const buildTiff = (pages) => {
+  let offset = 8;
+  const layouts = pages.map(page => {
+    const strips = page.strips || [page.data];
+    const stripOffsets = strips.map((strip, index) => offset + strips.slice(0, index).reduce((size, item) => size + item.length, 0));
+    const data = Uint8Array.from(strips.flatMap(strip => Array.from(strip)));
+    offset += data.length;
+    // 4バイトに収まらない値は IFD の後ろに置く
+    const entries = [...page.entries, [273, LONG, stripOffsets], [279, LONG, strips.map(strip => strip.length)]]
+      .sort((a, b) => a[0] - b[0]);
+    const ifdOffset = offset;
+    const extraOffset = ifdOffset + 2 + entries.length * 12 + 4;
+    offset = extraOffset + entries.reduce((size, [, type, values]) => {
+      const bytes = (type === RATIONAL ? 8 : type === LONG ? 4 : 2) * values.length;
+      return size + (bytes > 4 ? bytes : 0);
+    }, 0);
+    return { page: { ...page, data }, entries, ifdOffset, extraOffset };
+  });
+
+  const buffer = new ArrayBuffer(offset);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  bytes.set([0x49, 0x49, 42, 0]);
+  view.setUint32(4, layouts[0].ifdOffset, true);
+  layouts.forEach(({ page, entries, ifdOffset, extraOffset }, pageIndex) => {
+    bytes.set(page.data, ifdOffset - page.data.length);
+    view.setUint16(ifdOffset, entries.length, true);
+    let extra = extraOffset;
+    entries.forEach(([tag, type, values], index) => {
+      const entry = ifdOffset + 2 + index * 12;
+      const size = type === RATIONAL ? 8 : type === LONG ? 4 : 2;
+      view.setUint16(entry, tag, true);
+      view.setUint16(entry + 2, type, true);
+      view.setUint32(entry + 4, values.length, true);
+      let target = entry + 8;
+      if (size * values.length > 4) {
+        view.setUint32(entry + 8, extra, true);
+        target = extra;
+        extra += size * values.length;
+      }
+      values.forEach((value, i) => {
+        if (type === RATIONAL) {
+          view.setUint32(target + i * 8, value, true);
+          view.setUint32(target + i * 8 + 4, 1, true);
+        } else if (type === LONG) {
+          view.setUint32(target + i * 4, value, true);
+        } else {
+          view.setUint16(target + i * 2, value, true);
+        }
+      });
+    });
+    const next = layouts[pageIndex + 1] ? layouts[pageIndex + 1].ifdOffset : 0;
+    view.setUint32(ifdOffset + 2 + entries.length * 12, next, true);
+  });
+  return buffer;
+};
+
+const grayOf = (pixels) => Array.from(pixels).filter((_, index) => index % 4 === 0);
+
+// ビット順を逆にする（FillOrder 2）
+const reverseBits = (bytes) => bytes.map(byte => parseInt(byte.toString(2).padStart(8, '0').split('').reverse().join(''), 2));
+
+const decodeFirstPage = async (buffer) => decodeTiffPage(buffer, (await readTiffPages(buffer))[0]);
+
+describe('tiffDecoder', () => {
+  // T.6 で符号化した 8×4 の白黒画像（1行目は左から3〜6画素目が黒）
+  const fax = [0x2e, 0xfd, 0xe3, 0x00, 0x10, 0x01];
+  // 1ページ目: 8ビットグレー（非圧縮）、2ページ目: FAX（T.6、ビット順が逆）
+  const buffer = buildTiff([
+    {
+      entries: [
+        [256, SHORT, [2]], [257, SHORT, [2]], [258, SHORT, [8]], [259, SHORT, [1]], [262, SHORT, [1]],
+        [282, RATIONAL, [200]], [283, RATIONAL, [100]], [296, SHORT, [2]]
+      ],
+      data: Uint8Array.from([0, 255, 128, 64])
+    },
+    {
+      entries: [[256, SHORT, [8]], [257, SHORT, [4]], [259, SHORT, [4]], [262, SHORT, [0]], [266, SHORT, [2]]],
+      data: Uint8Array.from(reverseBits(fax))
+    }
+  ]);
+
+  test('複数ページを読み、解像度を dpi で返す', async () => {
+    expect(isTiff(new Uint8Array(buffer))).toBe(true);
+    expect(isTiff(Uint8Array.from([0xff, 0xd8, 0xff, 0xe0]))).toBe(false);
+    const pages = await readTiffPages(buffer);
+    expect(pages.map(({ width, height, xResolution, yResolution }) => ({ width, height, xResolution, yResolution }))).toEqual([
+      { width: 2, height: 2, xResolution: 200, yResolution: 100 },
+      { width: 8, height: 4, xResolution: 72, yResolution: 72 }
+    ]);
+  });
+
+  test('グレーとFAX（ビット順が逆）のページをRGBAにする', async () => {
+    const [gray, faxPage] = await readTiffPages(buffer);
+    expect(grayOf(await decodeTiffPage(buffer, gray))).toEqual([0, 255, 128, 64]);
+    // WhiteIsZero なので黒の画素は 0
+    const faxPixels = grayOf(await decodeTiffPage(buffer, faxPage));
+    expect(faxPixels.slice(0, 8)).toEqual([255, 255, 0, 0, 0, 0, 255, 255]);
+    expect(faxPixels.slice(24)).toEqual(Array(8).fill(255));
+  });
+
+  test('複数のストリップに分かれたFAXのページ', async () => {
+    // 1つ目のストリップは白の2行（T.6 の V0 が2つ）、2つ目は上のFAXの先頭2行
+    const multiStrip = buildTiff([{
+      entries: [[256, SHORT, [8]], [257, SHORT, [4]], [259, SHORT, [4]], [262, SHORT, [0]], [278, SHORT, [2]]],
+      strips: [Uint8Array.from([0xc0]), Uint8Array.from(fax)]
+    }]);
+    const pixels = grayOf(await decodeFirstPage(multiStrip));
+    expect(pixels.slice(0, 16)).toEqual(Array(16).fill(255));
+    expect(pixels.slice(16, 24)).toEqual([255, 255, 0, 0, 0, 0, 255, 255]);
+  });
+
+  test('LZW（横方向の差分あり）とPackBitsのRGB', async () => {
+    const lzw = buildTiff([{
+      entries: [[256, SHORT, [4]], [257, SHORT, [1]], [258, SHORT, [8]], [259, SHORT, [5]], [262, SHORT, [1]], [317, SHORT, [2]]],
+      // 符号 256, 7, 258, 7, 257（9ビット）
+      data: Uint8Array.from([0x80, 0x01, 0xe0, 0x40, 0x78, 0x08])
+    }]);
+    expect(grayOf(await decodeFirstPage(lzw))).toEqual([7, 14, 21, 28]);
+
+    const packBits = buildTiff([{
+      entries: [[256, SHORT, [4]], [257, SHORT, [1]], [258, SHORT, [8, 8, 8]], [259, SHORT, [32773]], [262, SHORT, [2]], [277, SHORT, [3]]],
+      // 0 を6回、続く6バイトはそのまま
+      data: Uint8Array.from([0xfb, 0, 5, 255, 128, 0, 255, 128, 0])
+    }]);
+    expect(Array.from(await decodeFirstPage(packBits))).toEqual([0, 0, 0, 255, 0, 0, 0, 255, 255, 128, 0, 255, 255, 128, 0, 255]);
+  });
+
+  test('対応していない圧縮形式・色の形式・画素の並びはエラーにする', async () => {
+    const build = (entries) => buildTiff([{
+      entries: [[256, SHORT, [2]], [257, SHORT, [1]], [258, SHORT, [8]], ...entries],
+      data: Uint8Array.from([0, 0])
+    }]);
+    await expect(decodeFirstPage(build([[259, SHORT, [2]], [262, SHORT, [1]]])))
+      .rejects.toThrow('1ページ目の圧縮形式（2）には対応していません');
+    await expect(decodeFirstPage(build([[259, SHORT, [1]], [262, SHORT, [6]]])))
+      .rejects.toThrow('色の形式（PhotometricInterpretation 6）');
+    await expect(decodeFirstPage(build([[259, SHORT, [1]], [262, SHORT, [1]], [284, SHORT, [2]]])))
+      .rejects.toThrow('PlanarConfiguration 2');
+  });
+
+  test('TIFFでないファイルと、IFDが循環しているファイルはエラーにする', async () => {
+    await expect(readTiffPages(Uint8Array.from([0x25, 0x50, 0x44, 0x46]).buffer)).rejects.toThrow('TIFFファイルではありません');
+    const looped = buildTiff([{ entries: [[256, SHORT, [1]], [257, SHORT, [1]]], data: Uint8Array.from([0]) }]);
+    const view = new DataView(looped);
+    const ifdOffset = view.getUint32(4, true);
+    view.setUint32(ifdOffset + 2 + view.getUint16(ifdOffset, true) * 12, ifdOffset, true);
+    await expect(readTiffPages(looped)).rejects.toThrow('TIFFファイルが壊れています');
+  });
+});